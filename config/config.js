@@ -96,7 +96,45 @@ module.exports = {
     // Risk management
     maxPositionSize: 0.20, // Max 20% of portfolio in single position
     maxPortfolioRisk: 0.02, // Max 2% risk per trade
-    
+
+    // Fractional shares: wallet quantities are rounded down to this many decimal places (0 = whole shares only)
+    fractional: {
+      quantityPrecision: process.env.FRACTIONAL_PRECISION !== undefined ? parseInt(process.env.FRACTIONAL_PRECISION, 10) : 4,
+      minNotional: parseFloat(process.env.MIN_NOTIONAL_ORDER) || 1 // Smallest dollar-amount order
+    },
+
+    // Fee schedule; each charge posts a 'fee' transaction
+    fees: {
+      monthlyAccountFee: parseFloat(process.env.MONTHLY_ACCOUNT_FEE) || 0, // Charged once per calendar month
+      perTradeFee: parseFloat(process.env.PER_TRADE_FEE) || 0,             // Flat fee per buy/sell
+      perTradePercent: parseFloat(process.env.PER_TRADE_FEE_PERCENT) || 0  // Fraction of trade value per buy/sell
+    },
+
+    // Dividend calendar (CSV: Ticker,ExDate,PayDate,Amount) credited to holders on ex-dividend dates
+    dividendCalendarFile: process.env.DIVIDEND_CALENDAR_FILE || './config/dividendCalendar.csv',
+
+    // Tax lots: how sells pick lots by default, and holding-period rules for the realized-gain report
+    taxLots: {
+      defaultMethod: 'fifo', // fifo, lifo, highest_cost or specific
+      longTermDays: 365,     // Held longer than this is long-term
+      washSaleDays: 30       // Repurchases within this many days of a loss sale make it a wash sale
+    },
+
+    // Short selling (opt-in per wallet)
+    margin: {
+      initialMarginRate: 0.5,     // Extra cash held against a new short, as a fraction of its value
+      maintenanceMarginRate: 0.3  // Equity must stay above 30% of short market value
+    },
+
+    // Portfolio rebalancing: 'calendar' rebalances once per frequency period,
+    // 'drift' whenever a holding's weight moves further than driftThreshold from its target
+    rebalancing: {
+      mode: process.env.REBALANCE_MODE || 'calendar',
+      frequency: process.env.REBALANCE_FREQUENCY || 'monthly', // daily, weekly, monthly or quarterly
+      driftThreshold: parseFloat(process.env.REBALANCE_DRIFT_THRESHOLD) || 0.05, // 5 percentage points
+      minTradeValue: 100 // Skip trades smaller than this many dollars
+    },
+
     // Data requirements
     minDataPoints: 50   // Minimum data points for indicators
   },
@@ -112,7 +150,47 @@ module.exports = {
   backtest: {
     defaultStartDate: '2019-01-01',
     defaultEndDate: '2024-01-01',
-    benchmark: 'SPY' // S&P 500 as default benchmark
+    benchmark: 'SPY', // S&P 500 as default benchmark
+    // Default execution models; requests can override each part
+    costs: {
+      commission: { model: 'none', rate: 0, minimum: 0 },
+      slippage: { model: 'none', bps: 0 },
+      spreadBps: 0
+    },
+    sizing: {
+      mode: 'fixed_fraction',
+      fraction: 0.5 // 50% of available cash per new position
+    }
+  },
+
+  // Walk-forward Optimization Configuration
+  optimization: {
+    inSampleBars: 504,      // ~2 trading years to fit parameters
+    outOfSampleBars: 126,   // ~6 months to validate them; windows roll forward by this much
+    maxCombinations: 60,    // Upper bound on parameter sets tested per request
+    randomSamples: 20,      // Parameter sets drawn by random search
+    objective: 'sharpeRatio',
+    // Default search spaces: "TYPE[index].param" addresses strategy.indicators[index].params.param
+    parameterSpaces: {
+      trend_following: {
+        'SMA[0].window': [20, 50, 100],
+        'SMA[1].window': [100, 150, 200]
+      },
+      mean_reversion: {
+        'RSI[0].window': [7, 14, 21],
+        'RSI[0].oversold': [25, 30, 35],
+        'RSI[0].overbought': [65, 70, 75]
+      },
+      momentum: {
+        'MACD[0].fastPeriod': [8, 12, 16],
+        'MACD[0].slowPeriod': [21, 26, 34],
+        'RSI[2].window': [9, 14]
+      },
+      conservative: {
+        'SMA[0].window': [30, 50, 100],
+        'RSI[1].window': [10, 14, 20]
+      }
+    }
   },
 
   // Paper Trading Configuration
@@ -121,6 +199,51 @@ module.exports = {
     maxDeviation: 0.10 // 10% performance deviation alert
   },
 
+  // Coupled Trade (pairs) Configuration
+  coupledTrade: {
+    lookbackBars: 252,     // ~1 trading year of aligned daily closes
+    minBars: 60,           // Minimum overlapping bars to evaluate a pair
+    entryZScore: 2.0,      // Open the spread trade beyond this |z|
+    exitZScore: 0.5,       // Close once |z| reverts inside this
+    stopZScore: 3.5,       // Abandon the trade if |z| widens past this
+    maxCandidates: 5       // Ranked pairs returned alongside the best one
+  },
+
+  // Portfolio Allocation Configuration (weights from covariance of daily returns)
+  allocation: {
+    defaultMethod: 'equal_weight', // equal_weight, min_variance, max_sharpe, risk_parity or inverse_volatility
+    lookbackBars: 252,     // ~1 trading year of aligned daily closes
+    minBars: 60,           // Minimum overlapping bars to estimate covariance
+    maxWeight: 0.4,        // Per-position cap
+    riskFreeRate: 0.02,    // Annual, for the Sharpe ratio
+    frontierPoints: 15     // Efficient-frontier points returned
+  },
+
+  // Portfolio Risk Analytics Configuration (VaR, expected shortfall, beta, correlations)
+  risk: {
+    lookbackBars: 252,     // ~1 trading year of aligned daily closes
+    minBars: 60,           // Minimum overlapping bars to estimate risk
+    benchmark: 'SPY'       // Default benchmark for beta
+  },
+
+  // Monte Carlo Horizon Projection Configuration
+  monteCarlo: {
+    method: 'bootstrap',   // bootstrap (resample historical days) or normal (draw from their mean and volatility)
+    paths: 2000,           // Simulated paths per run
+    maxPaths: 10000,       // Upper bound on paths per request
+    lookbackBars: 756,     // ~3 trading years of aligned daily closes to sample from
+    minBars: 120,          // Minimum overlapping bars to sample from
+    bandInterval: 21,      // Trading days between fan-band points (~1 month)
+    percentiles: [5, 10, 25, 50, 75, 90, 95]
+  },
+
+  // Performance Attribution Configuration (Brinson allocation and selection by sector)
+  attribution: {
+    period: 'monthly',       // monthly, quarterly or total
+    lookbackBars: 252,       // Trading days measured when the portfolio has no snapshots
+    benchmark: 'EQUAL_WEIGHT' // Equal-weight basket of every ticker in the database, grouped by sector
+  },
+
   // Database Configuration
   database: {
     mongoURI: process.env.MONGODB_URI || 'mongodb://localhost:27017/horizontrader',
@@ -0,0 +1,63 @@
+/**
+ * Historical Stress-Test Scenarios
+ * Each scenario is a market window, peak to trough of the S&P 500, that current holdings are replayed through
+ * Holdings without price history in a window (e.g. stocks listed after it) follow the proxy ticker instead
+ */
+
+const stressScenarios = [
+  {
+    id: '2000-dotcom-crash',
+    name: 'Dot-com Crash',
+    description: 'Collapse of the technology bubble, March 2000 to October 2002.',
+    startDate: '2000-03-24',
+    endDate: '2002-10-09',
+    proxy: 'SPY'
+  },
+  {
+    id: '2008-financial-crisis',
+    name: '2008 Financial Crisis',
+    description: 'Global financial crisis from the October 2007 peak to the March 2009 low.',
+    startDate: '2007-10-09',
+    endDate: '2009-03-09',
+    proxy: 'SPY'
+  },
+  {
+    id: '2020-covid-crash',
+    name: '2020 COVID Crash',
+    description: 'Pandemic sell-off from the February 2020 peak to the March 2020 low.',
+    startDate: '2020-02-19',
+    endDate: '2020-03-23',
+    proxy: 'SPY'
+  },
+  {
+    id: '2022-rate-shock',
+    name: '2022 Rate Shock',
+    description: 'Rapid interest-rate rises from the January 2022 peak to the October 2022 low.',
+    startDate: '2022-01-03',
+    endDate: '2022-10-12',
+    proxy: 'SPY'
+  }
+];
+
+/**
+ * Get a scenario by id
+ * @param {string} id - Scenario id (e.g. '2008-financial-crisis')
+ * @returns {Object|null} Scenario configuration
+ */
+function getStressScenario(id) {
+  return stressScenarios.find(scenario => scenario.id === id) || null;
+}
+
+/**
+ * Get all scenarios
+ * @returns {Array<Object>} Scenario configurations
+ */
+function getAllStressScenarios() {
+  return stressScenarios;
+}
+
+module.exports = {
+  stressScenarios,
+  getStressScenario,
+  getAllStressScenarios
+};
@@ -4,6 +4,7 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Cookies from 'js-cookie';
 import { useAuthStore } from '@/lib/store/authStore';
+import { usePortfolioStore } from '@/lib/store/portfolioStore';
 import { GlassCard } from '@/components/ui/GlassCard';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
@@ -17,11 +18,13 @@ import {
   TrendingDown,
   Target,
   DollarSign,
-  BarChart3
+  BarChart3,
+  History,
+  Trash2
 } from 'lucide-react';
 import { formatCurrency, formatPercent, formatDate } from '@/lib/utils/formatters';
 import { useToast } from '@/lib/hooks/useToast';
-import { post } from '@/lib/api/client';
+import { get, post, del, handleApiError } from '@/lib/api/client';
 
 interface BacktestResult {
   totalReturn: number;
@@ -33,19 +36,86 @@ interface BacktestResult {
   averageReturn: number;
   finalValue: number;
   initialCapital: number;
+  volatility?: number;
+  rebalanceCount?: number;
   trades?: any[];
+  benchmark?: BenchmarkComparison;
 }
 
+interface BenchmarkComparison {
+  label: string;
+  benchmarkReturn?: number;
+  excessReturn?: number;
+  beta?: number;
+  alpha?: number;
+  trackingError?: number;
+  informationRatio?: number;
+  error?: string;
+}
+
+interface PortfolioBacktestMeta {
+  portfolioName: string;
+  tickers: string[];
+  excludedTickers: string[];
+  rebalanceFreq: string;
+  tickerSummary: {
+    ticker: string;
+    weight: number;
+    trades: number;
+    realizedProfitLoss: number;
+  }[];
+}
+
+interface BacktestSessionSummary {
+  sessionId: string;
+  type?: BacktestMode;
+  ticker?: string;
+  portfolioName?: string;
+  tickers?: string[];
+  strategy: string;
+  startDate: string;
+  endDate: string;
+  createdAt: string;
+  metrics?: Partial<BacktestResult>;
+}
+
+interface BacktestSession extends BacktestSessionSummary {
+  inputs?: { rebalanceFreq?: string };
+  trades?: BacktestResult['trades'];
+  benchmark?: BenchmarkComparison;
+}
+
+interface BacktestHistoryPage {
+  sessions: BacktestSessionSummary[];
+  total: number;
+}
+
+type BacktestMode = 'stock' | 'portfolio';
+
+const HISTORY_PAGE_SIZE = 10;
+
 export default function BacktestPage() {
   const router = useRouter();
   const { user, isAuthenticated, verifyToken } = useAuthStore();
+  const { portfolios, curatedOptions, fetchPortfolios, fetchCuratedOptions } = usePortfolioStore();
   const { showToast } = useToast();
 
   const [isInitializing, setIsInitializing] = useState(true);
   const [isRunning, setIsRunning] = useState(false);
   const [result, setResult] = useState<BacktestResult | null>(null);
+  const [portfolioMeta, setPortfolioMeta] = useState<PortfolioBacktestMeta | null>(null);
+  const [history, setHistory] = useState<BacktestSessionSummary[]>([]);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [openSessionId, setOpenSessionId] = useState<string | null>(null);
   
   // Form state
+  const [mode, setMode] = useState<BacktestMode>('stock');
+  const [portfolioSource, setPortfolioSource] = useState('');
+  const [rebalanceFreq, setRebalanceFreq] = useState('');
+  const [benchmark, setBenchmark] = useState('');
+  const [stopLossPercent, setStopLossPercent] = useState('');
+  const [takeProfitPercent, setTakeProfitPercent] = useState('');
+  const [trailingStopPercent, setTrailingStopPercent] = useState('');
   const [ticker, setTicker] = useState('AAPL');
   const [startDate, setStartDate] = useState('2024-01-01');
   const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
@@ -68,6 +138,12 @@ export default function BacktestPage() {
             return;
           }
         }
+
+        await Promise.all([
+          user?.userId ? fetchPortfolios(user.userId) : Promise.resolve(),
+          fetchCuratedOptions(),
+          loadHistory()
+        ]);
       } catch (error) {
         console.error('Backtest page initialization failed:', error);
       } finally {
@@ -76,16 +152,70 @@ export default function BacktestPage() {
     };
 
     initialize();
-  }, [isAuthenticated]);
+  }, [user?.userId, isAuthenticated]);
+
+  const loadHistory = async (skip = 0) => {
+    try {
+      const page = await get<BacktestHistoryPage>('/backtest/history', { limit: HISTORY_PAGE_SIZE, skip });
+      setHistory((current) => (skip === 0 ? page.sessions : [...current, ...page.sessions]));
+      setHistoryTotal(page.total);
+    } catch (error) {
+      console.error('Failed to load backtest history:', error);
+    }
+  };
+
+  const handleOpenSession = async (sessionId: string) => {
+    setOpenSessionId(sessionId);
+    try {
+      const { session } = await get<{ session: BacktestSession }>(`/backtest/${sessionId}`);
+      setResult({
+        ...(session.metrics as BacktestResult),
+        trades: session.trades || [],
+        benchmark: session.benchmark
+      });
+      setPortfolioMeta(session.type === 'portfolio'
+        ? {
+          portfolioName: session.portfolioName || '',
+          tickers: session.tickers || [],
+          excludedTickers: [],
+          rebalanceFreq: session.inputs?.rebalanceFreq || '',
+          tickerSummary: []
+        }
+        : null);
+    } catch (error) {
+      showToast(handleApiError(error), 'error');
+    } finally {
+      setOpenSessionId(null);
+    }
+  };
+
+  const handleDeleteSession = async (sessionId: string) => {
+    try {
+      await del(`/backtest/${sessionId}`);
+      setHistory((current) => current.filter((session) => session.sessionId !== sessionId));
+      setHistoryTotal((total) => total - 1);
+    } catch (error) {
+      showToast(handleApiError(error), 'error');
+    }
+  };
+
+  const curatedList = curatedOptions?.options
+    ? [...curatedOptions.options['1year'], ...curatedOptions.options['2year'], ...curatedOptions.options['5year']]
+    : [];
 
   const handleRunBacktest = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!ticker.trim()) {
+    if (mode === 'stock' && !ticker.trim()) {
       showToast('Please enter a stock ticker', 'error');
       return;
     }
 
+    if (mode === 'portfolio' && !portfolioSource) {
+      showToast('Please select a portfolio', 'error');
+      return;
+    }
+
     const capital = parseFloat(initialCapital);
     if (isNaN(capital) || capital <= 0) {
       showToast('Please enter a valid initial capital', 'error');
@@ -104,18 +234,53 @@ export default function BacktestPage() {
 
     setIsRunning(true);
     setResult(null);
+    setPortfolioMeta(null);
 
     try {
+      if (mode === 'portfolio') {
+        const [source, id] = portfolioSource.split(':');
+        const response = await post<PortfolioBacktestMeta & { results: BacktestResult }>('/backtest/portfolio', {
+          ...(source === 'saved' ? { portfolioId: id } : { curatedPortfolioId: id }),
+          startDate,
+          endDate,
+          initialCapital: capital,
+          strategy: strategyType,
+          ...(rebalanceFreq && { rebalanceFreq }),
+          ...(benchmark.trim() && { benchmark: benchmark.trim().toUpperCase() })
+        });
+
+        setResult(response.results);
+        setPortfolioMeta({
+          portfolioName: response.portfolioName,
+          tickers: response.tickers,
+          excludedTickers: response.excludedTickers || [],
+          rebalanceFreq: response.rebalanceFreq,
+          tickerSummary: response.tickerSummary || []
+        });
+        showToast('Backtest completed successfully!', 'success');
+        loadHistory();
+        return;
+      }
+
+      const exitRules = {
+        ...(stopLossPercent && { stopLossPercent: parseFloat(stopLossPercent) }),
+        ...(takeProfitPercent && { takeProfitPercent: parseFloat(takeProfitPercent) }),
+        ...(trailingStopPercent && { trailingStopPercent: parseFloat(trailingStopPercent) })
+      };
+
       const response = await post<any>('/backtest/run', {
         ticker: ticker.toUpperCase(),
         startDate,
         endDate,
         initialCapital: capital,
-        strategy: strategyType
+        strategy: strategyType,
+        ...(benchmark.trim() && { benchmark: benchmark.trim().toUpperCase() }),
+        ...(Object.keys(exitRules).length > 0 && { exitRules })
       });
 
       setResult(response.results);
       showToast('Backtest completed successfully!', 'success');
+      loadHistory();
     } catch (error: any) {
       const errorMsg = error.response?.data?.error || error.message || 'Failed to run backtest';
       showToast(errorMsg, 'error');
@@ -170,20 +335,90 @@ export default function BacktestPage() {
               </h3>
 
               <form onSubmit={handleRunBacktest} className="space-y-6">
-                <div>
-                  <label className="block text-sm font-medium text-slate-300 mb-2">
-                    Stock Ticker *
-                  </label>
-                  <Input
-                    type="text"
-                    value={ticker}
-                    onChange={(e) => setTicker(e.target.value.toUpperCase())}
-                    placeholder="e.g., AAPL"
-                    maxLength={10}
-                    disabled={isRunning}
-                  />
+                <div className="grid grid-cols-2 gap-2 p-1 bg-slate-800/50 rounded-lg">
+                  {(['stock', 'portfolio'] as const).map((option) => (
+                    <button
+                      key={option}
+                      type="button"
+                      onClick={() => setMode(option)}
+                      disabled={isRunning}
+                      className={`py-2 rounded-md text-sm font-medium transition-all ${
+                        mode === option ? 'bg-blue-500/20 text-blue-300' : 'text-slate-400 hover:text-white'
+                      }`}
+                    >
+                      {option === 'stock' ? 'Single Stock' : 'Portfolio'}
+                    </button>
+                  ))}
                 </div>
 
+                {mode === 'stock' ? (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">
+                      Stock Ticker *
+                    </label>
+                    <Input
+                      type="text"
+                      value={ticker}
+                      onChange={(e) => setTicker(e.target.value.toUpperCase())}
+                      placeholder="e.g., AAPL"
+                      maxLength={10}
+                      disabled={isRunning}
+                    />
+                  </div>
+                ) : (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-300 mb-2">
+                        Portfolio *
+                      </label>
+                      <select
+                        value={portfolioSource}
+                        onChange={(e) => setPortfolioSource(e.target.value)}
+                        disabled={isRunning}
+                        className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-white focus:outline-none focus:border-blue-500/50"
+                      >
+                        <option value="">Select a portfolio</option>
+                        {portfolios.length > 0 && (
+                          <optgroup label="My Portfolios">
+                            {portfolios.map((portfolio) => (
+                              <option key={portfolio.portfolioId} value={`saved:${portfolio.portfolioId}`}>
+                                {portfolio.name || portfolio.portfolioId}
+                              </option>
+                            ))}
+                          </optgroup>
+                        )}
+                        {curatedList.length > 0 && (
+                          <optgroup label="Curated Portfolios">
+                            {curatedList.map((option) => (
+                              <option key={option.id} value={`curated:${option.id}`}>
+                                {option.name} ({option.tickers.join(', ')})
+                              </option>
+                            ))}
+                          </optgroup>
+                        )}
+                      </select>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-slate-300 mb-2">
+                        Rebalancing
+                      </label>
+                      <select
+                        value={rebalanceFreq}
+                        onChange={(e) => setRebalanceFreq(e.target.value)}
+                        disabled={isRunning}
+                        className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-white focus:outline-none focus:border-blue-500/50"
+                      >
+                        <option value="">Strategy default</option>
+                        <option value="daily">Daily</option>
+                        <option value="weekly">Weekly</option>
+                        <option value="monthly">Monthly</option>
+                        <option value="quarterly">Quarterly</option>
+                      </select>
+                    </div>
+                  </>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
                     Strategy Type *
@@ -255,6 +490,65 @@ export default function BacktestPage() {
                   </div>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Benchmark
+                  </label>
+                  <Input
+                    type="text"
+                    value={benchmark}
+                    onChange={(e) => setBenchmark(e.target.value.toUpperCase())}
+                    placeholder="e.g., SPY or EQUAL_WEIGHT"
+                    maxLength={20}
+                    disabled={isRunning}
+                  />
+                  <p className="text-xs text-slate-400 mt-2">
+                    Optional buy-and-hold baseline; EQUAL_WEIGHT holds every stock in the database
+                  </p>
+                </div>
+
+                {mode === 'stock' && (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">
+                      Exit Rules (%)
+                    </label>
+                    <div className="grid grid-cols-3 gap-2">
+                      <Input
+                        type="number"
+                        value={stopLossPercent}
+                        onChange={(e) => setStopLossPercent(e.target.value)}
+                        placeholder="Stop"
+                        min="0"
+                        max="99"
+                        step="0.5"
+                        disabled={isRunning}
+                      />
+                      <Input
+                        type="number"
+                        value={takeProfitPercent}
+                        onChange={(e) => setTakeProfitPercent(e.target.value)}
+                        placeholder="Target"
+                        min="0"
+                        step="0.5"
+                        disabled={isRunning}
+                      />
+                      <Input
+                        type="number"
+                        value={trailingStopPercent}
+                        onChange={(e) => setTrailingStopPercent(e.target.value)}
+                        placeholder="Trailing"
+                        min="0"
+                        max="99"
+                        step="0.5"
+                        disabled={isRunning}
+                      />
+                    </div>
+                    <p className="text-xs text-slate-400 mt-2">
+                      Optional stop-loss, take-profit and trailing stop, checked against each day&apos;s high and low
+                    </p>
+                  </div>
+                )}
+
                 <Button
                   type="submit"
                   disabled={isRunning}
@@ -274,6 +568,60 @@ export default function BacktestPage() {
                 </Button>
               </form>
             </GlassCard>
+
+            {history.length > 0 && (
+              <GlassCard className="p-6 mt-6">
+                <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+                  <History className="w-5 h-5" />
+                  Past Runs ({historyTotal})
+                </h3>
+
+                <div className="space-y-2">
+                  {history.map((session) => (
+                    <div
+                      key={session.sessionId}
+                      className="flex items-center justify-between gap-2 p-3 bg-slate-800/30 rounded-lg"
+                    >
+                      <button
+                        type="button"
+                        onClick={() => handleOpenSession(session.sessionId)}
+                        disabled={openSessionId !== null}
+                        className="flex-1 text-left"
+                      >
+                        <p className="text-sm font-medium text-white">
+                          {session.type === 'portfolio' ? session.portfolioName : session.ticker}
+                          <span className="text-slate-400 font-normal"> · {session.strategy}</span>
+                        </p>
+                        <p className="text-xs text-slate-400">
+                          {formatDate(session.startDate)} - {formatDate(session.endDate)}
+                        </p>
+                      </button>
+                      <span className={`text-sm font-medium ${(session.metrics?.totalReturn ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {formatPercent(session.metrics?.totalReturn ?? 0)}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleDeleteSession(session.sessionId)}
+                        className="p-1 text-slate-500 hover:text-red-400"
+                        aria-label="Delete backtest"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                {history.length < historyTotal && (
+                  <Button
+                    variant="secondary"
+                    onClick={() => loadHistory(history.length)}
+                    className="w-full mt-4"
+                  >
+                    Load more
+                  </Button>
+                )}
+              </GlassCard>
+            )}
           </div>
 
           {/* Results */}
@@ -353,6 +701,108 @@ export default function BacktestPage() {
                   </div>
                 </GlassCard>
 
+                {/* Benchmark Comparison */}
+                {result.benchmark && (
+                  <GlassCard className="p-6">
+                    <h3 className="text-lg font-semibold text-white mb-6">
+                      vs {result.benchmark.label}
+                    </h3>
+
+                    {result.benchmark.error ? (
+                      <p className="text-sm text-slate-400">{result.benchmark.error}</p>
+                    ) : (
+                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                        <div className="p-4 bg-slate-800/30 rounded-lg">
+                          <p className="text-xs text-slate-400 mb-1">Benchmark Return</p>
+                          <p className={`text-2xl font-bold ${(result.benchmark.benchmarkReturn ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatPercent(result.benchmark.benchmarkReturn ?? 0)}
+                          </p>
+                        </div>
+
+                        <div className="p-4 bg-slate-800/30 rounded-lg">
+                          <p className="text-xs text-slate-400 mb-1">Excess Return</p>
+                          <p className={`text-2xl font-bold ${(result.benchmark.excessReturn ?? 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatPercent(result.benchmark.excessReturn ?? 0)}
+                          </p>
+                        </div>
+
+                        <div className="p-4 bg-slate-800/30 rounded-lg">
+                          <p className="text-xs text-slate-400 mb-1">Alpha (annual)</p>
+                          <p className="text-2xl font-bold text-white">
+                            {formatPercent(result.benchmark.alpha ?? 0)}
+                          </p>
+                        </div>
+
+                        <div className="p-4 bg-slate-800/30 rounded-lg">
+                          <p className="text-xs text-slate-400 mb-1">Beta</p>
+                          <p className="text-2xl font-bold text-white">
+                            {result.benchmark.beta?.toFixed(2) ?? 'N/A'}
+                          </p>
+                        </div>
+
+                        <div className="p-4 bg-slate-800/30 rounded-lg">
+                          <p className="text-xs text-slate-400 mb-1">Tracking Error</p>
+                          <p className="text-2xl font-bold text-white">
+                            {result.benchmark.trackingError?.toFixed(2) ?? 'N/A'}%
+                          </p>
+                        </div>
+
+                        <div className="p-4 bg-slate-800/30 rounded-lg">
+                          <p className="text-xs text-slate-400 mb-1">Information Ratio</p>
+                          <p className="text-2xl font-bold text-white">
+                            {result.benchmark.informationRatio?.toFixed(2) ?? 'N/A'}
+                          </p>
+                        </div>
+                      </div>
+                    )}
+                  </GlassCard>
+                )}
+
+                {/* Portfolio Composition */}
+                {portfolioMeta && (
+                  <GlassCard className="p-6">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-lg font-semibold text-white">
+                        {portfolioMeta.portfolioName}
+                      </h3>
+                      <Badge variant="info" showIcon={false}>
+                        {portfolioMeta.rebalanceFreq} rebalancing · {result.rebalanceCount ?? 0} runs
+                      </Badge>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-slate-700/50 text-slate-400">
+                            <th className="text-left py-2 px-4 font-medium">Ticker</th>
+                            <th className="text-right py-2 px-4 font-medium">Target Weight</th>
+                            <th className="text-right py-2 px-4 font-medium">Trades</th>
+                            <th className="text-right py-2 px-4 font-medium">Realized P&amp;L</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {portfolioMeta.tickerSummary.map((row) => (
+                            <tr key={row.ticker} className="border-b border-slate-800/50">
+                              <td className="py-2 px-4 text-white font-medium">{row.ticker}</td>
+                              <td className="text-right py-2 px-4 text-slate-300">{(row.weight * 100).toFixed(1)}%</td>
+                              <td className="text-right py-2 px-4 text-slate-300">{row.trades}</td>
+                              <td className={`text-right py-2 px-4 ${row.realizedProfitLoss >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {formatCurrency(row.realizedProfitLoss)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    {portfolioMeta.excludedTickers.length > 0 && (
+                      <p className="text-xs text-slate-400 mt-3">
+                        Not enough price history for {portfolioMeta.excludedTickers.join(', ')}; excluded from the simulation.
+                      </p>
+                    )}
+                  </GlassCard>
+                )}
+
                 {/* Trading Statistics */}
                 <GlassCard className="p-6">
                   <h3 className="text-lg font-semibold text-white mb-6">
@@ -395,10 +845,14 @@ export default function BacktestPage() {
                         <thead>
                           <tr className="border-b border-slate-700/50">
                             <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Date</th>
+                            {portfolioMeta && (
+                              <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Ticker</th>
+                            )}
                             <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Type</th>
                             <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Price</th>
                             <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Quantity</th>
                             <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Value</th>
+                            <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Reason</th>
                           </tr>
                         </thead>
                         <tbody>
@@ -407,6 +861,11 @@ export default function BacktestPage() {
                               <td className="py-3 px-4 text-sm text-slate-300">
                                 {formatDate(trade.date)}
                               </td>
+                              {portfolioMeta && (
+                                <td className="py-3 px-4 text-sm font-medium text-white">
+                                  {trade.ticker}
+                                </td>
+                              )}
                               <td className="py-3 px-4">
                                 <Badge variant={trade.type === 'BUY' ? 'success' : 'danger'}>
                                   {trade.type}
@@ -421,6 +880,9 @@ export default function BacktestPage() {
                               <td className="text-right py-3 px-4 text-white">
                                 {formatCurrency(trade.value)}
                               </td>
+                              <td className="py-3 px-4 text-sm text-slate-400">
+                                {trade.reason || '-'}
+                              </td>
                             </tr>
                           ))}
                         </tbody>
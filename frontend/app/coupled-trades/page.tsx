@@ -4,6 +4,7 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Cookies from 'js-cookie';
 import { useAuthStore } from '@/lib/store/authStore';
+import { usePortfolioStore } from '@/lib/store/portfolioStore';
 import { GlassCard } from '@/components/ui/GlassCard';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
@@ -15,36 +16,56 @@ import {
   TrendingUp,
   TrendingDown,
   Target,
-  Link2
+  Link2,
+  ShieldAlert
 } from 'lucide-react';
-import { formatCurrency, formatPercent } from '@/lib/utils/formatters';
+import { formatCurrency } from '@/lib/utils/formatters';
 import { useToast } from '@/lib/hooks/useToast';
-import { post } from '@/lib/api/client';
-
-interface CoupledTradeRecommendation {
-  ticker1: string;
-  ticker2: string;
-  correlation: number;
-  method: string;
-  confidence: number;
-  recommendedAction: 'BUY' | 'SELL' | 'HOLD';
-  reason: string;
-  potentialReturn: number;
-}
+import { generateCoupledTrade } from '@/lib/api/portfolio';
+import type {
+  CoupledTradeMethod,
+  CoupledTradeResponse,
+  CoupledTradeSignal
+} from '@/lib/types/portfolio';
+
+const SIGNAL_BADGES: Record<CoupledTradeSignal, { variant: 'success' | 'danger' | 'warning' | 'secondary'; label: string }> = {
+  enter: { variant: 'success', label: 'ENTER' },
+  exit: { variant: 'secondary', label: 'EXIT / FLAT' },
+  hold: { variant: 'warning', label: 'HOLD' },
+  stop: { variant: 'danger', label: 'STOP' }
+};
+
+const SIGNAL_DESCRIPTIONS: Record<CoupledTradeSignal, string> = {
+  enter: 'The spread is stretched beyond the entry band. Open both legs and wait for it to revert.',
+  hold: 'The spread is between the exit and entry bands. Keep an open trade, but do not start a new one.',
+  exit: 'The spread has reverted inside the exit band. Close any open trade on this pair.',
+  stop: 'The spread has blown through the stop band. The relationship may have broken down, so stand aside.'
+};
+
+const formatNumber = (value: number, decimals: number = 2): string =>
+  typeof value === 'number' && isFinite(value) ? value.toFixed(decimals) : '—';
+
+const getRiskColor = (riskScore: number): string => {
+  if (riskScore < 0.35) return 'text-green-400';
+  if (riskScore < 0.65) return 'text-yellow-400';
+  return 'text-red-400';
+};
 
 export default function CoupledTradesPage() {
   const router = useRouter();
   const { user, isAuthenticated, verifyToken } = useAuthStore();
+  const { portfolios, fetchPortfolios } = usePortfolioStore();
   const { showToast } = useToast();
 
   const [isInitializing, setIsInitializing] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
-  const [recommendations, setRecommendations] = useState<CoupledTradeRecommendation[]>([]);
+  const [result, setResult] = useState<CoupledTradeResponse | null>(null);
   
   // Form state
-  const [ticker1, setTicker1] = useState('');
-  const [ticker2, setTicker2] = useState('');
-  const [method, setMethod] = useState('correlation');
+  const [portfolioId, setPortfolioId] = useState('');
+  const [method, setMethod] = useState<CoupledTradeMethod>('pairs');
+  const [entryZScore, setEntryZScore] = useState('2.0');
+  const [exitZScore, setExitZScore] = useState('0.5');
 
   useEffect(() => {
     const initialize = async () => {
@@ -62,6 +83,10 @@ export default function CoupledTradesPage() {
             return;
           }
         }
+
+        if (user?.userId) {
+          await fetchPortfolios(user.userId);
+        }
       } catch (error) {
         console.error('Coupled trades page initialization failed:', error);
       } finally {
@@ -70,32 +95,41 @@ export default function CoupledTradesPage() {
     };
 
     initialize();
-  }, [isAuthenticated]);
+  }, [user?.userId, isAuthenticated]);
+
+  useEffect(() => {
+    if (!portfolioId && portfolios.length > 0) {
+      setPortfolioId(portfolios[0].portfolioId);
+    }
+  }, [portfolios, portfolioId]);
 
   const handleAnalyze = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!ticker1.trim() || !ticker2.trim()) {
-      showToast('Please enter both stock tickers', 'error');
+    if (!portfolioId) {
+      showToast('Please select a portfolio', 'error');
       return;
     }
 
-    if (ticker1.toUpperCase() === ticker2.toUpperCase()) {
-      showToast('Please select two different stocks', 'error');
+    const entry = parseFloat(entryZScore);
+    const exit = parseFloat(exitZScore);
+    if (isNaN(entry) || isNaN(exit) || exit >= entry) {
+      showToast('Exit z-score must be smaller than entry z-score', 'error');
       return;
     }
 
     setIsLoading(true);
-    setRecommendations([]);
+    setResult(null);
 
     try {
-      const response = await post<any>('/coupled-trade/analyze', {
-        ticker1: ticker1.toUpperCase(),
-        ticker2: ticker2.toUpperCase(),
-        method
+      const response = await generateCoupledTrade({
+        portfolioId,
+        method,
+        entryZScore: entry,
+        exitZScore: exit
       });
 
-      setRecommendations(response.recommendations || [response.recommendation]);
+      setResult(response);
       showToast('Analysis completed!', 'success');
     } catch (error: any) {
       const errorMsg = error.response?.data?.error || error.message || 'Failed to analyze coupled trades';
@@ -133,7 +167,7 @@ export default function CoupledTradesPage() {
                   Coupled Trades
                 </h1>
                 <p className="text-sm text-slate-400 mt-1">
-                  Analyze correlated stock pairs for trading opportunities
+                  Pairs trades built from the cointegrated holdings in your portfolios
                 </p>
               </div>
             </div>
@@ -147,61 +181,81 @@ export default function CoupledTradesPage() {
           <div className="lg:col-span-1">
             <GlassCard className="p-6">
               <h3 className="text-lg font-semibold text-white mb-6">
-                Analyze Stock Pair
+                Find a Pairs Trade
               </h3>
 
               <form onSubmit={handleAnalyze} className="space-y-6">
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
-                    First Stock Ticker *
+                    Portfolio *
                   </label>
-                  <Input
-                    type="text"
-                    value={ticker1}
-                    onChange={(e) => setTicker1(e.target.value.toUpperCase())}
-                    placeholder="e.g., AAPL"
-                    maxLength={10}
-                    disabled={isLoading}
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-slate-300 mb-2">
-                    Second Stock Ticker *
-                  </label>
-                  <Input
-                    type="text"
-                    value={ticker2}
-                    onChange={(e) => setTicker2(e.target.value.toUpperCase())}
-                    placeholder="e.g., MSFT"
-                    maxLength={10}
-                    disabled={isLoading}
-                  />
+                  <select
+                    value={portfolioId}
+                    onChange={(e) => setPortfolioId(e.target.value)}
+                    disabled={isLoading || portfolios.length === 0}
+                    className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-white focus:outline-none focus:border-blue-500/50"
+                  >
+                    {portfolios.length === 0 && <option value="">No portfolios yet</option>}
+                    {portfolios.map((portfolio) => (
+                      <option key={portfolio.portfolioId} value={portfolio.portfolioId}>
+                        {portfolio.name || portfolio.portfolioId}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-400 mt-2">
+                    Every pair of holdings is tested; the portfolio needs at least two tickers
+                  </p>
                 </div>
 
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
-                    Analysis Method *
+                    Hedge Method *
                   </label>
                   <select
                     value={method}
-                    onChange={(e) => setMethod(e.target.value)}
+                    onChange={(e) => setMethod(e.target.value as CoupledTradeMethod)}
                     disabled={isLoading}
                     className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700/50 rounded-lg text-white focus:outline-none focus:border-blue-500/50"
                   >
-                    <option value="correlation">Correlation Analysis</option>
-                    <option value="cointegration">Cointegration Test</option>
-                    <option value="pairs_trading">Pairs Trading</option>
-                    <option value="spread_analysis">Spread Analysis</option>
+                    <option value="pairs">Pairs (price cointegration)</option>
+                    <option value="beta_hedging">Beta Hedging (return beta)</option>
                   </select>
-                  <p className="text-xs text-slate-400 mt-2">
-                    Different methods analyze stock relationships in various ways
-                  </p>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">
+                      Entry |z|
+                    </label>
+                    <Input
+                      type="number"
+                      step="0.1"
+                      min="0.5"
+                      max="5"
+                      value={entryZScore}
+                      onChange={(e) => setEntryZScore(e.target.value)}
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">
+                      Exit |z|
+                    </label>
+                    <Input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      max="5"
+                      value={exitZScore}
+                      onChange={(e) => setExitZScore(e.target.value)}
+                      disabled={isLoading}
+                    />
+                  </div>
                 </div>
 
                 <Button
                   type="submit"
-                  disabled={isLoading || !ticker1 || !ticker2}
+                  disabled={isLoading || !portfolioId}
                   className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
                 >
                   {isLoading ? (
@@ -212,7 +266,7 @@ export default function CoupledTradesPage() {
                   ) : (
                     <>
                       <Search className="w-4 h-4 mr-2" />
-                      Analyze Pair
+                      Find Pairs
                     </>
                   )}
                 </Button>
@@ -221,13 +275,11 @@ export default function CoupledTradesPage() {
               {/* Method Explanation */}
               <div className="mt-6 p-4 bg-slate-800/30 rounded-lg border border-slate-700/50">
                 <h4 className="text-sm font-semibold text-white mb-2">
-                  About {method === 'correlation' ? 'Correlation' : method === 'cointegration' ? 'Cointegration' : method === 'pairs_trading' ? 'Pairs Trading' : 'Spread Analysis'}
+                  About {method === 'pairs' ? 'Pairs Trading' : 'Beta Hedging'}
                 </h4>
                 <p className="text-xs text-slate-400">
-                  {method === 'correlation' && 'Measures how closely two stocks move together over time.'}
-                  {method === 'cointegration' && 'Tests if two stocks maintain a stable long-term relationship.'}
-                  {method === 'pairs_trading' && 'Identifies opportunities to profit from price divergences between correlated stocks.'}
-                  {method === 'spread_analysis' && 'Analyzes the price difference between two stocks over time.'}
+                  {method === 'pairs' && 'Regresses one price on the other and trades the residual spread when it strays from its mean. The hedge ratio is in shares.'}
+                  {method === 'beta_hedging' && 'Regresses daily returns to find beta and trades the beta-hedged cumulative return. The hedge ratio is converted to shares at today\'s prices.'}
                 </p>
               </div>
             </GlassCard>
@@ -235,7 +287,7 @@ export default function CoupledTradesPage() {
 
           {/* Results */}
           <div className="lg:col-span-2">
-            {recommendations.length === 0 ? (
+            {!result ? (
               <GlassCard className="p-12 text-center">
                 <div className="max-w-md mx-auto">
                   <div className="w-16 h-16 bg-slate-800/50 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -245,139 +297,179 @@ export default function CoupledTradesPage() {
                     Ready to analyze
                   </h3>
                   <p className="text-slate-400">
-                    Enter two stock tickers to discover trading opportunities based on their correlation patterns.
+                    Pick a portfolio to rank its holdings by correlation and cointegration and get a hedged long/short trade.
                   </p>
                 </div>
               </GlassCard>
             ) : (
               <div className="space-y-6">
-                {recommendations.map((rec, index) => (
-                  <GlassCard key={index} className="p-6">
-                    <div className="flex items-start justify-between mb-6">
-                      <div>
-                        <div className="flex items-center gap-3 mb-2">
-                          <h3 className="text-2xl font-bold text-white">
-                            {rec.ticker1} × {rec.ticker2}
-                          </h3>
-                          <Link2 className="w-5 h-5 text-blue-400" />
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <Badge variant="secondary">{rec.method}</Badge>
-                          <Badge
-                            variant={
-                              rec.recommendedAction === 'BUY'
-                                ? 'success'
-                                : rec.recommendedAction === 'SELL'
-                                ? 'danger'
-                                : 'secondary'
-                            }
-                          >
-                            {rec.recommendedAction}
+                <GlassCard className="p-6">
+                  <div className="flex items-start justify-between mb-6">
+                    <div>
+                      <div className="flex items-center gap-3 mb-2">
+                        <h3 className="text-2xl font-bold text-white">
+                          {result.tickers[0]} × {result.tickers[1]}
+                        </h3>
+                        <Link2 className="w-5 h-5 text-blue-400" />
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Badge variant="secondary">{result.method === 'pairs' ? 'Pairs' : 'Beta Hedging'}</Badge>
+                        <Badge variant={SIGNAL_BADGES[result.signal].variant}>
+                          {SIGNAL_BADGES[result.signal].label}
+                        </Badge>
+                        {result.cointegration.confidence && (
+                          <Badge variant="info" showIcon={false}>
+                            Cointegrated {result.cointegration.confidence}
                           </Badge>
-                        </div>
+                        )}
                       </div>
-                      
-                      <div className="text-right">
-                        <p className="text-sm text-slate-400 mb-1">Correlation</p>
-                        <p className="text-3xl font-bold text-white">
-                          {(rec.correlation * 100).toFixed(1)}%
-                        </p>
+                    </div>
+                    
+                    <div className="text-right">
+                      <p className="text-sm text-slate-400 mb-1">Spread z-score</p>
+                      <p className="text-3xl font-bold text-white">
+                        {formatNumber(result.zScore)}
+                      </p>
+                    </div>
+                  </div>
+
+                  {/* Key Metrics */}
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                    <div className="p-4 bg-slate-800/30 rounded-lg">
+                      <p className="text-xs text-slate-400 mb-2">Correlation</p>
+                      <p className="text-2xl font-bold text-white">
+                        {(result.correlation * 100).toFixed(1)}%
+                      </p>
+                    </div>
+                    <div className="p-4 bg-slate-800/30 rounded-lg">
+                      <p className="text-xs text-slate-400 mb-2">Hedge Ratio</p>
+                      <p className="text-2xl font-bold text-white">
+                        {formatNumber(result.hedgeRatio, 3)}
+                      </p>
+                    </div>
+                    <div className="p-4 bg-slate-800/30 rounded-lg">
+                      <p className="text-xs text-slate-400 mb-2">Half-life</p>
+                      <p className="text-2xl font-bold text-white">
+                        {result.halfLife === null ? '—' : `${formatNumber(result.halfLife, 1)}d`}
+                      </p>
+                    </div>
+                    <div className="p-4 bg-slate-800/30 rounded-lg">
+                      <div className="flex items-center gap-2 mb-2">
+                        <ShieldAlert className="w-4 h-4 text-slate-400" />
+                        <p className="text-xs text-slate-400">Risk Score</p>
                       </div>
+                      <p className={`text-2xl font-bold ${getRiskColor(result.riskScore)}`}>
+                        {(result.riskScore * 100).toFixed(0)}
+                      </p>
                     </div>
+                  </div>
 
-                    {/* Key Metrics */}
-                    <div className="grid grid-cols-2 gap-4 mb-6">
-                      <div className="p-4 bg-slate-800/30 rounded-lg">
-                        <div className="flex items-center gap-2 mb-2">
-                          <Target className="w-4 h-4 text-blue-400" />
-                          <p className="text-xs text-slate-400">Confidence</p>
-                        </div>
-                        <div className="flex items-center justify-between">
-                          <p className="text-2xl font-bold text-white">
-                            {(rec.confidence * 100).toFixed(0)}%
-                          </p>
+                  {/* Legs */}
+                  <h4 className="text-sm font-semibold text-white mb-3">Legs (per share of {result.tickers[0]})</h4>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                    {result.legs.map((leg) => (
+                      <div key={leg.ticker} className="p-4 bg-slate-800/30 rounded-lg border border-slate-700/50">
+                        <div className="flex items-center justify-between mb-2">
+                          <span className="text-lg font-bold text-white">{leg.ticker}</span>
+                          <Badge variant={leg.side === 'long' ? 'buy' : 'sell'}>
+                            {leg.side.toUpperCase()}
+                          </Badge>
                         </div>
-                        <div className="w-full bg-slate-700 rounded-full h-2 mt-2">
-                          <div
-                            className="bg-blue-500 h-2 rounded-full"
-                            style={{ width: `${rec.confidence * 100}%` }}
-                          />
+                        <div className="flex items-center justify-between text-sm text-slate-300">
+                          <span>{formatNumber(leg.shares, 3)} sh @ {formatCurrency(leg.price)}</span>
+                          <span>{(leg.weight * 100).toFixed(1)}% of gross</span>
                         </div>
                       </div>
+                    ))}
+                  </div>
 
-                      <div className="p-4 bg-slate-800/30 rounded-lg">
-                        <div className="flex items-center gap-2 mb-2">
-                          {rec.potentialReturn >= 0 ? (
-                            <TrendingUp className="w-4 h-4 text-green-400" />
-                          ) : (
-                            <TrendingDown className="w-4 h-4 text-red-400" />
-                          )}
-                          <p className="text-xs text-slate-400">Potential Return</p>
-                        </div>
-                        <p className={`text-2xl font-bold ${rec.potentialReturn >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                          {formatPercent(rec.potentialReturn)}
+                  {/* Thresholds */}
+                  <h4 className="text-sm font-semibold text-white mb-3">Spread Bands</h4>
+                  <div className="overflow-x-auto mb-6">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-slate-400 border-b border-slate-700/50">
+                          <th className="py-2">Band</th>
+                          <th className="py-2">|z|</th>
+                          <th className="py-2">Lower</th>
+                          <th className="py-2">Upper</th>
+                        </tr>
+                      </thead>
+                      <tbody className="text-slate-300">
+                        {(['entry', 'exit', 'stop'] as const).map((band) => (
+                          <tr key={band} className="border-b border-slate-800/50">
+                            <td className="py-2 capitalize">{band}</td>
+                            <td className="py-2">{formatNumber(result.thresholds[band].zScore, 1)}</td>
+                            <td className="py-2">{formatNumber(result.thresholds[band].lower, 4)}</td>
+                            <td className="py-2">{formatNumber(result.thresholds[band].upper, 4)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-slate-400 mt-2">
+                      Current spread {formatNumber(result.spread.current, 4)} · {result.observations} bars to {result.asOf}
+                    </p>
+                  </div>
+
+                  {/* Trade Recommendation */}
+                  <div className="p-4 bg-blue-500/10 border border-blue-500/30 rounded-lg">
+                    <div className="flex items-start gap-3">
+                      <Target className="w-5 h-5 text-blue-400 mt-0.5 flex-shrink-0" />
+                      <div>
+                        <h4 className="text-sm font-semibold text-white mb-1">
+                          Trading Recommendation
+                        </h4>
+                        <p className="text-sm text-slate-300">
+                          {SIGNAL_DESCRIPTIONS[result.signal]}
                         </p>
                       </div>
                     </div>
+                  </div>
+                </GlassCard>
 
-                    {/* Analysis */}
-                    <div className="p-4 bg-slate-800/30 rounded-lg border border-slate-700/50">
-                      <h4 className="text-sm font-semibold text-white mb-2">
-                        Analysis
-                      </h4>
-                      <p className="text-sm text-slate-300">
-                        {rec.reason}
-                      </p>
-                    </div>
-
-                    {/* Trade Recommendation */}
-                    <div className="mt-4 p-4 bg-blue-500/10 border border-blue-500/30 rounded-lg">
-                      <div className="flex items-start gap-3">
-                        <Target className="w-5 h-5 text-blue-400 mt-0.5 flex-shrink-0" />
-                        <div>
-                          <h4 className="text-sm font-semibold text-white mb-1">
-                            Trading Recommendation
-                          </h4>
-                          <p className="text-sm text-slate-300">
-                            {rec.recommendedAction === 'BUY' && `Consider buying both ${rec.ticker1} and ${rec.ticker2} to capitalize on their correlated movement.`}
-                            {rec.recommendedAction === 'SELL' && `Consider selling or shorting one or both stocks as the correlation suggests potential downward movement.`}
-                            {rec.recommendedAction === 'HOLD' && `Current market conditions suggest holding existing positions without significant changes.`}
-                          </p>
-                        </div>
-                      </div>
+                {/* Ranked Candidates */}
+                {result.candidates.length > 1 && (
+                  <GlassCard className="p-6">
+                    <h3 className="text-lg font-semibold text-white mb-4">
+                      Ranked Pairs
+                    </h3>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-slate-400 border-b border-slate-700/50">
+                            <th className="py-2">Pair</th>
+                            <th className="py-2">Correlation</th>
+                            <th className="py-2">DF stat</th>
+                            <th className="py-2">z-score</th>
+                            <th className="py-2">Signal</th>
+                            <th className="py-2">Risk</th>
+                          </tr>
+                        </thead>
+                        <tbody className="text-slate-300">
+                          {result.candidates.map((candidate) => (
+                            <tr key={candidate.tickers.join('-')} className="border-b border-slate-800/50">
+                              <td className="py-2 font-medium text-white">{candidate.tickers.join(' × ')}</td>
+                              <td className="py-2">{(candidate.correlation * 100).toFixed(1)}%</td>
+                              <td className="py-2">{formatNumber(candidate.cointegration.statistic)}</td>
+                              <td className="py-2 flex items-center gap-1">
+                                {candidate.zScore >= 0 ? (
+                                  <TrendingUp className="w-3 h-3 text-red-400" />
+                                ) : (
+                                  <TrendingDown className="w-3 h-3 text-green-400" />
+                                )}
+                                {formatNumber(candidate.zScore)}
+                              </td>
+                              <td className="py-2">{SIGNAL_BADGES[candidate.signal].label}</td>
+                              <td className={`py-2 ${getRiskColor(candidate.riskScore)}`}>
+                                {(candidate.riskScore * 100).toFixed(0)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
                     </div>
                   </GlassCard>
-                ))}
-
-                {/* Popular Pairs Suggestion */}
-                <GlassCard className="p-6">
-                  <h3 className="text-lg font-semibold text-white mb-4">
-                    Popular Stock Pairs to Analyze
-                  </h3>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                    {[
-                      ['AAPL', 'MSFT'],
-                      ['GOOGL', 'META'],
-                      ['JPM', 'BAC'],
-                      ['TSLA', 'NVDA'],
-                      ['XOM', 'CVX'],
-                      ['KO', 'PEP'],
-                      ['DIS', 'NFLX'],
-                      ['AMZN', 'WMT']
-                    ].map(([t1, t2], idx) => (
-                      <button
-                        key={idx}
-                        onClick={() => {
-                          setTicker1(t1);
-                          setTicker2(t2);
-                        }}
-                        className="p-3 bg-slate-800/50 border border-slate-700/50 rounded-lg text-sm font-medium text-white hover:border-blue-500/50 hover:bg-slate-800 transition-all"
-                      >
-                        {t1} × {t2}
-                      </button>
-                    ))}
-                  </div>
-                </GlassCard>
+                )}
               </div>
             )}
           </div>
@@ -386,4 +478,3 @@ export default function CoupledTradesPage() {
     </div>
   );
 }
-
@@ -9,7 +9,10 @@ import {
   BarChart3,
   TrendingUp,
   Activity,
-  TrendingDown
+  TrendingDown,
+  Gauge,
+  Compass,
+  Volume2
 } from 'lucide-react';
 import { GlassCard } from '@/components/ui/GlassCard';
 import { Button } from '@/components/ui/Button';
@@ -17,6 +20,13 @@ import { IndicatorCard, type IndicatorData } from '@/components/indicators/Indic
 import { InteractiveCalculator } from '@/components/indicators/InteractiveCalculator';
 import { motion, AnimatePresence } from 'framer-motion';
 
+// Daily ranges and volume for the same example closes, used by the range and volume indicators
+const examplePrices = [150, 152, 151, 153, 154, 155, 153, 156, 158, 157, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 170, 171, 169, 172, 173];
+const exampleHighs = [151, 153.5, 153, 154, 155.5, 157, 154, 157.5, 160, 158, 160.5, 162, 162, 163.5, 165, 165, 166.5, 168, 168, 169.5, 172, 172, 170.5, 174, 174];
+const exampleLows = [148.5, 150, 150, 151.5, 152, 154, 151.5, 154, 157, 155.5, 157, 159, 159.5, 160, 162, 162.5, 163, 165, 165.5, 166, 169, 169.5, 167, 171, 171.5];
+const exampleVolumes = [1.8, 2.1, 1.6, 2.4, 2.2, 2.5, 1.9, 2.8, 3.0, 2.0, 2.6, 2.7, 2.4, 2.5, 2.3, 2.6, 2.2, 2.4, 2.1, 2.3, 2.9, 2.5, 3.1, 2.2, 2.0].map(millions => millions * 1_000_000);
+const exampleBars = { prices: examplePrices, highs: exampleHighs, lows: exampleLows, volumes: exampleVolumes };
+
 const indicators: IndicatorData[] = [
   {
     id: 'sma',
@@ -161,6 +171,238 @@ const indicators: IndicatorData[] = [
       'Price can stay at upper/lower bands for extended periods in strong trends',
       'Use with other indicators - bands alone don\'t guarantee reversals'
     ]
+  },
+  {
+    id: 'atr',
+    name: 'Average True Range',
+    shortName: 'ATR',
+    icon: <Activity className="w-8 h-8 text-yellow-400" />,
+    description: 'Measures volatility as the typical size of a day\'s price range. It doesn\'t show direction, but tells you when a move is unusually large.',
+    howItWorks: 'Each day\'s true range is the largest of: today\'s high minus low, the gap from yesterday\'s close up to today\'s high, or down to today\'s low. ATR smooths the true range over 14 days using Wilder\'s method. A close that moves more than one ATR from the previous close is a breakout in that direction.',
+    calculation: 'True Range = max(High - Low, |High - Previous Close|, |Low - Previous Close|)\n\nFirst ATR = Average of the first 14 true ranges\nATR = (Previous ATR × 13 + Today\'s True Range) / 14',
+    signals: {
+      buy: 'When the close rises by MORE than one ATR in a day, it suggests an upside breakout - BUY signal.',
+      sell: 'When the close falls by MORE than one ATR in a day, it suggests a downside breakout - SELL signal.',
+      hold: 'When the day\'s move is within one ATR, price is moving normally for this stock. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 14,
+      values: [3.2, 3.26, 3.2, 3.26, 3.39, 3.32],
+      currentPrice: 173,
+      currentValue: 3.32,
+      signal: 'hold'
+    },
+    tips: [
+      'ATR is in dollars, so compare it with the share price (ATR / price) across stocks',
+      'Rising ATR = volatility increasing, falling ATR = markets calming',
+      'Stop losses are often set 2-3 ATRs away from the entry price',
+      'ATR says how far price moves, not which way - pair it with a trend indicator'
+    ]
+  },
+  {
+    id: 'stochastic',
+    name: 'Stochastic Oscillator',
+    shortName: '%K',
+    icon: <Gauge className="w-8 h-8 text-pink-400" />,
+    description: 'Shows where the close sits within the recent high-low range on a 0-100 scale. Closes near the top of the range suggest strength, near the bottom weakness.',
+    howItWorks: 'The Stochastic compares today\'s close with the highest high and lowest low of the last 14 days, giving %K. %D is a 3-day average of %K that acts as a signal line. Above 80 is overbought and below 20 is oversold, but signals wait for %K to turn back through %D.',
+    calculation: '%K = 100 × (Close - Lowest Low) / (Highest High - Lowest Low)\n%D = 3-day SMA of %K\n\nOver the last 14 days',
+    signals: {
+      buy: 'When %K is BELOW 20 (oversold) and crosses above %D, momentum is turning up - BUY signal.',
+      sell: 'When %K is ABOVE 80 (overbought) and crosses below %D, momentum is turning down - SELL signal.',
+      hold: 'When %K is between the levels, or hasn\'t turned through %D yet, HOLD and wait.'
+    },
+    example: {
+      ...exampleBars,
+      window: 14,
+      values: [91.67, 88.89, 93.94, 81.82, 88.24, 93.33],
+      currentPrice: 173,
+      currentValue: 93.33,
+      overbought: 80,
+      oversold: 20,
+      signal: 'hold'
+    },
+    tips: [
+      '%K can stay above 80 for weeks in a strong uptrend - overbought is not a sell on its own',
+      'The %K/%D crossover is the trigger; the 80/20 levels are the filter',
+      'Faster than RSI, so it gives more (and noisier) signals',
+      'Divergence between price and %K can warn of a reversal'
+    ]
+  },
+  {
+    id: 'adx',
+    name: 'Average Directional Index',
+    shortName: 'ADX',
+    icon: <Compass className="w-8 h-8 text-emerald-400" />,
+    description: 'Measures how strong a trend is, whichever way it points. Its +DI and -DI lines show whether buyers or sellers are in control.',
+    howItWorks: '+DI measures how much each day\'s high extends past the previous high, and -DI how much each low falls below the previous low, both relative to the ATR. ADX smooths the gap between them on a 0-100 scale. Above 25 there is a trend worth following, in the direction of whichever DI is higher. This example uses a 7-day window.',
+    calculation: '+DI = 100 × Smoothed Up Moves / ATR\n-DI = 100 × Smoothed Down Moves / ATR\nDX = 100 × |+DI - (-DI)| / (+DI + -DI)\nADX = Wilder-smoothed DX',
+    signals: {
+      buy: 'When ADX is ABOVE 25 and +DI is above -DI, the stock is in a strong uptrend - BUY signal.',
+      sell: 'When ADX is ABOVE 25 and -DI is above +DI, the stock is in a strong downtrend - SELL signal.',
+      hold: 'When ADX is BELOW 25, there is no strong trend to follow. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 7,
+      values: [71.41, 73.73, 75.71, 70.56, 68.69, 67.08],
+      currentPrice: 173,
+      currentValue: 67.08,
+      signal: 'buy'
+    },
+    tips: [
+      'ADX measures strength only - a falling stock can have a high ADX',
+      'ADX below 20 = choppy market, where oscillators like RSI work better',
+      'A rising ADX means the trend is strengthening',
+      'Crossovers of +DI and -DI often mark the start of a new trend'
+    ]
+  },
+  {
+    id: 'obv',
+    name: 'On-Balance Volume',
+    shortName: 'OBV',
+    icon: <Volume2 className="w-8 h-8 text-indigo-400" />,
+    description: 'A running total of volume that rises on up days and falls on down days. It shows whether volume is flowing into or out of a stock.',
+    howItWorks: 'Each day, OBV adds the day\'s volume if the close rose and subtracts it if the close fell. The total itself is arbitrary; what matters is its direction. When OBV crosses above its moving average (10 days here), buying pressure is building, and crossing below signals selling pressure.',
+    calculation: 'If Close > Previous Close: OBV = Previous OBV + Volume\nIf Close < Previous Close: OBV = Previous OBV - Volume\nOtherwise: OBV = Previous OBV',
+    signals: {
+      buy: 'When OBV crosses ABOVE its moving average, volume is flowing in - BUY signal.',
+      sell: 'When OBV crosses BELOW its moving average, volume is flowing out - SELL signal.',
+      hold: 'When OBV stays on the same side of its average, the volume trend is unchanged. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 10,
+      values: [33600000, 36500000, 39000000, 35900000, 38100000, 40100000],
+      currentPrice: 173,
+      currentValue: 40100000,
+      signal: 'hold'
+    },
+    tips: [
+      'OBV rising while price is flat can signal accumulation before a breakout',
+      'Price making new highs without OBV following is a warning sign',
+      'Big volume days move OBV most, so it reflects where large traders are acting',
+      'Compare OBV\'s direction, not its level - the starting point is arbitrary'
+    ]
+  },
+  {
+    id: 'vwap',
+    name: 'Volume-Weighted Average Price',
+    shortName: 'VWAP',
+    icon: <Volume2 className="w-8 h-8 text-teal-400" />,
+    description: 'The average price shares actually traded at, weighting each day by its volume. It shows whether the current price is above or below what most buyers paid.',
+    howItWorks: 'VWAP uses each day\'s typical price, (High + Low + Close) / 3, and weights it by that day\'s volume over a rolling 20-day window. Heavy-volume days count more than quiet ones. Price crossing above VWAP suggests buyers are in control; crossing below suggests sellers.',
+    calculation: 'Typical Price = (High + Low + Close) / 3\nVWAP = Sum(Typical Price × Volume) / Sum(Volume)\n\nOver the last 20 days',
+    signals: {
+      buy: 'When price crosses ABOVE the VWAP, buyers are paying up - BUY signal.',
+      sell: 'When price crosses BELOW the VWAP, sellers are in control - SELL signal.',
+      hold: 'When price stays on the same side of the VWAP, there is no new signal. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 20,
+      values: [158.96, 160, 160.93, 161.73, 162.64, 163.45],
+      currentPrice: 173,
+      currentValue: 163.45,
+      signal: 'hold'
+    },
+    tips: [
+      'Institutions often use VWAP to judge whether they got a good price',
+      'Price far above VWAP can mean the move is stretched',
+      'VWAP reacts to heavy-volume days more than an SMA does',
+      'Works best on liquid stocks with steady volume'
+    ]
+  },
+  {
+    id: 'cci',
+    name: 'Commodity Channel Index',
+    shortName: 'CCI',
+    icon: <Gauge className="w-8 h-8 text-amber-400" />,
+    description: 'Measures how far price has moved from its average, relative to how far it normally moves. Readings beyond ±100 are unusual.',
+    howItWorks: 'CCI takes the typical price, subtracts its 20-day average, and divides by 0.015 × the mean deviation. The constant scales it so most readings fall between -100 and 100. Above 100 suggests overbought, below -100 oversold.',
+    calculation: 'Typical Price = (High + Low + Close) / 3\nMean Deviation = Average of |Typical Price - SMA|\nCCI = (Typical Price - SMA) / (0.015 × Mean Deviation)',
+    signals: {
+      buy: 'When CCI is BELOW -100, price is unusually far below its average (oversold) - BUY signal.',
+      sell: 'When CCI is ABOVE 100, price is unusually far above its average (overbought) - SELL signal.',
+      hold: 'When CCI is between -100 and 100, price is within its normal range. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 20,
+      values: [127.08, 143.82, 134.99, 98.32, 130.35, 124.38],
+      currentPrice: 173,
+      currentValue: 124.38,
+      overbought: 100,
+      oversold: -100,
+      signal: 'sell'
+    },
+    tips: [
+      'CCI has no upper or lower limit - readings of ±200 happen in strong moves',
+      'Some traders treat a move above 100 as the start of a trend instead of a sell',
+      'Crosses back inside ±100 can confirm a reversal',
+      'Works on any asset, not just commodities'
+    ]
+  },
+  {
+    id: 'williams_r',
+    name: 'Williams %R',
+    shortName: 'Williams %R',
+    icon: <Gauge className="w-8 h-8 text-rose-400" />,
+    description: 'Shows how close today\'s close is to the highest high of the last 14 days, from 0 (at the high) to -100 (at the low).',
+    howItWorks: 'Williams %R is the Stochastic %K turned upside down: it measures the distance from the close down from the recent high instead of up from the low. Readings above -20 mean the stock is closing near its highs (overbought); below -80 near its lows (oversold).',
+    calculation: '%R = -100 × (Highest High - Close) / (Highest High - Lowest Low)\n\nOver the last 14 days',
+    signals: {
+      buy: 'When %R is BELOW -80, the stock is closing near its lows (oversold) - BUY signal.',
+      sell: 'When %R is ABOVE -20, the stock is closing near its highs (overbought) - SELL signal.',
+      hold: 'When %R is between -80 and -20, the close is mid-range. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 14,
+      values: [-8.33, -11.11, -6.06, -18.18, -11.76, -6.67],
+      currentPrice: 173,
+      currentValue: -6.67,
+      overbought: -20,
+      oversold: -80,
+      signal: 'sell'
+    },
+    tips: [
+      'The scale is negative: -10 is near the high, -90 near the low',
+      'Like the Stochastic, it can stay overbought through a strong rally',
+      'Fast-moving - confirm signals with a trend indicator',
+      'A move back out of the overbought zone is often a stronger sell than the first entry'
+    ]
+  },
+  {
+    id: 'mfi',
+    name: 'Money Flow Index',
+    shortName: 'MFI',
+    icon: <Volume2 className="w-8 h-8 text-lime-400" />,
+    description: 'A volume-weighted RSI. It measures whether money is flowing into or out of a stock on a 0-100 scale.',
+    howItWorks: 'Each day\'s money flow is its typical price × volume. Days where the typical price rose count as positive flow, and days it fell as negative. MFI compares the two over 14 days the way RSI compares gains and losses. Above 80 is overbought and below 20 oversold.',
+    calculation: 'Money Flow = Typical Price × Volume\nMoney Ratio = Positive Flow / Negative Flow (over 14 days)\nMFI = 100 - (100 / (1 + Money Ratio))',
+    signals: {
+      buy: 'When MFI is BELOW 20, money has been flowing out heavily (oversold) - BUY signal.',
+      sell: 'When MFI is ABOVE 80, money has been flowing in heavily (overbought) - SELL signal.',
+      hold: 'When MFI is between 20 and 80, money flow is balanced. HOLD.'
+    },
+    example: {
+      ...exampleBars,
+      window: 14,
+      values: [88.92, 94.45, 94.44, 85.3, 90.91, 90.81],
+      currentPrice: 173,
+      currentValue: 90.81,
+      overbought: 80,
+      oversold: 20,
+      signal: 'sell'
+    },
+    tips: [
+      'MFI uses 80/20 levels, wider than RSI\'s 70/30, because volume makes it swing further',
+      'MFI diverging from price is a stronger warning than RSI divergence',
+      'A price rise on falling volume keeps MFI lower than RSI',
+      'Use it to confirm whether a move has volume behind it'
+    ]
   }
 ];
 
@@ -16,9 +16,11 @@ import {
   Activity, 
   Target,
   BarChart3,
-  Bell
+  Bell,
+  PieChart
 } from 'lucide-react';
-import { formatCurrency, formatPercent } from '@/lib/utils/formatters';
+import { formatCurrency, formatPercent, formatDate } from '@/lib/utils/formatters';
+import type { PortfolioAttributionResponse } from '@/lib/types/portfolio';
 
 export default function PortfolioDetailPage() {
   const params = useParams();
@@ -31,10 +33,12 @@ export default function PortfolioDetailPage() {
     signals,
     strategy,
     performance,
+    attribution,
     fetchPortfolios,
     fetchPortfolioSignals,
     fetchPortfolioStrategy,
     fetchPortfolioPerformance,
+    fetchPortfolioAttribution,
     isLoading
   } = usePortfolioStore();
 
@@ -79,6 +83,8 @@ export default function PortfolioDetailPage() {
       fetchPortfolioStrategy(portfolioId).catch(console.error);
     } else if (activeTab === 'performance' && !performance) {
       fetchPortfolioPerformance(portfolioId).catch(console.error);
+    } else if (activeTab === 'attribution' && attribution?.portfolioId !== portfolioId) {
+      fetchPortfolioAttribution(portfolioId).catch(console.error);
     }
   }, [activeTab, selectedPortfolio, portfolioId]);
 
@@ -114,7 +120,8 @@ export default function PortfolioDetailPage() {
     { id: 'overview', label: 'Overview', Icon: Activity },
     { id: 'signals', label: 'Signals', Icon: Bell },
     { id: 'strategy', label: 'Strategy', Icon: Target },
-    { id: 'performance', label: 'Performance', Icon: BarChart3 }
+    { id: 'performance', label: 'Performance', Icon: BarChart3 },
+    { id: 'attribution', label: 'Attribution', Icon: PieChart }
   ];
 
   return (
@@ -240,6 +247,9 @@ export default function PortfolioDetailPage() {
           {activeTab === 'performance' && (
             <PerformanceTab performance={performance} isLoading={isLoading} />
           )}
+          {activeTab === 'attribution' && (
+            <AttributionTab attribution={attribution} isLoading={isLoading} />
+          )}
         </div>
       </main>
     </div>
@@ -506,3 +516,130 @@ function PerformanceTab({ performance, isLoading }: { performance: any; isLoadin
   );
 }
 
+// Attribution Tab Component
+// Returns arrive as decimals; formatPercent expects percentage points
+function AttributionTab({ attribution, isLoading }: { attribution: PortfolioAttributionResponse | null; isLoading: boolean }) {
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loading size="lg" text="Loading attribution..." />
+      </div>
+    );
+  }
+
+  if (!attribution) {
+    return (
+      <GlassCard className="p-6">
+        <p className="text-slate-400">No attribution available for this portfolio</p>
+      </GlassCard>
+    );
+  }
+
+  const pct = (value: number | null | undefined) => (value === null || value === undefined ? '-' : formatPercent(value * 100));
+  const tone = (value: number) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <GlassCard className="p-6">
+          <p className="text-sm text-slate-400 mb-2">Portfolio Return</p>
+          <p className={`text-2xl font-bold ${tone(attribution.portfolioReturn)}`}>
+            {pct(attribution.portfolioReturn)}
+          </p>
+        </GlassCard>
+
+        <GlassCard className="p-6">
+          <p className="text-sm text-slate-400 mb-2">Benchmark Return</p>
+          <p className={`text-2xl font-bold ${tone(attribution.benchmarkReturn)}`}>
+            {pct(attribution.benchmarkReturn)}
+          </p>
+          <p className="text-xs text-slate-500 mt-1">{attribution.benchmark.label}</p>
+        </GlassCard>
+
+        <GlassCard className="p-6">
+          <p className="text-sm text-slate-400 mb-2">Active Return</p>
+          <p className={`text-2xl font-bold ${tone(attribution.activeReturn)}`}>
+            {pct(attribution.activeReturn)}
+          </p>
+          <p className="text-xs text-slate-500 mt-1">
+            Allocation {pct(attribution.effects.allocation)} · Selection {pct(attribution.effects.selection)} · Interaction {pct(attribution.effects.interaction)}
+          </p>
+        </GlassCard>
+      </div>
+
+      <GlassCard className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Sector Attribution</h3>
+          <p className="text-sm text-slate-400">
+            {formatDate(attribution.startDate)} – {formatDate(attribution.endDate)}
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-slate-700/50">
+                <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Sector</th>
+                <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Portfolio Weight</th>
+                <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Benchmark Weight</th>
+                <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Allocation</th>
+                <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Selection</th>
+                <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Interaction</th>
+                <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attribution.sectors.map((sector) => (
+                <tr key={sector.sector} className="border-b border-slate-800/50 hover:bg-slate-800/30">
+                  <td className="py-3 px-4 font-medium text-white">{sector.sector}</td>
+                  <td className="text-right py-3 px-4 text-white">{(sector.portfolioWeight * 100).toFixed(1)}%</td>
+                  <td className="text-right py-3 px-4 text-white">{(sector.benchmarkWeight * 100).toFixed(1)}%</td>
+                  <td className={`text-right py-3 px-4 ${tone(sector.allocation)}`}>{pct(sector.allocation)}</td>
+                  <td className={`text-right py-3 px-4 ${tone(sector.selection)}`}>{pct(sector.selection)}</td>
+                  <td className={`text-right py-3 px-4 ${tone(sector.interaction)}`}>{pct(sector.interaction)}</td>
+                  <td className={`text-right py-3 px-4 font-medium ${tone(sector.total)}`}>{pct(sector.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </GlassCard>
+
+      <GlassCard className="p-6">
+        <h3 className="text-lg font-semibold text-white mb-4">Contribution by Position</h3>
+        {attribution.positions.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-slate-700/50">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Ticker</th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-slate-400">Sector</th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Avg Weight</th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Return</th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-slate-400">Contribution</th>
+                </tr>
+              </thead>
+              <tbody>
+                {attribution.positions.map((position) => (
+                  <tr key={position.ticker} className="border-b border-slate-800/50 hover:bg-slate-800/30">
+                    <td className="py-3 px-4 font-medium text-white">{position.ticker}</td>
+                    <td className="py-3 px-4 text-slate-300">{position.sector}</td>
+                    <td className="text-right py-3 px-4 text-white">{((position.averageWeight || 0) * 100).toFixed(1)}%</td>
+                    <td className={`text-right py-3 px-4 ${tone(position.return)}`}>{pct(position.return)}</td>
+                    <td className={`text-right py-3 px-4 font-medium ${tone(position.contribution)}`}>{pct(position.contribution)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-slate-400">No positions held over this period</p>
+        )}
+        {attribution.holdingsSource === 'current' && (
+          <p className="text-xs text-slate-500 mt-4">
+            No daily snapshots yet, so today&apos;s positions are held over the whole period.
+          </p>
+        )}
+      </GlassCard>
+    </div>
+  );
+}
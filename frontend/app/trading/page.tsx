@@ -45,8 +45,16 @@ export default function TradingPage() {
   const [activeTab, setActiveTab] = useState('buy');
   const [ticker, setTicker] = useState('');
   const [quantity, setQuantity] = useState('');
+  const [orderUnit, setOrderUnit] = useState<'shares' | 'dollars'>('shares');
   const [selectedHolding, setSelectedHolding] = useState<any>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  // One Idempotency-Key per order: double-submits and retries reuse it, so the server trades once
+  const [orderKey, setOrderKey] = useState(() => crypto.randomUUID());
+
+  // A different order needs a new key
+  useEffect(() => {
+    setOrderKey(crypto.randomUUID());
+  }, [activeTab, ticker, quantity, orderUnit, selectedHolding]);
 
   // Read URL parameters and pre-fill form
   useEffect(() => {
@@ -104,6 +112,13 @@ export default function TradingPage() {
     initializeTradingPage();
   }, [user?.userId, isAuthenticated]);
 
+  // Orders are sized in shares (fractional allowed) or as a dollar amount the backend converts to shares
+  const orderSize = (amount: number) =>
+    orderUnit === 'dollars' ? { notional: amount } : { quantity: amount };
+
+  const describeOrder = (amount: number) =>
+    orderUnit === 'dollars' ? formatCurrency(amount) : `${amount} shares`;
+
   const handleBuy = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -112,9 +127,9 @@ export default function TradingPage() {
       return;
     }
 
-    const qty = parseInt(quantity);
-    if (isNaN(qty) || qty <= 0) {
-      showToast('Please enter a valid quantity', 'error');
+    const amount = parseFloat(quantity);
+    if (isNaN(amount) || amount <= 0) {
+      showToast(orderUnit === 'dollars' ? 'Please enter a valid dollar amount' : 'Please enter a valid quantity', 'error');
       return;
     }
 
@@ -145,9 +160,9 @@ export default function TradingPage() {
       await buyStock({
         userId: user.userId,
         ticker: ticker.toUpperCase(),
-        quantity: qty
-      });
-      showToast(`Successfully bought ${qty} shares of ${ticker.toUpperCase()}`, 'success');
+        ...orderSize(amount)
+      }, orderKey);
+      showToast(`Successfully bought ${describeOrder(amount)} of ${ticker.toUpperCase()}`, 'success');
       
       // Reset form
       setTicker('');
@@ -174,13 +189,13 @@ export default function TradingPage() {
       return;
     }
 
-    const qty = parseInt(quantity);
-    if (isNaN(qty) || qty <= 0) {
-      showToast('Please enter a valid quantity', 'error');
+    const amount = parseFloat(quantity);
+    if (isNaN(amount) || amount <= 0) {
+      showToast(orderUnit === 'dollars' ? 'Please enter a valid dollar amount' : 'Please enter a valid quantity', 'error');
       return;
     }
 
-    if (qty > holding.quantity) {
+    if (orderUnit === 'shares' && amount > holding.quantity) {
       showToast(`You only have ${holding.quantity} shares of ${holding.ticker}`, 'error');
       return;
     }
@@ -212,9 +227,9 @@ export default function TradingPage() {
       await sellStock({
         userId: user.userId,
         ticker: holding.ticker,
-        quantity: qty
-      });
-      showToast(`Successfully sold ${qty} shares of ${holding.ticker}`, 'success');
+        ...orderSize(amount)
+      }, orderKey);
+      showToast(`Successfully sold ${describeOrder(amount)} of ${holding.ticker}`, 'success');
       
       // Reset form
       setTicker('');
@@ -414,15 +429,32 @@ export default function TradingPage() {
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-slate-300 mb-2">
-                      Quantity *
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-slate-300">
+                      {orderUnit === 'dollars' ? 'Amount ($) *' : 'Quantity *'}
                     </label>
+                    <div className="flex gap-1 text-xs">
+                      {(['shares', 'dollars'] as const).map((unit) => (
+                        <button
+                          key={unit}
+                          type="button"
+                          onClick={() => { setOrderUnit(unit); setQuantity(''); }}
+                          className={`px-2 py-1 rounded ${
+                            orderUnit === unit ? 'bg-blue-500/20 text-blue-400' : 'text-slate-400 hover:text-slate-300'
+                          }`}
+                        >
+                          {unit === 'dollars' ? 'Dollars' : 'Shares'}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                     <Input
                       type="number"
                       value={quantity}
                       onChange={(e) => setQuantity(e.target.value)}
-                      placeholder="Number of shares"
-                      min="1"
+                      placeholder={orderUnit === 'dollars' ? 'Dollar amount to invest' : 'Number of shares (fractions allowed)'}
+                      min="0"
+                      step="any"
                       disabled={isLoading}
                     />
                   </div>
@@ -466,21 +498,38 @@ export default function TradingPage() {
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-slate-300 mb-2">
-                      Quantity *
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-slate-300">
+                      {orderUnit === 'dollars' ? 'Amount ($) *' : 'Quantity *'}
                     </label>
+                    <div className="flex gap-1 text-xs">
+                      {(['shares', 'dollars'] as const).map((unit) => (
+                        <button
+                          key={unit}
+                          type="button"
+                          onClick={() => { setOrderUnit(unit); setQuantity(''); }}
+                          className={`px-2 py-1 rounded ${
+                            orderUnit === unit ? 'bg-blue-500/20 text-blue-400' : 'text-slate-400 hover:text-slate-300'
+                          }`}
+                        >
+                          {unit === 'dollars' ? 'Dollars' : 'Shares'}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                     <Input
                       type="number"
                       value={quantity}
                       onChange={(e) => setQuantity(e.target.value)}
-                      placeholder="Number of shares"
-                      min="1"
-                      max={selectedHolding?.quantity || undefined}
+                      placeholder={orderUnit === 'dollars' ? 'Dollar amount to sell' : 'Number of shares (fractions allowed)'}
+                      min="0"
+                      step="any"
+                      max={orderUnit === 'shares' ? selectedHolding?.quantity || undefined : selectedHolding?.marketValue || undefined}
                       disabled={isLoading || !selectedHolding}
                     />
                     {selectedHolding && (
                       <p className="text-xs text-slate-400 mt-1">
-                        Available: {selectedHolding.quantity} shares
+                        Available: {selectedHolding.quantity} shares ({formatCurrency(selectedHolding.marketValue || 0)})
                       </p>
                     )}
                   </div>
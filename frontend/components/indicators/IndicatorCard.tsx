@@ -46,6 +46,13 @@ export interface IndicatorData {
     signal: 'buy' | 'sell' | 'hold';
     signalLineValue?: number;
     histogramValue?: number;
+    // Bars for indicators that use the day's range or volume
+    highs?: number[];
+    lows?: number[];
+    volumes?: number[];
+    // Oscillator levels, e.g. 80/20 for the Stochastic
+    overbought?: number;
+    oversold?: number;
   };
   tips: string[];
 }
@@ -7,6 +7,20 @@ import { Button } from '@/components/ui/Button';
 import { Badge } from '@/components/ui/Badge';
 import { motion } from 'framer-motion';
 import type { IndicatorData } from './IndicatorCard';
+import {
+  calculateATR,
+  calculateStochastic,
+  calculateADX,
+  calculateOBV,
+  calculateVWAP,
+  calculateCCI,
+  calculateWilliamsR,
+  calculateMFI,
+  type IndicatorBars
+} from '@/lib/utils/indicators';
+
+// Indicators read against overbought/oversold levels
+const OSCILLATORS = ['rsi', 'stochastic', 'cci', 'williams_r', 'mfi'];
 
 interface InteractiveCalculatorProps {
   indicator: IndicatorData;
@@ -58,19 +72,64 @@ export function InteractiveCalculator({ indicator }: InteractiveCalculatorProps)
     }
   };
 
+  const { example } = indicator;
+  const bars: IndicatorBars = {
+    closes: example.prices,
+    highs: example.highs,
+    lows: example.lows,
+    volumes: example.volumes
+  };
+
   let calculatedValues: number[] = [];
+  let stochasticD: number[] = [];
+  let directionalIndex: { plusDI: number[]; minusDI: number[] } | null = null;
   if (indicator.id === 'sma') {
-    calculatedValues = calculateSMA(indicator.example.prices, indicator.example.window);
+    calculatedValues = calculateSMA(example.prices, example.window);
   } else if (indicator.id === 'ema') {
-    calculatedValues = calculateEMA(indicator.example.prices, indicator.example.window);
+    calculatedValues = calculateEMA(example.prices, example.window);
+  } else if (indicator.id === 'atr') {
+    calculatedValues = calculateATR(bars, example.window);
+  } else if (indicator.id === 'stochastic') {
+    const stochastic = calculateStochastic(bars, example.window, 3);
+    calculatedValues = stochastic.k;
+    stochasticD = stochastic.d;
+  } else if (indicator.id === 'adx') {
+    const { adx, plusDI, minusDI } = calculateADX(bars, example.window);
+    calculatedValues = adx;
+    directionalIndex = { plusDI, minusDI };
+  } else if (indicator.id === 'obv') {
+    calculatedValues = calculateOBV(bars);
+  } else if (indicator.id === 'vwap') {
+    calculatedValues = calculateVWAP(bars, example.window);
+  } else if (indicator.id === 'cci') {
+    calculatedValues = calculateCCI(bars, example.window);
+  } else if (indicator.id === 'williams_r') {
+    calculatedValues = calculateWilliamsR(bars, example.window);
+  } else if (indicator.id === 'mfi') {
+    calculatedValues = calculateMFI(bars, example.window);
   } else {
-    calculatedValues = indicator.example.values;
+    calculatedValues = example.values;
   }
 
   const latestValue = calculatedValues[calculatedValues.length - 1];
   const isMacd = indicator.id === 'macd';
-  const isRsi = indicator.id === 'rsi';
+  const isOscillator = OSCILLATORS.includes(indicator.id);
   const isBollinger = indicator.id === 'bollinger';
+  const isAdx = indicator.id === 'adx';
+  const isAtr = indicator.id === 'atr';
+  const isObv = indicator.id === 'obv';
+  const overbought = example.overbought ?? 70;
+  const oversold = example.oversold ?? 30;
+  const plusDIValue = directionalIndex ? directionalIndex.plusDI[directionalIndex.plusDI.length - 1] : undefined;
+  const minusDIValue = directionalIndex ? directionalIndex.minusDI[directionalIndex.minusDI.length - 1] : undefined;
+  const stochasticDValue = stochasticD.length > 0 ? stochasticD[stochasticD.length - 1] : undefined;
+  // ATR breakouts compare today's move with the previous day's ATR
+  const previousClose = example.prices[example.prices.length - 2];
+  const dailyMove = example.currentPrice - previousClose;
+  const previousAtr = calculatedValues[calculatedValues.length - 2];
+  const obvAverage = isObv
+    ? calculatedValues.slice(-example.window).reduce((a, b) => a + b, 0) / example.window
+    : undefined;
   const macdValue = isMacd ? indicator.example.currentValue : latestValue;
   const signalLineValue = isMacd ? (indicator.example as any).signalLineValue ?? macdValue : undefined;
   const histogramValue = isMacd && signalLineValue !== undefined ? macdValue - signalLineValue : undefined;
@@ -79,7 +138,8 @@ export function InteractiveCalculator({ indicator }: InteractiveCalculatorProps)
 
   const formatValue = (value: number) => {
     if (isMacd) return value.toFixed(2);
-    if (isRsi) return value.toFixed(2);
+    if (isOscillator || isAdx) return value.toFixed(2);
+    if (isObv) return Math.round(value).toLocaleString();
     return `$${value.toFixed(2)}`;
   };
 
@@ -188,15 +248,36 @@ export function InteractiveCalculator({ indicator }: InteractiveCalculatorProps)
                     </p>
                   </div>
                 </div>
-              ) : isRsi ? (
+              ) : isOscillator ? (
                 <div className="text-right space-y-1">
+                  {stochasticDValue !== undefined && (
+                    <div>
+                      <p className="text-sm text-slate-400">%D (3-day average)</p>
+                      <p className="text-xl font-bold text-white">{stochasticDValue.toFixed(2)}</p>
+                    </div>
+                  )}
                   <div>
                     <p className="text-sm text-slate-400">Overbought</p>
-                    <p className="text-xl font-bold text-white">70</p>
+                    <p className="text-xl font-bold text-white">{overbought}</p>
                   </div>
                   <div>
                     <p className="text-sm text-slate-400">Oversold</p>
-                    <p className="text-xl font-bold text-white">30</p>
+                    <p className="text-xl font-bold text-white">{oversold}</p>
+                  </div>
+                </div>
+              ) : isAdx ? (
+                <div className="text-right space-y-1">
+                  <div>
+                    <p className="text-sm text-slate-400">+DI</p>
+                    <p className="text-xl font-bold text-white">
+                      {plusDIValue !== undefined ? plusDIValue.toFixed(2) : '—'}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-slate-400">-DI</p>
+                    <p className="text-xl font-bold text-white">
+                      {minusDIValue !== undefined ? minusDIValue.toFixed(2) : '—'}
+                    </p>
                   </div>
                 </div>
               ) : isBollinger ? (
@@ -272,15 +353,53 @@ export function InteractiveCalculator({ indicator }: InteractiveCalculatorProps)
                     {indicator.signals[indicator.example.signal]}
                   </p>
                 </>
-              ) : isRsi ? (
+              ) : isOscillator ? (
                 <>
                   <p className="text-sm text-slate-300">
-                    RSI is{' '}
-                    <span className="font-semibold text-white">{formatValue(latestValue)}</span>{' '}
-                    (0–100 scale).
+                    {indicator.shortName} is{' '}
+                    <span className="font-semibold text-white">{formatValue(latestValue)}</span>
+                    {stochasticDValue !== undefined && <> with %D at {stochasticDValue.toFixed(2)}</>}.
                   </p>
                   <p className="text-sm text-slate-400 mt-2">
-                    Overbought threshold: 70 | Oversold threshold: 30.
+                    Overbought threshold: {overbought} | Oversold threshold: {oversold}.
+                  </p>
+                  <p className="text-sm text-slate-400 mt-2">
+                    {indicator.signals[indicator.example.signal]}
+                  </p>
+                </>
+              ) : isAdx ? (
+                <>
+                  <p className="text-sm text-slate-300">
+                    ADX is <span className="font-semibold text-white">{formatValue(latestValue)}</span>
+                    {plusDIValue !== undefined && minusDIValue !== undefined && (
+                      <> with {plusDIValue >= minusDIValue ? '+DI above -DI' : '-DI above +DI'}</>
+                    )}.
+                  </p>
+                  <p className="text-sm text-slate-400 mt-2">
+                    Trend threshold: 25.
+                  </p>
+                  <p className="text-sm text-slate-400 mt-2">
+                    {indicator.signals[indicator.example.signal]}
+                  </p>
+                </>
+              ) : isAtr ? (
+                <>
+                  <p className="text-sm text-slate-300">
+                    Today&apos;s move is{' '}
+                    <span className="font-semibold text-white">${Math.abs(dailyMove).toFixed(2)}</span>{' '}
+                    {dailyMove >= 0 ? 'up' : 'down'}, {previousAtr ? (Math.abs(dailyMove) / previousAtr).toFixed(2) : '—'}× the previous ATR.
+                  </p>
+                  <p className="text-sm text-slate-400 mt-2">
+                    {indicator.signals[indicator.example.signal]}
+                  </p>
+                </>
+              ) : isObv ? (
+                <>
+                  <p className="text-sm text-slate-300">
+                    OBV is{' '}
+                    <span className="font-semibold text-white">{formatValue(latestValue)}</span>,{' '}
+                    {obvAverage !== undefined && latestValue >= obvAverage ? 'above' : 'below'} its {example.window}-day average
+                    {obvAverage !== undefined && <> of {formatValue(obvAverage)}</>}.
                   </p>
                   <p className="text-sm text-slate-400 mt-2">
                     {indicator.signals[indicator.example.signal]}
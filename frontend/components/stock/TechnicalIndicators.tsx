@@ -8,21 +8,19 @@ import {
   BarChart3, 
   Info,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Gauge,
+  Compass,
+  Volume2
 } from 'lucide-react';
 import { GlassCard } from '@/components/ui/GlassCard';
 import { Badge } from '@/components/ui/Badge';
 import { formatCurrency, formatPercent } from '@/lib/utils/formatters';
-import type { TechnicalIndicator } from '@/lib/api/stocks';
+import type { StockIndicatorsResponse, TechnicalIndicator } from '@/lib/api/stocks';
+import type { ADXValue, StochasticValue } from '@/lib/types/indicators';
 
 interface TechnicalIndicatorsProps {
-  indicators: {
-    SMA?: TechnicalIndicator;
-    EMA?: TechnicalIndicator;
-    RSI?: TechnicalIndicator;
-    MACD?: TechnicalIndicator;
-    BOLLINGER?: TechnicalIndicator;
-  };
+  indicators: StockIndicatorsResponse['indicators'];
   currentPrice: number;
 }
 
@@ -31,7 +29,15 @@ const indicatorIcons = {
   EMA: TrendingUp,
   RSI: Activity,
   MACD: TrendingDown,
-  BOLLINGER: BarChart3
+  BOLLINGER: BarChart3,
+  ATR: Activity,
+  STOCHASTIC: Gauge,
+  ADX: Compass,
+  OBV: Volume2,
+  VWAP: Volume2,
+  CCI: Gauge,
+  WILLIAMS_R: Gauge,
+  MFI: Volume2
 };
 
 const indicatorNames = {
@@ -39,9 +45,26 @@ const indicatorNames = {
   EMA: 'Exponential Moving Average',
   RSI: 'Relative Strength Index',
   MACD: 'Moving Average Convergence Divergence',
-  BOLLINGER: 'Bollinger Bands'
+  BOLLINGER: 'Bollinger Bands',
+  ATR: 'Average True Range',
+  STOCHASTIC: 'Stochastic Oscillator',
+  ADX: 'Average Directional Index',
+  OBV: 'On-Balance Volume',
+  VWAP: 'Volume-Weighted Average Price',
+  CCI: 'Commodity Channel Index',
+  WILLIAMS_R: 'Williams %R',
+  MFI: 'Money Flow Index'
 };
 
+// Indicators whose value is an oscillator reading rather than a price
+const OSCILLATORS = ['RSI', 'CCI', 'WILLIAMS_R', 'MFI'];
+
+const isStochasticValue = (value: TechnicalIndicator['value']): value is StochasticValue =>
+  typeof value === 'object' && value !== null && typeof (value as StochasticValue).k === 'number';
+
+const isADXValue = (value: TechnicalIndicator['value']): value is ADXValue =>
+  typeof value === 'object' && value !== null && typeof (value as ADXValue).adx === 'number';
+
 export function TechnicalIndicators({ indicators, currentPrice }: TechnicalIndicatorsProps) {
   const [expanded, setExpanded] = useState<Record<string, boolean>>({});
 
@@ -82,11 +105,23 @@ export function TechnicalIndicators({ indicators, currentPrice }: TechnicalIndic
         return `Upper: ${upper}, Lower: ${lower}`;
       }
     }
+
+    if (indicator.type === 'STOCHASTIC' && isStochasticValue(indicator.value)) {
+      return `%K: ${indicator.value.k.toFixed(2)}, %D: ${indicator.value.d.toFixed(2)}`;
+    }
+
+    if (indicator.type === 'ADX' && isADXValue(indicator.value)) {
+      const { adx, plusDI, minusDI } = indicator.value;
+      return `ADX: ${adx.toFixed(2)}, +DI: ${plusDI.toFixed(2)}, -DI: ${minusDI.toFixed(2)}`;
+    }
     
     if (typeof indicator.value === 'number') {
-      if (indicator.type === 'RSI') {
+      if (OSCILLATORS.includes(indicator.type)) {
         return `${indicator.value.toFixed(2)}`;
       }
+      if (indicator.type === 'OBV') {
+        return Math.round(indicator.value).toLocaleString();
+      }
       return formatCurrency(indicator.value);
     }
     
@@ -153,6 +188,11 @@ export function TechnicalIndicators({ indicators, currentPrice }: TechnicalIndic
                   {type === 'RSI' ? `${indicator.params.window}-period (${indicator.params.oversold}-${indicator.params.overbought})` : ''}
                   {type === 'MACD' ? `${indicator.params.fastPeriod}/${indicator.params.slowPeriod}/${indicator.params.signalPeriod}` : ''}
                   {type === 'BOLLINGER' ? `${indicator.params.window}-day, ${indicator.params.multiplier}σ` : ''}
+                  {type === 'ATR' ? `${indicator.params.window}-day, ${indicator.params.multiplier}× breakout` : ''}
+                  {type === 'STOCHASTIC' ? `${indicator.params.kPeriod}/${indicator.params.dPeriod} (${indicator.params.oversold}-${indicator.params.overbought})` : ''}
+                  {type === 'ADX' ? `${indicator.params.window}-period, trend above ${indicator.params.threshold}` : ''}
+                  {type === 'OBV' || type === 'VWAP' ? `${indicator.params.window}-day` : ''}
+                  {type === 'CCI' || type === 'WILLIAMS_R' || type === 'MFI' ? `${indicator.params.window}-period (${indicator.params.oversold} to ${indicator.params.overbought})` : ''}
                 </p>
               )}
             </div>
@@ -192,10 +232,10 @@ export function TechnicalIndicators({ indicators, currentPrice }: TechnicalIndic
               </p>
             </div>
 
-            {indicator.type === 'RSI' && typeof indicator.value === 'number' && (
+            {(indicator.type === 'RSI' || indicator.type === 'MFI') && typeof indicator.value === 'number' && (
               <div className="mt-4 p-4 bg-slate-800/50 rounded-lg">
                 <div className="flex items-center justify-between mb-2">
-                  <span className="text-xs text-slate-400">RSI Scale</span>
+                  <span className="text-xs text-slate-400">{indicator.type} Scale</span>
                   <span className="text-xs text-slate-400">
                     {indicator.value < indicator.params.oversold ? 'Oversold' : 
                      indicator.value > indicator.params.overbought ? 'Overbought' : 
@@ -328,6 +368,14 @@ export function TechnicalIndicators({ indicators, currentPrice }: TechnicalIndic
         {renderIndicatorCard('RSI', indicators.RSI)}
         {renderIndicatorCard('MACD', indicators.MACD)}
         {renderIndicatorCard('BOLLINGER', indicators.BOLLINGER)}
+        {renderIndicatorCard('ATR', indicators.ATR)}
+        {renderIndicatorCard('STOCHASTIC', indicators.STOCHASTIC)}
+        {renderIndicatorCard('ADX', indicators.ADX)}
+        {renderIndicatorCard('OBV', indicators.OBV)}
+        {renderIndicatorCard('VWAP', indicators.VWAP)}
+        {renderIndicatorCard('CCI', indicators.CCI)}
+        {renderIndicatorCard('WILLIAMS_R', indicators.WILLIAMS_R)}
+        {renderIndicatorCard('MFI', indicators.MFI)}
       </div>
     </div>
   );
@@ -1,4 +1,4 @@
-import axios, { AxiosError, InternalAxiosRequestConfig } from 'axios';
+import axios, { AxiosError, AxiosRequestConfig, InternalAxiosRequestConfig } from 'axios';
 import Cookies from 'js-cookie';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
@@ -142,8 +142,8 @@ export const get = async <T = any>(url: string, params?: any): Promise<T> => {
 };
 
 // Helper function for making POST requests
-export const post = async <T = any>(url: string, data?: any): Promise<T> => {
-  const response = await apiClient.post<T>(url, data);
+export const post = async <T = any>(url: string, data?: any, config?: AxiosRequestConfig): Promise<T> => {
+  const response = await apiClient.post<T>(url, data, config);
   return response.data;
 };
 
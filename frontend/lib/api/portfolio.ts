@@ -7,11 +7,16 @@ import type {
   PortfolioSignalsResponse,
   PortfolioStrategyResponse,
   PortfolioPerformanceResponse,
+  PortfolioHistoryResponse,
+  PortfolioAttributionResponse,
+  AttributionPeriod,
   CuratedOptionsResponse,
   CreateCustomPortfolioRequest,
   CreateCustomPortfolioResponse,
   CreateCuratedPortfolioRequest,
-  CreateCuratedPortfolioResponse
+  CreateCuratedPortfolioResponse,
+  CoupledTradeRequest,
+  CoupledTradeResponse
 } from '../types/portfolio';
 
 /**
@@ -79,3 +84,32 @@ export const getPortfolioPerformance = async (portfolioId: string): Promise<Port
   return response;
 };
 
+/**
+ * Get end-of-day value history with time- and money-weighted returns
+ */
+export const getPortfolioHistory = async (
+  portfolioId: string,
+  params?: { startDate?: string; endDate?: string }
+): Promise<PortfolioHistoryResponse> => {
+  const response = await get<PortfolioHistoryResponse>(`/portfolio/${portfolioId}/history`, params);
+  return response;
+};
+
+/**
+ * Get Brinson attribution by sector and each position's contribution to return
+ */
+export const getPortfolioAttribution = async (
+  portfolioId: string,
+  params?: { period?: AttributionPeriod; startDate?: string; endDate?: string; benchmark?: string }
+): Promise<PortfolioAttributionResponse> => {
+  const response = await get<PortfolioAttributionResponse>(`/portfolio/${portfolioId}/attribution`, params);
+  return response;
+};
+
+/**
+ * Generate a pairs / coupled trade from a portfolio's holdings
+ */
+export const generateCoupledTrade = async (data: CoupledTradeRequest): Promise<CoupledTradeResponse> => {
+  const response = await post<CoupledTradeResponse>('/coupled-trade', data);
+  return response;
+};
@@ -3,6 +3,7 @@ import type {
   StockSearchRequest,
   AvailableStocksResponse
 } from '../types/portfolio';
+import type { MultiLineIndicatorValue } from '../types/indicators';
 
 export interface WatchlistStock {
   ticker: string;
@@ -116,8 +117,21 @@ export interface IndicatorExplanation {
 }
 
 export interface TechnicalIndicator {
-  type: 'SMA' | 'EMA' | 'RSI' | 'MACD' | 'BOLLINGER';
-  value: IndicatorValue | number | null;
+  type:
+    | 'SMA'
+    | 'EMA'
+    | 'RSI'
+    | 'MACD'
+    | 'BOLLINGER'
+    | 'ATR'
+    | 'STOCHASTIC'
+    | 'ADX'
+    | 'OBV'
+    | 'VWAP'
+    | 'CCI'
+    | 'WILLIAMS_R'
+    | 'MFI';
+  value: IndicatorValue | MultiLineIndicatorValue | number | null;
   signal: 'buy' | 'sell' | 'hold';
   strength: number; // 0-1
   params: Record<string, any>;
@@ -140,6 +154,14 @@ export interface StockIndicatorsResponse {
     RSI?: TechnicalIndicator;
     MACD?: TechnicalIndicator;
     BOLLINGER?: TechnicalIndicator;
+    ATR?: TechnicalIndicator;
+    STOCHASTIC?: TechnicalIndicator;
+    ADX?: TechnicalIndicator;
+    OBV?: TechnicalIndicator;
+    VWAP?: TechnicalIndicator;
+    CCI?: TechnicalIndicator;
+    WILLIAMS_R?: TechnicalIndicator;
+    MFI?: TechnicalIndicator;
   };
   timestamp: string;
 }
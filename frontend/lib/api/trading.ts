@@ -40,18 +40,30 @@ export const getWalletSummary = async (userId: string): Promise<WalletSummary> =
 
 /**
  * Buy stock
+ * Create idempotencyKey once per order and send it again on retries so the trade isn't placed twice
  */
-export const buyStock = async (data: BuyStockRequest): Promise<TradeResponse> => {
-  const response = await post<any>('/wallet/buy', data);
+export const buyStock = async (
+  data: BuyStockRequest,
+  idempotencyKey: string
+): Promise<TradeResponse> => {
+  const response = await post<any>('/wallet/buy', data, {
+    headers: { 'Idempotency-Key': idempotencyKey },
+  });
   // Backend may wrap response, extract if needed
   return response.wallet ? { wallet: response.wallet, transaction: response.transaction } : response;
 };
 
 /**
  * Sell stock
+ * Create idempotencyKey once per order and send it again on retries so the trade isn't placed twice
  */
-export const sellStock = async (data: SellStockRequest): Promise<TradeResponse> => {
-  const response = await post<any>('/wallet/sell', data);
+export const sellStock = async (
+  data: SellStockRequest,
+  idempotencyKey: string
+): Promise<TradeResponse> => {
+  const response = await post<any>('/wallet/sell', data, {
+    headers: { 'Idempotency-Key': idempotencyKey },
+  });
   // Backend may wrap response, extract if needed
   return response.wallet ? { wallet: response.wallet, transaction: response.transaction } : response;
 };
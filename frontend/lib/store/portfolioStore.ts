@@ -9,7 +9,8 @@ import type {
   CuratedOptionsResponse,
   Signal,
   Strategy,
-  PerformanceMetrics
+  PerformanceMetrics,
+  PortfolioAttributionResponse
 } from '../types/portfolio';
 
 interface PortfolioState {
@@ -18,6 +19,7 @@ interface PortfolioState {
   signals: Signal[];
   strategy: Strategy | null;
   performance: PerformanceMetrics | null;
+  attribution: PortfolioAttributionResponse | null;
   curatedOptions: CuratedOptionsResponse | null;
   lastCuratedResult: CreateCuratedPortfolioResponse | null;
   isLoading: boolean;
@@ -34,6 +36,7 @@ interface PortfolioActions {
   fetchPortfolioSignals: (portfolioId: string) => Promise<void>;
   fetchPortfolioStrategy: (portfolioId: string) => Promise<void>;
   fetchPortfolioPerformance: (portfolioId: string) => Promise<void>;
+  fetchPortfolioAttribution: (portfolioId: string) => Promise<void>;
   clearError: () => void;
   clearLastCuratedResult: () => void;
 }
@@ -47,6 +50,7 @@ export const usePortfolioStore = create<PortfolioStore>((set) => ({
   signals: [],
   strategy: null,
   performance: null,
+  attribution: null,
   curatedOptions: null,
   lastCuratedResult: null,
   isLoading: false,
@@ -230,6 +234,26 @@ export const usePortfolioStore = create<PortfolioStore>((set) => ({
     }
   },
 
+  // Fetch sector and position attribution for a portfolio
+  fetchPortfolioAttribution: async (portfolioId: string) => {
+    set({ isLoading: true, error: null });
+    
+    try {
+      const response = await portfolioApi.getPortfolioAttribution(portfolioId);
+      set({
+        attribution: response,
+        isLoading: false
+      });
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.error || error.message || 'Failed to fetch attribution';
+      set({ 
+        isLoading: false, 
+        error: errorMessage 
+      });
+      throw error;
+    }
+  },
+
   // Clear error
   clearError: () => {
     set({ error: null });
@@ -32,8 +32,8 @@ interface WalletState {
 interface WalletActions {
   fetchWallet: (userId: string) => Promise<void>;
   fetchWalletSummary: (userId: string) => Promise<void>;
-  buyStock: (data: BuyStockRequest) => Promise<void>;
-  sellStock: (data: SellStockRequest) => Promise<void>;
+  buyStock: (data: BuyStockRequest, idempotencyKey: string) => Promise<void>;
+  sellStock: (data: SellStockRequest, idempotencyKey: string) => Promise<void>;
   depositFunds: (data: DepositFundsRequest) => Promise<void>;
   fetchTransactions: (userId: string, filters?: TransactionFilters) => Promise<void>;
   fetchHoldings: (userId: string) => Promise<void>;
@@ -128,11 +128,11 @@ export const useWalletStore = create<WalletStore>((set, get) => ({
   },
 
   // Buy stock
-  buyStock: async (data: BuyStockRequest) => {
+  buyStock: async (data: BuyStockRequest, idempotencyKey: string) => {
     set({ isLoading: true, error: null });
     
     try {
-      const response = await tradingApi.buyStock(data);
+      const response = await tradingApi.buyStock(data, idempotencyKey);
       // Invalidate cache after trade
       set({
         wallet: response.wallet,
@@ -151,11 +151,11 @@ export const useWalletStore = create<WalletStore>((set, get) => ({
   },
 
   // Sell stock
-  sellStock: async (data: SellStockRequest) => {
+  sellStock: async (data: SellStockRequest, idempotencyKey: string) => {
     set({ isLoading: true, error: null });
     
     try {
-      const response = await tradingApi.sellStock(data);
+      const response = await tradingApi.sellStock(data, idempotencyKey);
       // Invalidate cache after trade
       set({
         wallet: response.wallet,
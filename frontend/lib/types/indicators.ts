@@ -0,0 +1,15 @@
+// Stochastic Oscillator: %K and its moving average %D
+export interface StochasticValue {
+  k: number;
+  d: number;
+}
+
+// Average Directional Index with its +DI and -DI lines
+export interface ADXValue {
+  adx: number;
+  plusDI: number;
+  minusDI: number;
+}
+
+// Indicators whose current value has more than one line
+export type MultiLineIndicatorValue = StochasticValue | ADXValue;
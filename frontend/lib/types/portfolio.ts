@@ -199,6 +199,96 @@ export interface PortfolioPerformanceResponse {
   timestamp: string;
 }
 
+export interface PortfolioSnapshot {
+  date: string;
+  totalValue: number;
+  cash: number;
+  positionsValue: number;
+  netFlow: number;
+  dailyReturn: number;
+  cumulativeReturn: number;
+  positions: { ticker: string; quantity: number; price: number; marketValue: number }[];
+  missingPrices: string[];
+}
+
+export interface PortfolioReturns {
+  days: number;
+  startValue: number;
+  endValue: number;
+  netFlows: number;
+  gain: number;
+  timeWeightedReturn: number;
+  timeWeightedAnnualized: number | null;
+  moneyWeightedReturn: number | null;
+  moneyWeightedAnnualized: number | null;
+}
+
+export interface PortfolioHistoryResponse {
+  success: boolean;
+  portfolioId: string;
+  startDate: string | null;
+  endDate: string | null;
+  returns: PortfolioReturns | null;
+  snapshots: PortfolioSnapshot[];
+}
+
+export type AttributionPeriod = 'monthly' | 'quarterly' | 'total';
+
+export interface AttributionEffects {
+  allocation: number;
+  selection: number;
+  interaction: number;
+}
+
+export interface SectorAttribution extends AttributionEffects {
+  sector: string;
+  portfolioWeight: number;
+  benchmarkWeight: number;
+  portfolioReturn?: number | null;
+  benchmarkReturn?: number | null;
+  total: number;
+}
+
+export interface PositionContribution {
+  ticker: string;
+  sector: string;
+  averageWeight?: number;
+  weight?: number;
+  return: number;
+  contribution: number;
+}
+
+export interface AttributionPeriodResult {
+  startDate: string;
+  endDate: string;
+  portfolioReturn: number;
+  benchmarkReturn: number;
+  activeReturn: number;
+  effects: AttributionEffects;
+  sectors: SectorAttribution[];
+  positions: PositionContribution[];
+}
+
+export interface PortfolioAttributionResponse {
+  success: boolean;
+  portfolioId: string;
+  period: AttributionPeriod;
+  startDate: string;
+  endDate: string;
+  holdingsSource: 'snapshots' | 'current';
+  benchmark: {
+    label: string;
+    tickers: string[];
+  };
+  portfolioReturn: number;
+  benchmarkReturn: number;
+  activeReturn: number;
+  effects: AttributionEffects;
+  sectors: SectorAttribution[];
+  positions: PositionContribution[];
+  periods: AttributionPeriodResult[];
+}
+
 export interface StockSearchRequest {
   tickers: string[];
 }
@@ -218,3 +308,68 @@ export interface AvailableStocksResponse {
   count: number;
 }
 
+
+export type CoupledTradeMethod = 'pairs' | 'beta_hedging';
+export type CoupledTradeSignal = 'enter' | 'exit' | 'stop' | 'hold';
+
+export interface CoupledTradeRequest {
+  portfolioId: string;
+  method?: CoupledTradeMethod;
+  lookbackBars?: number;
+  entryZScore?: number;
+  exitZScore?: number;
+  stopZScore?: number;
+}
+
+export interface CoupledTradeLeg {
+  ticker: string;
+  side: 'long' | 'short';
+  shares: number;
+  price: number;
+  weight: number;
+}
+
+export interface CoupledTradeBand {
+  zScore: number;
+  upper: number;
+  lower: number;
+}
+
+export interface CoupledTradeCointegration {
+  statistic: number;
+  criticalValues: { [level: string]: number };
+  confidence: '99%' | '95%' | '90%' | null;
+  isCointegrated: boolean;
+}
+
+export interface CoupledTradeCandidate {
+  tickers: [string, string];
+  correlation: number;
+  cointegration: CoupledTradeCointegration;
+  hedgeRatio: number;
+  zScore: number;
+  signal: CoupledTradeSignal;
+  riskScore: number;
+}
+
+export interface CoupledTradeResponse extends CoupledTradeCandidate {
+  portfolioId: string;
+  method: CoupledTradeMethod;
+  asOf: string;
+  observations: number;
+  beta?: number;
+  halfLife: number | null;
+  spread: {
+    current: number;
+    mean: number;
+    stdDev: number;
+  };
+  thresholds: {
+    entry: CoupledTradeBand;
+    exit: CoupledTradeBand;
+    stop: CoupledTradeBand;
+  };
+  legs: CoupledTradeLeg[];
+  candidates: CoupledTradeCandidate[];
+  timestamp: string;
+}
@@ -25,6 +25,7 @@ export interface Transaction {
   ticker?: string;
   quantity?: number;
   price?: number;
+  notional?: number | null;
   subtotal?: number;
   commission: number;
   fees: number;
@@ -55,14 +56,16 @@ export interface Holding {
 export interface BuyStockRequest {
   userId: string;
   ticker: string;
-  quantity: number;
+  quantity?: number; // Shares, fractional allowed; omit when sending notional
+  notional?: number; // Dollar amount to trade instead of a quantity
   portfolioId?: string;
 }
 
 export interface SellStockRequest {
   userId: string;
   ticker: string;
-  quantity: number;
+  quantity?: number; // Shares, fractional allowed; omit when sending notional
+  notional?: number; // Dollar amount to trade instead of a quantity
   portfolioId?: string;
 }
 
@@ -0,0 +1,181 @@
+/**
+ * Client-side indicator calculations for the learn page's interactive calculator.
+ * They follow the backend's IndicatorService; bars without highs, lows or volume
+ * fall back to the close (and zero volume).
+ */
+
+export interface IndicatorBars {
+  closes: number[];
+  highs?: number[];
+  lows?: number[];
+  volumes?: number[];
+}
+
+const highAt = (bars: IndicatorBars, i: number) => bars.highs?.[i] ?? bars.closes[i];
+const lowAt = (bars: IndicatorBars, i: number) => bars.lows?.[i] ?? bars.closes[i];
+const volumeAt = (bars: IndicatorBars, i: number) => bars.volumes?.[i] ?? 0;
+const typicalAt = (bars: IndicatorBars, i: number) => (highAt(bars, i) + lowAt(bars, i) + bars.closes[i]) / 3;
+
+const mean = (values: number[]) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const rollingMean = (values: number[], window: number) => {
+  const result: number[] = [];
+  for (let i = window - 1; i < values.length; i++) {
+    result.push(mean(values.slice(i - window + 1, i + 1)));
+  }
+  return result;
+};
+
+/**
+ * Wilder smoothing, seeded with the mean of the first window values
+ */
+const wilderSmooth = (values: number[], window: number) => {
+  if (values.length < window) return [];
+  const smoothed = [mean(values.slice(0, window))];
+  for (let i = window; i < values.length; i++) {
+    smoothed.push((smoothed[smoothed.length - 1] * (window - 1) + values[i]) / window);
+  }
+  return smoothed;
+};
+
+const trueRange = (bars: IndicatorBars, i: number) => {
+  const previousClose = bars.closes[i - 1];
+  return Math.max(
+    highAt(bars, i) - lowAt(bars, i),
+    Math.abs(highAt(bars, i) - previousClose),
+    Math.abs(lowAt(bars, i) - previousClose)
+  );
+};
+
+/**
+ * Average True Range: Wilder-smoothed true range
+ */
+export const calculateATR = (bars: IndicatorBars, window: number) => {
+  const ranges: number[] = [];
+  for (let i = 1; i < bars.closes.length; i++) {
+    ranges.push(trueRange(bars, i));
+  }
+  return wilderSmooth(ranges, window);
+};
+
+/**
+ * Stochastic Oscillator: %K and its dPeriod-day average %D
+ */
+export const calculateStochastic = (bars: IndicatorBars, kPeriod: number, dPeriod: number) => {
+  const k: number[] = [];
+  for (let i = kPeriod - 1; i < bars.closes.length; i++) {
+    const indexes = Array.from({ length: kPeriod }, (_, j) => i - kPeriod + 1 + j);
+    const highest = Math.max(...indexes.map(j => highAt(bars, j)));
+    const lowest = Math.min(...indexes.map(j => lowAt(bars, j)));
+    k.push(highest === lowest ? 50 : (100 * (bars.closes[i] - lowest)) / (highest - lowest));
+  }
+  return { k, d: rollingMean(k, dPeriod) };
+};
+
+/**
+ * Average Directional Index with its +DI and -DI lines
+ */
+export const calculateADX = (bars: IndicatorBars, window: number) => {
+  const ranges: number[] = [];
+  const plusMoves: number[] = [];
+  const minusMoves: number[] = [];
+  for (let i = 1; i < bars.closes.length; i++) {
+    const upMove = highAt(bars, i) - highAt(bars, i - 1);
+    const downMove = lowAt(bars, i - 1) - lowAt(bars, i);
+    ranges.push(trueRange(bars, i));
+    plusMoves.push(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusMoves.push(downMove > upMove && downMove > 0 ? downMove : 0);
+  }
+
+  const atr = wilderSmooth(ranges, window);
+  const plusDM = wilderSmooth(plusMoves, window);
+  const minusDM = wilderSmooth(minusMoves, window);
+  const plusDI = atr.map((range, i) => (range === 0 ? 0 : (100 * plusDM[i]) / range));
+  const minusDI = atr.map((range, i) => (range === 0 ? 0 : (100 * minusDM[i]) / range));
+  const dx = plusDI.map((plus, i) => {
+    const sum = plus + minusDI[i];
+    return sum === 0 ? 0 : (100 * Math.abs(plus - minusDI[i])) / sum;
+  });
+
+  return { adx: wilderSmooth(dx, window), plusDI, minusDI };
+};
+
+/**
+ * On-Balance Volume: running total of volume, signed by the day's close change
+ */
+export const calculateOBV = (bars: IndicatorBars) => {
+  const obv = [0];
+  for (let i = 1; i < bars.closes.length; i++) {
+    const change = bars.closes[i] - bars.closes[i - 1];
+    const volume = volumeAt(bars, i);
+    obv.push(obv[i - 1] + (change > 0 ? volume : change < 0 ? -volume : 0));
+  }
+  return obv;
+};
+
+/**
+ * Rolling Volume-Weighted Average Price of the typical price
+ */
+export const calculateVWAP = (bars: IndicatorBars, window: number) => {
+  const vwap: number[] = [];
+  for (let i = window - 1; i < bars.closes.length; i++) {
+    const indexes = Array.from({ length: window }, (_, j) => i - window + 1 + j);
+    const volume = indexes.reduce((sum, j) => sum + volumeAt(bars, j), 0);
+    vwap.push(volume > 0
+      ? indexes.reduce((sum, j) => sum + typicalAt(bars, j) * volumeAt(bars, j), 0) / volume
+      : mean(indexes.map(j => typicalAt(bars, j))));
+  }
+  return vwap;
+};
+
+/**
+ * Commodity Channel Index: typical price's distance from its average in mean deviations
+ */
+export const calculateCCI = (bars: IndicatorBars, window: number) => {
+  const typical = bars.closes.map((_, i) => typicalAt(bars, i));
+  const cci: number[] = [];
+  for (let i = window - 1; i < typical.length; i++) {
+    const values = typical.slice(i - window + 1, i + 1);
+    const average = mean(values);
+    const meanDeviation = mean(values.map(tp => Math.abs(tp - average)));
+    cci.push(meanDeviation === 0 ? 0 : (typical[i] - average) / (0.015 * meanDeviation));
+  }
+  return cci;
+};
+
+/**
+ * Williams %R: close relative to the window's high, 0 (at the high) to -100 (at the low)
+ */
+export const calculateWilliamsR = (bars: IndicatorBars, window: number) => {
+  const values: number[] = [];
+  for (let i = window - 1; i < bars.closes.length; i++) {
+    const indexes = Array.from({ length: window }, (_, j) => i - window + 1 + j);
+    const highest = Math.max(...indexes.map(j => highAt(bars, j)));
+    const lowest = Math.min(...indexes.map(j => lowAt(bars, j)));
+    values.push(highest === lowest ? -50 : (-100 * (highest - bars.closes[i])) / (highest - lowest));
+  }
+  return values;
+};
+
+/**
+ * Money Flow Index: volume-weighted RSI of the typical price
+ */
+export const calculateMFI = (bars: IndicatorBars, window: number) => {
+  const positive: number[] = [];
+  const negative: number[] = [];
+  for (let i = 1; i < bars.closes.length; i++) {
+    const typical = typicalAt(bars, i);
+    const previous = typicalAt(bars, i - 1);
+    const flow = typical * volumeAt(bars, i);
+    positive.push(typical > previous ? flow : 0);
+    negative.push(typical < previous ? flow : 0);
+  }
+
+  const mfi: number[] = [];
+  for (let i = window - 1; i < positive.length; i++) {
+    const gained = positive.slice(i - window + 1, i + 1).reduce((a, b) => a + b, 0);
+    const lost = negative.slice(i - window + 1, i + 1).reduce((a, b) => a + b, 0);
+    mfi.push(lost === 0 ? (gained === 0 ? 50 : 100) : 100 - 100 / (1 + gained / lost));
+  }
+  return mfi;
+};
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Migrate Wallet Totals Script
+ * Wallets used to keep sale proceeds in totalWithdrawn and user withdrawals in totalWithdrawals.
+ * Moves sale proceeds to totalSaleProceeds and withdrawals to totalWithdrawn.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const WalletModel = require('../src/db/models/WalletModel');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/horizontrader';
+
+async function migrateWallets() {
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Wallets without totalSaleProceeds have not been migrated yet
+    const result = await WalletModel.collection.updateMany(
+      { totalSaleProceeds: { $exists: false } },
+      [
+        {
+          $set: {
+            totalSaleProceeds: { $ifNull: ['$totalWithdrawn', 0] },
+            totalWithdrawn: { $ifNull: ['$totalWithdrawals', 0] }
+          }
+        },
+        { $unset: 'totalWithdrawals' }
+      ]
+    );
+
+    console.log(`\n✅ Migrated ${result.modifiedCount} wallet(s)`);
+    console.log('✅ Done!');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+migrateWallets();
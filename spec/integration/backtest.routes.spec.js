@@ -0,0 +1,160 @@
+/**
+ * Integration Tests for Backtest History Routes
+ * Tests saved-session endpoints using supertest
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const DBService = require('../../src/db/dbService');
+const AuthService = require('../../src/services/AuthService');
+
+describe('Backtest History Routes Integration Tests', () => {
+  const runId = Date.now();
+  const ownerId = `backtest_owner_${runId}`;
+  const otherId = `backtest_other_${runId}`;
+  const ownerToken = AuthService.generateToken(ownerId, 'Owner');
+  const otherToken = AuthService.generateToken(otherId, 'Other');
+
+  const saveSession = (sessionId, userId, createdAt) => DBService.saveBacktestSession(sessionId, {
+    userId,
+    type: 'stock',
+    portfolioId: 'single_stock',
+    ticker: 'AAPL',
+    startDate: '2023-01-03',
+    endDate: '2023-12-29',
+    strategy: 'trend_following',
+    status: 'completed',
+    metrics: { totalReturn: 12.5, sharpeRatio: 1.1, totalTrades: 1 },
+    trades: [
+      { date: '2023-02-01', type: 'BUY', price: 145, quantity: 10, value: 1450 },
+      { date: '2023-06-01', type: 'SELL', price: 180, quantity: 10, value: 1800, profitLoss: 350, reason: 'Strategy signal' }
+    ],
+    equityCurve: [{ date: '2023-01-03', value: 10000, drawdown: 0 }],
+    createdAt
+  });
+
+  beforeAll(async () => {
+    await saveSession(`bt_${runId}_1`, ownerId, new Date('2024-01-01'));
+    await saveSession(`bt_${runId}_2`, ownerId, new Date('2024-02-01'));
+    await saveSession(`bt_${runId}_3`, ownerId, new Date('2024-03-01'));
+    await saveSession(`bt_${runId}_other`, otherId, new Date('2024-03-01'));
+  });
+
+  describe('GET /backtest/history', () => {
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/backtest/history')
+        .expect(401);
+    });
+
+    it('should page through the user\'s sessions newest first without trades', async () => {
+      const response = await request(app)
+        .get('/backtest/history?limit=2')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(3);
+      expect(response.body.sessions.map(s => s.sessionId)).toEqual([`bt_${runId}_3`, `bt_${runId}_2`]);
+      expect(response.body.hasMore).toBe(true);
+      expect(response.body.sessions[0].trades).toBeUndefined();
+
+      const next = await request(app)
+        .get('/backtest/history?limit=2&skip=2')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(next.body.sessions.map(s => s.sessionId)).toEqual([`bt_${runId}_1`]);
+      expect(next.body.hasMore).toBe(false);
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      await request(app)
+        .get('/backtest/history?limit=0')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /backtest/optimize', () => {
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/backtest/optimize')
+        .send({ ticker: 'AAPL', startDate: '2023-01-03', endDate: '2023-12-29', initialCapital: 10000, strategy: 'trend_following' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /backtest/compare', () => {
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/backtest/compare')
+        .send({ ticker: 'AAPL', startDate: '2023-01-03', endDate: '2023-12-29', initialCapital: 10000 })
+        .expect(401);
+    });
+  });
+
+  describe('POST /backtest/portfolio', () => {
+    it('should reject single-stock sizing and exit rules', async () => {
+      const base = { curatedPortfolioId: 'tech_growth', startDate: '2023-01-03', endDate: '2023-12-29', initialCapital: 10000 };
+
+      await request(app)
+        .post('/backtest/portfolio')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...base, sizing: { mode: 'fixed_dollar', amount: 1000 } })
+        .expect(400);
+
+      await request(app)
+        .post('/backtest/portfolio')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...base, exitRules: { stopLossPercent: 5 } })
+        .expect(400);
+    });
+  });
+
+  describe('GET /backtest/:sessionId', () => {
+    it('should return the full session to its owner', async () => {
+      const response = await request(app)
+        .get(`/backtest/bt_${runId}_1`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.session.trades.length).toBe(2);
+      expect(response.body.session.trades[1].reason).toBe('Strategy signal');
+      expect(response.body.session.equityCurve.length).toBe(1);
+    });
+
+    it('should hide another user\'s session', async () => {
+      await request(app)
+        .get(`/backtest/bt_${runId}_1`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      await request(app)
+        .get(`/backtest/bt_${runId}_missing`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /backtest/:sessionId', () => {
+    it('should not let another user delete the session', async () => {
+      await request(app)
+        .delete(`/backtest/bt_${runId}_2`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it('should delete the owner\'s session', async () => {
+      await request(app)
+        .delete(`/backtest/bt_${runId}_2`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/backtest/bt_${runId}_2`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+    });
+  });
+});
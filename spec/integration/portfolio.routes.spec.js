@@ -6,6 +6,10 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const DBService = require('../../src/db/dbService');
+const AuthService = require('../../src/services/AuthService');
+const RebalanceService = require('../../src/services/RebalanceService');
+const RiskService = require('../../src/services/RiskService');
+const StressTestService = require('../../src/services/StressTestService');
 
 describe('Portfolio Routes Integration Tests', () => {
   let testUserId;
@@ -121,6 +125,50 @@ describe('Portfolio Routes Integration Tests', () => {
     });
   });
 
+  describe('paper trading', () => {
+    it('should require authentication to read or change a session', async () => {
+      await request(app).get('/portfolio/portfolio_123/paper-trading').expect(401);
+      await request(app).post('/portfolio/portfolio_123/paper-trading/start').send({}).expect(401);
+      await request(app).post('/portfolio/portfolio_123/paper-trading/pause').expect(401);
+      await request(app).post('/portfolio/portfolio_123/paper-trading/stop').expect(401);
+    });
+  });
+
+  describe('portfolio analytics', () => {
+    const ownerId = `analytics_owner_${Date.now()}`;
+    const token = AuthService.generateToken(ownerId, 'Owner');
+
+    beforeEach(() => {
+      spyOn(console, 'error');
+      spyOn(RebalanceService.prototype, 'getPortfolio').and.resolveTo({
+        portfolioId: 'portfolio_analytics',
+        userId: ownerId,
+        positions: [{ ticker: 'ZZZZ', quantity: 10 }]
+      });
+    });
+
+    it('should answer 409 when holdings lack enough price history', async () => {
+      spyOn(RiskService.prototype, 'analyze').and.rejectWith(new Error('Need at least 30 overlapping daily returns, found 4'));
+
+      const response = await request(app)
+        .get('/portfolio/portfolio_analytics/risk')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+
+      expect(response.body.error).toContain('Need at least 30');
+    });
+
+    it('should answer 409 when a holding has no price history', async () => {
+      spyOn(StressTestService.prototype, 'run').and.rejectWith(new Error('No price history in database for: ZZZZ'));
+
+      await request(app)
+        .post('/portfolio/portfolio_analytics/stress')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(409);
+    });
+  });
+
   describe('GET /portfolio/:id/strategy', () => {
     it('should return strategy recommendation for valid portfolio', async () => {
       if (!testPortfolioId) {
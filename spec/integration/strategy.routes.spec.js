@@ -0,0 +1,125 @@
+/**
+ * Integration Tests for Strategy Routes
+ * Tests custom rule strategy CRUD using supertest
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const AuthService = require('../../src/services/AuthService');
+
+describe('Strategy Routes Integration Tests', () => {
+  const runId = Date.now();
+  const ownerToken = AuthService.generateToken(`strategy_owner_${runId}`, 'Owner');
+  const otherToken = AuthService.generateToken(`strategy_other_${runId}`, 'Other');
+  let strategyId;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/strategies')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({
+        name: 'Golden Cross',
+        entryRule: 'SMA(50) CROSSES_ABOVE SMA(200)',
+        exitRule: 'PRICE < SMA(200)',
+        frequency: 'daily'
+      })
+      .expect(201);
+
+    strategyId = response.body.strategy.strategyId;
+  });
+
+  describe('POST /strategies', () => {
+    it('should save the rules with the indicators they use', async () => {
+      const response = await request(app)
+        .get(`/strategies/${strategyId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(strategyId).toMatch(/^custom_/);
+      expect(response.body.strategy.entryRule).toBe('SMA(50) CROSSES_ABOVE SMA(200)');
+      expect(response.body.strategy.indicators).toEqual([
+        { type: 'SMA', params: { window: 50 } },
+        { type: 'SMA', params: { window: 200 } }
+      ]);
+    });
+
+    it('should return 400 with the position of a rule error', async () => {
+      const response = await request(app)
+        .post('/strategies')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Broken', entryRule: 'PRICE > SMA(50', exitRule: 'PRICE < SMA(50)' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Invalid rule at position \d+: Expected '\)'/);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/strategies')
+        .send({ name: 'Anonymous', entryRule: 'PRICE > 1', exitRule: 'PRICE < 1' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /strategies', () => {
+    it('should list presets and only the user\'s own custom strategies', async () => {
+      const owner = await request(app)
+        .get('/strategies')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      const other = await request(app)
+        .get('/strategies')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(owner.body.presets.map(s => s.key)).toContain('trend_following');
+      expect(owner.body.custom.map(s => s.strategyId)).toEqual([strategyId]);
+      expect(other.body.custom).toEqual([]);
+    });
+  });
+
+  describe('PUT /strategies/:strategyId', () => {
+    it('should re-validate and save updated rules', async () => {
+      const response = await request(app)
+        .put(`/strategies/${strategyId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ exitRule: 'RSI(14) > 70' })
+        .expect(200);
+
+      expect(response.body.strategy.exitRule).toBe('RSI(14) > 70');
+      expect(response.body.strategy.indicators.map(i => i.type)).toEqual(['SMA', 'SMA', 'RSI']);
+    });
+
+    it('should not let another user edit the strategy', async () => {
+      await request(app)
+        .put(`/strategies/${strategyId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'Mine now' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /backtest/run with a custom strategy', () => {
+    it('should not let another user backtest the strategy', async () => {
+      await request(app)
+        .post('/backtest/run')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ ticker: 'AAPL', startDate: '2023-01-01', endDate: '2023-12-31', initialCapital: 10000, strategy: strategyId })
+        .expect(403);
+    });
+  });
+
+  describe('DELETE /strategies/:strategyId', () => {
+    it('should delete the owner\'s strategy', async () => {
+      await request(app)
+        .delete(`/strategies/${strategyId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/strategies/${strategyId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for covariance-based portfolio allocation
+ */
+
+const AllocationService = require('../../src/services/AllocationService');
+const PriceDataModel = require('../../src/db/models/PriceDataModel');
+
+describe('AllocationService', () => {
+  let service;
+
+  // Deterministic closes for three assets with low, medium and high volatility and a shared market factor
+  const buildCloses = (bars = 253) => {
+    let seed = 7;
+    const noise = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 - 0.5;
+    };
+    const assets = { LOW: [0.0002, 0.01], MID: [0.0006, 0.02], HIGH: [0.0012, 0.04] };
+
+    const dates = [];
+    const closes = new Map(Object.keys(assets).map(ticker => [ticker, [100]]));
+    for (let i = 0; i < bars; i++) {
+      const day = new Date(Date.UTC(2023, 0, 1 + i));
+      dates.push(day.toISOString().split('T')[0]);
+      if (i === 0) {
+        continue;
+      }
+      const market = noise() * 0.01;
+      for (const [ticker, [drift, vol]] of Object.entries(assets)) {
+        const series = closes.get(ticker);
+        series.push(series[series.length - 1] * (1 + drift + market + noise() * vol * 3));
+      }
+    }
+    return { dates, closes };
+  };
+
+  const total = (weights) => Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  beforeEach(() => {
+    service = new AllocationService({ maxWeight: 0.6, minBars: 60, riskFreeRate: 0.02, frontierPoints: 10 });
+  });
+
+  describe('optimize', () => {
+    ['equal_weight', 'min_variance', 'max_sharpe', 'risk_parity', 'inverse_volatility'].forEach(method => {
+      it(`should give fully invested, capped ${method} weights`, () => {
+        const result = service.optimize(buildCloses(), { method, maxWeight: 0.5 });
+
+        expect(total(result.weights)).toBeCloseTo(1, 6);
+        Object.values(result.weights).forEach(w => {
+          expect(w).toBeGreaterThanOrEqual(0);
+          expect(w).toBeLessThanOrEqual(0.5 + 1e-9);
+        });
+      });
+    });
+
+    it('should lower volatility below equal weight for minimum variance', () => {
+      const equal = service.optimize(buildCloses(), { method: 'equal_weight' });
+      const minVariance = service.optimize(buildCloses(), { method: 'min_variance' });
+
+      expect(minVariance.volatility).toBeLessThan(equal.volatility);
+      expect(minVariance.weights.LOW).toBeGreaterThan(minVariance.weights.HIGH);
+    });
+
+    it('should pick a maximum-Sharpe portfolio no frontier point beats', () => {
+      const result = service.optimize(buildCloses(), { method: 'max_sharpe' });
+
+      result.frontier.forEach(point => {
+        expect(result.sharpeRatio).toBeGreaterThanOrEqual(point.sharpeRatio - 1e-9);
+      });
+    });
+
+    it('should equalize risk contributions for risk parity', () => {
+      const result = service.optimize(buildCloses(), { method: 'risk_parity', maxWeight: 1 });
+
+      result.tickers.forEach(t => expect(t.riskContribution).toBeCloseTo(1 / 3, 3));
+    });
+
+    it('should weight inversely to volatility', () => {
+      const result = service.optimize(buildCloses(), { method: 'inverse_volatility', maxWeight: 1 });
+      const [low, mid] = result.tickers;
+
+      expect(low.weight / mid.weight).toBeCloseTo(mid.volatility / low.volatility, 6);
+    });
+
+    it('should return frontier points rising in both risk and return', () => {
+      const { frontier } = service.optimize(buildCloses());
+
+      expect(frontier.length).toBeGreaterThan(1);
+      expect(frontier.length).toBeLessThanOrEqual(10);
+      for (let i = 1; i < frontier.length; i++) {
+        expect(frontier[i].volatility).toBeGreaterThanOrEqual(frontier[i - 1].volatility);
+        expect(frontier[i].expectedReturn).toBeGreaterThan(frontier[i - 1].expectedReturn);
+      }
+    });
+
+    it('should reject a cap that cannot be met', () => {
+      expect(() => service.optimize(buildCloses(), { method: 'min_variance', maxWeight: 0.3 }))
+        .toThrowError(/30% position cap cannot be met with 3 ticker/);
+    });
+
+    it('should require enough overlapping history', () => {
+      expect(() => service.optimize(buildCloses(30), { method: 'min_variance' }))
+        .toThrowError(/at least 60 overlapping daily returns/);
+    });
+  });
+
+  describe('capWeights', () => {
+    it('should hand the excess over the cap to the other positions pro rata', () => {
+      const weights = AllocationService.capWeights([8, 1, 1], 0.5);
+
+      expect(weights).toEqual([0.5, 0.25, 0.25]);
+    });
+  });
+
+  describe('allocate', () => {
+    it('should estimate from dates every ticker has in PriceDataModel', async () => {
+      const { dates, closes } = buildCloses();
+      const docs = Array.from(closes.entries()).map(([ticker, series]) => ({
+        ticker,
+        data: series.map((close, i) => ({ date: dates[i], close }))
+      }));
+      docs[0].data.push({ date: '2030-01-01', close: 999 }); // Only LOW has this date
+      spyOn(PriceDataModel, 'find').and.resolveTo(docs);
+
+      const result = await service.allocate(['low', 'mid', 'high'], { method: 'min_variance' });
+
+      expect(result.endDate).toBe(dates[dates.length - 1]);
+      expect(result.observations).toBe(dates.length - 1);
+      expect(Object.keys(result.weights)).toEqual(['LOW', 'MID', 'HIGH']);
+    });
+
+    it('should name tickers without stored history', async () => {
+      spyOn(console, 'error');
+      spyOn(PriceDataModel, 'find').and.resolveTo([]);
+
+      await expectAsync(service.allocate(['AAA'])).toBeRejectedWithError(/No price history in database for: AAA/);
+    });
+  });
+});
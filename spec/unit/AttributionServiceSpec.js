@@ -0,0 +1,120 @@
+/**
+ * Unit tests for Brinson performance attribution by sector and position
+ */
+
+const AttributionService = require('../../src/services/AttributionService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+
+describe('AttributionService', () => {
+  let service;
+
+  const series = (points) => ({
+    dates: points.map(([date]) => date),
+    closes: points.map(([, close]) => close)
+  });
+
+  // Two months of prices: AAPL/MSFT are Technology, XOM/CVX Energy
+  const history = () => new Map([
+    ['AAPL', series([['2024-01-31', 100], ['2024-02-15', 105], ['2024-02-29', 110], ['2024-03-28', 121]])],
+    ['MSFT', series([['2024-01-31', 100], ['2024-02-15', 100], ['2024-02-29', 100], ['2024-03-28', 105]])],
+    ['XOM', series([['2024-01-31', 50], ['2024-02-15', 49], ['2024-02-29', 48], ['2024-03-28', 48]])],
+    ['CVX', series([['2024-01-31', 50], ['2024-02-15', 51], ['2024-02-29', 52], ['2024-03-28', 49.4]])]
+  ]);
+
+  const portfolio = (positions, cash = 0) => new PortfolioModel({
+    portfolioId: 'portfolio_attribution',
+    userId: 'attribution_user',
+    horizon: 1,
+    cash,
+    positions
+  });
+
+  beforeEach(() => {
+    service = new AttributionService({ period: 'monthly', lookbackBars: 252, benchmark: 'EQUAL_WEIGHT' });
+    spyOn(service.stressTestService, 'loadHistory').and.resolveTo(history());
+    spyOn(service.benchmarkService, 'resolveTickers').and.resolveTo(['AAPL', 'MSFT', 'XOM', 'CVX']);
+  });
+
+  describe('periodBoundaries', () => {
+    it('should end each period on its last trading day', () => {
+      const calendar = ['2024-01-31', '2024-02-15', '2024-02-29', '2024-03-28'];
+
+      expect(AttributionService.periodBoundaries(calendar, 'monthly')).toEqual(['2024-01-31', '2024-02-29', '2024-03-28']);
+      expect(AttributionService.periodBoundaries(calendar, 'quarterly')).toEqual(['2024-01-31', '2024-03-28']);
+      expect(AttributionService.periodBoundaries(calendar, 'total')).toEqual(['2024-01-31', '2024-03-28']);
+    });
+  });
+
+  describe('brinson', () => {
+    it('should split the active return into allocation, selection and interaction', () => {
+      const portfolio = new Map([['Technology', { weight: 0.8, return: 0.1 }], ['Energy', { weight: 0.2, return: -0.04 }]]);
+      const benchmark = new Map([['Technology', { weight: 0.5, return: 0.05 }], ['Energy', { weight: 0.5, return: 0 }]]);
+
+      const result = AttributionService.brinson(portfolio, benchmark);
+      const tech = result.sectors.find(s => s.sector === 'Technology');
+
+      expect(result.benchmarkReturn).toBeCloseTo(0.025, 12);
+      expect(tech.allocation).toBeCloseTo(0.3 * 0.025, 12);
+      expect(tech.selection).toBeCloseTo(0.5 * 0.05, 12);
+      expect(tech.interaction).toBeCloseTo(0.3 * 0.05, 12);
+      const { allocation, selection, interaction } = result.effects;
+      expect(allocation + selection + interaction).toBeCloseTo(result.portfolioReturn - result.benchmarkReturn, 12);
+    });
+  });
+
+  describe('attribute', () => {
+    it('should link monthly effects so they add up to the compounded active return', async () => {
+      spyOn(service, 'loadSnapshots').and.resolveTo([]);
+
+      const report = await service.attribute(portfolio([{ ticker: 'AAPL', quantity: 10 }, { ticker: 'XOM', quantity: 20 }], 1000));
+
+      expect(report.holdingsSource).toBe('current');
+      expect(report.periods.length).toBe(2);
+      expect(report.portfolioReturn).toBeCloseTo(3170 / 3000 - 1, 12); // Cash 1000, AAPL 1000 -> 1210, XOM 1000 -> 960
+      const { allocation, selection, interaction } = report.effects;
+      expect(allocation + selection + interaction).toBeCloseTo(report.activeReturn, 12);
+      expect(report.sectors.map(s => s.sector)).toContain('Cash');
+      expect(report.positions.reduce((sum, p) => sum + p.contribution, 0)).toBeCloseTo(report.portfolioReturn, 12);
+      expect(report.positions[0].ticker).toBe('AAPL');
+      expect(report.positions[0].return).toBeCloseTo(0.21, 12);
+    });
+
+    it('should hold each period\'s positions from the latest snapshot before it', async () => {
+      spyOn(service, 'loadSnapshots').and.resolveTo([
+        { date: '2024-01-31', cash: 0, positions: [{ ticker: 'MSFT', quantity: 10, marketValue: 1000 }] },
+        { date: '2024-02-29', cash: 0, positions: [{ ticker: 'CVX', quantity: 20, marketValue: 1040 }] }
+      ]);
+
+      const report = await service.attribute(portfolio([]));
+
+      expect(report.holdingsSource).toBe('snapshots');
+      expect(report.periods[0].positions.map(p => p.ticker)).toEqual(['MSFT']);
+      expect(report.periods[1].positions.map(p => p.ticker)).toEqual(['CVX']);
+      expect(report.periods[1].portfolioReturn).toBeCloseTo(-0.05, 12);
+    });
+
+    it('should report tickers without a sector as Unclassified', async () => {
+      spyOn(service, 'loadSnapshots').and.resolveTo([]);
+      service.stressTestService.loadHistory.and.resolveTo(new Map([
+        ...history(),
+        ['ZZZ', series([['2024-01-31', 10], ['2024-02-15', 10], ['2024-02-29', 11], ['2024-03-28', 12]])]
+      ]));
+
+      const report = await service.attribute(portfolio([{ ticker: 'AAPL', quantity: 10 }, { ticker: 'ZZZ', quantity: 100 }]));
+
+      expect(report.positions.find(p => p.ticker === 'ZZZ').sector).toBe('Unclassified');
+      const bySector = Object.fromEntries(report.sectors.map(s => [s.sector, s]));
+      expect(bySector.Technology.portfolioWeight).toBeCloseTo(0.5, 12);
+      expect(bySector.Unclassified.portfolioWeight).toBeCloseTo(0.5, 12);
+      expect(bySector.Unclassified.benchmarkWeight).toBe(0);
+    });
+
+    it('should require price history for held tickers', async () => {
+      spyOn(console, 'error');
+      spyOn(service, 'loadSnapshots').and.resolveTo([]);
+
+      await expectAsync(service.attribute(portfolio([{ ticker: 'ZZZ', quantity: 1 }])))
+        .toBeRejectedWithError('No price history in database for: ZZZ');
+    });
+  });
+});
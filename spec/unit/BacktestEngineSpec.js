@@ -0,0 +1,276 @@
+/**
+ * Unit tests for BacktestEngine benchmark comparison, trading costs, exit rules and rule strategies
+ */
+
+const BacktestEngine = require('../../src/services/BacktestEngine');
+const { CostModel, PositionSizer } = require('../../src/services/ExecutionModelService');
+const StrategyService = require('../../src/services/StrategyService');
+const { IndicatorService } = require('../../src/services/IndicatorService');
+const Strategy = require('../../src/models/Strategy');
+
+describe('BacktestEngine', () => {
+  let engine;
+
+  const createEngine = (benchmarkSeries) => new BacktestEngine({
+    ticker: 'AAPL',
+    priceData: [],
+    strategyKey: 'trend_following',
+    initialCapital: 10000,
+    benchmark: benchmarkSeries ? { label: 'SPY', series: benchmarkSeries } : undefined
+  });
+
+  describe('compareToBenchmark', () => {
+    beforeEach(() => {
+      engine = createEngine([
+        { date: '2024-01-01', close: 100 },
+        { date: '2024-01-02', close: 110 },
+        { date: '2024-01-04', close: 99 }
+      ]);
+      // Strategy moves exactly twice as much as the benchmark each day
+      engine.dailyPortfolioValues = [
+        { date: '2024-01-01', value: 10000 },
+        { date: '2024-01-02', value: 12000 },
+        { date: '2024-01-03', value: 12000 }, // benchmark has no bar: forward-filled
+        { date: '2024-01-04', value: 9600 }
+      ];
+    });
+
+    it('should return nothing when no benchmark is configured', () => {
+      engine = createEngine(null);
+      expect(engine.compareToBenchmark({ totalReturn: 0 })).toEqual({});
+    });
+
+    it('should build a buy-and-hold benchmark equity curve on the simulation dates', () => {
+      const { benchmarkEquityCurve } = engine.compareToBenchmark({ totalReturn: -4 });
+
+      expect(benchmarkEquityCurve.map(p => p.date)).toEqual(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04']);
+      expect(benchmarkEquityCurve[1].value).toBeCloseTo(11000, 6);
+      expect(benchmarkEquityCurve[2].value).toBeCloseTo(11000, 6);
+      expect(benchmarkEquityCurve[3].value).toBeCloseTo(9900, 6);
+    });
+
+    it('should report benchmark return, excess return and beta', () => {
+      const { benchmark } = engine.compareToBenchmark({ totalReturn: -4 });
+
+      expect(benchmark.label).toBe('SPY');
+      expect(benchmark.benchmarkReturn).toBeCloseTo(-1, 6);
+      expect(benchmark.excessReturn).toBeCloseTo(-3, 6);
+      expect(benchmark.beta).toBeCloseTo(2, 6);
+      expect(benchmark.alpha).toBeCloseTo(0, 6);
+      expect(benchmark.trackingError).toBeGreaterThan(0);
+      expect(typeof benchmark.informationRatio).toBe('number');
+    });
+
+    it('should report zero tracking error when the strategy matches the benchmark', () => {
+      engine.dailyPortfolioValues = [
+        { date: '2024-01-01', value: 10000 },
+        { date: '2024-01-02', value: 11000 },
+        { date: '2024-01-04', value: 9900 }
+      ];
+      const { benchmark } = engine.compareToBenchmark({ totalReturn: -1 });
+
+      expect(benchmark.beta).toBeCloseTo(1, 6);
+      expect(benchmark.trackingError).toBeCloseTo(0, 6);
+      expect(benchmark.informationRatio).toBe(0);
+    });
+  });
+
+  describe('trading costs', () => {
+    beforeEach(() => {
+      spyOn(console, 'log');
+      engine = new BacktestEngine({
+        ticker: 'AAPL',
+        priceData: [],
+        strategyKey: 'trend_following',
+        initialCapital: 10000,
+        costModel: new CostModel({
+          commission: { model: 'per_share', rate: 0.01, minimum: 1 },
+          slippage: { model: 'fixed', bps: 100 }
+        }),
+        positionSizer: new PositionSizer({ mode: 'fixed_dollar', amount: 5000 })
+      });
+    });
+
+    it('should fit the sized position into cash after slippage and commission', () => {
+      engine.executeBuy('2024-01-02', 100);
+
+      // 5000 / 101 -> 49 shares; 49 * 101 + $1 minimum commission fits
+      const [buy] = engine.trades;
+      expect(buy.quantity).toBe(49);
+      expect(buy.price).toBeCloseTo(101, 10);
+      expect(buy.marketPrice).toBe(100);
+      expect(buy.commission).toBe(1);
+      expect(engine.cash).toBeCloseTo(10000 - 49 * 101 - 1, 10);
+    });
+
+    it('should report round-trip profit net of costs and total them in the metrics', () => {
+      engine.executeBuy('2024-01-02', 100);
+      engine.executeSell('2024-01-03', 110, 'Strategy signal');
+
+      const sell = engine.trades[1];
+      expect(sell.price).toBeCloseTo(108.9, 10);
+      expect(sell.profitLoss).toBeCloseTo((108.9 - 101) * 49 - 2, 10);
+
+      const costs = engine.calculateTradingCosts();
+      expect(costs.totalCommission).toBe(2);
+      expect(costs.totalSlippage).toBeCloseTo(49 * 1 + 49 * 1.1, 10);
+    });
+  });
+
+  describe('quiet', () => {
+    const createEngine = (quiet) => new BacktestEngine({
+      ticker: 'AAPL',
+      priceData: [],
+      strategyKey: 'trend_following',
+      initialCapital: 10000,
+      quiet
+    });
+
+    beforeEach(() => {
+      spyOn(console, 'log');
+    });
+
+    it('should log each trade by default', () => {
+      const loud = createEngine();
+      loud.executeBuy('2024-01-02', 100);
+      loud.executeSell('2024-01-03', 110, 'Strategy signal');
+
+      expect(console.log).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not log trades when quiet', () => {
+      const quiet = createEngine(true);
+      quiet.executeBuy('2024-01-02', 100);
+      quiet.executeSell('2024-01-03', 110, 'Strategy signal');
+
+      expect(quiet.trades.length).toBe(2);
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exit rules', () => {
+    const bar = (date, open, high, low, close) => ({ date, open, high, low, close, volume: 1000 });
+
+    // Strategy buys on the first bar and never sells
+    const createScriptedEngine = (priceData, exitRules) => {
+      const scripted = new BacktestEngine({
+        ticker: 'AAPL',
+        priceData,
+        strategyKey: 'trend_following',
+        initialCapital: 10000,
+        exitRules
+      });
+      scripted.getStrategySignal = (history) => (history.length === 1 ? 'buy' : 'hold');
+      return scripted;
+    };
+
+    beforeEach(() => {
+      spyOn(console, 'log');
+    });
+
+    it('should close the position intraday and record the triggering rule', () => {
+      engine = createScriptedEngine([
+        bar('2024-01-01', 100, 100, 100, 100),
+        bar('2024-01-02', 100, 104, 97, 103),
+        bar('2024-01-03', 101, 101, 88, 90),
+        bar('2024-01-04', 90, 91, 60, 62)
+      ], { stopLossPercent: 10 });
+
+      for (let i = 0; i < engine.priceData.length; i++) {
+        engine.simulateDay(i);
+      }
+
+      const sell = engine.trades.find(t => t.type === 'SELL');
+      expect(sell.date).toBe('2024-01-03');
+      expect(sell.price).toBe(90);
+      expect(sell.reason).toBe('Stop-loss (-10%)');
+      expect(engine.shares).toBe(0);
+    });
+
+    it('should hold through the drawdown without exit rules', () => {
+      engine = createScriptedEngine([
+        bar('2024-01-01', 100, 100, 100, 100),
+        bar('2024-01-02', 100, 104, 97, 103),
+        bar('2024-01-03', 101, 101, 88, 90),
+        bar('2024-01-04', 90, 91, 60, 62)
+      ]);
+
+      for (let i = 0; i < engine.priceData.length; i++) {
+        engine.simulateDay(i);
+      }
+
+      expect(engine.trades.some(t => t.type === 'SELL')).toBe(false);
+      expect(engine.shares).toBeGreaterThan(0);
+    });
+  });
+
+  describe('indicator votes', () => {
+    const smaPair = (tuned) => new Strategy('SMA pair', [
+      { type: 'SMA', params: { window: 50 }, ...(tuned && { tuned: true }) },
+      { type: 'SMA', params: { window: 200 } }
+    ]);
+
+    beforeEach(() => {
+      engine = createEngine(null);
+      spyOn(IndicatorService, 'createIndicator').and.callFake((type, params) => ({
+        compute: () => [],
+        getAllSignals: () => [params.window === 50 ? 'buy' : 'sell'],
+        getMetadata: () => ({ type })
+      }));
+      spyOn(engine, 'applyMajorityVote').and.callThrough();
+    });
+
+    it('should give a repeated indicator type one vote, like Strategy', () => {
+      engine.strategy = smaPair(false);
+
+      const signal = engine.getStrategySignal([{ close: 1 }]);
+
+      expect(engine.applyMajorityVote).toHaveBeenCalledWith({ SMA: ['sell'] });
+      expect(smaPair(false).calculateSignalForTicker('AAPL', [{ close: 1 }]).signal).toBe(signal);
+    });
+
+    it('should give tuned indicators their own vote', () => {
+      engine.strategy = smaPair(true);
+
+      engine.getStrategySignal([{ close: 1 }]);
+
+      expect(engine.applyMajorityVote).toHaveBeenCalledWith({ 'SMA[0]': ['buy'], SMA: ['sell'] });
+    });
+  });
+
+  describe('rule strategies', () => {
+    beforeEach(() => {
+      spyOn(console, 'log');
+    });
+
+    it('should trade on the compiled entry and exit rules', async () => {
+      const closes = [10, 10, 10, 10, 10, 10, 10, 10, 12, 12, 12, 12, 8, 8];
+      const priceData = closes.map((close, i) => ({
+        date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+        open: close, high: close, low: close, close, volume: 1000
+      }));
+      const strategy = new StrategyService().buildRuleStrategy({
+        name: 'Breakout',
+        entryRule: 'PRICE CROSSES_ABOVE SMA(3)',
+        exitRule: 'PRICE < SMA(3)'
+      });
+
+      engine = new BacktestEngine({
+        ticker: 'AAPL',
+        priceData,
+        strategyKey: 'custom_test',
+        strategy,
+        initialCapital: 10000
+      });
+      // SMA(3) + 5 bars of warm-up
+      expect(engine.requiredDataDays).toBe(8);
+
+      const results = await engine.run();
+      expect(results.trades.map(t => [t.type, t.date])).toEqual([
+        ['BUY', priceData[8].date],
+        ['SELL', priceData[12].date]
+      ]);
+      expect(results.trades[1].reason).toBe('Strategy signal');
+    });
+  });
+});
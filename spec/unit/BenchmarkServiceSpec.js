@@ -0,0 +1,45 @@
+/**
+ * Unit tests for BenchmarkService basket construction
+ */
+
+const BenchmarkService = require('../../src/services/BenchmarkService');
+
+describe('BenchmarkService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new BenchmarkService();
+  });
+
+  describe('buildBasketSeries', () => {
+    it('should start when every ticker has a price and weight each equally', () => {
+      const basket = service.buildBasketSeries([
+        [{ date: '2024-01-01', close: 10 }, { date: '2024-01-02', close: 20 }, { date: '2024-01-03', close: 20 }],
+        [{ date: '2024-01-02', close: 50 }, { date: '2024-01-03', close: 75 }]
+      ]);
+
+      expect(basket.map(p => p.date)).toEqual(['2024-01-02', '2024-01-03']);
+      expect(basket[0].close).toBeCloseTo(100, 6);
+      expect(basket[1].close).toBeCloseTo(125, 6); // (1 + 1.5) / 2
+    });
+
+    it('should forward-fill tickers missing a bar', () => {
+      const basket = service.buildBasketSeries([
+        [{ date: '2024-01-01', close: 10 }, { date: '2024-01-03', close: 12 }],
+        [{ date: '2024-01-01', close: 40 }, { date: '2024-01-02', close: 44 }, { date: '2024-01-03', close: 40 }]
+      ]);
+
+      expect(basket[1].date).toBe('2024-01-02');
+      expect(basket[1].close).toBeCloseTo(105, 6); // (1 + 1.1) / 2
+      expect(basket[2].close).toBeCloseTo(110, 6); // (1.2 + 1) / 2
+    });
+  });
+
+  describe('getLabel', () => {
+    it('should describe tickers, lists and the database basket', () => {
+      expect(service.getLabel('spy')).toBe('SPY');
+      expect(service.getLabel(['aapl', 'msft'])).toBe('Equal-weight AAPL/MSFT');
+      expect(service.getLabel('equal_weight')).toBe('Equal-weight database basket');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for CoupledTradeService pair analysis
+ */
+
+const CoupledTradeService = require('../../src/services/CoupledTradeService');
+
+describe('CoupledTradeService', () => {
+  let service;
+  let settings;
+  let priceDataMap;
+
+  // Deterministic pseudo-random noise in [-0.5, 0.5)
+  const makeNoise = (seed) => {
+    let state = seed;
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647 - 0.5;
+    };
+  };
+
+  const toBars = (closes) => closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+    open: close, high: close, low: close, close, volume: 1000
+  }));
+
+  beforeEach(() => {
+    service = new CoupledTradeService();
+    settings = service.resolveSettings({});
+
+    const noise = makeNoise(42);
+    const walkNoise = makeNoise(7);
+    const base = [];
+    const paired = [];
+    const unrelated = [];
+    let x = 50;
+    let w = 80;
+    let residual = 0;
+
+    for (let i = 0; i < 200; i++) {
+      x += noise() * 2;
+      w += walkNoise() * 3;
+      residual = 0.5 * residual + noise();
+      base.push(x);
+      // Cointegrated with hedge ratio 2; the last bar is pushed well above the spread mean
+      paired.push(2 * x + 5 + residual + (i === 199 ? 0.9 : 0));
+      unrelated.push(w);
+    }
+
+    priceDataMap = new Map();
+    priceDataMap.set('AAA', toBars(base));
+    priceDataMap.set('BBB', toBars(paired));
+    priceDataMap.set('CCC', toBars(unrelated));
+  });
+
+  describe('rankPairs', () => {
+    it('should rank the cointegrated pair first with a regression hedge ratio', () => {
+      const candidates = service.rankPairs(priceDataMap, settings);
+
+      expect(candidates.length).toBe(3);
+      const best = candidates[0];
+      expect(best.tickers).toEqual(['BBB', 'AAA']);
+      expect(best.hedgeRatio).toBeCloseTo(2, 1);
+      expect(best.cointegration.isCointegrated).toBe(true);
+      expect(best.riskScore).toBeLessThan(candidates[candidates.length - 1].riskScore);
+    });
+
+    it('should short the rich leg and buy the hedge when the spread is stretched', () => {
+      const best = service.rankPairs(priceDataMap, settings)[0];
+
+      expect(best.zScore).toBeGreaterThan(settings.entryZScore);
+      expect(best.signal).toBe('enter');
+      expect(best.legs[0]).toEqual(jasmine.objectContaining({ ticker: 'BBB', side: 'short', shares: 1 }));
+      expect(best.legs[1]).toEqual(jasmine.objectContaining({ ticker: 'AAA', side: 'long' }));
+      expect(best.legs[0].weight + best.legs[1].weight).toBeCloseTo(1, 10);
+      expect(best.thresholds.entry.upper).toBeGreaterThan(best.thresholds.exit.upper);
+    });
+
+    it('should skip pairs without enough overlapping history', () => {
+      priceDataMap.set('DDD', toBars([10, 11, 12]));
+      const candidates = service.rankPairs(priceDataMap, settings);
+      expect(candidates.some(c => c.tickers.includes('DDD'))).toBe(false);
+    });
+
+    it('should express the beta hedge in shares of the hedge leg', () => {
+      const best = service.rankPairs(priceDataMap, service.resolveSettings({ method: 'beta_hedging' }))
+        .find(c => c.tickers.includes('AAA') && c.tickers.includes('BBB'));
+
+      expect(typeof best.beta).toBe('number');
+      expect(best.hedgeRatio).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getSignal', () => {
+    it('should map z-scores to enter, hold, exit and stop', () => {
+      expect(service.getSignal(2.5, settings)).toBe('enter');
+      expect(service.getSignal(-1.0, settings)).toBe('hold');
+      expect(service.getSignal(0.2, settings)).toBe('exit');
+      expect(service.getSignal(-4, settings)).toBe('stop');
+    });
+  });
+
+  describe('resolveSettings', () => {
+    it('should reject an exit threshold above the entry threshold', () => {
+      expect(() => service.resolveSettings({ entryZScore: 1, exitZScore: 1.5 }))
+        .toThrowError('Exit z-score must be smaller than entry z-score');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for DividendService calendar parsing, holder positions and crediting
+ */
+
+const DividendService = require('../../src/services/DividendService');
+const WalletModel = require('../../src/db/models/WalletModel');
+const TransactionModel = require('../../src/db/models/TransactionModel');
+
+describe('DividendService', () => {
+  describe('parseCalendar', () => {
+    it('should parse rows by header name, skipping comments, sorted by ex-date', () => {
+      const events = DividendService.parseCalendar([
+        '# sample',
+        'Ticker,ExDate,PayDate,Amount',
+        'msft,2024-05-15,2024-06-13,0.75',
+        'AAPL,2024-02-09,2024-02-15,0.24',
+        ''
+      ].join('\n'));
+
+      expect(events).toEqual([
+        { ticker: 'AAPL', exDate: '2024-02-09', payDate: '2024-02-15', amount: 0.24 },
+        { ticker: 'MSFT', exDate: '2024-05-15', payDate: '2024-06-13', amount: 0.75 }
+      ]);
+    });
+
+    it('should reject rows without a valid date or amount', () => {
+      expect(() => DividendService.parseCalendar('Ticker,ExDate,Amount\nAAPL,Feb 9,0.24'))
+        .toThrowError(/Invalid dividend calendar row 2/);
+      expect(() => DividendService.parseCalendar('Ticker,Date\nAAPL,2024-02-09'))
+        .toThrowError(/must have Ticker, ExDate and Amount/);
+    });
+  });
+
+  describe('getPositionsBefore', () => {
+    it('should net long and short shares traded before the ex-date', () => {
+      const tx = (userId, type, quantity, date) => ({ userId, type, quantity, createdAt: new Date(date) });
+      const positions = DividendService.getPositionsBefore([
+        tx('a', 'buy', 10, '2024-02-01T15:00:00Z'),
+        tx('a', 'sell', 4, '2024-02-08T15:00:00Z'),
+        tx('a', 'buy', 100, '2024-02-09T15:00:00Z'),
+        tx('b', 'short', 5, '2024-02-05T15:00:00Z'),
+        tx('b', 'cover', 2, '2024-02-06T15:00:00Z')
+      ], '2024-02-09');
+
+      expect(positions.get('a:')).toEqual({ userId: 'a', portfolioId: null, long: 6, short: 0 });
+      expect(positions.get('b:')).toEqual({ userId: 'b', portfolioId: null, long: 0, short: 3 });
+    });
+
+    it('should keep each portfolio\'s shares apart', () => {
+      const positions = DividendService.getPositionsBefore([
+        { userId: 'a', portfolioId: 'p1', type: 'buy', quantity: 10, createdAt: new Date('2024-02-01T15:00:00Z') },
+        { userId: 'a', portfolioId: 'p2', type: 'buy', quantity: 3, createdAt: new Date('2024-02-01T15:00:00Z') },
+        { userId: 'a', portfolioId: 'p2', type: 'sell', quantity: 1, createdAt: new Date('2024-02-02T15:00:00Z') }
+      ], '2024-02-09');
+
+      expect([...positions.values()]).toEqual([
+        { userId: 'a', portfolioId: 'p1', long: 10, short: 0 },
+        { userId: 'a', portfolioId: 'p2', long: 2, short: 0 }
+      ]);
+    });
+  });
+
+  describe('processEvent', () => {
+    const tx = (userId, type, quantity, portfolioId = null) =>
+      ({ userId, portfolioId, type, quantity, createdAt: new Date('2024-02-01T15:00:00Z') });
+
+    it('should credit holders once per dividend and record each credit', async () => {
+      const wallet = new WalletModel({ userId: 'holder', balance: 1000 });
+      spyOn(wallet, 'save').and.resolveTo(wallet);
+      spyOn(TransactionModel, 'find').and.resolveTo([tx('holder', 'buy', 10), tx('paid', 'buy', 5)]);
+      spyOn(TransactionModel, 'exists').and.callFake(async ({ userId }) => userId === 'paid');
+      spyOn(WalletModel, 'findByUserId').and.resolveTo(wallet);
+      spyOn(TransactionModel, 'createDividendTransaction').and.resolveTo({});
+
+      const result = await new DividendService(null).processEvent({ ticker: 'AAPL', exDate: '2024-02-09', amount: 0.25 });
+
+      expect(result).toEqual({ credited: 1, charged: 0 });
+      expect(wallet.balance).toBe(1002.5);
+      expect(wallet.totalDividends).toBe(2.5);
+      expect(TransactionModel.createDividendTransaction).toHaveBeenCalledTimes(1);
+      expect(TransactionModel.createDividendTransaction.calls.argsFor(0)[0].referenceId).toBe('dividend:AAPL:2024-02-09:wallet');
+    });
+
+    it('should record each portfolio\'s dividend against that portfolio', async () => {
+      const wallet = new WalletModel({ userId: 'holder', balance: 1000 });
+      spyOn(wallet, 'save').and.resolveTo(wallet);
+      spyOn(TransactionModel, 'find').and.resolveTo([tx('holder', 'buy', 10, 'p1'), tx('holder', 'buy', 4, 'p2')]);
+      spyOn(TransactionModel, 'exists').and.resolveTo(null);
+      spyOn(WalletModel, 'findByUserId').and.resolveTo(wallet);
+      spyOn(TransactionModel, 'createDividendTransaction').and.resolveTo({});
+
+      const result = await new DividendService(null).processEvent({ ticker: 'AAPL', exDate: '2024-02-09', amount: 0.5 });
+
+      expect(result).toEqual({ credited: 2, charged: 0 });
+      expect(wallet.balance).toBe(1007);
+      expect(TransactionModel.createDividendTransaction.calls.allArgs().map(([data]) => [data.portfolioId, data.quantity, data.referenceId]))
+        .toEqual([['p1', 10, 'dividend:AAPL:2024-02-09:p1'], ['p2', 4, 'dividend:AAPL:2024-02-09:p2']]);
+      expect(TransactionModel.exists.calls.argsFor(0)[0].referenceId.$in).toContain('dividend:AAPL:2024-02-09');
+    });
+  });
+});
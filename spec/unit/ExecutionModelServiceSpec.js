@@ -0,0 +1,92 @@
+/**
+ * Unit tests for ExecutionModelService cost models and position sizers
+ */
+
+const { ExecutionModelService, CostModel, PositionSizer } = require('../../src/services/ExecutionModelService');
+
+describe('ExecutionModelService', () => {
+  describe('CostModel', () => {
+    it('should fill buys above and sells below the signal price', () => {
+      const model = new CostModel({ slippage: { model: 'fixed', bps: 10 }, spreadBps: 20 });
+
+      // Half the 20 bps spread plus 10 bps slippage = 20 bps adverse
+      expect(model.getFillPrice('buy', 100, 10)).toBeCloseTo(100.2, 10);
+      expect(model.getFillPrice('sell', 100, 10)).toBeCloseTo(99.8, 10);
+    });
+
+    it('should scale volume slippage with the square root of participation', () => {
+      const model = new CostModel({ slippage: { model: 'volume', impact: 0.1 } });
+
+      expect(model.getSlippageFraction(100, { volume: 10000 })).toBeCloseTo(0.01, 10);
+      expect(model.getSlippageFraction(400, { volume: 10000 })).toBeCloseTo(0.02, 10);
+      expect(model.getSlippageFraction(100, { volume: 0 })).toBe(0);
+    });
+
+    it('should charge per-share and percent commissions with a minimum', () => {
+      const perShare = new CostModel({ commission: { model: 'per_share', rate: 0.005, minimum: 1 } });
+      expect(perShare.getCommission(100, 50)).toBe(1);
+      expect(perShare.getCommission(1000, 50)).toBeCloseTo(5, 10);
+      expect(perShare.getCommission(0, 50)).toBe(0);
+
+      const percent = new CostModel({ commission: { model: 'percent', rate: 0.001 } });
+      expect(percent.getCommission(10, 200)).toBeCloseTo(2, 10);
+    });
+
+    it('should be free by default', () => {
+      const model = ExecutionModelService.createCostModel();
+      expect(model.getFillPrice('buy', 100, 10)).toBe(100);
+      expect(model.getCommission(10, 100)).toBe(0);
+    });
+  });
+
+  describe('PositionSizer', () => {
+    it('should size fixed fraction from cash and fixed dollar up to cash', () => {
+      expect(new PositionSizer({ mode: 'fixed_fraction', fraction: 0.25 })
+        .getPositionValue({ cash: 8000, equity: 10000 })).toBe(2000);
+      expect(new PositionSizer({ mode: 'fixed_dollar', amount: 3000 })
+        .getPositionValue({ cash: 2500, equity: 10000 })).toBe(2500);
+    });
+
+    it('should shrink volatility-targeted positions when volatility is high', () => {
+      const sizer = new PositionSizer({ mode: 'volatility_target', targetVolatility: 0.15, lookback: 20 });
+      const calm = [];
+      const wild = [];
+      for (let i = 0; i < 30; i++) {
+        calm.push({ close: 100 * (1 + (i % 2 ? 0.002 : -0.002)) });
+        wild.push({ close: 100 * (1 + (i % 2 ? 0.03 : -0.03)) });
+      }
+
+      const calmValue = sizer.getPositionValue({ cash: 10000, equity: 10000, history: calm });
+      const wildValue = sizer.getPositionValue({ cash: 10000, equity: 10000, history: wild });
+      expect(calmValue).toBe(10000);
+      expect(wildValue).toBeLessThan(2000);
+      expect(wildValue).toBeGreaterThan(0);
+    });
+
+    it('should use the warm-up fraction until enough trades have closed', () => {
+      const sizer = new PositionSizer({ mode: 'kelly', fraction: 0.1, minTrades: 5 });
+      expect(sizer.getKellyFraction([{ profitLoss: 100 }])).toBe(0.1);
+    });
+
+    it('should cap the Kelly fraction', () => {
+      const sizer = new PositionSizer({ mode: 'kelly', kellyCap: 0.25, minTrades: 4 });
+
+      // W = 0.75, R = 2 -> f* = 0.625, capped at 0.25
+      const strong = [{ profitLoss: 200 }, { profitLoss: 200 }, { profitLoss: 200 }, { profitLoss: -100 }];
+      expect(sizer.getKellyFraction(strong)).toBe(0.25);
+
+      // W = 0.5, R = 1.5 -> f* = 0.1667
+      const modest = [{ profitLoss: 150 }, { profitLoss: 150 }, { profitLoss: -100 }, { profitLoss: -100 }];
+      expect(sizer.getKellyFraction(modest)).toBeCloseTo(1 / 6, 10);
+
+      // Negative edge -> no position
+      const losing = [{ profitLoss: 50 }, { profitLoss: -100 }, { profitLoss: -100 }, { profitLoss: -100 }];
+      expect(sizer.getKellyFraction(losing)).toBe(0);
+    });
+
+    it('should reject unknown sizing modes', () => {
+      expect(() => ExecutionModelService.createPositionSizer({ mode: 'martingale' }))
+        .toThrowError(/Unknown sizing mode: martingale/);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for ExitRuleService protective exits
+ */
+
+const ExitRuleService = require('../../src/services/ExitRuleService');
+const { calculateATR } = require('../../src/utils/calculations');
+
+describe('ExitRuleService', () => {
+  const bar = (open, high, low, close) => ({ date: '2024-01-02', open, high, low, close, volume: 1000 });
+
+  describe('checkExit', () => {
+    it('should stop out at the stop level when the low touches it', () => {
+      const rules = new ExitRuleService({ stopLossPercent: 10 });
+      const state = rules.openPosition(100);
+
+      expect(rules.checkExit(state, bar(95, 96, 91, 92))).toBeNull();
+      expect(rules.checkExit(state, bar(95, 96, 89, 92))).toEqual({ price: 90, reason: 'Stop-loss (-10%)' });
+    });
+
+    it('should fill at the open when the bar gaps through the stop', () => {
+      const rules = new ExitRuleService({ stopLossPercent: 10 });
+      const state = rules.openPosition(100);
+
+      expect(rules.checkExit(state, bar(80, 82, 78, 81)).price).toBe(80);
+    });
+
+    it('should take profit at the target and assume the stop came first on a wide bar', () => {
+      const rules = new ExitRuleService({ stopLossPercent: 5, takeProfitPercent: 20 });
+      const state = rules.openPosition(100);
+
+      expect(rules.checkExit(state, bar(110, 121, 108, 115))).toEqual({ price: 120, reason: 'Take-profit (+20%)' });
+      expect(rules.checkExit(state, bar(100, 125, 94, 110)).reason).toBe('Stop-loss (-5%)');
+    });
+
+    it('should trail the stop below the highest high since entry', () => {
+      const rules = new ExitRuleService({ trailingStopPercent: 10 });
+      const state = rules.openPosition(100);
+
+      rules.updatePosition(state, bar(100, 130, 99, 128));
+      // Trailing level is now 117; the fixed 10% stop would still be at 90
+      const exit = rules.checkExit(state, bar(125, 126, 116, 118));
+      expect(exit.price).toBeCloseTo(117, 10);
+      expect(exit.reason).toBe('Trailing stop (-10% from high)');
+    });
+
+    it('should place the ATR stop a multiple of ATR below the entry', () => {
+      const history = [];
+      for (let i = 0; i < 20; i++) {
+        history.push(bar(100, 102, 98, 100));
+      }
+      const rules = new ExitRuleService({ atrStop: { period: 14, multiplier: 2 } });
+      const state = rules.openPosition(100, history);
+
+      expect(state.atr).toBeCloseTo(4, 10);
+      expect(state.atrStop).toBeCloseTo(92, 10);
+      expect(rules.checkExit(state, bar(95, 96, 91, 93)).reason).toBe('ATR stop (2 x ATR14)');
+    });
+
+    it('should use the tightest of several stops', () => {
+      const rules = new ExitRuleService({ stopLossPercent: 20, trailingStopPercent: 5 });
+      const state = rules.openPosition(100);
+
+      expect(rules.getActiveStop(state)).toEqual({ level: 95, reason: 'Trailing stop (-5% from high)' });
+    });
+  });
+
+  describe('hasRules', () => {
+    it('should be false when no rule is configured', () => {
+      expect(new ExitRuleService().hasRules()).toBe(false);
+      expect(new ExitRuleService({ takeProfitPercent: 15 }).hasRules()).toBe(true);
+    });
+  });
+
+  describe('calculateATR', () => {
+    it('should include gaps from the previous close in the true range', () => {
+      const bars = [
+        { high: 10, low: 9, close: 10 },
+        { high: 12, low: 11, close: 12 }, // gap up: true range 2
+        { high: 12, low: 11, close: 11 }  // true range 1
+      ];
+      expect(calculateATR(bars, 2)).toBeCloseTo(1.5, 10);
+      expect(calculateATR(bars, 5)).toBeNull();
+    });
+  });
+});
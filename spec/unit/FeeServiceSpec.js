@@ -0,0 +1,67 @@
+/**
+ * Unit tests for FeeService fee schedule calculations and charges
+ */
+
+const FeeService = require('../../src/services/FeeService');
+const WalletModel = require('../../src/db/models/WalletModel');
+const TransactionModel = require('../../src/db/models/TransactionModel');
+
+describe('FeeService', () => {
+  const service = new FeeService({ monthlyAccountFee: 5, perTradeFee: 1, perTradePercent: 0.001 });
+
+  describe('calculateTradeFee', () => {
+    it('should add the flat and percentage fee, rounded to cents', () => {
+      expect(service.calculateTradeFee(1234.56)).toBe(2.23);
+      expect(new FeeService({}).calculateTradeFee(1000)).toBe(0);
+    });
+  });
+
+  describe('isAccountFeeDue', () => {
+    const asOf = new Date('2024-03-15T12:00:00Z');
+
+    it('should charge once per calendar month, starting the month after opening', () => {
+      expect(FeeService.isAccountFeeDue({ createdAt: new Date('2024-03-02') }, asOf)).toBe(false);
+      expect(FeeService.isAccountFeeDue({ createdAt: new Date('2024-02-20') }, asOf)).toBe(true);
+      expect(FeeService.isAccountFeeDue({
+        createdAt: new Date('2023-01-01'), lastAccountFeeAt: new Date('2024-03-01T01:00:00Z')
+      }, asOf)).toBe(false);
+    });
+  });
+
+  describe('chargeFee', () => {
+    it('should cap the fee at available cash and post a fee transaction', async () => {
+      spyOn(TransactionModel, 'createFeeTransaction').and.callFake(async (data) => data);
+      const wallet = new WalletModel({ userId: 'fee_user', balance: 100, reservedFunds: 97 });
+      spyOn(wallet, 'save').and.resolveTo(wallet);
+
+      const transaction = await service.chargeFee(wallet, 5, { notes: 'Monthly account fee' });
+
+      expect(transaction).toEqual(jasmine.objectContaining({ userId: 'fee_user', amount: 3, balanceBefore: 100 }));
+      expect(wallet.balance).toBe(97);
+      expect(wallet.totalFees).toBe(3);
+      expect(await service.chargeFee(wallet, 5)).toBeNull();
+    });
+  });
+
+  describe('chargeMonthlyFees', () => {
+    it('should only count wallets actually charged, and not retry the rest this month', async () => {
+      const asOf = new Date('2024-03-15T12:00:00Z');
+      const opened = new Date('2024-01-10');
+      const funded = new WalletModel({ userId: 'funded', balance: 100, createdAt: opened });
+      const empty = new WalletModel({ userId: 'empty', balance: 0, createdAt: opened });
+      const wallets = { funded, empty };
+      spyOn(funded, 'save').and.resolveTo(funded);
+      spyOn(empty, 'save').and.resolveTo(empty);
+      spyOn(WalletModel, 'find').and.resolveTo(Object.values(wallets));
+      spyOn(WalletModel, 'findByUserId').and.callFake(async (userId) => wallets[userId]);
+      spyOn(TransactionModel, 'createFeeTransaction').and.callFake(async (data) => data);
+
+      const charged = await service.chargeMonthlyFees(asOf);
+
+      expect(charged).toBe(1);
+      expect(funded.balance).toBe(95);
+      expect(empty.lastAccountFeeAt).toEqual(asOf);
+      expect(empty.save).toHaveBeenCalled();
+    });
+  });
+});
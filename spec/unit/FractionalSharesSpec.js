@@ -0,0 +1,66 @@
+/**
+ * Unit tests for fractional-share quantities and dollar-amount (notional) orders
+ */
+
+const { roundShares } = require('../../src/utils/calculations');
+const TradingService = require('../../src/services/TradingService');
+const Portfolio = require('../../src/models/Portfolio');
+const Security = require('../../src/models/Security');
+
+describe('Fractional shares', () => {
+  describe('roundShares', () => {
+    it('should round down to the given number of decimal places', () => {
+      expect(roundShares(1.23456, 4)).toBe(1.2345);
+      expect(roundShares(1.99, 0)).toBe(1);
+    });
+
+    it('should clear floating point noise instead of rounding it away', () => {
+      expect(roundShares(0.1 + 0.2, 4)).toBe(0.3);
+      expect(roundShares(0.3 - 0.1 - 0.2, 4)).toBe(0);
+    });
+  });
+
+  describe('TradingService.resolveQuantity', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new TradingService();
+      service.quantityPrecision = 4;
+    });
+
+    it('should convert a notional amount to shares without spending more than given', () => {
+      const shares = service.resolveQuantity(null, 700, 100);
+
+      expect(shares).toBe(0.1428);
+      expect(shares * 700).toBeLessThanOrEqual(100);
+    });
+
+    it('should keep a fractional quantity at the configured precision', () => {
+      expect(service.resolveQuantity(2.123456, 100)).toBe(2.1234);
+    });
+
+    it('should reject an amount too small to buy the smallest fraction', () => {
+      expect(() => service.resolveQuantity(null, 5000, 0.1)).toThrowError(/smallest tradable fraction/);
+    });
+
+    it('should reject fractions when precision is zero', () => {
+      service.quantityPrecision = 0;
+
+      expect(() => service.resolveQuantity(0.5, 100)).toThrowError(/at least 1 shares/);
+    });
+  });
+
+  describe('Portfolio.rebalance', () => {
+    it('should reach equal weights on high-priced names with a small portfolio', () => {
+      const securities = [new Security('NVDA', 'NVIDIA'), new Security('META', 'Meta')];
+      const portfolio = new Portfolio(securities, 1, 10000);
+      spyOn(console, 'log');
+
+      const trades = portfolio.rebalance({ NVDA: 0.5, META: 0.5 }, { NVDA: 9000, META: 7000 });
+
+      expect(trades.length).toBe(2);
+      expect(trades.every(trade => trade.shares > 0 && trade.shares < 1)).toBe(true);
+      expect(portfolio.getPosition('NVDA').shares).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for Idempotency-Key handling and the transaction helper
+ */
+
+const EventEmitter = require('events');
+const { idempotent, hashBody, respondToRepeat, recordResponse } = require('../../src/api/middleware/idempotency.middleware');
+const IdempotencyKeyModel = require('../../src/db/models/IdempotencyKeyModel');
+const { runInTransaction, isTransactionUnsupported } = require('../../src/db/transaction');
+
+describe('Idempotency', () => {
+  // Minimal Express response that records what was sent
+  const fakeResponse = () => {
+    const res = Object.assign(new EventEmitter(), { headers: {} });
+    res.status = jasmine.createSpy('status').and.callFake((code) => { res.statusCode = code; return res; });
+    res.json = jasmine.createSpy('json').and.callFake((body) => { res.body = body; return res; });
+    res.set = jasmine.createSpy('set').and.callFake((name, value) => { res.headers[name] = value; return res; });
+    return res;
+  };
+
+  const request = (body) => ({
+    idempotency: { key: 'abc', route: 'POST /wallet/buy', requestHash: hashBody(body) }
+  });
+
+  describe('hashBody', () => {
+    it('should give the same hash for the same body and a different one otherwise', () => {
+      const body = { userId: 'u1', ticker: 'AAPL', quantity: 5 };
+
+      expect(hashBody({ ...body })).toBe(hashBody(body));
+      expect(hashBody({ ...body, quantity: 6 })).not.toBe(hashBody(body));
+    });
+  });
+
+  describe('respondToRepeat', () => {
+    const body = { userId: 'u1', ticker: 'AAPL', quantity: 5 };
+
+    it('should replay a completed response', () => {
+      const res = fakeResponse();
+      const record = {
+        route: 'POST /wallet/buy',
+        requestHash: hashBody(body),
+        status: 'completed',
+        responseStatus: 201,
+        responseBody: { success: true }
+      };
+
+      respondToRepeat(record, request(body), res);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ success: true });
+      expect(res.headers['Idempotent-Replayed']).toBe('true');
+    });
+
+    it('should reject a key reused with a different body', () => {
+      const res = fakeResponse();
+      const record = { route: 'POST /wallet/buy', requestHash: hashBody({ ...body, quantity: 50 }), status: 'completed' };
+
+      respondToRepeat(record, request(body), res);
+
+      expect(res.statusCode).toBe(422);
+    });
+
+    it('should report a request that is still running as a conflict', () => {
+      const res = fakeResponse();
+      const record = { route: 'POST /wallet/buy', requestHash: hashBody(body), status: 'in_progress' };
+
+      respondToRepeat(record, request(body), res);
+
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
+  describe('idempotent', () => {
+    it('should pass requests without the header straight through', async () => {
+      const next = jasmine.createSpy('next');
+      const res = fakeResponse();
+
+      await idempotent({ get: () => undefined, body: {} }, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordResponse', () => {
+    const record = { _id: 'key1' };
+    // Let the store-then-send chain settle
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+      spyOn(IdempotencyKeyModel, 'updateOne').and.resolveTo({});
+      spyOn(IdempotencyKeyModel, 'deleteOne').and.resolveTo({});
+    });
+
+    it('should store a successful response for replay', async () => {
+      const res = fakeResponse();
+      recordResponse(res, record);
+
+      res.status(201).json({ success: true });
+      res.emit('close');
+      await flush();
+
+      expect(IdempotencyKeyModel.updateOne).toHaveBeenCalledWith({ _id: 'key1' }, jasmine.objectContaining({ status: 'completed', responseStatus: 201 }));
+      expect(IdempotencyKeyModel.deleteOne).not.toHaveBeenCalled();
+      expect(res.body).toEqual({ success: true });
+    });
+
+    it('should release the key when the trade fails so it can be retried', async () => {
+      const res = fakeResponse();
+      recordResponse(res, record);
+
+      res.status(400).json({ error: 'Insufficient funds' });
+      await flush();
+
+      expect(IdempotencyKeyModel.deleteOne).toHaveBeenCalledWith({ _id: 'key1' });
+      expect(IdempotencyKeyModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should keep the key when the client disconnects before the trade finishes', async () => {
+      const res = fakeResponse();
+      recordResponse(res, record);
+
+      res.emit('close');
+      await flush();
+      expect(IdempotencyKeyModel.deleteOne).not.toHaveBeenCalled();
+
+      res.status(201).json({ success: true });
+      await flush();
+      expect(IdempotencyKeyModel.updateOne).toHaveBeenCalledWith({ _id: 'key1' }, jasmine.objectContaining({ status: 'completed' }));
+    });
+  });
+
+  describe('runInTransaction', () => {
+    it('should run the work directly when there is no database connection', async () => {
+      const result = await runInTransaction(async () => 'done');
+
+      expect(result).toBe('done');
+    });
+
+    it('should recognise servers that cannot run transactions', () => {
+      expect(isTransactionUnsupported({ code: 20, message: '' })).toBe(true);
+      expect(isTransactionUnsupported(new Error('Transaction numbers are only allowed on a replica set member or mongos'))).toBe(true);
+      expect(isTransactionUnsupported(new Error('Write conflict'))).toBe(false);
+    });
+  });
+});
@@ -2,7 +2,21 @@
  * Unit tests for IndicatorService and technical indicators
  */
 
-const { IndicatorService, SMAIndicator, RSIIndicator, MACDIndicator, BollingerBandsIndicator } = require('../../src/services/IndicatorService');
+const {
+  IndicatorService,
+  SMAIndicator,
+  RSIIndicator,
+  MACDIndicator,
+  BollingerBandsIndicator,
+  ATRIndicator,
+  StochasticIndicator,
+  ADXIndicator,
+  OBVIndicator,
+  VWAPIndicator,
+  CCIIndicator,
+  WilliamsRIndicator,
+  MFIIndicator
+} = require('../../src/services/IndicatorService');
 const { createMockPriceData } = require('../helpers/testHelpers');
 
 describe('IndicatorService', () => {
@@ -44,6 +58,13 @@ describe('IndicatorService', () => {
       expect(indicator.params.oversold).toBe(20);
     });
 
+    it('should create volume and range indicators by type or alias', () => {
+      expect(IndicatorService.createIndicator('stoch', { kPeriod: 5 }).params.kPeriod).toBe(5);
+      expect(IndicatorService.createIndicator('WILLR').type).toBe('WILLIAMS_R');
+      expect(IndicatorService.createIndicator('CCI', { oversold: -150 }).params.oversold).toBe(-150);
+      expect(IndicatorService.createIndicator('MFI') instanceof MFIIndicator).toBe(true);
+    });
+
     it('should throw error for unknown indicator type', () => {
       expect(() => {
         IndicatorService.createIndicator('UNKNOWN');
@@ -61,6 +82,15 @@ describe('IndicatorService', () => {
       expect(smaIndicator).toBeDefined();
       expect(smaIndicator.name).toBe('Simple Moving Average');
     });
+
+    it('should list every indicator the factory can create', () => {
+      const types = IndicatorService.getAvailableIndicators().map(ind => ind.type);
+
+      types.forEach(type => expect(() => IndicatorService.createIndicator(type)).not.toThrow());
+      expect(types).toContain('STOCHASTIC');
+      expect(types).toContain('WILLIAMS_R');
+      expect(types.length).toBe(13);
+    });
   });
 
   describe('calculateAllIndicators', () => {
@@ -322,3 +352,154 @@ describe('BollingerBandsIndicator', () => {
     });
   });
 });
+
+describe('ATRIndicator', () => {
+  // True ranges 2, 2 and then 5 on the gap up to 15
+  const priceData = [
+    { high: 10, low: 8, close: 9 },
+    { high: 11, low: 9, close: 10 },
+    { high: 12, low: 10, close: 11 },
+    { high: 16, low: 12, close: 15 }
+  ];
+
+  it('should smooth true ranges with Wilder\'s method', () => {
+    const indicator = new ATRIndicator(2);
+
+    expect(indicator.compute(priceData)).toEqual([2, 3.5]);
+  });
+
+  it('should signal a breakout larger than the previous ATR', () => {
+    const indicator = new ATRIndicator(2);
+    indicator.compute(priceData);
+
+    expect(indicator.getAllSignals()).toEqual(['hold', 'buy']);
+    expect(indicator.getSignalStrength(1)).toBe(1);
+  });
+
+  it('should throw error for insufficient data', () => {
+    expect(() => new ATRIndicator(5).calculateValues([], priceData)).toThrowError(/need at least 6/);
+  });
+});
+
+describe('StochasticIndicator', () => {
+  const priceData = [
+    { high: 10, low: 8, close: 9 },
+    { high: 11, low: 9, close: 10 },
+    { high: 12, low: 10, close: 11 },
+    { high: 12, low: 8, close: 8.2 },
+    { high: 11, low: 8.5, close: 8.6 }
+  ];
+
+  it('should place the close in the high-low range and average it', () => {
+    const values = new StochasticIndicator(3, 2).calculateValues([], priceData);
+
+    expect(values.k[0]).toBeCloseTo(75, 10);
+    expect(values.k[1]).toBeCloseTo(5, 10);
+    expect(values.k[2]).toBeCloseTo(15, 10);
+    expect(values.d[1]).toBeCloseTo(10, 10);
+  });
+
+  it('should buy when an oversold %K turns up through %D', () => {
+    const indicator = new StochasticIndicator(3, 2);
+    indicator.compute(priceData);
+
+    expect(indicator.getAllSignals()).toEqual(['hold', 'buy']);
+    expect(indicator.getSignalStrength(1)).toBeCloseTo(0.25, 10);
+  });
+});
+
+describe('ADXIndicator', () => {
+  // Every bar makes a higher high and a higher low
+  const rising = Array.from({ length: 10 }, (_, i) => ({ high: 11 + i, low: 9 + i, close: 10 + i }));
+
+  it('should report a full-strength uptrend with only positive directional movement', () => {
+    const indicator = new ADXIndicator(3);
+    const values = indicator.compute(rising);
+
+    expect(values.plusDI.length).toBe(7);
+    expect(values.adx.length).toBe(5);
+    expect(values.plusDI[0]).toBeCloseTo(50, 10);
+    expect(values.minusDI[0]).toBe(0);
+    expect(values.adx[4]).toBeCloseTo(100, 10);
+    expect(indicator.getLatestSignal()).toBe('buy');
+    expect(indicator.getSignalStrength(4)).toBe(1);
+  });
+
+  it('should throw error for insufficient data', () => {
+    expect(() => new ADXIndicator(3).calculateValues([], rising.slice(0, 5))).toThrowError(/need at least 6/);
+  });
+});
+
+describe('OBVIndicator', () => {
+  const priceData = [
+    { close: 10, volume: 100 },
+    { close: 11, volume: 200 },
+    { close: 10.5, volume: 300 },
+    { close: 10.5, volume: 400 },
+    { close: 12, volume: 500 }
+  ];
+
+  it('should add volume on up days and subtract it on down days', () => {
+    expect(new OBVIndicator(2).calculateValues([], priceData)).toEqual([0, 200, -100, -100, 400]);
+  });
+
+  it('should signal when OBV crosses its moving average', () => {
+    const indicator = new OBVIndicator(2);
+    indicator.compute(priceData);
+
+    expect(indicator.getAllSignals()).toEqual(['hold', 'hold', 'sell', 'hold', 'buy']);
+  });
+});
+
+describe('VWAPIndicator', () => {
+  it('should weight typical prices by volume', () => {
+    const priceData = [
+      { high: 12, low: 9, close: 9, volume: 100 },
+      { high: 21, low: 18, close: 21, volume: 300 }
+    ];
+
+    expect(new VWAPIndicator(2).calculateValues([], priceData)).toEqual([17.5]);
+  });
+
+  it('should fall back to the average typical price without volume', () => {
+    expect(new VWAPIndicator(2).calculateValues([10, 20], [{ close: 10 }, { close: 20 }])).toEqual([15]);
+  });
+});
+
+describe('CCIIndicator', () => {
+  it('should measure distance from the average in mean deviations', () => {
+    const indicator = new CCIIndicator(4);
+    const values = indicator.compute([{ close: 10 }, { close: 10 }, { close: 10 }, { close: 14 }]);
+
+    expect(values[0]).toBeCloseTo(133.33, 2);
+    expect(indicator.getLatestSignal()).toBe('sell');
+    expect(indicator.getSignalStrength(0)).toBeCloseTo(1 / 3, 2);
+  });
+});
+
+describe('WilliamsRIndicator', () => {
+  it('should read 0 at the high and -100 at the low of the window', () => {
+    const indicator = new WilliamsRIndicator(3);
+    const values = indicator.compute([
+      { high: 10, low: 8, close: 9 },
+      { high: 11, low: 9, close: 10 },
+      { high: 12, low: 10, close: 11.5 },
+      { high: 11, low: 8.5, close: 8.5 }
+    ]);
+
+    expect(values).toEqual([-12.5, -100]);
+    expect(indicator.getAllSignals()).toEqual(['sell', 'buy']);
+    expect(indicator.getSignalStrength(0)).toBeCloseTo(0.375, 10);
+  });
+});
+
+describe('MFIIndicator', () => {
+  it('should compare money flow on up and down days', () => {
+    const indicator = new MFIIndicator(2);
+    const values = indicator.compute([10, 11, 12, 11].map(close => ({ close, volume: 100 })));
+
+    expect(values[0]).toBe(100);
+    expect(values[1]).toBeCloseTo(100 - 100 / (1 + 1200 / 1100), 10);
+    expect(indicator.getAllSignals()).toEqual(['sell', 'hold']);
+  });
+});
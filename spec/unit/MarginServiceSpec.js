@@ -0,0 +1,83 @@
+/**
+ * Unit tests for MarginService short marking, margin figures and margin-call liquidation
+ */
+
+const MarginService = require('../../src/services/MarginService');
+const WalletModel = require('../../src/db/models/WalletModel');
+const TransactionModel = require('../../src/db/models/TransactionModel');
+
+describe('MarginService', () => {
+  let service;
+
+  // Unsaved wallet document with one short: 100 shares sold at $50 with 50% initial margin
+  const shortWallet = () => new WalletModel({
+    userId: 'margin_user',
+    balance: 10000 + 5000,
+    reservedFunds: 7500,
+    marginEnabled: true,
+    shortPositions: [{ ticker: 'TEST', quantity: 100, averageCost: 50, collateral: 7500, currentPrice: 50 }]
+  });
+
+  beforeEach(() => {
+    service = new MarginService();
+    spyOn(console, 'error');
+    spyOn(TransactionModel, 'createCoverTransaction').and.callFake(async (data) => data);
+  });
+
+  describe('calculateMarginStatus', () => {
+    it('should mark shorts and compare cash equity with the maintenance requirement', () => {
+      const wallet = shortWallet();
+
+      MarginService.markShortPositions(wallet, new Map([['TEST', 60]]));
+      const status = MarginService.calculateMarginStatus(wallet, 0.3);
+
+      expect(wallet.shortPositions[0].profitLoss).toBe(-1000);
+      expect(status.shortMarketValue).toBe(6000);
+      expect(status.equity).toBe(9000);
+      expect(status.maintenanceRequirement).toBeCloseTo(1800, 6);
+      expect(status.marginCall).toBe(false);
+    });
+  });
+
+  describe('enforceMargin', () => {
+    it('should leave a healthy account alone', async () => {
+      const wallet = shortWallet();
+
+      const liquidations = await service.enforceMargin(wallet, new Map([['TEST', 55]]));
+
+      expect(liquidations).toEqual([]);
+      expect(wallet.marginCalls).toBe(0);
+    });
+
+    it('should buy back shorts on a margin call and release their collateral', async () => {
+      const wallet = shortWallet();
+      wallet.balance = 9000;
+      wallet.reservedFunds = 7500;
+
+      // Equity 9000 - 100 * 80 = 1000 is below 30% of 8000
+      const liquidations = await service.enforceMargin(wallet, new Map([['TEST', 80]]));
+
+      expect(liquidations.length).toBe(1);
+      expect(liquidations[0]).toEqual(jasmine.objectContaining({
+        ticker: 'TEST', quantity: 100, price: 80, costBasis: 50, orderSource: 'margin-call'
+      }));
+      expect(wallet.shortPositions.length).toBe(0);
+      expect(wallet.balance).toBe(1000);
+      expect(wallet.reservedFunds).toBe(0);
+      expect(wallet.totalProfitLoss).toBe(-3000);
+      expect(wallet.marginCalls).toBe(1);
+    });
+
+    it('should only cover what the cash allows when a gap wipes out the collateral', async () => {
+      const wallet = shortWallet();
+      wallet.balance = 7600;
+      wallet.reservedFunds = 7500;
+
+      await service.enforceMargin(wallet, new Map([['TEST', 100]]));
+
+      // Each share frees $75 of collateral but costs $100; $100 of free cash covers 4 shares
+      expect(wallet.shortPositions[0].quantity).toBe(96);
+      expect(wallet.balance).toBeGreaterThanOrEqual(0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for Monte Carlo horizon projection
+ */
+
+const MonteCarloService = require('../../src/services/MonteCarloService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+
+describe('MonteCarloService', () => {
+  let service;
+
+  // Alternating up and down days with a small positive drift
+  const history = Array.from({ length: 200 }, (_, i) => (i % 2 === 0 ? 0.012 : -0.01));
+
+  beforeEach(() => {
+    service = new MonteCarloService({ paths: 500, maxPaths: 1000, minBars: 120, bandInterval: 21, percentiles: [5, 50, 95] });
+  });
+
+  describe('percentile', () => {
+    it('should interpolate between neighbouring values', () => {
+      expect(MonteCarloService.percentile([10, 20, 30, 40, 50], 50)).toBe(30);
+      expect(MonteCarloService.percentile([10, 20], 25)).toBe(12.5);
+    });
+  });
+
+  describe('simulate', () => {
+    it('should reproduce a run from its seed', () => {
+      const first = service.simulate(history, { startValue: 10000, horizon: 1, seed: 42 });
+      const second = service.simulate(history, { startValue: 10000, horizon: 1, seed: 42 });
+      const other = service.simulate(history, { startValue: 10000, horizon: 1, seed: 43 });
+
+      expect(second).toEqual(first);
+      expect(other.final.percentiles).not.toEqual(first.final.percentiles);
+    });
+
+    it('should report the seed it picked when none is given', () => {
+      const result = service.simulate(history, { startValue: 10000, horizon: 1 });
+
+      expect(Number.isInteger(result.seed)).toBe(true);
+      expect(service.simulate(history, { startValue: 10000, horizon: 1, seed: result.seed })).toEqual(result);
+    });
+
+    it('should lay out monthly fan bands ending at the horizon', () => {
+      const result = service.simulate(history, { startValue: 10000, horizon: 2, seed: 1 });
+
+      expect(result.tradingDays).toBe(504);
+      expect(result.bands[0].day).toBe(21);
+      expect(result.bands[result.bands.length - 1].day).toBe(504);
+      result.bands.forEach(band => {
+        expect(band.percentiles.p5).toBeLessThanOrEqual(band.percentiles.p50);
+        expect(band.percentiles.p50).toBeLessThanOrEqual(band.percentiles.p95);
+      });
+    });
+
+    it('should compound a constant return on every path', () => {
+      const result = service.simulate(new Array(150).fill(0.001), {
+        startValue: 1000,
+        horizon: 1,
+        seed: 7,
+        targetValue: 1200
+      });
+
+      expect(result.final.percentiles.p50).toBeCloseTo(1000 * Math.pow(1.001, 252), 6);
+      expect(result.probabilityOfLoss).toBe(0);
+      expect(result.target).toEqual({ value: 1200, probabilityOfReaching: 1, probabilityAtHorizon: 1 });
+    });
+
+    it('should count paths that touch the target even if they end below it', () => {
+      const result = service.simulate(history, { startValue: 10000, horizon: 1, seed: 3, targetValue: 10500 });
+
+      expect(result.target.probabilityOfReaching).toBeGreaterThanOrEqual(result.target.probabilityAtHorizon);
+      expect(result.probabilityOfLoss).toBeGreaterThan(0);
+      expect(result.probabilityOfLoss).toBeLessThan(1);
+    });
+
+    it('should draw normal returns with the history\'s mean and volatility', () => {
+      const result = service.simulate(history, { startValue: 10000, horizon: 1, seed: 11, method: 'normal', paths: 1000 });
+
+      expect(result.method).toBe('normal');
+      expect(result.historical.meanDailyReturn).toBeCloseTo(0.001, 10);
+      expect(result.final.mean).toBeGreaterThan(10000);
+    });
+
+    it('should cap paths at the configured maximum', () => {
+      expect(service.simulate(history, { startValue: 10000, horizon: 1, seed: 1, paths: 5000 }).paths).toBe(1000);
+    });
+  });
+
+  describe('project', () => {
+    it('should simulate today\'s holdings plus cash over the portfolio horizon', async () => {
+      const dates = Array.from({ length: 201 }, (_, i) => new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0]);
+      const closes = [100];
+      history.forEach(r => closes.push(closes[closes.length - 1] * (1 + r)));
+      spyOn(service.allocationService, 'loadCloses').and.resolveTo({ dates, closes: new Map([['AAA', closes]]) });
+
+      const portfolio = new PortfolioModel({
+        portfolioId: 'portfolio_projection',
+        userId: 'projection_user',
+        horizon: 2,
+        cash: 500,
+        positions: [{ ticker: 'AAA', quantity: 10 }]
+      });
+
+      const result = await service.project(portfolio, { seed: 5 });
+
+      expect(result.startValue).toBeCloseTo(500 + 10 * closes[closes.length - 1], 8);
+      expect(result.horizon).toBe(2);
+      expect(result.historical.observations).toBe(200);
+      expect(result.endDate).toBe(dates[dates.length - 1]);
+    });
+  });
+});
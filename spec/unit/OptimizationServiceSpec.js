@@ -0,0 +1,148 @@
+/**
+ * Unit tests for OptimizationService walk-forward optimization
+ */
+
+const OptimizationService = require('../../src/services/OptimizationService');
+
+describe('OptimizationService', () => {
+  let service;
+  let priceData;
+
+  // Deterministic pseudo-random noise in [-0.5, 0.5)
+  const makeNoise = (seed) => {
+    let state = seed;
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647 - 0.5;
+    };
+  };
+
+  beforeEach(() => {
+    spyOn(console, 'log');
+    service = new OptimizationService();
+
+    const noise = makeNoise(11);
+    let close = 100;
+    priceData = [];
+    for (let i = 0; i < 200; i++) {
+      close *= 1 + noise() * 0.04;
+      priceData.push({
+        date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+        open: close, high: close * 1.01, low: close * 0.99, close, volume: 1000
+      });
+    }
+  });
+
+  describe('buildCandidates', () => {
+    it('should expand value lists and ranges into a grid', () => {
+      const strategy = service.strategyService.getStrategy('trend_following');
+      const settings = service.resolveSettings({
+        strategyKey: 'trend_following',
+        parameterSpace: { 'SMA[0].window': [10, 20], 'SMA[1].window': { min: 100, max: 200, step: 50 } }
+      });
+
+      const candidates = service.buildCandidates(strategy, settings);
+      expect(candidates.length).toBe(6);
+      expect(candidates[5].parameters).toEqual({ 'SMA[0].window': 20, 'SMA[1].window': 200 });
+      expect(candidates[5].strategy.indicators.map(ind => ind.params.window)).toEqual([20, 200]);
+      // The preset strategy is left untouched
+      expect(strategy.indicators.map(ind => ind.params.window)).toEqual([50, 200]);
+    });
+
+    it('should drop combinations that make an indicator meaningless', () => {
+      const strategy = service.strategyService.getStrategy('momentum');
+      const settings = service.resolveSettings({
+        strategyKey: 'momentum',
+        parameterSpace: { 'MACD[0].fastPeriod': [12, 26], 'MACD[0].slowPeriod': [20, 30] }
+      });
+
+      const candidates = service.buildCandidates(strategy, settings);
+      expect(candidates.map(c => c.parameters)).toEqual([
+        { 'MACD[0].fastPeriod': 12, 'MACD[0].slowPeriod': 20 },
+        { 'MACD[0].fastPeriod': 12, 'MACD[0].slowPeriod': 30 },
+        { 'MACD[0].fastPeriod': 26, 'MACD[0].slowPeriod': 30 }
+      ]);
+    });
+
+    it('should draw a repeatable random sample', () => {
+      const strategy = service.strategyService.getStrategy('trend_following');
+      const settings = service.resolveSettings({
+        strategyKey: 'trend_following',
+        method: 'random',
+        samples: 4,
+        seed: 7,
+        parameterSpace: { 'SMA[0].window': { min: 10, max: 50, step: 5 }, 'SMA[1].window': [100, 200] }
+      });
+
+      const first = service.buildCandidates(strategy, settings).map(c => c.parameters);
+      const second = service.buildCandidates(strategy, settings).map(c => c.parameters);
+      expect(first.length).toBe(4);
+      expect(first).toEqual(second);
+    });
+
+    it('should reject parameters that do not address the strategy', () => {
+      const strategy = service.strategyService.getStrategy('trend_following');
+      const settings = service.resolveSettings({
+        strategyKey: 'trend_following',
+        parameterSpace: { 'RSI[0].window': [7, 14] }
+      });
+
+      expect(() => service.buildCandidates(strategy, settings))
+        .toThrowError(/does not match the strategy's indicators \(SMA\[0\], SMA\[1\]\)/);
+    });
+  });
+
+  describe('buildFolds', () => {
+    it('should roll windows forward by the out-of-sample length after the warm-up', () => {
+      const strategy = service.strategyService.getStrategy('trend_following');
+      const candidates = [{ strategy: service.applyParameters(strategy, { 'SMA[1].window': 20 }) }];
+      const folds = service.buildFolds(200, candidates, { inSampleBars: 80, outOfSampleBars: 40 });
+
+      // Longest warm-up is SMA 50 + 5 bars
+      expect(folds).toEqual([
+        { inSampleStart: 55, inSampleEnd: 135, outOfSampleStart: 135, outOfSampleEnd: 175 }
+      ]);
+    });
+  });
+
+  describe('optimize', () => {
+    it('should pick each window by in-sample score and report out-of-sample results', async () => {
+      const result = await service.optimize({
+        ticker: 'TEST',
+        priceData,
+        strategyKey: 'trend_following',
+        initialCapital: 10000,
+        parameterSpace: { 'SMA[0].window': [5, 10], 'SMA[1].window': [20] },
+        inSampleBars: 80,
+        outOfSampleBars: 40
+      });
+
+      expect(result.combinationsTested).toBe(2);
+      expect(result.windows.count).toBe(2);
+      expect(result.folds[0].inSample).toEqual({ start: priceData[25].date, end: priceData[104].date });
+      expect(result.folds[0].outOfSample).toEqual({ start: priceData[105].date, end: priceData[144].date });
+
+      for (const [i, fold] of result.folds.entries()) {
+        const scores = result.surface.map(point => point.inSampleScores[i]);
+        expect(fold.inSampleScore).toBe(Math.max(...scores));
+      }
+
+      const selections = result.surface.reduce((sum, point) => sum + point.timesSelected, 0);
+      expect(selections).toBe(2);
+      expect(result.surface.map(point => point.parameters)).toContain(result.chosenParameters);
+
+      const compounded = result.folds.reduce((g, fold) => g * (1 + fold.outOfSampleMetrics.totalReturn / 100), 1);
+      expect(result.outOfSample.totalReturn).toBeCloseTo((compounded - 1) * 100, 8);
+    });
+
+    it('should explain when there is not enough data for one window', async () => {
+      await expectAsync(service.optimize({
+        ticker: 'TEST',
+        priceData: priceData.slice(0, 100),
+        strategyKey: 'trend_following',
+        initialCapital: 10000,
+        parameterSpace: { 'SMA[1].window': [20] }
+      })).toBeRejectedWithError(/Not enough data for walk-forward/);
+    });
+  });
+});
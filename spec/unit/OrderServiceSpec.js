@@ -0,0 +1,186 @@
+/**
+ * Unit tests for OrderService order matching against daily bars
+ */
+
+const OrderService = require('../../src/services/OrderService');
+const OrderModel = require('../../src/db/models/OrderModel');
+
+describe('OrderService', () => {
+  const bar = (date, open, high, low) => ({ date, open, high, low, close: open });
+
+  describe('matchBar', () => {
+    it('should fill limit orders when the bar reaches the limit, at the open on a gap', () => {
+      const buy = { side: 'buy', orderType: 'limit', limitPrice: 100 };
+      const sell = { side: 'sell', orderType: 'limit', limitPrice: 110 };
+
+      expect(OrderService.matchBar(buy, bar('d', 105, 106, 101)).fillPrice).toBeNull();
+      expect(OrderService.matchBar(buy, bar('d', 105, 106, 99)).fillPrice).toBe(100);
+      expect(OrderService.matchBar(buy, bar('d', 97, 98, 95)).fillPrice).toBe(97);
+      expect(OrderService.matchBar(sell, bar('d', 105, 111, 104)).fillPrice).toBe(110);
+      expect(OrderService.matchBar(sell, bar('d', 112, 113, 111)).fillPrice).toBe(112);
+    });
+
+    it('should fill stop orders at the stop, or at the open when it gaps through', () => {
+      const buyStop = { side: 'buy', orderType: 'stop', stopPrice: 110 };
+      const sellStop = { side: 'sell', orderType: 'stop', stopPrice: 90 };
+
+      expect(OrderService.matchBar(buyStop, bar('d', 105, 109, 104)).fillPrice).toBeNull();
+      expect(OrderService.matchBar(buyStop, bar('d', 105, 111, 104)).fillPrice).toBe(110);
+      expect(OrderService.matchBar(buyStop, bar('d', 115, 116, 112)).fillPrice).toBe(115);
+      expect(OrderService.matchBar(sellStop, bar('d', 95, 96, 89)).fillPrice).toBe(90);
+      expect(OrderService.matchBar(sellStop, bar('d', 85, 86, 84)).fillPrice).toBe(85);
+    });
+
+    it('should trigger stop-limit orders and only fill within the limit', () => {
+      const order = { side: 'buy', orderType: 'stop-limit', stopPrice: 110, limitPrice: 112, triggered: false };
+
+      expect(OrderService.matchBar(order, bar('d', 111, 113, 108))).toEqual({ triggered: true, fillPrice: 111 });
+
+      // Gaps past the limit: triggered but rests as a limit order
+      expect(OrderService.matchBar(order, bar('d', 115, 116, 114))).toEqual({ triggered: true, fillPrice: null });
+      expect(OrderService.matchBar({ ...order, triggered: true }, bar('d', 114, 115, 111)))
+        .toEqual({ triggered: true, fillPrice: 112 });
+    });
+  });
+
+  describe('getReserveAmount', () => {
+    it('should reserve the limit (or stop) value of buy orders and nothing for sells', () => {
+      expect(OrderService.getReserveAmount({ side: 'buy', orderType: 'limit', quantity: 10, limitPrice: 50 })).toBe(500);
+      expect(OrderService.getReserveAmount({ side: 'buy', orderType: 'stop', quantity: 10, stopPrice: 60 })).toBe(600);
+      expect(OrderService.getReserveAmount({ side: 'sell', orderType: 'limit', quantity: 10, limitPrice: 50 })).toBe(0);
+    });
+  });
+
+  describe('placeOrder', () => {
+    let service;
+    let wallet;
+
+    beforeEach(() => {
+      service = new OrderService();
+      service.tradingService.quantityPrecision = 4;
+      wallet = {
+        status: 'active',
+        balance: 1000,
+        availableBalance: 1000,
+        hasAvailableFunds: amount => amount <= wallet.availableBalance,
+        reserveFunds: jasmine.createSpy('reserveFunds').and.callFake(amount => { wallet.availableBalance -= amount; }),
+        save: jasmine.createSpy('save')
+      };
+      spyOn(service.tradingService.priceDataService, 'getLatestPrice').and.resolveTo({ date: '2024-01-02' });
+      spyOn(service.tradingService, 'getOrCreateWallet').and.resolveTo(wallet);
+      spyOn(OrderModel.prototype, 'save').and.callFake(function() { return Promise.resolve(this); });
+    });
+
+    it('should accept fractional quantities', async () => {
+      const result = await service.placeOrder('user-1', {
+        ticker: 'aapl', side: 'buy', orderType: 'limit', quantity: 2.5, limitPrice: 100
+      });
+
+      expect(result.order.quantity).toBe(2.5);
+      expect(wallet.reserveFunds).toHaveBeenCalledOnceWith(250);
+    });
+
+    it('should size notional orders in shares at the order price', async () => {
+      const result = await service.placeOrder('user-1', {
+        ticker: 'AAPL', side: 'buy', orderType: 'stop', quantity: null, notional: 100, stopPrice: 30
+      });
+
+      expect(result.order.quantity).toBe(3.3333);
+      expect(result.order.notional).toBe(100);
+    });
+
+    it('should reject quantities finer than the configured precision', async () => {
+      await expectAsync(service.placeOrder('user-1', {
+        ticker: 'AAPL', side: 'buy', orderType: 'limit', quantity: 1.23456, limitPrice: 100
+      })).toBeRejectedWithError(/at most 4 decimal places/);
+      expect(OrderModel.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fillOrder', () => {
+    let service;
+    let wallet;
+    let order;
+
+    beforeEach(() => {
+      service = new OrderService();
+      wallet = { releaseFunds: jasmine.createSpy('releaseFunds'), save: jasmine.createSpy('save') };
+      order = {
+        _id: 'order1', userId: 'user-1', side: 'buy', orderType: 'limit', ticker: 'AAPL', quantity: 1,
+        reservedAmount: 100, status: 'pending', save: jasmine.createSpy('save')
+      };
+      spyOn(service.tradingService, 'getOrCreateWallet').and.resolveTo(wallet);
+      spyOn(service.tradingService, 'buyStock').and.rejectWith(new Error('Insufficient funds'));
+    });
+
+    it('should not release a reservation again when the first release persisted', async () => {
+      spyOn(OrderModel, 'findById').and.resolveTo({ reservedAmount: 0 });
+
+      await service.fillOrder(order, 100, '2024-01-03');
+
+      expect(wallet.releaseFunds).toHaveBeenCalledOnceWith(100);
+      expect(order.status).toBe('rejected');
+      expect(order.errorMessage).toBe('Insufficient funds');
+    });
+
+    it('should release the reservation when the fill was rolled back', async () => {
+      spyOn(OrderModel, 'findById').and.resolveTo({ reservedAmount: 100 });
+
+      await service.fillOrder(order, 100, '2024-01-03');
+
+      expect(wallet.releaseFunds.calls.allArgs()).toEqual([[100], [100]]);
+      expect(order.reservedAmount).toBe(0);
+    });
+  });
+
+  describe('matchOrder', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new OrderService();
+      spyOn(service, 'fillOrder').and.callFake(async (order, fillPrice, date) => {
+        order.status = 'filled';
+        order.fillPrice = fillPrice;
+        order.filledDate = date;
+      });
+    });
+
+    it('should only use bars after the last checked date and stop at the first fill', async () => {
+      const order = {
+        side: 'buy', orderType: 'limit', limitPrice: 100, status: 'pending',
+        lastCheckedDate: '2024-01-02', save: jasmine.createSpy('save')
+      };
+      const bars = [
+        bar('2024-01-01', 90, 91, 89),
+        bar('2024-01-02', 95, 96, 94),
+        bar('2024-01-03', 102, 104, 101),
+        bar('2024-01-04', 101, 102, 99),
+        bar('2024-01-05', 95, 96, 94)
+      ];
+
+      const status = await service.matchOrder(order, bars);
+
+      expect(status).toBe('filled');
+      expect(service.fillOrder).toHaveBeenCalledOnceWith(order, 100, '2024-01-04');
+      expect(order.lastCheckedDate).toBe('2024-01-04');
+    });
+
+    it('should remember progress and the trigger when nothing fills', async () => {
+      const order = {
+        side: 'sell', orderType: 'stop-limit', stopPrice: 90, limitPrice: 88, triggered: false,
+        status: 'pending', lastCheckedDate: '2024-01-01', save: jasmine.createSpy('save')
+      };
+
+      const status = await service.matchOrder(order, [
+        bar('2024-01-02', 92, 93, 91),
+        bar('2024-01-03', 85, 86, 84)
+      ]);
+
+      expect(status).toBe('pending');
+      expect(service.fillOrder).not.toHaveBeenCalled();
+      expect(order.triggered).toBe(true);
+      expect(order.lastCheckedDate).toBe('2024-01-03');
+      expect(order.save).toHaveBeenCalled();
+    });
+  });
+});
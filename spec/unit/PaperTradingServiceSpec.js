@@ -0,0 +1,114 @@
+/**
+ * Unit tests for PaperTradingService bar processing
+ */
+
+const PaperTradingService = require('../../src/services/PaperTradingService');
+
+describe('PaperTradingService', () => {
+  let service;
+  let session;
+  let priceDataMap;
+
+  // Strategy stub that replays a fixed signal per date
+  const scriptedStrategy = (script) => ({
+    name: 'Scripted',
+    calculateSignalForTicker: (ticker, history) => ({
+      signal: script[history[history.length - 1].date] || 'hold'
+    })
+  });
+
+  const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 1000 });
+
+  beforeEach(() => {
+    service = new PaperTradingService();
+
+    priceDataMap = new Map();
+    priceDataMap.set('AAPL', [bar('2024-01-01', 100), bar('2024-01-02', 110), bar('2024-01-03', 120)]);
+    priceDataMap.set('MSFT', [bar('2024-01-01', 50), bar('2024-01-02', 50), bar('2024-01-03', 45)]);
+
+    session = {
+      portfolioId: 'portfolio_test',
+      status: 'active',
+      strategy: 'trend_following',
+      initialValue: 10000,
+      currentValue: 10000,
+      cash: 10000,
+      positions: [
+        { ticker: 'AAPL', shares: 0, avgCost: 0, lastPrice: 0 },
+        { ticker: 'MSFT', shares: 0, avgCost: 0, lastPrice: 0 }
+      ],
+      paperTrades: [],
+      dailyValues: [{ date: '2024-01-01', value: 10000, cash: 10000 }],
+      lastProcessedDate: '2024-01-01'
+    };
+  });
+
+  describe('getNewBarDates', () => {
+    it('should return only dates after the last processed date, sorted and unique', () => {
+      const dates = service.getNewBarDates(priceDataMap, '2024-01-01');
+      expect(dates).toEqual(['2024-01-02', '2024-01-03']);
+    });
+
+    it('should return all dates when nothing has been processed', () => {
+      expect(service.getNewBarDates(priceDataMap, null).length).toBe(3);
+    });
+  });
+
+  describe('applyBar', () => {
+    it('should buy with an equal-weight allocation on a buy signal', () => {
+      const strategy = scriptedStrategy({ '2024-01-02': 'buy' });
+      service.applyBar(session, '2024-01-02', priceDataMap, strategy, true);
+
+      const aapl = session.positions.find(p => p.ticker === 'AAPL');
+      expect(aapl.shares).toBe(45); // floor(5000 / 110)
+      expect(aapl.avgCost).toBe(110);
+      expect(session.paperTrades.length).toBe(2);
+      expect(session.paperTrades[0].side).toBe('buy');
+      expect(session.paperTrades[0].date).toBe('2024-01-02');
+      expect(session.lastProcessedDate).toBe('2024-01-02');
+    });
+
+    it('should sell the whole position and record realized P&L on a sell signal', () => {
+      const strategy = scriptedStrategy({ '2024-01-02': 'buy', '2024-01-03': 'sell' });
+      service.applyBar(session, '2024-01-02', priceDataMap, strategy, true);
+      service.applyBar(session, '2024-01-03', priceDataMap, strategy, true);
+
+      const sells = session.paperTrades.filter(t => t.side === 'sell');
+      expect(sells.length).toBe(2);
+      const aaplSell = sells.find(t => t.ticker === 'AAPL');
+      expect(aaplSell.profitLoss).toBe(45 * 10);
+      expect(session.positions.every(p => p.shares === 0)).toBe(true);
+    });
+
+    it('should only mark to market when trading is disabled', () => {
+      const strategy = scriptedStrategy({ '2024-01-02': 'buy' });
+      session.positions[0].shares = 10;
+      session.positions[0].avgCost = 100;
+      session.cash = 9000;
+
+      service.applyBar(session, '2024-01-02', priceDataMap, strategy, false);
+
+      expect(session.paperTrades.length).toBe(0);
+      expect(session.currentValue).toBe(9000 + 10 * 110);
+      expect(session.dailyValues[session.dailyValues.length - 1].value).toBe(10100);
+    });
+  });
+
+  describe('updatePerformance', () => {
+    it('should compute total return, daily return and max drawdown in percent', () => {
+      session.dailyValues = [
+        { date: '2024-01-01', value: 10000 },
+        { date: '2024-01-02', value: 11000 },
+        { date: '2024-01-03', value: 9900 }
+      ];
+
+      service.updatePerformance(session);
+
+      expect(session.currentValue).toBe(9900);
+      expect(session.totalReturn).toBeCloseTo(-1, 6);
+      expect(session.dailyReturn).toBeCloseTo(-10, 6);
+      expect(session.performance.maxDrawdown).toBeCloseTo(-10, 6);
+      expect(typeof session.performance.sharpeRatio).toBe('number');
+    });
+  });
+});
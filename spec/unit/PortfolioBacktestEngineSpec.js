@@ -0,0 +1,116 @@
+/**
+ * Unit tests for PortfolioBacktestEngine
+ */
+
+const PortfolioBacktestEngine = require('../../src/services/PortfolioBacktestEngine');
+
+describe('PortfolioBacktestEngine', () => {
+  let priceDataMap;
+
+  const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 1000 });
+
+  // Replace indicator signals with a fixed script: { 'TICKER@date': 'buy' | 'sell' }
+  const withScript = (engine, script) => {
+    engine.requiredDataDays = 1;
+    engine.getStrategySignal = (history) => {
+      const last = history[history.length - 1];
+      const ticker = engine.tickers.find(t => engine.priceDataMap.get(t).includes(last));
+      return script[`${ticker}@${last.date}`] || 'hold';
+    };
+    return engine;
+  };
+
+  const createEngine = (options = {}) => new PortfolioBacktestEngine({
+    portfolioId: 'portfolio_test',
+    priceDataMap,
+    strategyKey: 'trend_following',
+    initialCapital: 10000,
+    rebalanceFreq: 'monthly',
+    ...options
+  });
+
+  beforeEach(() => {
+    spyOn(console, 'log');
+
+    priceDataMap = new Map();
+    priceDataMap.set('AAA', [
+      bar('2024-01-29', 100), bar('2024-01-30', 100), bar('2024-01-31', 200), bar('2024-02-01', 200), bar('2024-02-02', 200)
+    ]);
+    priceDataMap.set('BBB', [
+      bar('2024-01-29', 50), bar('2024-01-30', 50), bar('2024-01-31', 50), bar('2024-02-01', 50), bar('2024-02-02', 50)
+    ]);
+  });
+
+  describe('run', () => {
+    it('should allocate cash across tickers by equal weight on buy signals', async () => {
+      const engine = withScript(createEngine(), { 'AAA@2024-01-30': 'buy', 'BBB@2024-01-30': 'buy' });
+      const result = await engine.run();
+
+      const buys = result.trades.filter(t => t.type === 'BUY' && t.date === '2024-01-30');
+      expect(buys.map(t => [t.ticker, t.quantity])).toEqual([['AAA', 50], ['BBB', 100]]);
+      expect(result.tickers).toEqual(['AAA', 'BBB']);
+      expect(result.startDate).toBe('2024-01-30');
+    });
+
+    it('should rebalance drifted positions at the start of a new period', async () => {
+      const engine = withScript(createEngine(), { 'AAA@2024-01-30': 'buy', 'BBB@2024-01-30': 'buy' });
+      const result = await engine.run();
+
+      // AAA doubled to $10,000 vs BBB $5,000; February's first bar brings both to $7,500
+      const rebalances = result.trades.filter(t => t.reason === 'Rebalance');
+      expect(rebalances.map(t => [t.ticker, t.type, t.quantity])).toEqual([
+        ['AAA', 'SELL', 12],
+        ['BBB', 'BUY', 48]
+      ]);
+      expect(rebalances[0].date).toBe('2024-02-01');
+      expect(result.metrics.rebalanceCount).toBe(1);
+    });
+
+    it('should not rebalance inside the same period', async () => {
+      const engine = withScript(createEngine({ rebalanceFreq: 'quarterly' }), {
+        'AAA@2024-01-30': 'buy', 'BBB@2024-01-30': 'buy'
+      });
+      const result = await engine.run();
+      expect(result.trades.some(t => t.reason === 'Rebalance')).toBe(false);
+    });
+
+    it('should close all positions at the end and report portfolio metrics', async () => {
+      const engine = withScript(createEngine(), { 'AAA@2024-01-30': 'buy', 'BBB@2024-01-30': 'buy' });
+      const result = await engine.run();
+
+      expect(result.metrics.finalValue).toBe(15000);
+      expect(result.metrics.totalReturn).toBeCloseTo(50, 6);
+      expect(engine.cash).toBe(15000);
+      expect(result.trades.filter(t => t.reason === 'End of backtest - closing position').length).toBe(2);
+      expect(result.equityCurve.length).toBe(4);
+      expect(result.equityCurve.every(point => point.drawdown <= 0)).toBe(true);
+    });
+
+    it('should skip tickers without enough history for the indicators', async () => {
+      priceDataMap.set('CCC', [bar('2024-02-02', 10)]);
+      const engine = withScript(createEngine(), {});
+      const result = await engine.run();
+
+      expect(result.tickers).toEqual(['AAA', 'BBB']);
+      expect(engine.weights.get('AAA')).toBeCloseTo(0.5, 10);
+    });
+  });
+
+  describe('getRebalancePeriod', () => {
+    it('should key weekly periods by their Monday and quarters by number', () => {
+      const weekly = createEngine({ rebalanceFreq: 'weekly' });
+      expect(weekly.getRebalancePeriod('2024-02-01')).toBe('2024-01-29');
+      expect(weekly.getRebalancePeriod('2024-02-04')).toBe('2024-01-29');
+      expect(weekly.getRebalancePeriod('2024-02-05')).toBe('2024-02-05');
+
+      const quarterly = createEngine({ rebalanceFreq: 'quarterly' });
+      expect(quarterly.getRebalancePeriod('2024-03-31')).toBe('2024-Q1');
+      expect(quarterly.getRebalancePeriod('2024-04-01')).toBe('2024-Q2');
+    });
+
+    it('should default to the strategy rebalance frequency', () => {
+      const engine = createEngine({ rebalanceFreq: undefined, strategyKey: 'conservative' });
+      expect(engine.rebalanceFreq).toBe('monthly');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for end-of-day portfolio snapshots and time/money-weighted returns
+ */
+
+const PortfolioHistoryService = require('../../src/services/PortfolioHistoryService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+const PortfolioSnapshotModel = require('../../src/db/models/PortfolioSnapshotModel');
+const PriceDataModel = require('../../src/db/models/PriceDataModel');
+const TransactionModel = require('../../src/db/models/TransactionModel');
+
+describe('PortfolioHistoryService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new PortfolioHistoryService();
+  });
+
+  describe('dailyReturns', () => {
+    it('should take the day\'s flows out of the return', () => {
+      const series = PortfolioHistoryService.dailyReturns([
+        { totalValue: 1000, netFlow: 0 },
+        { totalValue: 1550, netFlow: 500 }, // Bought $500 more; the rest is a 5% gain
+        { totalValue: 1550, netFlow: 0 }
+      ]);
+
+      expect(series[1].dailyReturn).toBeCloseTo(0.05, 10);
+      expect(series[2].dailyReturn).toBe(0);
+      expect(series[2].cumulativeReturn).toBeCloseTo(0.05, 10);
+    });
+
+    it('should measure a day that starts empty against the money put in', () => {
+      const series = PortfolioHistoryService.dailyReturns([
+        { totalValue: 0, netFlow: 0 },
+        { totalValue: 1020, netFlow: 1000 }
+      ]);
+
+      expect(series[1].dailyReturn).toBeCloseTo(0.02, 10);
+    });
+  });
+
+  describe('summarize', () => {
+    it('should tell time-weighted from money-weighted returns when money arrives before a loss', () => {
+      const snapshots = [
+        { date: '2024-01-01', totalValue: 1000, netFlow: 0 },
+        { date: '2024-07-01', totalValue: 10100, netFlow: 9000 }, // +10%, then $9,000 more goes in
+        { date: '2024-12-30', totalValue: 9090, netFlow: 0 } // -10% on the larger balance
+      ];
+
+      const returns = PortfolioHistoryService.summarize(snapshots, PortfolioHistoryService.dailyReturns(snapshots));
+
+      expect(returns.timeWeightedReturn).toBeCloseTo(1.1 * 0.9 - 1, 10);
+      expect(returns.netFlows).toBe(9000);
+      expect(returns.gain).toBeCloseTo(-910, 6);
+      expect(returns.moneyWeightedReturn).toBeLessThan(returns.timeWeightedReturn);
+      expect(returns.moneyWeightedReturn).toBeLessThan(0);
+      expect(returns.timeWeightedAnnualized).toBeNull();
+    });
+
+    it('should annualize once the history spans a year', () => {
+      const snapshots = [
+        { date: '2023-01-01', totalValue: 1000, netFlow: 0 },
+        { date: '2024-01-01', totalValue: 1100, netFlow: 0 }
+      ];
+
+      const returns = PortfolioHistoryService.summarize(snapshots, PortfolioHistoryService.dailyReturns(snapshots));
+
+      expect(returns.timeWeightedAnnualized).toBeCloseTo(0.1, 10);
+      expect(returns.moneyWeightedAnnualized).toBeCloseTo(0.1, 6);
+    });
+  });
+
+  describe('takeSnapshot', () => {
+    const portfolio = new PortfolioModel({
+      portfolioId: 'portfolio_history',
+      userId: 'history_user',
+      horizon: 1,
+      cash: 200,
+      positions: [
+        { ticker: 'AAA', quantity: 10 },
+        { ticker: 'BBB', quantity: 5 },
+        { ticker: 'ZZZ', quantity: 1 }
+      ]
+    });
+
+    beforeEach(() => {
+      spyOn(PriceDataModel, 'find').and.resolveTo([
+        { ticker: 'AAA', data: [{ date: '2024-03-01', close: 10 }, { date: '2024-03-04', close: 12 }] },
+        { ticker: 'BBB', data: [{ date: '2024-03-01', close: 40 }] }
+      ]);
+      spyOn(PortfolioSnapshotModel, 'findOne').and.returnValue({ sort: () => Promise.resolve({ date: '2024-03-01' }) });
+      spyOn(PortfolioSnapshotModel, 'findOneAndUpdate').and.callFake(async (filter, update) => ({ ...filter, ...update }));
+      spyOn(TransactionModel, 'find').and.resolveTo([
+        { type: 'buy', total: 121 },
+        { type: 'fee', total: 1 },
+        { type: 'sell', total: 50 },
+        { type: 'dividend', total: 2 }
+      ]);
+    });
+
+    it('should value positions at the latest close on or before the day', async () => {
+      const snapshot = await service.takeSnapshot(portfolio, '2024-03-02');
+
+      expect(snapshot.positions).toEqual([
+        { ticker: 'AAA', quantity: 10, price: 10, marketValue: 100 },
+        { ticker: 'BBB', quantity: 5, price: 40, marketValue: 200 }
+      ]);
+      expect(snapshot.missingPrices).toEqual(['ZZZ']);
+      expect(snapshot.totalValue).toBe(500);
+    });
+
+    it('should record flows since the previous snapshot', async () => {
+      const snapshot = await service.takeSnapshot(portfolio, '2024-03-04');
+
+      expect(snapshot.netFlow).toBe(121 + 1 - 50 - 2);
+      const query = TransactionModel.find.calls.mostRecent().args[0];
+      expect(query.portfolioId.$in).toEqual([portfolio._id.toString(), 'portfolio_history']);
+      expect(query.createdAt.$gte.toISOString()).toBe('2024-03-02T00:00:00.000Z');
+      expect(query.createdAt.$lt.toISOString()).toBe('2024-03-05T00:00:00.000Z');
+    });
+  });
+});
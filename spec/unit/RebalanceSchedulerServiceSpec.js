@@ -0,0 +1,129 @@
+/**
+ * Unit tests for scheduled, strategy-driven rebalancing
+ */
+
+const rebalanceScheduler = require('../../src/services/RebalanceSchedulerService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+const RebalanceRunModel = require('../../src/db/models/RebalanceRunModel');
+
+describe('RebalanceSchedulerService', () => {
+  const asOf = new Date('2024-06-15T00:00:00Z');
+
+  // Unsaved portfolio document: AAA has run up to 70% of a $10,000 two-stock portfolio
+  const scheduledPortfolio = (autoRebalance = {}, extra = {}) => new PortfolioModel({
+    portfolioId: 'portfolio_scheduled',
+    userId: 'scheduled_user',
+    horizon: 1,
+    securities: [{ ticker: 'AAA' }, { ticker: 'BBB' }],
+    positions: [
+      { ticker: 'AAA', quantity: 70, averageCost: 80 },
+      { ticker: 'BBB', quantity: 30, averageCost: 100 }
+    ],
+    autoRebalance: { enabled: true, ...autoRebalance },
+    ...extra
+  });
+
+  beforeEach(() => {
+    spyOn(console, 'log');
+    spyOn(rebalanceScheduler.rebalanceService, 'getPrices').and.resolveTo({ AAA: 100, BBB: 100 });
+    spyOn(rebalanceScheduler, 'getTargetWeights').and.resolveTo({
+      targetWeights: { AAA: 0.5, BBB: 0.5 },
+      signals: { AAA: 'hold', BBB: 'buy' }
+    });
+    spyOn(RebalanceRunModel, 'exists').and.resolveTo(null);
+    spyOn(RebalanceRunModel.prototype, 'save').and.callFake(async function() { return this; });
+    spyOn(PortfolioModel, 'updateOne').and.resolveTo({});
+  });
+
+  describe('resolveFrequency', () => {
+    const { strategy } = rebalanceScheduler.resolveStrategy(scheduledPortfolio());
+
+    it('should prefer the portfolio setting', () => {
+      expect(rebalanceScheduler.resolveFrequency(scheduledPortfolio({ frequency: 'quarterly' }), strategy)).toBe('quarterly');
+    });
+
+    it('should use the curated config frequency', () => {
+      const curated = scheduledPortfolio({}, { curatedId: '1y-growth' });
+
+      expect(rebalanceScheduler.resolveFrequency(curated, strategy)).toBe('weekly');
+    });
+
+    it('should fall back to the strategy recommendation', () => {
+      const conservative = rebalanceScheduler.strategyService.getStrategy('conservative');
+
+      expect(rebalanceScheduler.resolveFrequency(scheduledPortfolio(), conservative)).toBe('monthly');
+    });
+  });
+
+  describe('signalWeights', () => {
+    it('should move sell signals to cash and weight the rest equally', () => {
+      const signals = new Map([['AAA', { signal: 'sell' }], ['BBB', { signal: 'buy' }], ['CCC', { signal: 'hold' }]]);
+
+      const weights = rebalanceScheduler.signalWeights(['AAA', 'BBB', 'CCC'], signals);
+
+      expect(weights.AAA).toBe(0);
+      expect(weights.BBB).toBeCloseTo(1 / 3, 6);
+      expect(weights.CCC).toBeCloseTo(1 / 3, 6);
+    });
+  });
+
+  describe('runScheduledRebalances', () => {
+    it('should skip portfolios whose period has not come due', async () => {
+      const portfolio = scheduledPortfolio({ frequency: 'monthly' }, { lastRebalancedAt: new Date('2024-06-01T00:00:00Z') });
+      spyOn(PortfolioModel, 'find').and.resolveTo([portfolio]);
+
+      const runs = await rebalanceScheduler.runScheduledRebalances(asOf);
+
+      expect(runs).toEqual([]);
+    });
+
+    it('should queue trades for approval by default', async () => {
+      spyOn(PortfolioModel, 'find').and.resolveTo([scheduledPortfolio()]);
+      spyOn(rebalanceScheduler.rebalanceService, 'execute');
+
+      const [run] = await rebalanceScheduler.runScheduledRebalances(asOf);
+
+      expect(run.status).toBe('pending_approval');
+      expect(run.trades.length).toBe(2);
+      expect(run.signals).toEqual({ AAA: 'hold', BBB: 'buy' });
+      expect(rebalanceScheduler.rebalanceService.execute).not.toHaveBeenCalled();
+    });
+
+    it('should execute right away when the portfolio is set to auto', async () => {
+      spyOn(PortfolioModel, 'find').and.resolveTo([scheduledPortfolio({ execution: 'auto' })]);
+      spyOn(rebalanceScheduler.rebalanceService, 'execute').and.callFake(async (doc, plan) => ({
+        executed: plan.trades.map(t => ({ ...t, transaction: { _id: 'tx' } })),
+        failed: []
+      }));
+
+      const [run] = await rebalanceScheduler.runScheduledRebalances(asOf);
+
+      expect(run.status).toBe('executed');
+      expect(run.trades.every(t => t.transactionId === 'tx')).toBe(true);
+    });
+
+    it('should not queue another run while one is waiting for approval', async () => {
+      spyOn(PortfolioModel, 'find').and.resolveTo([scheduledPortfolio()]);
+      RebalanceRunModel.exists.and.resolveTo({ _id: 'pending' });
+
+      const runs = await rebalanceScheduler.runScheduledRebalances(asOf);
+
+      expect(runs).toEqual([]);
+    });
+  });
+
+  describe('rejectRun', () => {
+    it('should close the period so the portfolio is not queued again right away', async () => {
+      const portfolio = scheduledPortfolio();
+      const run = new RebalanceRunModel({ portfolioId: portfolio.portfolioId, userId: portfolio.userId, status: 'pending_approval' });
+
+      await rebalanceScheduler.rejectRun(run, portfolio);
+
+      expect(run.status).toBe('rejected');
+      expect(PortfolioModel.updateOne).toHaveBeenCalledWith(
+        { _id: portfolio._id },
+        { $set: { lastRebalancedAt: run.decidedAt } }
+      );
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for rebalance planning, calendar/drift scheduling and execution
+ */
+
+const RebalanceService = require('../../src/services/RebalanceService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+
+describe('RebalanceService', () => {
+  let service;
+
+  // Unsaved portfolio document: AAA has run up to 70% of a $10,000 two-stock portfolio
+  const driftedPortfolio = (lastRebalancedAt = null) => new PortfolioModel({
+    portfolioId: 'portfolio_rebalance',
+    userId: 'rebalance_user',
+    horizon: 1,
+    securities: [{ ticker: 'AAA' }, { ticker: 'BBB' }],
+    positions: [
+      { ticker: 'AAA', quantity: 70, averageCost: 80 },
+      { ticker: 'BBB', quantity: 30, averageCost: 100 }
+    ],
+    lastRebalancedAt
+  });
+
+  beforeEach(() => {
+    service = new RebalanceService({ mode: 'calendar', frequency: 'monthly', driftThreshold: 0.05, minTradeValue: 100 });
+    spyOn(service, 'getPrices').and.resolveTo({ AAA: 100, BBB: 100 });
+    spyOn(console, 'log');
+  });
+
+  describe('nextCalendarDate', () => {
+    it('should be due immediately for a portfolio that was never rebalanced', () => {
+      expect(RebalanceService.nextCalendarDate(null, 'monthly')).toBeNull();
+    });
+
+    it('should add one frequency period to the last rebalance', () => {
+      const last = new Date('2024-01-15T00:00:00Z');
+
+      expect(RebalanceService.nextCalendarDate(last, 'weekly').toISOString()).toBe('2024-01-22T00:00:00.000Z');
+      expect(RebalanceService.nextCalendarDate(last, 'quarterly').toISOString()).toBe('2024-04-15T00:00:00.000Z');
+    });
+  });
+
+  describe('preview', () => {
+    it('should report drift, trades back to equal weight and post-trade weights', async () => {
+      const preview = await service.preview(driftedPortfolio());
+
+      expect(preview.due).toBe(true);
+      expect(preview.totalValue).toBe(10000);
+      expect(preview.drift.find(d => d.ticker === 'AAA').drift).toBeCloseTo(0.2, 6);
+      expect(preview.trades).toEqual([
+        jasmine.objectContaining({ ticker: 'AAA', side: 'sell', shares: 20 }),
+        jasmine.objectContaining({ ticker: 'BBB', side: 'buy', shares: 20 })
+      ]);
+      expect(preview.postTradeWeights.AAA).toBeCloseTo(0.5, 6);
+      expect(preview.postTradeWeights.BBB).toBeCloseTo(0.5, 6);
+    });
+
+    it('should target the portfolio\'s stored allocation method', async () => {
+      const portfolio = driftedPortfolio();
+      portfolio.allocation = { method: 'min_variance', maxWeight: 0.8 };
+      spyOn(service.allocationService, 'allocate').and.resolveTo({ weights: { AAA: 0.7, BBB: 0.3 } });
+
+      const preview = await service.preview(portfolio);
+
+      expect(service.allocationService.allocate).toHaveBeenCalledWith(['AAA', 'BBB'], { method: 'min_variance', maxWeight: 0.8 });
+      expect(preview.allocationMethod).toBe('min_variance');
+      expect(preview.trades).toEqual([]);
+    });
+
+    it('should estimate trade costs from the fee schedule', async () => {
+      service.tradingService.feeService.schedule.perTradeFee = 1.5;
+
+      const preview = await service.preview(driftedPortfolio());
+
+      expect(preview.trades.every(t => t.estimatedCost === 1.5)).toBe(true);
+      expect(preview.estimatedCosts).toBe(3);
+    });
+
+    it('should not be due in calendar mode before the next period', async () => {
+      const preview = await service.preview(driftedPortfolio(new Date('2024-03-01T00:00:00Z')), {
+        asOf: new Date('2024-03-20T00:00:00Z')
+      });
+
+      expect(preview.due).toBe(false);
+      expect(preview.reason).toContain('2024-04-01');
+    });
+
+    it('should only be due in drift mode once a holding leaves the band', async () => {
+      const inside = await service.preview(driftedPortfolio(), { mode: 'drift', driftThreshold: 0.25 });
+      const outside = await service.preview(driftedPortfolio(), { mode: 'drift', driftThreshold: 0.1 });
+
+      expect(inside.due).toBe(false);
+      expect(inside.trades).toEqual([]);
+      expect(outside.due).toBe(true);
+      expect(outside.trades.length).toBe(2);
+    });
+
+    it('should buy target tickers the portfolio does not hold yet', async () => {
+      service.getPrices.and.resolveTo({ AAA: 100, BBB: 100, CCC: 50 });
+
+      const preview = await service.preview(driftedPortfolio(), {
+        targetWeights: { AAA: 0.4, BBB: 0.4, CCC: 0.2 }
+      });
+
+      expect(preview.trades).toContain(jasmine.objectContaining({ ticker: 'CCC', side: 'buy', shares: 40 }));
+    });
+
+    it('should reject target weights above 100%', async () => {
+      await expectAsync(service.preview(driftedPortfolio(), { targetWeights: { AAA: 0.8, BBB: 0.4 } }))
+        .toBeRejectedWithError(/more than 100%/);
+    });
+  });
+
+  describe('execute', () => {
+    it('should sell before buying through TradingService as auto-rebalance orders', async () => {
+      const calls = [];
+      const fill = (side) => async (userId, portfolioId, ticker, quantity, options) => {
+        calls.push({ side, ticker, quantity, orderSource: options.orderSource });
+        return { transaction: { ticker } };
+      };
+      spyOn(service.tradingService, 'buyStock').and.callFake(fill('buy'));
+      spyOn(service.tradingService, 'sellStock').and.callFake(fill('sell'));
+      spyOn(PortfolioModel, 'updateOne').and.resolveTo({});
+      const portfolio = driftedPortfolio();
+
+      const plan = await service.preview(portfolio);
+      const result = await service.execute(portfolio, plan);
+
+      expect(calls.map(c => c.side)).toEqual(['sell', 'buy']);
+      expect(calls.every(c => c.orderSource === 'auto-rebalance')).toBe(true);
+      expect(result.executed.length).toBe(2);
+      expect(PortfolioModel.updateOne).toHaveBeenCalled();
+    });
+
+    it('should report a failed trade and keep going', async () => {
+      spyOn(console, 'warn');
+      spyOn(service.tradingService, 'sellStock').and.rejectWith(new Error('Market closed'));
+      spyOn(service.tradingService, 'buyStock').and.resolveTo({ transaction: {} });
+      spyOn(PortfolioModel, 'updateOne').and.resolveTo({});
+      const portfolio = driftedPortfolio();
+
+      const result = await service.execute(portfolio, await service.preview(portfolio));
+
+      expect(result.failed).toEqual([jasmine.objectContaining({ ticker: 'AAA', error: 'Market closed' })]);
+      expect(result.executed.length).toBe(1);
+    });
+  });
+});
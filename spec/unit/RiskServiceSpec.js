@@ -0,0 +1,117 @@
+/**
+ * Unit tests for portfolio risk analytics: VaR, expected shortfall, beta and correlations
+ */
+
+const RiskService = require('../../src/services/RiskService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+
+describe('RiskService', () => {
+  let service;
+
+  // Benchmark closes with a repeating pattern of returns; AAA moves twice as much, BBB moves against it
+  const buildMarket = (bars = 121) => {
+    const pattern = [0.01, -0.02, 0.015, -0.005, 0.003, -0.012, 0.02, -0.008];
+    const dates = [];
+    const bench = [100];
+    const aaa = [50];
+    const bbb = [20];
+    for (let i = 0; i < bars; i++) {
+      dates.push(new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0]);
+      if (i === 0) continue;
+      const r = pattern[i % pattern.length];
+      bench.push(bench[bench.length - 1] * (1 + r));
+      aaa.push(aaa[aaa.length - 1] * (1 + 2 * r));
+      bbb.push(bbb[bbb.length - 1] * (1 - 0.5 * r + (i % 3 === 0 ? 0.004 : -0.002)));
+    }
+    return { dates, bench, closes: new Map([['AAA', aaa], ['BBB', bbb]]) };
+  };
+
+  const portfolio = (positions) => new PortfolioModel({
+    portfolioId: 'portfolio_risk',
+    userId: 'risk_user',
+    horizon: 1,
+    positions
+  });
+
+  beforeEach(() => {
+    service = new RiskService({ lookbackBars: 252, minBars: 60, benchmark: 'SPY' });
+  });
+
+  describe('historicalTail', () => {
+    it('should take VaR at the tail quantile and average the losses beyond it', () => {
+      const pnl = Array.from({ length: 100 }, (_, i) => i - 10); // -10 .. 89
+
+      const tail = RiskService.historicalTail(pnl, 0.95);
+
+      expect(tail.valueAtRisk).toBe(6);
+      expect(tail.expectedShortfall).toBe(8);
+    });
+  });
+
+  describe('measure', () => {
+    it('should report VaR and expected shortfall in dollars and as a share of holdings', () => {
+      const { dates, closes } = buildMarket();
+      const report = service.measure([{ ticker: 'AAA', quantity: 10, direction: 1 }], { dates, closes });
+
+      const [var95, var99] = report.valueAtRisk;
+      expect(var95.confidence).toBe(0.95);
+      expect(var99.parametric.valueAtRisk).toBeGreaterThan(var95.parametric.valueAtRisk);
+      expect(var95.parametric.expectedShortfall).toBeGreaterThan(var95.parametric.valueAtRisk);
+      expect(var95.historical.expectedShortfall).toBeGreaterThanOrEqual(var95.historical.valueAtRisk);
+      expect(var95.historical.valueAtRiskPercent).toBeCloseTo(var95.historical.valueAtRisk / report.positionsValue, 10);
+    });
+
+    it('should split risk across positions and correlate the holdings', () => {
+      const { dates, closes } = buildMarket();
+      const report = service.measure([
+        { ticker: 'AAA', quantity: 10, direction: 1 },
+        { ticker: 'BBB', quantity: 20, direction: 1 }
+      ], { dates, closes });
+
+      const totalContribution = report.positions.reduce((sum, p) => sum + p.riskContribution, 0);
+      expect(totalContribution).toBeCloseTo(1, 10);
+      expect(report.correlation.tickers).toEqual(['AAA', 'BBB']);
+      expect(report.correlation.matrix[0][0]).toBeCloseTo(1, 10);
+      expect(report.correlation.matrix[0][1]).toBeCloseTo(report.correlation.matrix[1][0], 10);
+      expect(report.correlation.matrix[0][1]).toBeLessThan(0);
+    });
+  });
+
+  describe('analyze', () => {
+    it('should measure beta to the benchmark on shared dates', async () => {
+      const { dates, bench, closes } = buildMarket();
+      spyOn(service.allocationService, 'loadCloses').and.resolveTo({ dates, closes });
+      spyOn(service.benchmarkService, 'loadBenchmark').and.resolveTo({
+        label: 'SPY',
+        series: dates.map((date, i) => ({ date, close: bench[i] }))
+      });
+
+      const report = await service.analyze(portfolio([{ ticker: 'AAA', quantity: 10 }]));
+
+      expect(service.benchmarkService.loadBenchmark).toHaveBeenCalledWith('SPY', dates[0], dates[dates.length - 1]);
+      expect(report.benchmark.beta).toBeCloseTo(2, 6);
+      expect(report.benchmark.positions.AAA).toBeCloseTo(2, 6);
+      expect(report.benchmark.correlation).toBeCloseTo(1, 6);
+    });
+
+    it('should keep the report when the benchmark has no data', async () => {
+      const { dates, closes } = buildMarket();
+      spyOn(service.allocationService, 'loadCloses').and.resolveTo({ dates, closes });
+      spyOn(service.benchmarkService, 'loadBenchmark').and.rejectWith(new Error('No price data found in database for benchmark QQQ'));
+
+      const report = await service.analyze(portfolio([{ ticker: 'AAA', quantity: 10 }]), { benchmark: 'QQQ' });
+
+      expect(report.benchmark).toEqual({ label: 'QQQ', error: 'No price data found in database for benchmark QQQ' });
+      expect(report.valueAtRisk.length).toBe(2);
+    });
+
+    it('should require enough overlapping history', async () => {
+      spyOn(console, 'error');
+      const { dates, closes } = buildMarket(30);
+      spyOn(service.allocationService, 'loadCloses').and.resolveTo({ dates, closes });
+
+      await expectAsync(service.analyze(portfolio([{ ticker: 'AAA', quantity: 10 }])))
+        .toBeRejectedWithError(/at least 60 overlapping daily returns/);
+    });
+  });
+});
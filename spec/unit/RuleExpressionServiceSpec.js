@@ -0,0 +1,94 @@
+/**
+ * Unit tests for RuleExpressionService rule parsing and evaluation
+ */
+
+const RuleExpressionService = require('../../src/services/RuleExpressionService');
+const Strategy = require('../../src/models/Strategy');
+
+describe('RuleExpressionService', () => {
+  const bars = (closes) => closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+    open: close, high: close + 1, low: close - 1, close, volume: 1000
+  }));
+
+  const holds = (rule, closes) => RuleExpressionService.evaluate(RuleExpressionService.compile(rule), bars(closes));
+
+  describe('compile', () => {
+    it('should collect the indicators a rule references without duplicates', () => {
+      const rule = RuleExpressionService.compile('PRICE > SMA(50) AND sma50 > SMA(200) OR RSI < 30');
+
+      expect(rule.indicators).toEqual([
+        { type: 'SMA', params: { window: 50 } },
+        { type: 'SMA', params: { window: 200 } },
+        { type: 'RSI', params: { window: 14 } }
+      ]);
+    });
+
+    it('should accept operator aliases and two-word crosses', () => {
+      expect(() => RuleExpressionService.compile('!(close = open) && macd crosses above macd.signal')).not.toThrow();
+    });
+
+    it('should reject unknown names, bad syntax and non-conditions with their position', () => {
+      expect(() => RuleExpressionService.compile('PRICE > process.exit(1)'))
+        .toThrowError(/position 9: Unknown reference 'process'/);
+      expect(() => RuleExpressionService.compile('PRICE > (SMA(20)'))
+        .toThrowError(/Expected '\)'/);
+      expect(() => RuleExpressionService.compile('PRICE + 1'))
+        .toThrowError(/must be a condition/);
+      expect(() => RuleExpressionService.compile('(PRICE > 1) AND 5'))
+        .toThrowError(/AND must join two conditions/);
+      expect(() => RuleExpressionService.compile('PRICE > SMA(1000)'))
+        .toThrowError(/SMA window must be a whole number from 1 to 400/);
+      expect(() => RuleExpressionService.compile('PRICE > BOLLINGER(20, 2)'))
+        .toThrowError(/BOLLINGER needs a band/);
+    });
+
+    it('should limit rule length and nesting', () => {
+      expect(() => RuleExpressionService.compile(`PRICE > ${'1 + '.repeat(200)}1`))
+        .toThrowError(/Rule is too long/);
+      expect(() => RuleExpressionService.compile(`${'('.repeat(30)}PRICE > 1${')'.repeat(30)}`))
+        .toThrowError(/nested too deeply/);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should compare price fields, indicators and arithmetic on the last bar', () => {
+      const rising = [10, 11, 12, 13, 14];
+
+      expect(holds('PRICE > SMA(3)', rising)).toBe(true);
+      expect(holds('PRICE > SMA(3) * 1.5', rising)).toBe(false);
+      expect(holds('HIGH - LOW == 2 AND NOT VOLUME < 1000', rising)).toBe(true);
+    });
+
+    it('should detect crosses only on the bar they happen', () => {
+      expect(holds('PRICE CROSSES_ABOVE SMA(3)', [10, 10, 10, 9, 12])).toBe(true);
+      expect(holds('PRICE CROSSES_ABOVE SMA(3)', [10, 10, 9, 12, 13])).toBe(false);
+      expect(holds('PRICE CROSSES_BELOW SMA(3)', [10, 10, 10, 11, 8])).toBe(true);
+    });
+
+    it('should read highs, lows and volume for range and volume indicators', () => {
+      const rising = [10, 11, 12, 13, 14, 15, 16];
+
+      expect(holds('ATR(3) == 2 AND OBV > 0', rising)).toBe(true);
+      expect(holds('ADX(3).plusdi > ADX(3).minusdi AND WILLR(3) > -30', rising)).toBe(true);
+      expect(holds('STOCH(3, 2).k > 50', rising)).toBe(true);
+    });
+
+    it('should treat references without enough history as false', () => {
+      expect(holds('PRICE > SMA(10)', [10, 11, 12])).toBe(false);
+      expect(holds('NOT PRICE > SMA(10)', [10, 11, 12])).toBe(true);
+    });
+  });
+
+  describe('Strategy.compileRules', () => {
+    it('should evaluate compiled rules instead of the majority vote, exits first', () => {
+      spyOn(console, 'log');
+      const strategy = new Strategy('Dip Buyer', [], 'PRICE < SMA(3)', 'PRICE > SMA(3) * 1.1').compileRules();
+
+      expect(strategy.indicators).toEqual([{ type: 'SMA', params: { window: 3 } }]);
+      expect(strategy.evaluateRules(bars([10, 10, 10, 9]))).toBe('buy');
+      expect(strategy.evaluateRules(bars([10, 10, 10, 12]))).toBe('sell');
+      expect(strategy.calculateSignalForTicker('TEST', bars([10, 10, 10, 10.2])).signal).toBe('hold');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for StrategyComparisonService side-by-side backtests
+ */
+
+const StrategyComparisonService = require('../../src/services/StrategyComparisonService');
+
+describe('StrategyComparisonService', () => {
+  let service;
+  let priceData;
+
+  // Deterministic pseudo-random noise in [-0.5, 0.5)
+  const makeNoise = (seed) => {
+    let state = seed;
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647 - 0.5;
+    };
+  };
+
+  beforeEach(() => {
+    spyOn(console, 'log');
+    service = new StrategyComparisonService();
+
+    const noise = makeNoise(23);
+    let close = 100;
+    priceData = [];
+    for (let i = 0; i < 300; i++) {
+      close *= 1 + 0.001 + noise() * 0.04;
+      priceData.push({
+        date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+        open: close, high: close * 1.01, low: close * 0.99, close, volume: 1000
+      });
+    }
+  });
+
+  describe('compare', () => {
+    it('should rank every registered strategy and buy-and-hold', async () => {
+      const result = await service.compare({ ticker: 'TEST', priceData, initialCapital: 10000 });
+
+      expect(result.ranking.map(row => row.strategy).sort()).toEqual(
+        ['buy_and_hold', 'conservative', 'mean_reversion', 'momentum', 'trend_following']
+      );
+      expect(result.ranking.map(row => row.rank)).toEqual([1, 2, 3, 4, 5]);
+      for (let i = 1; i < result.ranking.length; i++) {
+        expect(result.ranking[i - 1].sharpeRatio).toBeGreaterThanOrEqual(result.ranking[i].sharpeRatio);
+      }
+    });
+
+    it('should start every run after the longest warm-up and align the equity curves', async () => {
+      const result = await service.compare({ ticker: 'TEST', priceData, initialCapital: 10000 });
+
+      // Trend following's SMA 200 + 5 bars is the longest warm-up
+      expect(result.period.start).toBe(priceData[205].date);
+      expect(result.equityCurves.dates.length).toBe(95);
+      for (const values of Object.values(result.equityCurves.series)) {
+        expect(values.length).toBe(95);
+        expect(values).not.toContain(null);
+      }
+    });
+
+    it('should hold buy-and-hold fully invested from the first day', async () => {
+      const result = await service.compare({ ticker: 'TEST', priceData, initialCapital: 10000, rankBy: 'totalReturn' });
+
+      const buyAndHold = result.ranking.find(row => row.strategy === 'buy_and_hold');
+      const shares = Math.floor(10000 / priceData[205].close);
+      const finalValue = 10000 - shares * priceData[205].close + shares * priceData[299].close;
+      expect(buyAndHold.finalValue).toBeCloseTo(finalValue, 6);
+      expect(buyAndHold.totalTrades).toBe(1);
+    });
+
+    it('should reject an unknown ranking metric', async () => {
+      await expectAsync(service.compare({ ticker: 'TEST', priceData, initialCapital: 10000, rankBy: 'luck' }))
+        .toBeRejectedWithError(/rankBy must be one of/);
+    });
+  });
+});
@@ -202,6 +202,18 @@ describe('StrategyService', () => {
     });
   });
 
+  describe('createCustomStrategyId', () => {
+    it('should create distinct custom strategy IDs within the same millisecond', () => {
+      spyOn(Date, 'now').and.returnValue(1700000000000);
+      const first = StrategyService.createCustomStrategyId();
+      const second = StrategyService.createCustomStrategyId();
+
+      expect(first).toMatch(/^custom_\w+$/);
+      expect(StrategyService.isCustomStrategyId(first)).toBe(true);
+      expect(second).not.toBe(first);
+    });
+  });
+
   describe('getStrategyStatistics', () => {
     it('should return strategy statistics', () => {
       const stats = strategyService.getStrategyStatistics();
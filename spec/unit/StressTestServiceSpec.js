@@ -0,0 +1,170 @@
+/**
+ * Unit tests for historical stress scenarios and custom price shocks
+ */
+
+const StressTestService = require('../../src/services/StressTestService');
+const PortfolioModel = require('../../src/db/models/PortfolioModel');
+
+describe('StressTestService', () => {
+  let service;
+
+  const series = (points) => ({
+    dates: points.map(([date]) => date),
+    closes: points.map(([, close]) => close)
+  });
+
+  // AAA halves into the 2020 window's low and regains its peak in June; XOM rises throughout
+  const history = () => new Map([
+    ['AAA', series([
+      ['2020-02-18', 95], ['2020-02-19', 100], ['2020-03-02', 80], ['2020-03-23', 50],
+      ['2020-04-15', 70], ['2020-06-10', 101], ['2024-12-31', 200]
+    ])],
+    ['XOM', series([
+      ['2020-02-19', 40], ['2020-03-02', 41], ['2020-03-23', 44], ['2024-12-31', 100]
+    ])],
+    ['NEW', series([['2023-01-03', 10], ['2024-12-31', 20]])],
+    ['SPY', series([
+      ['2020-02-19', 300], ['2020-03-02', 270], ['2020-03-23', 240], ['2020-06-10', 310], ['2024-12-31', 500]
+    ])]
+  ]);
+
+  const portfolio = (positions, cash = 0, securities = []) => new PortfolioModel({
+    portfolioId: 'portfolio_stress',
+    userId: 'stress_user',
+    horizon: 1,
+    cash,
+    positions,
+    securities
+  });
+
+  beforeEach(() => {
+    service = new StressTestService();
+  });
+
+  describe('closeOn', () => {
+    it('should carry the last close forward and return null before the first date', () => {
+      const s = series([['2020-01-02', 10], ['2020-01-06', 12]]);
+
+      expect(StressTestService.closeOn(s, '2020-01-03')).toBe(10);
+      expect(StressTestService.closeOn(s, '2020-01-06')).toBe(12);
+      expect(StressTestService.closeOn(s, '2020-01-01')).toBeNull();
+    });
+  });
+
+  describe('run', () => {
+    it('should replay holdings through a window and time the recovery after it', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      const report = await service.run(portfolio([{ ticker: 'AAA', quantity: 10 }], 1000), { scenarios: ['2020-covid-crash'] });
+      const [covid] = report.scenarios;
+
+      expect(report.startValue).toBe(3000);
+      expect(covid.startDate).toBe('2020-02-19');
+      expect(covid.endDate).toBe('2020-03-23');
+      expect(covid.pnl).toBeCloseTo(-1000, 8); // $2000 of AAA falls 50%
+      expect(covid.positions[0].return).toBeCloseTo(-0.5, 10);
+      expect(covid.maxDrawdown.maxDrawdown).toBeCloseTo(1000 / 3000, 10);
+      expect(covid.maxDrawdown.peakDate).toBe('2020-02-19');
+      expect(covid.recovery.date).toBe('2020-06-10');
+      expect(covid.recovery.tradingDays).toBe(2);
+      expect(covid.recovery.calendarDays).toBe(79);
+    });
+
+    it('should gain on shorts when prices fall', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      const report = await service.run(portfolio([{ ticker: 'AAA', quantity: 10, side: 'short' }], 5000), { scenarios: ['2020-covid-crash'] });
+
+      expect(report.scenarios[0].pnl).toBeCloseTo(1000, 8);
+      expect(report.scenarios[0].positions[0].side).toBe('short');
+    });
+
+    it('should follow the proxy for holdings listed after the window', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      const report = await service.run(portfolio([{ ticker: 'NEW', quantity: 100 }]), { scenarios: ['2020-covid-crash'] });
+      const [covid] = report.scenarios;
+
+      expect(covid.proxied).toEqual(['NEW']);
+      expect(covid.positions[0].source).toBe('SPY');
+      expect(covid.return).toBeCloseTo(-0.2, 10);
+    });
+
+    it('should report a scenario without data instead of failing the run', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      const report = await service.run(portfolio([{ ticker: 'AAA', quantity: 10 }]), { scenarios: ['2008-financial-crisis', '2020-covid-crash'] });
+
+      expect(report.scenarios[0]).toEqual({
+        id: '2008-financial-crisis',
+        name: '2008 Financial Crisis',
+        error: 'No price history covers 2008 Financial Crisis'
+      });
+      expect(report.scenarios[1].error).toBeUndefined();
+    });
+
+    it('should shock by ticker first, then sector prefix, then the market', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      const report = await service.run(portfolio([
+        { ticker: 'AAA', quantity: 10 },
+        { ticker: 'XOM', quantity: 10 },
+        { ticker: 'NEW', quantity: 10 }
+      ], 0, [{ ticker: 'AAA', sector: 'Technology' }]), {
+        shocks: [{ name: 'Tech sell-off', market: -0.1, sectors: { tech: -0.2, Energy: 0.05 }, tickers: { new: -0.5 } }]
+      });
+      const [shock] = report.shocks;
+
+      expect(report.scenarios).toEqual([]);
+      expect(shock.positions.map(p => p.shock)).toEqual([-0.2, 0.05, -0.5]);
+      expect(shock.positions[1].sector).toBe('Energy');
+      expect(shock.pnl).toBeCloseTo(-400 + 50 - 100, 8);
+      expect(shock.maxDrawdown.maxDrawdown).toBeCloseTo(450 / 3200, 10);
+      expect(shock.recovery).toBeNull();
+    });
+
+    it('should shock every financial holding under one sector name', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(new Map([
+        ...history(),
+        ['BRK.B', series([['2024-12-31', 400]])],
+        ['JPM', series([['2024-12-31', 200]])]
+      ]));
+
+      const report = await service.run(portfolio([
+        { ticker: 'BRK.B', quantity: 1 },
+        { ticker: 'JPM', quantity: 2 },
+        { ticker: 'XOM', quantity: 1 }
+      ]), {
+        shocks: [{ name: 'Bank run', sectors: { financial: -0.3 } }]
+      });
+      const [shock] = report.shocks;
+
+      expect(shock.positions.map(p => p.sector)).toEqual(['Financial Services', 'Financial Services', 'Energy']);
+      expect(shock.positions.map(p => p.shock)).toEqual([-0.3, -0.3, 0]);
+      expect(shock.pnl).toBeCloseTo(-240, 8);
+    });
+
+    it('should leave tickers without a sector to the market move', async () => {
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      const report = await service.run(portfolio([
+        { ticker: 'AAA', quantity: 10 },
+        { ticker: 'NEW', quantity: 10 }
+      ]), {
+        shocks: [{ name: 'Tech sell-off', market: -0.05, sectors: { tech: -0.2 } }]
+      });
+      const [shock] = report.shocks;
+
+      expect(shock.positions.map(p => p.sector)).toEqual(['Unclassified', 'Unclassified']);
+      expect(shock.positions.map(p => p.shock)).toEqual([-0.05, -0.05]);
+    });
+
+    it('should require price history for every holding', async () => {
+      spyOn(console, 'error');
+      spyOn(service, 'loadHistory').and.resolveTo(history());
+
+      await expectAsync(service.run(portfolio([{ ticker: 'ZZZ', quantity: 1 }])))
+        .toBeRejectedWithError('No price history in database for: ZZZ');
+    });
+  });
+});
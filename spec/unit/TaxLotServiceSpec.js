@@ -0,0 +1,109 @@
+/**
+ * Unit tests for TaxLotService lot selection and the realized-gain report
+ */
+
+const TaxLotService = require('../../src/services/TaxLotService');
+const TaxLotModel = require('../../src/db/models/TaxLotModel');
+
+describe('TaxLotService', () => {
+  const lots = [
+    { _id: 'lot1', remainingQuantity: 10, costPerShare: 100, acquiredAt: new Date('2023-01-10') },
+    { _id: 'lot2', remainingQuantity: 10, costPerShare: 130, acquiredAt: new Date('2023-06-10') },
+    { _id: 'lot3', remainingQuantity: 10, costPerShare: 90, acquiredAt: new Date('2024-01-10') }
+  ];
+  const picked = (selections) => selections.map(s => [s.lot._id, s.quantity]);
+
+  describe('selectLots', () => {
+    it('should draw from lots in FIFO, LIFO and highest-cost order', () => {
+      expect(picked(TaxLotService.selectLots(lots, 15, 'fifo'))).toEqual([['lot1', 10], ['lot2', 5]]);
+      expect(picked(TaxLotService.selectLots(lots, 15, 'lifo'))).toEqual([['lot3', 10], ['lot2', 5]]);
+      expect(picked(TaxLotService.selectLots(lots, 15, 'highest_cost'))).toEqual([['lot2', 10], ['lot1', 5]]);
+    });
+
+    it('should use exactly the requested specific lots', () => {
+      const selections = TaxLotService.selectLots(lots, 6, 'specific', [
+        { lotId: 'lot3', quantity: 4 }, { lotId: 'lot1', quantity: 2 }
+      ]);
+      expect(picked(selections)).toEqual([['lot3', 4], ['lot1', 2]]);
+
+      expect(() => TaxLotService.selectLots(lots, 6, 'specific', [{ lotId: 'lot3', quantity: 4 }]))
+        .toThrowError(/add up to 4 shares but the sell is for 6/);
+      expect(() => TaxLotService.selectLots(lots, 11, 'specific', [{ lotId: 'lot3', quantity: 11 }]))
+        .toThrowError(/only has 10 shares remaining/);
+      expect(() => TaxLotService.selectLots(lots, 31, 'fifo')).toThrowError(/only cover 30 of 31/);
+    });
+  });
+
+  describe('matchSell', () => {
+    it('should only draw on lots bought in the portfolio being sold from', async () => {
+      const stored = [
+        { ...lots[0], userId: 'u', portfolioId: 'growth', ticker: 'TEST', status: 'open' },
+        { ...lots[1], userId: 'u', portfolioId: 'income', ticker: 'TEST', status: 'open' }
+      ];
+      spyOn(TaxLotModel, 'find').and.callFake(async (query) =>
+        stored.filter(lot => Object.entries(query).every(([key, value]) => lot[key] === value)));
+      const service = new TaxLotService();
+
+      const match = await service.matchSell('u', 'income', 'TEST', 5, { lotMethod: 'fifo' });
+
+      expect(picked(match.selections)).toEqual([['lot2', 5]]);
+      expect(match.costBasis).toBe(130);
+      expect(await service.matchSell('u', 'income', 'TEST', 15, { lotMethod: 'fifo' })).toBeNull();
+    });
+  });
+
+  describe('buildRealizedGains', () => {
+    const settings = { longTermDays: 365, washSaleDays: 30 };
+    const sell = {
+      _id: 'sell1',
+      ticker: 'TEST',
+      quantity: 20,
+      subtotal: 2400,
+      commission: 0,
+      createdAt: new Date('2024-02-01'),
+      lotsSold: [
+        { lotId: 'lot1', quantity: 10, costPerShare: 100, acquiredAt: new Date('2023-01-10') },
+        { lotId: 'lot2', quantity: 10, costPerShare: 130, acquiredAt: new Date('2023-06-10') }
+      ]
+    };
+
+    it('should split short- and long-term gains by holding period', () => {
+      const report = TaxLotService.buildRealizedGains([sell], [], settings);
+
+      expect(report.lines.map(l => [l.lotId, l.term, l.gain])).toEqual([['lot1', 'long', 200], ['lot2', 'short', -100]]);
+      expect(report.summary.longTerm.gain).toBe(200);
+      expect(report.summary.shortTerm.gain).toBe(-100);
+      expect(report.summary.washSales).toBe(0);
+    });
+
+    it('should disallow losses replaced within the wash-sale window', () => {
+      const buys = [
+        { _id: 'buy2', ticker: 'TEST', quantity: 10, createdAt: new Date('2023-06-10'), lotId: 'lot2' },
+        { _id: 'buy4', ticker: 'TEST', quantity: 4, createdAt: new Date('2024-02-20'), lotId: 'lot4' }
+      ];
+
+      const report = TaxLotService.buildRealizedGains([sell], buys, settings);
+      const loss = report.lines.find(l => l.lotId === 'lot2');
+
+      // 4 of the 10 loss shares were bought back 19 days later
+      expect(loss.washSale).toBe(true);
+      expect(loss.disallowedLoss).toBeCloseTo(40, 6);
+      expect(loss.adjustedGain).toBeCloseTo(-60, 6);
+      expect(report.summary.washSales).toBe(1);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should write a header and one row per lot line', () => {
+      const csv = TaxLotService.toCSV(
+        TaxLotService.buildRealizedGains([{
+          _id: 's', ticker: 'TEST', quantity: 3, subtotal: 100, commission: 0, createdAt: new Date('2024-02-01'),
+          lotsSold: [{ lotId: 'l', quantity: 3, costPerShare: 30, acquiredAt: new Date('2024-01-01') }]
+        }], [], { longTermDays: 365, washSaleDays: 30 }).lines
+      );
+
+      expect(csv.split('\n')[0]).toMatch(/^ticker,quantity,acquiredAt,soldAt,holdingDays,term,proceeds/);
+      expect(csv.split('\n')[1]).toBe('TEST,3,2024-01-01,2024-02-01,31,short,100,90,10,false,0,10,l,s');
+    });
+  });
+});
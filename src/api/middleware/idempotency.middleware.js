@@ -0,0 +1,120 @@
+/**
+ * Idempotency Middleware
+ * Honour the Idempotency-Key header on trade routes so a retried request
+ * replays the first response instead of trading again
+ */
+
+const crypto = require('crypto');
+const IdempotencyKeyModel = require('../../db/models/IdempotencyKeyModel');
+const { isDBConnected } = require('../../db/connection');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * SHA-256 of a request body, used to spot a key reused for a different request
+ * @param {Object} body - Parsed JSON body
+ * @returns {string} Hex digest
+ */
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+/**
+ * Answer a request whose key was already used
+ * @param {Object} record - Stored key, or null if it expired in the meantime
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const respondToRepeat = (record, req, res) => {
+  if (record && (record.route !== req.idempotency.route || record.requestHash !== req.idempotency.requestHash)) {
+    return res.status(422).json({
+      error: 'Unprocessable Entity',
+      message: 'Idempotency-Key was already used for a different request'
+    });
+  }
+
+  if (!record || record.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+/**
+ * Store the response once the route sends it
+ * Only successful responses are kept for replay; error responses release the key so the
+ * client can retry with it. A client that disconnects early does not release it: the trade
+ * may still commit, so retries get 409 until the handler responds.
+ * @param {Object} res - Express response
+ * @param {Object} record - Key record created for this request
+ */
+const recordResponse = (res, record) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const save = res.statusCode >= 400
+      ? IdempotencyKeyModel.deleteOne({ _id: record._id })
+      : IdempotencyKeyModel.updateOne({ _id: record._id }, {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: JSON.parse(JSON.stringify(body))
+      });
+
+    // Send once the record is stored so a retry after this response gets the replay
+    save
+      .catch(error => console.error('Error saving idempotency key:', error.message))
+      .finally(() => json(body));
+    return res;
+  };
+};
+
+/**
+ * Middleware to make a route idempotent per user and Idempotency-Key
+ * Must run after authenticate; requests without the header (or without a database) pass through
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !isDBConnected()) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  req.idempotency = {
+    key,
+    route: `${req.method} ${req.baseUrl}${req.path}`,
+    requestHash: hashBody(req.body)
+  };
+
+  let record;
+  try {
+    record = await IdempotencyKeyModel.create({ userId: req.userId, ...req.idempotency });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+    try {
+      respondToRepeat(await IdempotencyKeyModel.findOne({ userId: req.userId, key }), req, res);
+    } catch (lookupError) {
+      next(lookupError);
+    }
+    return;
+  }
+
+  recordResponse(res, record);
+  next();
+};
+
+module.exports = {
+  idempotent,
+  hashBody,
+  respondToRepeat,
+  recordResponse
+};
@@ -4,6 +4,11 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const config = require('../../../config/config');
+const { getAllStressScenarios } = require('../../../config/stressScenarios');
+
+const SHARE_PRECISION = config.trading?.fractional?.quantityPrecision ?? 0;
+const MIN_NOTIONAL = config.trading?.fractional?.minNotional || 1;
 
 /**
  * Middleware to check validation results
@@ -164,6 +169,313 @@ const validateBacktest = [
   validate
 ];
 
+/**
+ * Optional transaction cost settings shared by the backtest endpoints
+ */
+const backtestCostRules = [
+  body('costs')
+    .optional()
+    .isObject()
+    .withMessage('Costs must be an object'),
+  body('costs.commission.model')
+    .optional()
+    .isIn(['none', 'per_share', 'percent'])
+    .withMessage('Commission model must be none, per_share or percent'),
+  body('costs.commission.rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Commission rate must be a non-negative number')
+    .toFloat(),
+  body('costs.commission.minimum')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum commission must be a non-negative number')
+    .toFloat(),
+  body('costs.slippage.model')
+    .optional()
+    .isIn(['none', 'fixed', 'volume'])
+    .withMessage('Slippage model must be none, fixed or volume'),
+  body('costs.slippage.bps')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Slippage must be between 0 and 1000 basis points')
+    .toFloat(),
+  body('costs.slippage.impact')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Slippage impact must be between 0 and 10')
+    .toFloat(),
+  body('costs.spreadBps')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Spread must be between 0 and 1000 basis points')
+    .toFloat()
+];
+
+/**
+ * Optional sizing and exit-rule settings for single-stock backtests
+ */
+const backtestTradingRules = [
+  body('sizing')
+    .optional()
+    .isObject()
+    .withMessage('Sizing must be an object'),
+  body('sizing.mode')
+    .optional()
+    .isIn(['fixed_fraction', 'fixed_dollar', 'volatility_target', 'kelly'])
+    .withMessage('Sizing mode must be fixed_fraction, fixed_dollar, volatility_target or kelly'),
+  body('sizing.fraction')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Sizing fraction must be greater than 0 and at most 1')
+    .toFloat(),
+  body('sizing.amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Sizing amount must be a positive number')
+    .toFloat(),
+  body('sizing.targetVolatility')
+    .optional()
+    .isFloat({ gt: 0, max: 2 })
+    .withMessage('Target volatility must be greater than 0 and at most 2 (200%)')
+    .toFloat(),
+  body('sizing.lookback')
+    .optional()
+    .isInt({ min: 2, max: 252 })
+    .withMessage('Volatility lookback must be between 2 and 252 days')
+    .toInt(),
+  body('sizing.kellyCap')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Kelly cap must be greater than 0 and at most 1')
+    .toFloat(),
+  body('sizing.minTrades')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Kelly minimum trades must be between 1 and 100')
+    .toInt(),
+  body('exitRules')
+    .optional()
+    .isObject()
+    .withMessage('Exit rules must be an object'),
+  body('exitRules.stopLossPercent')
+    .optional()
+    .isFloat({ gt: 0, lt: 100 })
+    .withMessage('Stop-loss must be between 0 and 100 percent')
+    .toFloat(),
+  body('exitRules.takeProfitPercent')
+    .optional()
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('Take-profit must be between 0 and 1000 percent')
+    .toFloat(),
+  body('exitRules.trailingStopPercent')
+    .optional()
+    .isFloat({ gt: 0, lt: 100 })
+    .withMessage('Trailing stop must be between 0 and 100 percent')
+    .toFloat(),
+  body('exitRules.atrStop')
+    .optional()
+    .isObject()
+    .withMessage('ATR stop must be an object of { period, multiplier }'),
+  body('exitRules.atrStop.period')
+    .optional()
+    .isInt({ min: 2, max: 100 })
+    .withMessage('ATR period must be between 2 and 100')
+    .toInt(),
+  body('exitRules.atrStop.multiplier')
+    .optional()
+    .isFloat({ gt: 0, max: 20 })
+    .withMessage('ATR multiplier must be between 0 and 20')
+    .toFloat()
+];
+
+/**
+ * Validation chains for single-stock backtest
+ */
+const validateBacktestRun = [
+  ...backtestCostRules,
+  ...backtestTradingRules,
+  body('parameters')
+    .optional()
+    .isObject()
+    .withMessage('Parameters must be an object of "TYPE[index].param" to value'),
+  validate
+];
+
+/**
+ * Validation chains for a saved backtest session
+ */
+const validateBacktestSessionId = [
+  param('sessionId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Session ID is required'),
+  validate
+];
+
+/**
+ * Validation chains for backtest history
+ */
+const validateBacktestHistory = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be a non-negative integer')
+    .toInt(),
+  validate
+];
+
+/**
+ * Validation chains for walk-forward optimization
+ */
+const validateOptimization = [
+  body('ticker')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Ticker is required'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('initialCapital')
+    .isFloat({ min: 100, max: 10000000 })
+    .withMessage('Initial capital must be between $100 and $10,000,000')
+    .toFloat(),
+  body('strategy')
+    .optional()
+    .isString()
+    .trim(),
+  body('parameterSpace')
+    .optional()
+    .isObject()
+    .withMessage('Parameter space must be an object of "TYPE[index].param" to values or { min, max, step }'),
+  body('method')
+    .optional()
+    .isIn(['grid', 'random'])
+    .withMessage('Method must be either "grid" or "random"'),
+  body('samples')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Samples must be between 1 and 60')
+    .toInt(),
+  body('seed')
+    .optional()
+    .isInt()
+    .withMessage('Seed must be an integer')
+    .toInt(),
+  body('objective')
+    .optional()
+    .isIn(['sharpeRatio', 'totalReturn', 'cagr', 'winRate', 'maxDrawdown'])
+    .withMessage('Objective must be sharpeRatio, totalReturn, cagr, winRate or maxDrawdown'),
+  body('inSampleBars')
+    .optional()
+    .isInt({ min: 60, max: 2520 })
+    .withMessage('In-sample window must be between 60 and 2520 bars')
+    .toInt(),
+  body('outOfSampleBars')
+    .optional()
+    .isInt({ min: 20, max: 1260 })
+    .withMessage('Out-of-sample window must be between 20 and 1260 bars')
+    .toInt(),
+  ...backtestCostRules,
+  ...backtestTradingRules,
+  validate
+];
+
+/**
+ * Validation chains for strategy comparison
+ */
+const validateStrategyComparison = [
+  body('ticker')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Ticker is required'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('initialCapital')
+    .isFloat({ min: 100, max: 10000000 })
+    .withMessage('Initial capital must be between $100 and $10,000,000')
+    .toFloat(),
+  body('rankBy')
+    .optional()
+    .isIn(['sharpeRatio', 'totalReturn', 'cagr', 'maxDrawdown', 'winRate', 'finalValue'])
+    .withMessage('rankBy must be sharpeRatio, totalReturn, cagr, maxDrawdown, winRate or finalValue'),
+  ...backtestCostRules,
+  ...backtestTradingRules,
+  validate
+];
+
+/**
+ * Validation chains for portfolio backtest
+ */
+const validatePortfolioBacktest = [
+  body('portfolioId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID must be a non-empty string'),
+  body('curatedPortfolioId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Curated portfolio ID must be a non-empty string'),
+  body()
+    .custom(value => Boolean(value.portfolioId || value.curatedPortfolioId))
+    .withMessage('Either portfolioId or curatedPortfolioId is required'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be in ISO 8601 format (YYYY-MM-DD)'),
+  body('initialCapital')
+    .isFloat({ min: 100, max: 10000000 })
+    .withMessage('Initial capital must be between $100 and $10,000,000'),
+  body('strategy')
+    .optional()
+    .isString()
+    .trim(),
+  body('rebalanceFreq')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly'])
+    .withMessage('Rebalance frequency must be daily, weekly, monthly or quarterly'),
+  body('weights')
+    .optional()
+    .isObject()
+    .withMessage('Weights must be an object of ticker to weight'),
+  body('benchmark')
+    .optional()
+    .custom(value => typeof value === 'string' || (Array.isArray(value) && value.length > 0 && value.every(t => typeof t === 'string')))
+    .withMessage('Benchmark must be a ticker, a list of tickers or "EQUAL_WEIGHT"'),
+  // Positions follow the rebalance weights, so single-stock sizing and exit rules don't apply
+  body('sizing')
+    .not()
+    .exists()
+    .withMessage('Sizing is not supported for portfolio backtests; use weights'),
+  body('exitRules')
+    .not()
+    .exists()
+    .withMessage('Exit rules are not supported for portfolio backtests'),
+  ...backtestCostRules,
+  validate
+];
+
 /**
  * Validation chains for coupled trade
  */
@@ -177,9 +489,165 @@ const validateCoupledTrade = [
     .optional()
     .isIn(['pairs', 'beta_hedging'])
     .withMessage('Method must be either "pairs" or "beta_hedging"'),
+  body('lookbackBars')
+    .optional()
+    .isInt({ min: 60, max: 1260 })
+    .withMessage('Lookback must be between 60 and 1260 bars')
+    .toInt(),
+  body('entryZScore')
+    .optional()
+    .isFloat({ min: 0.5, max: 5 })
+    .withMessage('Entry z-score must be between 0.5 and 5')
+    .toFloat(),
+  body('exitZScore')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Exit z-score must be between 0 and 5')
+    .toFloat(),
+  body('stopZScore')
+    .optional()
+    .isFloat({ min: 0.5, max: 10 })
+    .withMessage('Stop z-score must be between 0.5 and 10')
+    .toFloat(),
+  validate
+];
+
+/**
+ * Validation chains for starting paper trading
+ */
+const validatePaperTradingStart = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  body('initialCapital')
+    .optional()
+    .isFloat({ min: 100, max: 10000000 })
+    .withMessage('Initial capital must be between $100 and $10,000,000'),
+  body('strategy')
+    .optional()
+    .custom(value => ['trend_following', 'mean_reversion', 'momentum', 'conservative'].includes(value) ||
+      /^custom_\w+$/.test(value))
+    .withMessage('Strategy must be one of: trend_following, mean_reversion, momentum, conservative, or a custom strategy ID'),
+  validate
+];
+
+/**
+ * Validation chains for optional custom strategy fields (create and update)
+ */
+const customStrategyOptionalRules = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Frequency must be daily, weekly or monthly')
+];
+
+/**
+ * Validation chains for creating a custom strategy
+ * Rule syntax is checked when the rules are compiled
+ */
+const validateCustomStrategy = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('entryRule')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Entry rule must be an expression of 1-500 characters'),
+  body('exitRule')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Exit rule must be an expression of 1-500 characters'),
+  ...customStrategyOptionalRules,
+  validate
+];
+
+/**
+ * Validation chains for updating a custom strategy
+ */
+const validateCustomStrategyUpdate = [
+  param('strategyId')
+    .matches(/^custom_\w+$/)
+    .withMessage('Custom strategy ID is invalid'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('entryRule')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Entry rule must be an expression of 1-500 characters'),
+  body('exitRule')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Exit rule must be an expression of 1-500 characters'),
+  ...customStrategyOptionalRules,
+  validate
+];
+
+/**
+ * Validation chains for custom strategy ID
+ */
+const validateCustomStrategyId = [
+  param('strategyId')
+    .matches(/^custom_\w+$/)
+    .withMessage('Custom strategy ID is invalid'),
   validate
 ];
 
+/**
+ * Number of decimal places in a numeric request value
+ * @param {number|string} value - Request value
+ * @returns {number} Decimal places
+ */
+const decimalPlaces = (value) => (String(value).split('.')[1] || '').length;
+
+/**
+ * Validation chain for an optional share quantity, fractional up to
+ * config.trading.fractional.quantityPrecision decimal places
+ */
+const shareQuantity = () => body('quantity')
+  .optional()
+  .isFloat({ gt: 0, max: 10000 })
+  .withMessage('Quantity must be a positive number up to 10,000')
+  .bail()
+  .custom(value => decimalPlaces(value) <= SHARE_PRECISION)
+  .withMessage(SHARE_PRECISION > 0
+    ? `Quantity can have at most ${SHARE_PRECISION} decimal places`
+    : 'Quantity must be a whole number of shares');
+
+/**
+ * Validation chains for a trade size given as shares or as a dollar amount
+ * Exactly one of quantity and notional is required; quantities may be fractional
+ * up to config.trading.fractional.quantityPrecision decimal places
+ */
+const validateTradeSize = [
+  shareQuantity(),
+  body('notional')
+    .optional()
+    .isFloat({ min: MIN_NOTIONAL, max: 1000000 })
+    .withMessage(`Notional must be between $${MIN_NOTIONAL} and $1,000,000`),
+  body()
+    .custom(value => (value.quantity !== undefined) !== (value.notional !== undefined))
+    .withMessage('Provide either quantity or notional (a dollar amount), not both')
+];
+
 /**
  * Validation chains for buy stock
  */
@@ -195,9 +663,7 @@ const validateBuyStock = [
     .isLength({ min: 1, max: 10 })
     .isUppercase()
     .withMessage('Ticker must be 1-10 uppercase characters'),
-  body('quantity')
-    .isInt({ min: 1, max: 10000 })
-    .withMessage('Quantity must be an integer between 1 and 10,000'),
+  ...validateTradeSize,
   body('portfolioId')
     .optional()
     .isString()
@@ -210,6 +676,46 @@ const validateBuyStock = [
  * Validation chains for sell stock
  */
 const validateSellStock = [
+  body('userId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('User ID is required'),
+  body('ticker')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .isUppercase()
+    .withMessage('Ticker must be 1-10 uppercase characters'),
+  ...validateTradeSize,
+  body('portfolioId')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Portfolio ID must be a string'),
+  body('lotMethod')
+    .optional()
+    .isIn(['fifo', 'lifo', 'highest_cost', 'specific'])
+    .withMessage('Lot method must be one of: fifo, lifo, highest_cost, specific'),
+  body('lots')
+    .if(body('lotMethod').equals('specific'))
+    .isArray({ min: 1 })
+    .withMessage('Lots must list the lots to sell when lot method is specific'),
+  body('lots.*.lotId')
+    .optional()
+    .isMongoId()
+    .withMessage('Each lot ID must be a valid ID'),
+  body('lots.*.quantity')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Each lot quantity must be a positive number'),
+  validate
+];
+
+/**
+ * Validation chains for opening or covering a short; borrowed shares are whole shares only
+ */
+const validateShortStock = [
   body('userId')
     .isString()
     .trim()
@@ -253,6 +759,27 @@ const validateDeposit = [
   validate
 ];
 
+/**
+ * Validation chains for withdraw funds
+ */
+const validateWithdrawal = [
+  body('userId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('User ID is required'),
+  body('amount')
+    .isFloat({ min: 0.01, max: 1000000 })
+    .withMessage('Amount must be between $0.01 and $1,000,000'),
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  validate
+];
+
 /**
  * Validation chains for transaction history
  */
@@ -278,22 +805,520 @@ const validateTransactionHistory = [
     .withMessage('Ticker must be 1-10 characters'),
   query('type')
     .optional()
-    .isIn(['buy', 'sell', 'deposit', 'withdrawal'])
-    .withMessage('Type must be one of: buy, sell, deposit, withdrawal'),
+    .isIn(['buy', 'sell', 'short', 'cover', 'deposit', 'withdrawal', 'dividend', 'fee'])
+    .withMessage('Type must be one of: buy, sell, short, cover, deposit, withdrawal, dividend, fee'),
   validate
 ];
 
 /**
- * Validation chains for custom portfolio creation
+ * Validation chains for placing a limit/stop/stop-limit order
  */
-const validateCustomPortfolio = [
-  body('tickers')
-    .isArray({ min: 1, max: 10 })
-    .withMessage('Tickers must be an array with 1-10 items'),
-  body('tickers.*')
+const validatePlaceOrder = [
+  body('userId')
     .isString()
     .trim()
-    .isLength({ min: 1, max: 10 })
+    .notEmpty()
+    .withMessage('User ID is required'),
+  body('ticker')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .isUppercase()
+    .withMessage('Ticker must be 1-10 uppercase characters'),
+  body('side')
+    .isIn(['buy', 'sell'])
+    .withMessage('Side must be one of: buy, sell'),
+  body('orderType')
+    .isIn(['limit', 'stop', 'stop-limit'])
+    .withMessage('Order type must be one of: limit, stop, stop-limit'),
+  ...validateTradeSize,
+  body('limitPrice')
+    .if(body('orderType').isIn(['limit', 'stop-limit']))
+    .isFloat({ gt: 0 })
+    .withMessage('Limit price must be a positive number for limit and stop-limit orders'),
+  body('stopPrice')
+    .if(body('orderType').isIn(['stop', 'stop-limit']))
+    .isFloat({ gt: 0 })
+    .withMessage('Stop price must be a positive number for stop and stop-limit orders'),
+  body('portfolioId')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Portfolio ID must be a string'),
+  validate
+];
+
+/**
+ * Validation chains for modifying a pending order
+ */
+const validateModifyOrder = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Order ID must be a valid ID'),
+  shareQuantity(),
+  body('limitPrice')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Limit price must be a positive number'),
+  body('stopPrice')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Stop price must be a positive number'),
+  validate
+];
+
+/**
+ * Validation chains for order ID parameter
+ */
+const validateOrderId = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Order ID must be a valid ID'),
+  validate
+];
+
+/**
+ * Validation chains for listing orders
+ */
+const validateOrderList = [
+  param('userId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('User ID is required'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'filled', 'cancelled', 'rejected'])
+    .withMessage('Status must be one of: pending, filled, cancelled, rejected'),
+  query('ticker')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Ticker must be 1-10 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be a non-negative integer'),
+  validate
+];
+
+/**
+ * Covariance-based allocation options (see AllocationService)
+ * @param {Function} field - express-validator query or body
+ * @returns {Array} Validation chains
+ */
+const allocationOptionChains = (field) => [
+  field('allocationMethod')
+    .optional()
+    .isIn(['equal_weight', 'min_variance', 'max_sharpe', 'risk_parity', 'inverse_volatility'])
+    .withMessage('Allocation method must be one of: equal_weight, min_variance, max_sharpe, risk_parity, inverse_volatility'),
+  field('maxWeight')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Max weight must be a fraction between 0 and 1')
+    .toFloat()
+];
+
+/**
+ * Rebalance options, read from the query string (preview) or the body (execute)
+ * @param {Function} field - express-validator query or body
+ * @returns {Array} Validation chains
+ */
+const rebalanceOptionChains = (field) => [
+  field('mode')
+    .optional()
+    .isIn(['calendar', 'drift'])
+    .withMessage('Mode must be calendar or drift'),
+  field('frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly'])
+    .withMessage('Frequency must be one of: daily, weekly, monthly, quarterly'),
+  field('driftThreshold')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Drift threshold must be a fraction between 0 and 1'),
+  field('minTradeValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum trade value must be a non-negative number'),
+  field('cash')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cash must be a non-negative number'),
+  field('targetWeights')
+    .optional()
+    .isObject()
+    .withMessage('Target weights must be an object of ticker -> weight')
+    .bail()
+    .custom(weights => {
+      const values = Object.values(weights).map(parseFloat);
+      if (Object.keys(weights).some(ticker => !/^[A-Z.]{1,10}$/.test(ticker))) {
+        throw new Error('Target weight tickers must be 1-10 uppercase characters');
+      }
+      if (values.some(w => isNaN(w) || w < 0 || w > 1)) {
+        throw new Error('Each target weight must be between 0 and 1');
+      }
+      if (values.reduce((sum, w) => sum + w, 0) > 1.0001) {
+        throw new Error('Target weights cannot add up to more than 1');
+      }
+      return true;
+    }),
+  ...allocationOptionChains(field)
+];
+
+/**
+ * Validation chains for previewing a portfolio rebalance
+ */
+const validateRebalancePreview = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  ...rebalanceOptionChains(query),
+  validate
+];
+
+/**
+ * Validation chains for executing a portfolio rebalance
+ */
+const validateRebalance = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  ...rebalanceOptionChains(body),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('Force must be a boolean')
+    .toBoolean(),
+  validate
+];
+
+/**
+ * Validation chains for updating a portfolio's scheduled rebalancing
+ */
+const validateRebalanceSchedule = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean(),
+  body('execution')
+    .optional()
+    .isIn(['auto', 'approval'])
+    .withMessage('Execution must be auto or approval'),
+  body('frequency')
+    .optional({ values: 'null' })
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly'])
+    .withMessage('Frequency must be one of: daily, weekly, monthly, quarterly, or null to follow the strategy'),
+  body('strategy')
+    .optional({ values: 'null' })
+    .isIn(['trend_following', 'mean_reversion', 'momentum', 'conservative'])
+    .withMessage('Strategy must be one of: trend_following, mean_reversion, momentum, conservative, or null for the recommendation'),
+  validate
+];
+
+/**
+ * Validation chains for listing a portfolio's rebalance runs
+ */
+const validateRebalanceRuns = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  query('status')
+    .optional()
+    .isIn(['executed', 'partial', 'failed', 'pending_approval', 'rejected', 'skipped'])
+    .withMessage('Status must be one of: executed, partial, failed, pending_approval, rejected, skipped'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be a non-negative integer'),
+  validate
+];
+
+/**
+ * Validation chains for approving or rejecting a rebalance run
+ */
+const validateRebalanceRunId = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  param('runId')
+    .isMongoId()
+    .withMessage('Run ID must be a valid ID'),
+  validate
+];
+
+/**
+ * Validation chains for turning margin (short selling) on or off
+ */
+const validateMarginSetting = [
+  body('userId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('User ID is required'),
+  body('enabled')
+    .isBoolean()
+    .withMessage('Enabled must be true or false'),
+  validate
+];
+
+/**
+ * Validation chains for tax lot listing
+ */
+const validateTaxLots = [
+  param('userId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('User ID is required'),
+  query('portfolioId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID must be a non-empty string'),
+  query('ticker')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Ticker must be 1-10 characters'),
+  query('status')
+    .optional()
+    .isIn(['open', 'closed'])
+    .withMessage('Status must be one of: open, closed'),
+  validate
+];
+
+/**
+ * Validation chains for the realized-gain report
+ */
+const validateRealizedGains = [
+  param('userId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('User ID is required'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be in ISO 8601 format (YYYY-MM-DD)'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be in ISO 8601 format (YYYY-MM-DD)'),
+  query('portfolioId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID must be a non-empty string'),
+  query('ticker')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Ticker must be 1-10 characters'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be one of: json, csv'),
+  validate
+];
+
+/**
+ * Validation chains for portfolio value history
+ */
+const validatePortfolioHistory = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be in ISO 8601 format (YYYY-MM-DD)'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be in ISO 8601 format (YYYY-MM-DD)'),
+  validate
+];
+
+/**
+ * Validation chains for portfolio risk analytics
+ */
+const validatePortfolioRisk = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  query('lookbackBars')
+    .optional()
+    .isInt({ min: 20, max: 2520 })
+    .withMessage('Lookback must be between 20 and 2520 bars'),
+  query('benchmark')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9._-]{1,20}(,[A-Za-z0-9._-]{1,20})*$/)
+    .withMessage('Benchmark must be a ticker, a comma-separated list of tickers, or EQUAL_WEIGHT'),
+  validate
+];
+
+/**
+ * Validation chains for Monte Carlo horizon projection
+ */
+const validatePortfolioProjection = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  query('horizon')
+    .optional()
+    .isIn(['1', '2', '5'])
+    .withMessage('Horizon must be 1, 2, or 5'),
+  query('paths')
+    .optional()
+    .isInt({ min: 100, max: 10000 })
+    .withMessage('Paths must be between 100 and 10000'),
+  query('seed')
+    .optional()
+    .isInt()
+    .withMessage('Seed must be an integer'),
+  query('method')
+    .optional()
+    .isIn(['bootstrap', 'normal'])
+    .withMessage('Method must be either "bootstrap" or "normal"'),
+  query('targetValue')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Target value must be a positive number'),
+  query('lookbackBars')
+    .optional()
+    .isInt({ min: 120, max: 2520 })
+    .withMessage('Lookback must be between 120 and 2520 bars'),
+  validate
+];
+
+/**
+ * Validation chains for performance attribution
+ */
+const validatePortfolioAttribution = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  query('period')
+    .optional()
+    .isIn(['monthly', 'quarterly', 'total'])
+    .withMessage('Period must be monthly, quarterly, or total'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  query('benchmark')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9._-]{1,20}(,[A-Za-z0-9._-]{1,20})*$/)
+    .withMessage('Benchmark must be a ticker, a comma-separated list of tickers, or EQUAL_WEIGHT'),
+  validate
+];
+
+/**
+ * Validation chains for portfolio stress tests
+ * Shock moves are decimals, so -0.2 is a 20% fall
+ */
+const validatePortfolioStress = [
+  param('id')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Portfolio ID is required'),
+  body('scenarios')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Scenarios must be an array with 1-10 items'),
+  body('scenarios.*')
+    .isIn(getAllStressScenarios().map(s => s.id))
+    .withMessage(`Scenario must be one of: ${getAllStressScenarios().map(s => s.id).join(', ')}`),
+  body('shocks')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Shocks must be an array with 1-10 items'),
+  body('shocks.*.name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Shock name must be 1-100 characters'),
+  body('shocks.*.market')
+    .optional()
+    .isFloat({ min: -1, max: 10 })
+    .withMessage('Market move must be a decimal between -1 and 10'),
+  body('shocks.*')
+    .isObject()
+    .withMessage('Each shock must be an object')
+    .bail()
+    .custom(shock => {
+      const moves = [...Object.values(shock.sectors || {}), ...Object.values(shock.tickers || {})];
+      if ([shock.sectors, shock.tickers].some(group => group !== undefined && (typeof group !== 'object' || Array.isArray(group)))) {
+        throw new Error('Shock sectors and tickers must be objects of name -> move');
+      }
+      if (moves.some(move => typeof move !== 'number' || move < -1 || move > 10)) {
+        throw new Error('Each shock move must be a decimal between -1 and 10');
+      }
+      if (moves.length === 0 && shock.market === undefined) {
+        throw new Error('A shock needs a market, sector or ticker move');
+      }
+      return true;
+    }),
+  validate
+];
+
+/**
+ * Validation chains for custom portfolio creation
+ */
+const validateCustomPortfolio = [
+  body('tickers')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Tickers must be an array with 1-10 items'),
+  body('tickers.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
     .withMessage('Each ticker must be a string between 1-10 characters'),
   body('horizon')
     .isIn(['1', '2', '5', 1, 2, 5])
@@ -313,6 +1338,7 @@ const validateCustomPortfolio = [
     .optional()
     .isFloat({ min: 100, max: 10000000 })
     .withMessage('Initial capital must be between $100 and $10,000,000'),
+  ...allocationOptionChains(body),
   validate
 ];
 
@@ -334,6 +1360,28 @@ const validateCuratedPortfolio = [
   body('initialCapital')
     .isFloat({ min: 100, max: 10000000 })
     .withMessage('Initial capital must be between $100 and $10,000,000'),
+  ...allocationOptionChains(body),
+  validate
+];
+
+/**
+ * Validation chains for computing allocation weights and the efficient frontier
+ */
+const validateAllocation = [
+  body('tickers')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Tickers must be an array with 1-20 items'),
+  body('tickers.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Each ticker must be a string between 1-10 characters'),
+  ...allocationOptionChains(body),
+  body('lookbackBars')
+    .optional()
+    .isInt({ min: 20, max: 2520 })
+    .withMessage('Lookback must be between 20 and 2520 bars')
+    .toInt(),
   validate
 ];
 
@@ -354,17 +1402,47 @@ module.exports = {
   validateCustomPortfolio,
   validateCuratedPortfolio,
   validateCuratedOptionsQuery,
+  validateAllocation,
   validateUserCreation,
   validateUserLogin,
   validateTokenVerification,
   validatePortfolioId,
+  validateRebalancePreview,
+  validateRebalance,
+  validateRebalanceSchedule,
+  validateRebalanceRuns,
+  validateRebalanceRunId,
+  validatePortfolioHistory,
+  validatePortfolioRisk,
+  validatePortfolioProjection,
+  validatePortfolioAttribution,
+  validatePortfolioStress,
   validateUserId,
   validateStockSearch,
   validateBacktest,
+  validateBacktestRun,
+  validateBacktestSessionId,
+  validateBacktestHistory,
+  validateOptimization,
+  validateStrategyComparison,
+  validatePortfolioBacktest,
   validateCoupledTrade,
+  validatePaperTradingStart,
+  validateCustomStrategy,
+  validateCustomStrategyUpdate,
+  validateCustomStrategyId,
   validateBuyStock,
   validateSellStock,
+  validateShortStock,
   validateDeposit,
-  validateTransactionHistory
+  validateWithdrawal,
+  validateTransactionHistory,
+  validatePlaceOrder,
+  validateModifyOrder,
+  validateOrderId,
+  validateOrderList,
+  validateMarginSetting,
+  validateTaxLots,
+  validateRealizedGains
 };
 
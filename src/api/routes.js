@@ -8,19 +8,33 @@ const Portfolio = require('../models/Portfolio');
 const Strategy = require('../models/Strategy');
 const StrategyService = require('../services/StrategyService');
 const TradingService = require('../services/TradingService');
+const PaperTradingService = require('../services/PaperTradingService');
+const CoupledTradeService = require('../services/CoupledTradeService');
+const BenchmarkService = require('../services/BenchmarkService');
+const AllocationService = require('../services/AllocationService');
+const { ExecutionModelService } = require('../services/ExecutionModelService');
+const OptimizationService = require('../services/OptimizationService');
+const StrategyComparisonService = require('../services/StrategyComparisonService');
 const DBService = require('../db/dbService');
 const PriceDataService = require('../services/PriceDataService');
 const AuthService = require('../services/AuthService');
 const dailyUpdateService = require('../services/DailyUpdateService');
 const PriceDataModel = require('../db/models/PriceDataModel');
+const PortfolioModel = require('../db/models/PortfolioModel');
 const { isDBConnected } = require('../db/connection');
 const config = require('../../config/config');
 const { getCuratedPortfolio, getPortfoliosByHorizon, getAllCuratedPortfolios, getAvailableHorizons, getPortfolioTypes } = require('../../config/curatedPortfolios');
-// Note: BacktestSession, CoupledTrade, and PaperTradingService will be implemented in later phases
+// Note: BacktestSession and CoupledTrade will be implemented in later phases
 
 const strategyService = new StrategyService();
 const priceDataService = new PriceDataService();
 const tradingService = new TradingService();
+const paperTradingService = new PaperTradingService();
+const coupledTradeService = new CoupledTradeService();
+const benchmarkService = new BenchmarkService();
+const allocationService = new AllocationService();
+const optimizationService = new OptimizationService();
+const strategyComparisonService = new StrategyComparisonService();
 
 /**
  * Initialize a new portfolio with tickers and horizon
@@ -166,11 +180,12 @@ async function initializePortfolio(body) {
 /**
  * Create a custom portfolio with user-selected tickers
  * POST /portfolio/custom
- * Body: { tickers: string[], horizon: 1|2|5, userId: string, portfolioName?: string, initialCapital?: number }
+ * Body: { tickers: string[], horizon: 1|2|5, userId: string, portfolioName?: string, initialCapital?: number,
+ *         allocationMethod?: string, maxWeight?: number }
  */
 async function createCustomPortfolio(body) {
   try {
-    const { tickers, horizon, userId, portfolioName, initialCapital } = body;
+    const { tickers, horizon, userId, portfolioName, initialCapital, allocationMethod, maxWeight } = body;
     
     // Validate userId is provided
     if (!userId || typeof userId !== 'string' || userId.trim() === '') {
@@ -261,6 +276,13 @@ async function createCustomPortfolio(body) {
     portfolio.name = portfolioName || 'Custom Portfolio';
     portfolio.type = 'custom';
     portfolio.initialCapital = capital;
+
+    // Covariance-based target weights; the portfolio stays in cash and rebalances buy into them
+    let allocation = null;
+    if (allocationMethod) {
+      allocation = await allocationService.allocate(securities.map(s => s.ticker), { method: allocationMethod, maxWeight });
+      portfolio.allocation = { method: allocation.method, maxWeight: allocation.maxWeight, weights: allocation.weights };
+    }
     
     const portfolioId = `portfolio_custom_${Date.now()}`;
     await DBService.savePortfolio(portfolioId, portfolio, userId);
@@ -280,10 +302,14 @@ async function createCustomPortfolio(body) {
         ticker: s.ticker,
         shares: 0,
         avgCost: 0,
-        value: 0
+        value: 0,
+        targetWeight: allocation ? allocation.weights[s.ticker] : undefined
       })),
+      allocation: allocation || undefined,
       validationResults,
-      message: `Custom portfolio created with ${securities.length} securities. Ready for manual trading.`
+      message: allocation
+        ? `Custom portfolio created with ${securities.length} securities and ${allocation.method} target weights. Rebalance to invest.`
+        : `Custom portfolio created with ${securities.length} securities. Ready for manual trading.`
     };
   } catch (error) {
     console.error('Custom portfolio creation error:', error.message);
@@ -292,13 +318,14 @@ async function createCustomPortfolio(body) {
 }
 
 /**
- * Create a curated portfolio with equal-weight allocation
+ * Create a curated portfolio with equal-weight allocation, or weights from a covariance-based allocation method
  * POST /portfolio/curated
- * Body: { horizon: 1|2|5, portfolioType: 'growth'|'balanced'|'defensive', userId: string, initialCapital: number }
+ * Body: { horizon: 1|2|5, portfolioType: 'growth'|'balanced'|'defensive', userId: string, initialCapital: number,
+ *         allocationMethod?: string, maxWeight?: number }
  */
 async function createCuratedPortfolio(body) {
   try {
-    const { horizon, portfolioType, userId, initialCapital } = body;
+    const { horizon, portfolioType, userId, initialCapital, allocationMethod, maxWeight } = body;
     
     // Validate userId
     if (!userId || typeof userId !== 'string' || userId.trim() === '') {
@@ -383,12 +410,26 @@ async function createCuratedPortfolio(body) {
     let remainingCash = capital;
     let roundNumber = 0;
     const maxRounds = 100; // Safety limit
-    
-    console.log(`\n📊 Round-robin allocation for ${curatedConfig.name} with $${capital}`);
-    console.log(`   Stocks (sorted by price): ${sortedTickers.map(t => `${t}($${tickerPrices.get(t).toFixed(2)})`).join(', ')}`);
+
+    // Covariance-based weights replace the round-robin buy-in
+    let allocation = null;
+    if (allocationMethod && allocationMethod !== 'equal_weight') {
+      allocation = await allocationService.allocate(sortedTickers, { method: allocationMethod, maxWeight });
+      portfolio.allocation = { method: allocation.method, maxWeight: allocation.maxWeight, weights: allocation.weights };
+
+      console.log(`\n📊 ${allocation.method} allocation for ${curatedConfig.name} with $${capital}`);
+      portfolio.rebalance(allocation.weights, Object.fromEntries(tickerPrices), { minTradeValue: 0 });
+      for (const ticker of sortedTickers) {
+        sharesByTicker.set(ticker, portfolio.getPosition(ticker)?.shares || 0);
+      }
+      totalInvested = capital - portfolio.cash;
+    } else {
+      console.log(`\n📊 Round-robin allocation for ${curatedConfig.name} with $${capital}`);
+      console.log(`   Stocks (sorted by price): ${sortedTickers.map(t => `${t}($${tickerPrices.get(t).toFixed(2)})`).join(', ')}`);
+    }
     
     // Round-robin allocation: buy 1 share of each stock per round until we can't afford any
-    while (roundNumber < maxRounds) {
+    while (!allocation && roundNumber < maxRounds) {
       roundNumber++;
       let boughtAnyThisRound = false;
       
@@ -430,11 +471,11 @@ async function createCuratedPortfolio(body) {
           shares,
           pricePerShare: price,
           investedAmount: parseFloat(investedAmount.toFixed(2)),
-          targetAllocation: parseFloat((100 / numStocks).toFixed(2)),
+          targetAllocation: parseFloat(((allocation ? allocation.weights[ticker] : 1 / numStocks) * 100).toFixed(2)),
           actualAllocation: 0 // Will be calculated after
         });
-      } else {
-        // Stock couldn't be bought at all
+      } else if (!allocation || allocation.weights[ticker] > 0) {
+        // Stock couldn't be bought at all (a zero allocation weight leaves it out on purpose)
         tickerErrors.push({ 
           ticker, 
           error: `Price $${price.toFixed(2)} exceeds remaining capital after other allocations` 
@@ -476,6 +517,8 @@ async function createCuratedPortfolio(body) {
       totalInvested: parseFloat(totalInvested.toFixed(2)),
       residualCash: parseFloat(residualCash.toFixed(2)),
       allocations,
+      allocationMethod: allocation ? allocation.method : 'equal_weight',
+      allocation: allocation || undefined,
       allocationRounds: roundNumber,
       tickerErrors: tickerErrors.length > 0 ? tickerErrors : undefined,
       summary: {
@@ -486,7 +529,9 @@ async function createCuratedPortfolio(body) {
           : 0,
         investmentEfficiency: parseFloat(((totalInvested / capital) * 100).toFixed(2))
       },
-      message: `Curated "${curatedConfig.name}" portfolio created with round-robin allocation across ${allocations.length} stocks in ${roundNumber} rounds.`
+      message: allocation
+        ? `Curated "${curatedConfig.name}" portfolio created with ${allocation.method} allocation across ${allocations.length} stocks.`
+        : `Curated "${curatedConfig.name}" portfolio created with round-robin allocation across ${allocations.length} stocks in ${roundNumber} rounds.`
     };
   } catch (error) {
     console.error('Curated portfolio creation error:', error.message);
@@ -705,17 +750,119 @@ async function getPortfolioStrategy(portfolioId) {
   }
 }
 
+// Map frontend strategy names to backend strategy keys
+const BACKTEST_STRATEGY_MAPPING = {
+  'sma_crossover': 'trend_following',
+  'rsi': 'mean_reversion',
+  'macd': 'momentum',
+  'bollinger_bands': 'mean_reversion',
+  'momentum': 'momentum'
+};
+
+/**
+ * Resolve a backtest strategy name (frontend alias or backend key) to a strategy key
+ * @param {string} strategy - Strategy name from the request
+ * @returns {string} Strategy key, trend_following when unknown
+ */
+function resolveBacktestStrategyKey(strategy) {
+  if (strategy && strategyService.getStrategy(strategy)) {
+    return strategy;
+  }
+  return BACKTEST_STRATEGY_MAPPING[strategy] || 'trend_following';
+}
+
+/**
+ * Build an Error that the error middleware maps to the given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error with statusCode
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Load a stored portfolio the signed-in user owns
+ * @param {string} portfolioId - Portfolio ID
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} Portfolio document
+ */
+async function loadOwnedPortfolio(portfolioId, userId) {
+  const portfolioDoc = await PortfolioModel.findOne({ portfolioId });
+  if (!portfolioDoc) {
+    throw httpError('Portfolio not found', 404);
+  }
+  if (portfolioDoc.userId !== userId) {
+    throw httpError('You can only access your own portfolios', 403);
+  }
+  return portfolioDoc;
+}
+
+/**
+ * Load a user's rule strategy and build it for the backtest engine or paper trading
+ * @param {string} strategyId - Custom strategy ID
+ * @param {string|null} userId - Signed-in user, must own the strategy
+ * @returns {Promise<Strategy>} Strategy with compiled rules
+ */
+async function loadRuleStrategy(strategyId, userId) {
+  const definition = await getOwnedCustomStrategy(strategyId, userId);
+  return strategyService.buildRuleStrategy(definition);
+}
+
+/**
+ * Load a ticker's daily bars for a date range from the database (no API calls)
+ * @param {string} ticker - Upper-case ticker
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Bars sorted by date ascending
+ */
+async function loadBacktestPriceData(ticker, startDate, endDate) {
+  const priceDataDoc = await PriceDataModel.findOne({ ticker });
+  
+  if (!priceDataDoc || !priceDataDoc.data || priceDataDoc.data.length === 0) {
+    throw new Error(`No price data found in database for ${ticker}. Please ensure the ticker is initialized.`);
+  }
+  
+  console.log(`   Found ${priceDataDoc.data.length} total data points in database`);
+  console.log(`   Database date range: ${priceDataDoc.firstDate} to ${priceDataDoc.lastDate}`);
+  
+  // Filter price data to requested date range
+  const filteredData = priceDataDoc.data.filter(point => {
+    return point.date >= startDate && point.date <= endDate;
+  });
+  
+  // Sort by date ascending
+  filteredData.sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  if (filteredData.length === 0) {
+    throw new Error(`No price data found for ${ticker} between ${startDate} and ${endDate}. Database has data from ${priceDataDoc.firstDate} to ${priceDataDoc.lastDate}.`);
+  }
+  
+  console.log(`   Filtered to ${filteredData.length} data points for requested range`);
+  return filteredData;
+}
+
 /**
  * Run historical backtest on a single stock
  * POST /backtest/run
- * Body: { ticker: string, startDate: string, endDate: string, initialCapital: number, strategy: string }
+ * Body: { ticker: string, startDate: string, endDate: string, initialCapital: number, strategy: string,
+ *         benchmark?: string | string[], costs?: Object, sizing?: Object, exitRules?: Object }
+ *   benchmark is a ticker, a list of tickers or 'EQUAL_WEIGHT'
+ *   costs: { commission?: { model, rate, minimum }, slippage?: { model, bps, impact }, spreadBps? }
+ *   sizing: { mode: 'fixed_fraction'|'fixed_dollar'|'volatility_target'|'kelly', ...mode settings }
+ *   exitRules: { stopLossPercent?, takeProfitPercent?, trailingStopPercent?, atrStop?: { period, multiplier } }
+ *   parameters: { "TYPE[index].param": value } overrides, e.g. chosenParameters from /backtest/optimize
+ *   strategy may also be a custom strategy ID (custom_...) owned by the user, see /strategies
+ * @param {Object} body - Request body
+ * @param {string|null} userId - Signed-in user, recorded on the saved session for GET /backtest/history
  */
-async function runBacktest(body) {
+async function runBacktest(body, userId = null) {
   const BacktestEngine = require('../services/BacktestEngine');
-  const PriceDataModel = require('../db/models/PriceDataModel');
   
   try {
-    const { ticker, startDate, endDate, initialCapital, strategy } = body;
+    const { ticker, startDate, endDate, initialCapital, strategy, benchmark, costs, sizing, exitRules, parameters } = body;
     
     // Validate required fields
     if (!ticker) {
@@ -736,49 +883,36 @@ async function runBacktest(body) {
     console.log(`   Initial capital: $${initialCapital.toLocaleString()}`);
     console.log(`   Strategy: ${strategy}`);
     
-    // Map frontend strategy names to backend strategy keys
-    const strategyMapping = {
-      'sma_crossover': 'trend_following',
-      'rsi': 'mean_reversion',
-      'macd': 'momentum',
-      'bollinger_bands': 'mean_reversion',
-      'momentum': 'momentum'
-    };
-    
-    const strategyKey = strategyMapping[strategy] || 'trend_following';
-    console.log(`   Mapped strategy: ${strategy} → ${strategyKey}`);
-    
-    // Fetch price data from database only (no API calls)
-    const priceDataDoc = await PriceDataModel.findOne({ ticker: tickerUpper });
-    
-    if (!priceDataDoc || !priceDataDoc.data || priceDataDoc.data.length === 0) {
-      throw new Error(`No price data found in database for ${tickerUpper}. Please ensure the ticker is initialized.`);
-    }
-    
-    console.log(`   Found ${priceDataDoc.data.length} total data points in database`);
-    console.log(`   Database date range: ${priceDataDoc.firstDate} to ${priceDataDoc.lastDate}`);
-    
-    // Filter price data to requested date range
-    let filteredData = priceDataDoc.data.filter(point => {
-      return point.date >= startDate && point.date <= endDate;
-    });
-    
-    // Sort by date ascending
-    filteredData.sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    if (filteredData.length === 0) {
-      throw new Error(`No price data found for ${tickerUpper} between ${startDate} and ${endDate}. Database has data from ${priceDataDoc.firstDate} to ${priceDataDoc.lastDate}.`);
+    const ruleStrategy = StrategyService.isCustomStrategyId(strategy)
+      ? await loadRuleStrategy(strategy, userId)
+      : null;
+    if (ruleStrategy && parameters) {
+      throw httpError('Parameter overrides only apply to preset strategies; edit the custom strategy\'s rules instead', 400);
     }
+
+    const strategyKey = ruleStrategy ? strategy : resolveBacktestStrategyKey(strategy);
+    console.log(`   Mapped strategy: ${strategy} → ${strategyKey}`);
     
-    console.log(`   Filtered to ${filteredData.length} data points for requested range`);
+    const filteredData = await loadBacktestPriceData(tickerUpper, startDate, endDate);
+
+    const benchmarkData = benchmark
+      ? await benchmarkService.loadBenchmark(benchmark, startDate, endDate)
+      : null;
+    const costModel = ExecutionModelService.createCostModel(costs);
+    const positionSizer = ExecutionModelService.createPositionSizer(sizing);
     
     // Initialize and run backtest engine
     const engine = new BacktestEngine({
       ticker: tickerUpper,
       priceData: filteredData,
       strategyKey: strategyKey,
+      ...(ruleStrategy && { strategy: ruleStrategy }),
+      ...(parameters && { strategy: optimizationService.buildStrategy(strategyKey, parameters) }),
       initialCapital: parseFloat(initialCapital),
-      positionSizePercent: 50 // Use 50% of cash per trade
+      costModel,
+      positionSizer,
+      exitRules,
+      benchmark: benchmarkData
     });
     
     const results = await engine.run();
@@ -786,12 +920,24 @@ async function runBacktest(body) {
     // Save backtest session to database
     const sessionId = `backtest_${Date.now()}`;
     await DBService.saveBacktestSession(sessionId, {
+      userId,
+      type: 'stock',
       ticker: tickerUpper,
       startDate: results.startDate,
       endDate: results.endDate,
       strategy: strategyKey,
+      initialCapital: parseFloat(initialCapital),
+      inputs: { strategy, benchmark, parameters },
       status: 'completed',
-      metrics: results.metrics
+      metrics: results.metrics,
+      trades: results.trades,
+      equityCurve: results.equityCurve,
+      benchmark: results.benchmark,
+      benchmarkEquityCurve: results.benchmarkEquityCurve,
+      costModel: costModel.describe(),
+      positionSizing: positionSizer.describe(),
+      exitRules: engine.exitRules.describe(),
+      completedAt: new Date()
     });
 
     // Return results in format expected by frontend
@@ -803,6 +949,11 @@ async function runBacktest(body) {
         start: results.startDate,
         end: results.endDate
       },
+      execution: {
+        costModel: costModel.describe(),
+        positionSizing: positionSizer.describe(),
+        exitRules: engine.exitRules.describe()
+      },
       results: {
         totalReturn: results.metrics.totalReturn,
         sharpeRatio: results.metrics.sharpeRatio,
@@ -813,8 +964,13 @@ async function runBacktest(body) {
         averageReturn: results.metrics.averageReturn,
         finalValue: results.metrics.finalValue,
         initialCapital: results.metrics.initialCapital,
-        trades: results.trades
+        totalCommission: results.metrics.totalCommission,
+        totalSlippage: results.metrics.totalSlippage,
+        trades: results.trades,
+        ...(results.benchmark && { benchmark: results.benchmark })
       },
+      dailyPortfolioValues: results.dailyPortfolioValues,
+      ...(results.benchmarkEquityCurve && { benchmarkEquityCurve: results.benchmarkEquityCurve }),
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -823,54 +979,661 @@ async function runBacktest(body) {
   }
 }
 
+/**
+ * Load a saved backtest with its trades and equity curve
+ * GET /backtest/:sessionId
+ * Sessions saved by a signed-in user are only visible to that user
+ * @param {string} sessionId - Backtest session ID
+ * @param {string|null} userId - Signed-in user, if any
+ */
+async function getBacktestSession(sessionId, userId = null) {
+  try {
+    const session = await DBService.getBacktestSession(sessionId);
+    if (!session) {
+      throw httpError(`Backtest session not found: ${sessionId}`, 404);
+    }
+    if (session.userId && session.userId !== userId) {
+      throw httpError('You can only view your own backtests', 403);
+    }
+
+    return { success: true, session };
+  } catch (error) {
+    console.error('Error loading backtest session:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Page through a user's saved backtests, newest first
+ * GET /backtest/history?limit=&skip=
+ * @param {string} userId - Signed-in user
+ * @param {Object} options - { limit, skip }
+ */
+async function getBacktestHistory(userId, { limit = 20, skip = 0 } = {}) {
+  try {
+    const { sessions, total } = await DBService.getBacktestSessionsByUser(userId, { limit, skip });
+
+    return {
+      success: true,
+      userId,
+      sessions,
+      count: sessions.length,
+      total,
+      limit,
+      skip,
+      hasMore: skip + sessions.length < total
+    };
+  } catch (error) {
+    console.error('Error loading backtest history:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a saved backtest owned by the user
+ * DELETE /backtest/:sessionId
+ * @param {string} sessionId - Backtest session ID
+ * @param {string} userId - Signed-in user
+ */
+async function deleteBacktestSession(sessionId, userId) {
+  try {
+    const session = await DBService.getBacktestSession(sessionId);
+    if (!session) {
+      throw httpError(`Backtest session not found: ${sessionId}`, 404);
+    }
+    if (session.userId !== userId) {
+      throw httpError('You can only delete your own backtests', 403);
+    }
+
+    await DBService.deleteBacktestSession(sessionId);
+    return { success: true, sessionId, message: 'Backtest deleted' };
+  } catch (error) {
+    console.error('Error deleting backtest session:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Walk-forward parameter optimization for a strategy on a single stock
+ * POST /backtest/optimize
+ * Body: { ticker: string, startDate: string, endDate: string, initialCapital: number, strategy: string,
+ *         parameterSpace?: Object, method?: 'grid' | 'random', samples?: number, seed?: number,
+ *         objective?: string, inSampleBars?: number, outOfSampleBars?: number,
+ *         costs?: Object, sizing?: Object, exitRules?: Object }
+ *   parameterSpace: { "TYPE[index].param": [values] | { min, max, step } }, defaults per strategy in config
+ */
+async function runOptimization(body) {
+  try {
+    const { ticker, startDate, endDate, initialCapital, strategy, costs, sizing, exitRules } = body;
+
+    if (!ticker) {
+      throw new Error('Ticker is required');
+    }
+
+    if (!startDate || !endDate) {
+      throw new Error('Start date and end date are required');
+    }
+
+    if (!initialCapital || initialCapital <= 0) {
+      throw new Error('Initial capital must be a positive number');
+    }
+
+    const tickerUpper = ticker.toUpperCase();
+    const strategyKey = resolveBacktestStrategyKey(strategy);
+    const priceData = await loadBacktestPriceData(tickerUpper, startDate, endDate);
+
+    const result = await optimizationService.optimize({
+      ticker: tickerUpper,
+      priceData,
+      strategyKey,
+      initialCapital: parseFloat(initialCapital),
+      parameterSpace: body.parameterSpace,
+      method: body.method,
+      samples: body.samples,
+      seed: body.seed,
+      objective: body.objective,
+      inSampleBars: body.inSampleBars,
+      outOfSampleBars: body.outOfSampleBars,
+      engineConfig: {
+        costModel: ExecutionModelService.createCostModel(costs),
+        positionSizer: ExecutionModelService.createPositionSizer(sizing),
+        exitRules
+      }
+    });
+
+    return {
+      ...result,
+      period: {
+        start: priceData[0].date,
+        end: priceData[priceData.length - 1].date
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('❌ Optimization error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Backtest every registered strategy plus buy-and-hold on the same stock and period
+ * POST /backtest/compare
+ * Body: { ticker: string, startDate: string, endDate: string, initialCapital: number,
+ *         rankBy?: string, costs?: Object, sizing?: Object, exitRules?: Object }
+ *   costs apply to every run; sizing and exitRules apply to the strategies, buy-and-hold stays fully invested
+ */
+async function runStrategyComparison(body) {
+  try {
+    const { ticker, startDate, endDate, initialCapital, rankBy, costs, sizing, exitRules } = body;
+
+    if (!ticker) {
+      throw new Error('Ticker is required');
+    }
+
+    if (!startDate || !endDate) {
+      throw new Error('Start date and end date are required');
+    }
+
+    if (!initialCapital || initialCapital <= 0) {
+      throw new Error('Initial capital must be a positive number');
+    }
+
+    const tickerUpper = ticker.toUpperCase();
+    console.log(`\n🔄 Comparing strategies for ${tickerUpper} from ${startDate} to ${endDate}`);
+    const priceData = await loadBacktestPriceData(tickerUpper, startDate, endDate);
+
+    const result = await strategyComparisonService.compare({
+      ticker: tickerUpper,
+      priceData,
+      initialCapital: parseFloat(initialCapital),
+      rankBy,
+      engineConfig: {
+        costModel: ExecutionModelService.createCostModel(costs),
+        positionSizer: ExecutionModelService.createPositionSizer(sizing),
+        exitRules
+      }
+    });
+
+    return {
+      ...result,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('❌ Strategy comparison error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Run historical backtest on a saved or curated portfolio
+ * POST /backtest/portfolio
+ * Body: { portfolioId?: string, curatedPortfolioId?: string, startDate: string, endDate: string,
+ *         initialCapital: number, strategy?: string, rebalanceFreq?: string, weights?: Object,
+ *         benchmark?: string | string[], costs?: Object }
+ *   portfolioId must belong to the signed-in user; curated portfolios are open to everyone
+ *   strategy may also be a custom strategy ID (custom_...) owned by the user, see /strategies
+ *   sizing and exitRules are rejected: positions follow the rebalance weights
+ * @param {Object} body - Request body
+ * @param {string|null} userId - Signed-in user, recorded on the saved session for GET /backtest/history
+ */
+async function runPortfolioBacktest(body, userId = null) {
+  const PortfolioBacktestEngine = require('../services/PortfolioBacktestEngine');
+
+  try {
+    const { portfolioId, curatedPortfolioId, startDate, endDate, initialCapital, strategy, rebalanceFreq, weights, benchmark, costs } = body;
+
+    if (!portfolioId && !curatedPortfolioId) {
+      throw new Error('Either portfolioId or curatedPortfolioId is required');
+    }
+
+    if (!startDate || !endDate) {
+      throw new Error('Start date and end date are required');
+    }
+
+    if (!initialCapital || initialCapital <= 0) {
+      throw new Error('Initial capital must be a positive number');
+    }
+
+    let tickers;
+    let portfolioName;
+    let targetId;
+    if (portfolioId) {
+      await loadOwnedPortfolio(portfolioId, userId);
+      const portfolio = await DBService.getPortfolio(portfolioId);
+      if (!portfolio) {
+        throw httpError('Portfolio not found', 404);
+      }
+      tickers = portfolio.getTickers();
+      portfolioName = portfolio.name || portfolioId;
+      targetId = portfolioId;
+    } else {
+      const curated = getAllCuratedPortfolios().find(p => p.id === curatedPortfolioId);
+      if (!curated) {
+        throw new Error(`Curated portfolio not found: ${curatedPortfolioId}`);
+      }
+      tickers = curated.tickers;
+      portfolioName = curated.name;
+      targetId = curated.id;
+    }
+
+    if (tickers.length === 0) {
+      throw new Error('No tickers found in portfolio');
+    }
+
+    const ruleStrategy = StrategyService.isCustomStrategyId(strategy)
+      ? await loadRuleStrategy(strategy, userId)
+      : null;
+    const strategyKey = ruleStrategy ? strategy : resolveBacktestStrategyKey(strategy);
+    console.log(`\n🔄 Running portfolio backtest for ${portfolioName} (${tickers.join(', ')})`);
+    console.log(`   Date range: ${startDate} to ${endDate}`);
+    console.log(`   Strategy: ${strategy} → ${strategyKey}`);
+
+    // Fetch price data from database only (no API calls)
+    const priceDataMap = new Map();
+    const missing = [];
+    for (const ticker of tickers) {
+      const priceDataDoc = await PriceDataModel.findOne({ ticker: ticker.toUpperCase() });
+      const filtered = priceDataDoc && priceDataDoc.data
+        ? priceDataDoc.data.filter(point => point.date >= startDate && point.date <= endDate)
+        : [];
+
+      if (filtered.length === 0) {
+        missing.push(ticker);
+      } else {
+        priceDataMap.set(ticker.toUpperCase(), filtered.map(point => ({
+          date: point.date,
+          open: point.open,
+          high: point.high,
+          low: point.low,
+          close: point.close,
+          volume: point.volume
+        })));
+      }
+    }
+
+    if (priceDataMap.size === 0) {
+      throw new Error(`No price data found in database for ${tickers.join(', ')} between ${startDate} and ${endDate}`);
+    }
+    if (missing.length > 0) {
+      console.warn(`   No price data for ${missing.join(', ')} in range - excluded from backtest`);
+    }
+
+    const benchmarkData = benchmark
+      ? await benchmarkService.loadBenchmark(benchmark, startDate, endDate)
+      : null;
+
+    const costModel = ExecutionModelService.createCostModel(costs);
+
+    const engine = new PortfolioBacktestEngine({
+      portfolioId: targetId,
+      priceDataMap,
+      strategyKey,
+      ...(ruleStrategy && { strategy: ruleStrategy }),
+      initialCapital: parseFloat(initialCapital),
+      weights,
+      rebalanceFreq,
+      benchmark: benchmarkData,
+      costModel
+    });
+
+    const results = await engine.run();
+
+    const sessionId = `backtest_${Date.now()}`;
+    await DBService.saveBacktestSession(sessionId, {
+      userId,
+      type: 'portfolio',
+      portfolioId: targetId,
+      portfolioName,
+      tickers: results.tickers,
+      startDate: results.startDate,
+      endDate: results.endDate,
+      strategy: strategyKey,
+      initialCapital: parseFloat(initialCapital),
+      inputs: { strategy, benchmark, rebalanceFreq: results.rebalanceFreq, weights },
+      status: 'completed',
+      metrics: results.metrics,
+      trades: results.trades,
+      equityCurve: results.equityCurve,
+      benchmark: results.benchmark,
+      benchmarkEquityCurve: results.benchmarkEquityCurve,
+      costModel: costModel.describe(),
+      completedAt: new Date()
+    });
+
+    return {
+      sessionId,
+      portfolioId: targetId,
+      portfolioName,
+      tickers: results.tickers,
+      excludedTickers: tickers.map(t => t.toUpperCase()).filter(t => !results.tickers.includes(t)),
+      strategy: results.strategy,
+      rebalanceFreq: results.rebalanceFreq,
+      period: {
+        start: results.startDate,
+        end: results.endDate
+      },
+      execution: {
+        costModel: costModel.describe()
+      },
+      results: {
+        ...results.metrics,
+        trades: results.trades,
+        ...(results.benchmark && { benchmark: results.benchmark })
+      },
+      equityCurve: results.equityCurve,
+      ...(results.benchmarkEquityCurve && { benchmarkEquityCurve: results.benchmarkEquityCurve }),
+      tickerSummary: results.tickerSummary,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('❌ Portfolio backtest error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Shape a stored custom strategy for API responses
+ * @param {Object} definition - Stored custom strategy
+ * @returns {Object} Custom strategy without database fields
+ */
+function formatCustomStrategy(definition) {
+  const { _id, __v, ...strategy } = definition;
+  return strategy;
+}
+
+/**
+ * Compile a custom strategy's rules, reporting invalid rules as 400s
+ * @param {Object} definition - { name, entryRule, exitRule, frequency }
+ * @returns {Strategy} Strategy with compiled rules
+ */
+function compileCustomStrategy(definition) {
+  try {
+    return strategyService.buildRuleStrategy(definition);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+}
+
+/**
+ * List the preset strategies and, for a signed-in user, their custom rule strategies
+ * GET /strategies
+ * @param {string|null} userId - Signed-in user, if any
+ */
+async function listStrategies(userId = null) {
+  try {
+    const custom = userId ? await DBService.getCustomStrategiesByUser(userId) : [];
+
+    return {
+      success: true,
+      presets: strategyService.getAvailableStrategies(),
+      custom: custom.map(formatCustomStrategy)
+    };
+  } catch (error) {
+    console.error('Error listing strategies:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a custom rule strategy
+ * POST /strategies
+ * Body: { name: string, description?: string, entryRule: string, exitRule: string,
+ *         frequency?: 'daily' | 'weekly' | 'monthly' }
+ *   Rules are RuleExpressionService expressions, e.g. 'PRICE > SMA(50) AND RSI(14) < 70'
+ * @param {Object} body - Request body
+ * @param {string} userId - Signed-in user
+ */
+async function createCustomStrategy(body, userId) {
+  try {
+    const { name, description, entryRule, exitRule, frequency } = body;
+    const strategy = compileCustomStrategy({ name, entryRule, exitRule, frequency });
+
+    const strategyId = StrategyService.createCustomStrategyId();
+    const now = new Date();
+    const definition = {
+      strategyId,
+      userId,
+      name,
+      description: description || '',
+      entryRule: strategy.entryRule,
+      exitRule: strategy.exitRule,
+      frequency: strategy.rebalance_freq,
+      indicators: strategy.indicators,
+      createdAt: now,
+      updatedAt: now
+    };
+    await DBService.saveCustomStrategy(strategyId, definition);
+
+    console.log(`✅ Created custom strategy ${strategyId} (${name}) for user ${userId}`);
+    return { success: true, strategy: definition };
+  } catch (error) {
+    console.error('Error creating custom strategy:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Load a custom strategy owned by the user
+ * @param {string} strategyId - Custom strategy ID
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} Stored custom strategy
+ */
+async function getOwnedCustomStrategy(strategyId, userId) {
+  const definition = await DBService.getCustomStrategy(strategyId);
+  if (!definition) {
+    throw httpError(`Custom strategy not found: ${strategyId}`, 404);
+  }
+  if (definition.userId !== userId) {
+    throw httpError('You can only access your own custom strategies', 403);
+  }
+  return definition;
+}
+
+/**
+ * Get one of the user's custom strategies
+ * GET /strategies/:strategyId
+ * @param {string} strategyId - Custom strategy ID
+ * @param {string} userId - Signed-in user
+ */
+async function getCustomStrategy(strategyId, userId) {
+  try {
+    const definition = await getOwnedCustomStrategy(strategyId, userId);
+    return { success: true, strategy: formatCustomStrategy(definition) };
+  } catch (error) {
+    console.error('Error loading custom strategy:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update one of the user's custom strategies; rules are re-validated
+ * PUT /strategies/:strategyId
+ * Body: any of { name, description, entryRule, exitRule, frequency }
+ * @param {string} strategyId - Custom strategy ID
+ * @param {Object} body - Request body
+ * @param {string} userId - Signed-in user
+ */
+async function updateCustomStrategy(strategyId, body, userId) {
+  try {
+    const existing = formatCustomStrategy(await getOwnedCustomStrategy(strategyId, userId));
+    const updates = {};
+    for (const field of ['name', 'description', 'entryRule', 'exitRule', 'frequency']) {
+      if (body[field] !== undefined) {
+        updates[field] = body[field];
+      }
+    }
+
+    const merged = { ...existing, ...updates };
+    const strategy = compileCustomStrategy(merged);
+    const definition = {
+      ...merged,
+      indicators: strategy.indicators,
+      updatedAt: new Date()
+    };
+    await DBService.saveCustomStrategy(strategyId, definition);
+
+    return { success: true, strategy: definition };
+  } catch (error) {
+    console.error('Error updating custom strategy:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete one of the user's custom strategies
+ * Paper trading sessions still using it stop trading and are only marked to market
+ * DELETE /strategies/:strategyId
+ * @param {string} strategyId - Custom strategy ID
+ * @param {string} userId - Signed-in user
+ */
+async function deleteCustomStrategy(strategyId, userId) {
+  try {
+    await getOwnedCustomStrategy(strategyId, userId);
+    await DBService.deleteCustomStrategy(strategyId);
+    return { success: true, strategyId, message: 'Custom strategy deleted' };
+  } catch (error) {
+    console.error('Error deleting custom strategy:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Shape a paper trading session for API responses
+ */
+function formatPaperTradingSession(session) {
+  return {
+    portfolioId: session.portfolioId,
+    status: session.status,
+    strategy: session.strategy,
+    initialValue: session.initialValue,
+    currentValue: session.currentValue,
+    cash: session.cash,
+    positions: (session.positions || []).filter(p => p.shares > 0).map(p => ({
+      ticker: p.ticker,
+      shares: p.shares,
+      avgCost: p.avgCost,
+      currentPrice: p.lastPrice,
+      marketValue: p.shares * p.lastPrice,
+      profitLoss: (p.lastPrice - p.avgCost) * p.shares
+    })),
+    paperTrades: session.paperTrades || [],
+    dailyValues: session.dailyValues || [],
+    performance: session.performance,
+    lastProcessedDate: session.lastProcessedDate,
+    startedAt: session.startedAt,
+    pausedAt: session.pausedAt || null,
+    stoppedAt: session.stoppedAt || null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Report PaperTradingService's missing-session and session-state errors as 404 and 409
+ * @param {Error} error - Error thrown by the service
+ * @returns {Error} Error with statusCode when it is one of those
+ */
+function paperTradingError(error) {
+  if (error.statusCode) {
+    return error;
+  }
+  if (/not found/i.test(error.message)) {
+    return httpError(error.message, 404);
+  }
+  if (/already (active|stopped)|Cannot pause/.test(error.message)) {
+    return httpError(error.message, 409);
+  }
+  return error;
+}
+
 /**
  * Get paper trading status for a portfolio
  * GET /portfolio/:id/paper-trading
+ * @param {string} userId - Signed-in user, must own the portfolio
  */
-async function getPaperTradingStatus(portfolioId) {
+async function getPaperTradingStatus(portfolioId, userId) {
   try {
-    const portfolio = await DBService.getPortfolio(portfolioId);
-    if (!portfolio) {
-      throw new Error('Portfolio not found');
-    }
+    await loadOwnedPortfolio(portfolioId, userId);
 
     console.log(`Getting paper trading status for portfolio ${portfolioId}`);
     
-    // This will be implemented in Phase 6 (Paper Trading)
-    // Try to get existing session or return placeholder
-    let session = await DBService.getPaperTradingSession(portfolioId);
+    // Processes any daily bars that arrived since the last update
+    const session = await paperTradingService.getSession(portfolioId);
     
     if (!session) {
-      // Return placeholder if no session exists
       return {
-      portfolioId,
-      status: 'active',
-      paperTrades: [],
-      performance: {
-        currentValue: 100000, // Placeholder
-        totalReturn: 0.0,
-        dailyReturn: 0.0
-      },
-      message: 'Paper trading will be implemented in Phase 6 - placeholder response',
-      timestamp: new Date().toISOString()
+        portfolioId,
+        status: 'inactive',
+        paperTrades: [],
+        performance: null,
+        message: `No paper trading session for this portfolio. Start one with POST /portfolio/${portfolioId}/paper-trading/start`,
+        timestamp: new Date().toISOString()
       };
     }
     
-    // Return actual session data
+    return formatPaperTradingSession(session);
+  } catch (error) {
+    console.error('Paper trading status error:', error.message);
+    throw paperTradingError(error);
+  }
+}
+
+/**
+ * Start or resume paper trading for a portfolio
+ * POST /portfolio/:id/paper-trading/start
+ * Body: { initialCapital?: number, strategy?: string }
+ *   strategy may be a custom strategy ID (custom_...) owned by the signed-in user
+ * @param {string} userId - Signed-in user, must own the portfolio
+ */
+async function startPaperTrading(portfolioId, body = {}, userId) {
+  try {
+    await loadOwnedPortfolio(portfolioId, userId);
+    const { initialCapital, strategy } = body;
+    const session = await paperTradingService.startSession(portfolioId, { initialCapital, strategy, userId });
     return {
-      portfolioId: session.portfolioId,
-      status: session.status,
-      paperTrades: session.paperTrades || [],
-      performance: session.performance || {
-        currentValue: session.currentValue || 100000,
-        totalReturn: session.totalReturn || 0.0,
-        dailyReturn: session.dailyReturn || 0.0
-      },
-      timestamp: new Date().toISOString()
+      ...formatPaperTradingSession(session),
+      message: `Paper trading ${session.status === 'active' ? 'running' : session.status} with ${session.strategy} strategy`
     };
   } catch (error) {
-    console.error('Paper trading status error:', error.message);
-    throw error;
+    console.error('Start paper trading error:', error.message);
+    throw paperTradingError(error);
+  }
+}
+
+/**
+ * Pause paper trading for a portfolio
+ * POST /portfolio/:id/paper-trading/pause
+ * @param {string} userId - Signed-in user, must own the portfolio
+ */
+async function pausePaperTrading(portfolioId, userId) {
+  try {
+    await loadOwnedPortfolio(portfolioId, userId);
+    const session = await paperTradingService.pauseSession(portfolioId);
+    return {
+      ...formatPaperTradingSession(session),
+      message: 'Paper trading paused - positions are held but no new trades will be made'
+    };
+  } catch (error) {
+    console.error('Pause paper trading error:', error.message);
+    throw paperTradingError(error);
+  }
+}
+
+/**
+ * Stop paper trading for a portfolio
+ * POST /portfolio/:id/paper-trading/stop
+ * @param {string} userId - Signed-in user, must own the portfolio
+ */
+async function stopPaperTrading(portfolioId, userId) {
+  try {
+    await loadOwnedPortfolio(portfolioId, userId);
+    const session = await paperTradingService.stopSession(portfolioId);
+    return {
+      ...formatPaperTradingSession(session),
+      message: 'Paper trading stopped'
+    };
+  } catch (error) {
+    console.error('Stop paper trading error:', error.message);
+    throw paperTradingError(error);
   }
 }
 
@@ -880,30 +1643,21 @@ async function getPaperTradingStatus(portfolioId) {
  */
 async function generateCoupledTrade(body) {
   try {
-    const { portfolioId, method = 'pairs' } = body;
+    const { portfolioId, method = 'pairs', lookbackBars, entryZScore, exitZScore, stopZScore } = body;
     
     if (!portfolioId) {
       throw new Error('Portfolio ID is required');
     }
 
-    const portfolio = await DBService.getPortfolio(portfolioId);
-    if (!portfolio) {
-      throw new Error('Portfolio not found');
-    }
-
     console.log(`Generating coupled trade for portfolio ${portfolioId}`);
     
-    // This will be implemented in Phase 7 (Coupled Trades)
-    // For now, return a placeholder
-    return {
-      portfolioId,
+    return await coupledTradeService.generateCoupledTrade(portfolioId, {
       method,
-      legs: [],
-      hedgeRatio: 1.0,
-      riskScore: 0.5,
-      message: 'Coupled trading will be implemented in Phase 7 - placeholder response',
-      timestamp: new Date().toISOString()
-    };
+      lookbackBars,
+      entryZScore,
+      exitZScore,
+      stopZScore
+    });
   } catch (error) {
     console.error('Coupled trade error:', error.message);
     throw error;
@@ -922,10 +1676,19 @@ async function getPortfolioPerformance(portfolioId) {
     }
 
     console.log(`Getting performance for portfolio ${portfolioId}`);
-    
-    // This will be enhanced in Phase 4 (Portfolio Management)
-    // For now, return basic performance data
-    const performance = portfolio.performance();
+
+    // Value positions at their latest stored closes; tickers without data fall back to cost basis
+    const quotes = [];
+    if (isDBConnected()) {
+      for (const ticker of portfolio.getTickers()) {
+        const latest = await priceDataService.getLatestPrice(ticker);
+        if (latest && latest.close) {
+          quotes.push({ ticker, price: latest.close });
+        }
+      }
+    }
+    const performance = portfolio.performance(quotes);
+    const priceFor = (ticker) => quotes.find(q => q.ticker === ticker)?.price;
     
     return {
       portfolioId,
@@ -941,10 +1704,13 @@ async function getPortfolioPerformance(portfolioId) {
         ticker: p.security.ticker,
         shares: p.shares,
         avgCost: p.avg_cost,
-        currentValue: p.getCostBasis(), // Current cost basis
+        currentPrice: priceFor(p.security.ticker) ?? null,
+        currentValue: priceFor(p.security.ticker) !== undefined
+          ? p.getMarketValue(priceFor(p.security.ticker))
+          : p.getCostBasis(),
         pnl: p.pnl_unrealized
       })),
-      message: 'Basic performance tracking implemented - will be enhanced in Phase 4',
+      message: 'Current values use the latest stored closes; see GET /portfolio/:id/history for returns over time',
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -1445,7 +2211,15 @@ async function getStockIndicators(ticker) {
       EMA: { window: 12 },
       RSI: { window: 14, overbought: 70, oversold: 30 },
       MACD: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
-      BOLLINGER: { window: 20, multiplier: 2 }
+      BOLLINGER: { window: 20, multiplier: 2 },
+      ATR: { window: 14, multiplier: 1 },
+      STOCHASTIC: { kPeriod: 14, dPeriod: 3, overbought: 80, oversold: 20 },
+      ADX: { window: 14, threshold: 25 },
+      OBV: { window: 20 },
+      VWAP: { window: 20 },
+      CCI: { window: 20, overbought: 100, oversold: -100 },
+      WILLIAMS_R: { window: 14, overbought: -20, oversold: -80 },
+      MFI: { window: 14, overbought: 80, oversold: 20 }
     };
 
     const results = {};
@@ -1464,6 +2238,11 @@ async function getStockIndicators(ticker) {
           latestIndex = values.macdLine.length > 0 ? values.macdLine.length - 1 : 0;
         } else if (indicatorType === 'BOLLINGER' && values.upper && Array.isArray(values.upper)) {
           latestIndex = values.upper.length > 0 ? values.upper.length - 1 : 0;
+        } else if (indicatorType === 'STOCHASTIC' && values.d && Array.isArray(values.d)) {
+          // Signals follow %D, which starts dPeriod - 1 values after %K
+          latestIndex = values.d.length > 0 ? values.d.length - 1 : 0;
+        } else if (indicatorType === 'ADX' && values.adx && Array.isArray(values.adx)) {
+          latestIndex = values.adx.length > 0 ? values.adx.length - 1 : 0;
         } else if (Array.isArray(values)) {
           latestIndex = values.length > 0 ? values.length - 1 : 0;
         }
@@ -1499,6 +2278,17 @@ async function getStockIndicators(ticker) {
             lower: values.lower && Array.isArray(values.lower) ? values.lower[latestIndex] : null,
             currentPrice: latestPrice
           };
+        } else if (indicatorType === 'STOCHASTIC') {
+          latestValue = {
+            k: values.k && values.k.length > 0 ? values.k[values.k.length - 1] : null,
+            d: values.d && Array.isArray(values.d) ? values.d[latestIndex] : null
+          };
+        } else if (indicatorType === 'ADX') {
+          latestValue = {
+            adx: values.adx && Array.isArray(values.adx) ? values.adx[latestIndex] : null,
+            plusDI: values.plusDI && values.plusDI.length > 0 ? values.plusDI[values.plusDI.length - 1] : null,
+            minusDI: values.minusDI && values.minusDI.length > 0 ? values.minusDI[values.minusDI.length - 1] : null
+          };
         } else {
           latestValue = Array.isArray(values) ? values[latestIndex] : null;
         }
@@ -1930,6 +2720,7 @@ function generateRecommendationText(signal, confidence, reason, strategyName, ho
  * Generate human-readable explanation for an indicator
  */
 function generateIndicatorExplanation(type, value, signal, params, currentPrice) {
+  const format = (number) => (typeof number === 'number' ? number.toFixed(2) : 'N/A');
   const explanations = {
     SMA: {
       buy: `Price crossed above the ${params.window}-day Simple Moving Average. The SMA is the average of closing prices over the last ${params.window} days. When price breaks above this average, it suggests upward momentum.`,
@@ -1960,6 +2751,54 @@ function generateIndicatorExplanation(type, value, signal, params, currentPrice)
       sell: `Price ($${typeof currentPrice === 'number' ? currentPrice.toFixed(2) : 'N/A'}) touched or crossed the upper Bollinger Band ($${typeof value?.upper === 'number' ? value.upper.toFixed(2) : 'N/A'}). This indicates the stock is overbought and may pull back.`,
       hold: `Price is trading within the Bollinger Bands. The middle band ($${typeof value?.middle === 'number' ? value.middle.toFixed(2) : 'N/A'}) is the ${params.window}-day SMA. Upper and lower bands are ${params.multiplier} standard deviations away, indicating volatility.`,
       description: `Bollinger Bands consist of a ${params.window}-day SMA (middle band) and upper/lower bands ${params.multiplier} standard deviations away. They show price volatility and potential support/resistance levels.`
+    },
+    ATR: {
+      buy: `Price rose by more than ${params.multiplier}× the Average True Range ($${format(value)}) in a single day. A move this large relative to normal volatility suggests an upside breakout.`,
+      sell: `Price fell by more than ${params.multiplier}× the Average True Range ($${format(value)}) in a single day. A move this large relative to normal volatility suggests a downside breakout.`,
+      hold: `The Average True Range is $${format(value)}, the typical daily price range over the last ${params.window} days. Today's move stayed within that range.`,
+      description: `Average True Range (ATR) measures volatility as the ${params.window}-day smoothed average of each day's true range: the largest of high minus low and the gaps from the previous close.`
+    },
+    STOCHASTIC: {
+      buy: `%K (${format(value?.k)}) is below ${params.oversold} and has turned up through %D (${format(value?.d)}). The close is near the bottom of its recent range but gaining momentum.`,
+      sell: `%K (${format(value?.k)}) is above ${params.overbought} and has turned down through %D (${format(value?.d)}). The close is near the top of its recent range but losing momentum.`,
+      hold: `%K is ${format(value?.k)} and %D is ${format(value?.d)}. There is no reversal from the oversold (${params.oversold}) or overbought (${params.overbought}) zones.`,
+      description: `The Stochastic Oscillator (%K) shows where the close sits within the high-low range of the last ${params.kPeriod} days, on a 0-100 scale. %D is its ${params.dPeriod}-day average.`
+    },
+    ADX: {
+      buy: `ADX is ${format(value?.adx)} (above ${params.threshold}) with +DI (${format(value?.plusDI)}) above -DI (${format(value?.minusDI)}). The stock is in a strong uptrend.`,
+      sell: `ADX is ${format(value?.adx)} (above ${params.threshold}) with -DI (${format(value?.minusDI)}) above +DI (${format(value?.plusDI)}). The stock is in a strong downtrend.`,
+      hold: `ADX is ${format(value?.adx)}. Below ${params.threshold} the trend is too weak to follow, whichever of +DI (${format(value?.plusDI)}) and -DI (${format(value?.minusDI)}) leads.`,
+      description: `Average Directional Index (ADX) measures trend strength from 0 to 100 over ${params.window} periods. +DI and -DI compare upward and downward moves to show the trend's direction.`
+    },
+    OBV: {
+      buy: `On-Balance Volume crossed above its ${params.window}-day average. Volume is flowing into the stock, which often leads price higher.`,
+      sell: `On-Balance Volume crossed below its ${params.window}-day average. Volume is flowing out of the stock, which often leads price lower.`,
+      hold: `On-Balance Volume is ${typeof value === 'number' ? Math.round(value).toLocaleString() : 'N/A'} and has not crossed its ${params.window}-day average.`,
+      description: `On-Balance Volume (OBV) is a running total that adds a day's volume when the close rises and subtracts it when the close falls. Crossings of its ${params.window}-day average signal shifts in buying or selling pressure.`
+    },
+    VWAP: {
+      buy: `Price ($${format(currentPrice)}) crossed above the ${params.window}-day VWAP ($${format(value)}). Buyers are paying more than the volume-weighted average.`,
+      sell: `Price ($${format(currentPrice)}) crossed below the ${params.window}-day VWAP ($${format(value)}). Sellers are accepting less than the volume-weighted average.`,
+      hold: `Price ($${format(currentPrice)}) has not crossed the ${params.window}-day VWAP ($${format(value)}).`,
+      description: `Volume-Weighted Average Price (VWAP) averages each day's typical price (high + low + close) / 3 over ${params.window} days, weighted by volume. It shows the average price most shares traded at.`
+    },
+    CCI: {
+      buy: `CCI is ${format(value)} (below ${params.oversold}). Price is unusually far below its average, which suggests it is oversold.`,
+      sell: `CCI is ${format(value)} (above ${params.overbought}). Price is unusually far above its average, which suggests it is overbought.`,
+      hold: `CCI is ${format(value)} (between ${params.oversold} and ${params.overbought}). Price is within its normal distance of its ${params.window}-day average.`,
+      description: `Commodity Channel Index (CCI) measures how far the typical price is from its ${params.window}-day average, in units of mean deviation. Most values fall between -100 and 100.`
+    },
+    WILLIAMS_R: {
+      buy: `Williams %R is ${format(value)} (below ${params.oversold}). The close is near the bottom of its ${params.window}-day range, which suggests the stock is oversold.`,
+      sell: `Williams %R is ${format(value)} (above ${params.overbought}). The close is near the top of its ${params.window}-day range, which suggests the stock is overbought.`,
+      hold: `Williams %R is ${format(value)} (between ${params.oversold} and ${params.overbought}). The close is in the middle of its recent range.`,
+      description: `Williams %R shows where the close sits relative to the highest high of the last ${params.window} days, from 0 (at the high) to -100 (at the low).`
+    },
+    MFI: {
+      buy: `MFI is ${format(value)} (below ${params.oversold}). Money flow has been mostly out of the stock, which suggests it is oversold.`,
+      sell: `MFI is ${format(value)} (above ${params.overbought}). Money flow has been mostly into the stock, which suggests it is overbought.`,
+      hold: `MFI is ${format(value)} (between ${params.oversold} and ${params.overbought}). Money flowing in and out is roughly balanced.`,
+      description: `Money Flow Index (MFI) is a volume-weighted RSI. It compares money flow (typical price × volume) on up days with down days over ${params.window} periods, on a 0-100 scale.`
     }
   };
 
@@ -2072,7 +2911,21 @@ module.exports = {
   getPortfolioSignals,
   getPortfolioStrategy,
   runBacktest,
+  runPortfolioBacktest,
+  runOptimization,
+  runStrategyComparison,
+  listStrategies,
+  createCustomStrategy,
+  getCustomStrategy,
+  updateCustomStrategy,
+  deleteCustomStrategy,
+  getBacktestSession,
+  getBacktestHistory,
+  deleteBacktestSession,
   getPaperTradingStatus,
+  startPaperTrading,
+  pausePaperTrading,
+  stopPaperTrading,
   generateCoupledTrade,
   getPortfolioPerformance,
   createUser,
@@ -2086,5 +2939,6 @@ module.exports = {
   getWatchlist,
   getStockDetails,
   getStockIndicators,
-  getStockRecommendation
+  getStockRecommendation,
+  httpError
 };
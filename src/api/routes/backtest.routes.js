@@ -6,19 +6,104 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/error.middleware');
+const { authenticate, authenticateOptional } = require('../middleware/auth.middleware');
+const {
+  validateBacktestRun,
+  validateBacktestSessionId,
+  validateBacktestHistory,
+  validateOptimization,
+  validateStrategyComparison,
+  validatePortfolioBacktest
+} = require('../middleware/validation.middleware');
 
 // Import route handlers from the old routes.js
-const { runBacktest } = require('../routes');
+const {
+  runBacktest,
+  runPortfolioBacktest,
+  runOptimization,
+  runStrategyComparison,
+  getBacktestSession,
+  getBacktestHistory,
+  deleteBacktestSession
+} = require('../routes');
 
 /**
  * POST /backtest/run
  * Run a historical backtest on a single stock
- * Body: { ticker: string, startDate: string, endDate: string, initialCapital: number, strategy: string }
+ * Body: { ticker: string, startDate: string, endDate: string, initialCapital: number, strategy: string,
+ *         benchmark?: string | string[], costs?: Object, sizing?: Object, exitRules?: Object }
+ *   benchmark: a ticker such as 'SPY', a list of tickers or 'EQUAL_WEIGHT'
+ *   costs: { commission?: { model: 'none'|'per_share'|'percent', rate, minimum },
+ *            slippage?: { model: 'none'|'fixed'|'volume', bps, impact }, spreadBps? }
+ *   sizing: { mode: 'fixed_fraction'|'fixed_dollar'|'volatility_target'|'kelly', fraction?, amount?,
+ *             targetVolatility?, lookback?, kellyCap?, minTrades? }
+ *   exitRules: { stopLossPercent?, takeProfitPercent?, trailingStopPercent?, atrStop?: { period, multiplier } }
+ *     checked against each bar's high/low; the triggering rule is recorded as the sell trade's reason
+ *   parameters: { "TYPE[index].param": value } indicator overrides, e.g. chosenParameters from /optimize
  */
 router.post(
   '/run',
+  authenticateOptional,
+  validateBacktestRun,
+  asyncHandler(async (req, res) => {
+    const result = await runBacktest(req.body, req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /backtest/optimize
+ * Walk-forward parameter search: grid or random search on rolling in-sample windows,
+ * each winner validated on the following out-of-sample window
+ * Body: { ticker, startDate, endDate, initialCapital, strategy, parameterSpace?, method?: 'grid' | 'random',
+ *         samples?, seed?, objective?, inSampleBars?, outOfSampleBars?, costs?, sizing?, exitRules? }
+ *   parameterSpace: { "SMA[0].window": [20, 50, 100], "SMA[1].window": { min: 100, max: 200, step: 50 } }
+ * Requires authentication: every candidate is a full backtest per window
+ */
+router.post(
+  '/optimize',
+  authenticate,
+  validateOptimization,
+  asyncHandler(async (req, res) => {
+    const result = await runOptimization(req.body);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /backtest/compare
+ * Backtest every registered strategy (trend_following, mean_reversion, momentum, conservative)
+ * plus buy-and-hold over the same bars, all starting after the longest warm-up
+ * Body: { ticker, startDate, endDate, initialCapital, rankBy?, costs?, sizing?, exitRules? }
+ *   rankBy: sharpeRatio (default), totalReturn, cagr, maxDrawdown, winRate or finalValue
+ * Returns { ranking: [{ rank, strategy, name, ...metrics }], equityCurves: { dates, series: { [strategy]: values } } }
+ * Requires authentication
+ */
+router.post(
+  '/compare',
+  authenticate,
+  validateStrategyComparison,
+  asyncHandler(async (req, res) => {
+    const result = await runStrategyComparison(req.body);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /backtest/portfolio
+ * Run a historical backtest on a saved or curated multi-stock portfolio
+ * Body: { portfolioId?: string, curatedPortfolioId?: string, startDate: string, endDate: string,
+ *         initialCapital: number, strategy?: string, rebalanceFreq?: 'daily' | 'weekly' | 'monthly' | 'quarterly',
+ *         benchmark?: string | string[], costs?: Object } - costs as for /run
+ *   A saved portfolioId must belong to the signed-in user (404/403 otherwise)
+ *   sizing and exitRules are rejected with 400: positions follow the rebalance weights
+ */
+router.post(
+  '/portfolio',
+  authenticateOptional,
+  validatePortfolioBacktest,
   asyncHandler(async (req, res) => {
-    const result = await runBacktest(req.body);
+    const result = await runPortfolioBacktest(req.body, req.userId);
     res.json(result);
   })
 );
@@ -30,8 +115,56 @@ router.post(
  */
 router.post(
   '/',
+  authenticateOptional,
+  asyncHandler(async (req, res) => {
+    const result = await runBacktest(req.body, req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * GET /backtest/history
+ * The signed-in user's saved backtests, newest first (without trades and equity curves)
+ * Query: { limit?: number (1-100, default 20), skip?: number (default 0) }
+ */
+router.get(
+  '/history',
+  authenticate,
+  validateBacktestHistory,
+  asyncHandler(async (req, res) => {
+    const { limit, skip } = req.query;
+    const result = await getBacktestHistory(req.userId, {
+      limit: limit || 20,
+      skip: skip || 0
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * GET /backtest/:sessionId
+ * A saved backtest with its inputs, metrics, trades and equity curve
+ */
+router.get(
+  '/:sessionId',
+  authenticateOptional,
+  validateBacktestSessionId,
+  asyncHandler(async (req, res) => {
+    const result = await getBacktestSession(req.params.sessionId, req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * DELETE /backtest/:sessionId
+ * Delete one of the signed-in user's saved backtests
+ */
+router.delete(
+  '/:sessionId',
+  authenticate,
+  validateBacktestSessionId,
   asyncHandler(async (req, res) => {
-    const result = await runBacktest(req.body);
+    const result = await deleteBacktestSession(req.params.sessionId, req.userId);
     res.json(result);
   })
 );
@@ -14,7 +14,8 @@ const { generateCoupledTrade } = require('../routes');
 /**
  * POST /coupled-trade
  * Generate coupled trade recommendation
- * Body: { portfolioId: string, method?: 'pairs' | 'beta_hedging' }
+ * Body: { portfolioId: string, method?: 'pairs' | 'beta_hedging', lookbackBars?: number,
+ *         entryZScore?: number, exitZScore?: number, stopZScore?: number }
  */
 router.post(
   '/',
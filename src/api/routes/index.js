@@ -14,6 +14,7 @@ const walletRoutes = require('./wallet.routes');
 const backtestRoutes = require('./backtest.routes');
 const papertradingRoutes = require('./papertrading.routes');
 const coupledtradeRoutes = require('./coupledtrade.routes');
+const strategyRoutes = require('./strategy.routes');
 
 // Mount routes without prefixes (they're already defined in the individual route files)
 // Portfolio routes: /portfolio/*
@@ -32,6 +33,9 @@ router.use('/wallet', walletRoutes);
 // Backtest routes: /backtest/*
 router.use('/backtest', backtestRoutes);
 
+// Strategy routes: /strategies/*
+router.use('/strategies', strategyRoutes);
+
 // Paper trading routes: /paper-trading/*
 // Note: The paper trading route is /portfolio/:id/paper-trading, not /paper-trading/:id
 // So we need to mount it differently
@@ -6,23 +6,73 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/error.middleware');
-const { validatePortfolioId } = require('../middleware/validation.middleware');
+const { authenticate } = require('../middleware/auth.middleware');
+const { validatePortfolioId, validatePaperTradingStart } = require('../middleware/validation.middleware');
 
 // Import route handlers from the old routes.js
-const { getPaperTradingStatus } = require('../routes');
+const {
+  getPaperTradingStatus,
+  startPaperTrading,
+  pausePaperTrading,
+  stopPaperTrading
+} = require('../routes');
 
 /**
  * GET /portfolio/:id/paper-trading
- * Get paper trading status for a portfolio
+ * Get paper trading status for a portfolio the signed-in user owns
  */
 router.get(
   '/:id/paper-trading',
+  authenticate,
   validatePortfolioId,
   asyncHandler(async (req, res) => {
-    const result = await getPaperTradingStatus(req.params.id);
+    const result = await getPaperTradingStatus(req.params.id, req.userId);
     res.json(result);
   })
 );
 
-module.exports = router;
+/**
+ * POST /portfolio/:id/paper-trading/start
+ * Start a new paper trading session, or resume a paused one
+ * Body: { initialCapital?: number, strategy?: string }
+ *   strategy: a preset key or the signed-in user's custom strategy ID (see /strategies)
+ */
+router.post(
+  '/:id/paper-trading/start',
+  authenticate,
+  validatePaperTradingStart,
+  asyncHandler(async (req, res) => {
+    const result = await startPaperTrading(req.params.id, req.body, req.userId);
+    res.status(201).json(result);
+  })
+);
 
+/**
+ * POST /portfolio/:id/paper-trading/pause
+ * Pause an active paper trading session
+ */
+router.post(
+  '/:id/paper-trading/pause',
+  authenticate,
+  validatePortfolioId,
+  asyncHandler(async (req, res) => {
+    const result = await pausePaperTrading(req.params.id, req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /portfolio/:id/paper-trading/stop
+ * Stop a paper trading session
+ */
+router.post(
+  '/:id/paper-trading/stop',
+  authenticate,
+  validatePortfolioId,
+  asyncHandler(async (req, res) => {
+    const result = await stopPaperTrading(req.params.id, req.userId);
+    res.json(result);
+  })
+);
+
+module.exports = router;
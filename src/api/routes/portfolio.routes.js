@@ -12,8 +12,35 @@ const {
   validatePortfolioId,
   validateCustomPortfolio,
   validateCuratedPortfolio,
-  validateCuratedOptionsQuery
+  validateCuratedOptionsQuery,
+  validateAllocation,
+  validateRebalancePreview,
+  validateRebalance,
+  validateRebalanceSchedule,
+  validateRebalanceRuns,
+  validateRebalanceRunId,
+  validatePortfolioHistory,
+  validatePortfolioRisk,
+  validatePortfolioProjection,
+  validatePortfolioStress,
+  validatePortfolioAttribution
 } = require('../middleware/validation.middleware');
+const RebalanceService = require('../../services/RebalanceService');
+const AllocationService = require('../../services/AllocationService');
+const PortfolioHistoryService = require('../../services/PortfolioHistoryService');
+const RiskService = require('../../services/RiskService');
+const MonteCarloService = require('../../services/MonteCarloService');
+const StressTestService = require('../../services/StressTestService');
+const AttributionService = require('../../services/AttributionService');
+const rebalanceScheduler = require('../../services/RebalanceSchedulerService');
+
+const rebalanceService = new RebalanceService();
+const allocationService = new AllocationService();
+const portfolioHistoryService = new PortfolioHistoryService();
+const riskService = new RiskService();
+const monteCarloService = new MonteCarloService();
+const stressTestService = new StressTestService();
+const attributionService = new AttributionService();
 
 // Import route handlers from the old routes.js
 // These will be migrated in the next step
@@ -24,8 +51,10 @@ const {
   getCuratedPortfolioOptions,
   getPortfolioSignals,
   getPortfolioStrategy,
-  getPortfolioPerformance
+  getPortfolioPerformance,
+  httpError
 } = require('../routes');
+const { getAllStressScenarios } = require('../../../config/stressScenarios');
 
 /**
  * POST /portfolio/initialize
@@ -44,7 +73,9 @@ router.post(
 /**
  * POST /portfolio/custom
  * Create a custom portfolio with user-selected tickers
- * Body: { tickers: string[], horizon: 1|2|5, userId: string, portfolioName?: string, initialCapital?: number }
+ * Body: { tickers: string[], horizon: 1|2|5, userId: string, portfolioName?: string, initialCapital?: number,
+ *         allocationMethod?: string, maxWeight?: number }
+ * With allocationMethod the portfolio stores covariance-based target weights for rebalancing
  */
 router.post(
   '/custom',
@@ -58,7 +89,9 @@ router.post(
 /**
  * POST /portfolio/curated
  * Create a curated portfolio with equal-weight allocation
- * Body: { horizon: 1|2|5, portfolioType: 'growth'|'balanced'|'defensive', userId: string, initialCapital: number }
+ * Body: { horizon: 1|2|5, portfolioType: 'growth'|'balanced'|'defensive', userId: string, initialCapital: number,
+ *         allocationMethod?: string, maxWeight?: number }
+ * With allocationMethod the capital is invested at covariance-based weights instead
  */
 router.post(
   '/curated',
@@ -83,6 +116,38 @@ router.get(
   })
 );
 
+/**
+ * POST /portfolio/allocation
+ * Allocation weights and efficient-frontier points from the covariance of stored daily closes
+ *
+ * Body:
+ * - tickers: string[] (1-20)
+ * - allocationMethod: 'equal_weight' | 'min_variance' | 'max_sharpe' | 'risk_parity' | 'inverse_volatility'
+ *   (optional, default from config)
+ * - maxWeight: number (optional, per-position cap, e.g. 0.4)
+ * - lookbackBars: number (optional, daily bars of history to estimate from)
+ */
+router.post(
+  '/allocation',
+  validateAllocation,
+  asyncHandler(async (req, res) => {
+    const { tickers, allocationMethod, maxWeight, lookbackBars } = req.body;
+    const result = await allocationService.allocate(tickers, { method: allocationMethod, maxWeight, lookbackBars });
+    res.json({ success: true, ...result });
+  })
+);
+
+/**
+ * GET /portfolio/stress/scenarios
+ * Historical stress scenarios that portfolios can be replayed through
+ */
+router.get(
+  '/stress/scenarios',
+  asyncHandler(async (req, res) => {
+    res.json({ success: true, scenarios: getAllStressScenarios() });
+  })
+);
+
 /**
  * GET /portfolio/:id/signals
  * Get buy/hold/sell signals for a portfolio
@@ -122,5 +187,420 @@ router.get(
   })
 );
 
+/**
+ * Load a stored portfolio for the authenticated user, answering 404/403 itself
+ * @returns {Promise<Object|null>} Portfolio document, or null when a response was sent
+ */
+const loadOwnedPortfolio = async (req, res) => {
+  const portfolio = await rebalanceService.getPortfolio(req.params.id);
+  if (!portfolio) {
+    res.status(404).json({ error: 'Not Found', message: 'Portfolio not found' });
+    return null;
+  }
+  if (portfolio.userId !== req.userId) {
+    res.status(403).json({ error: 'Forbidden', message: 'You can only access your own portfolios' });
+    return null;
+  }
+  return portfolio;
+};
+
+/**
+ * GET /portfolio/:id/history
+ * End-of-day value snapshots with time-weighted and money-weighted returns
+ * Returns exclude money moved in or out by wallet trades, fees and dividends
+ *
+ * Query parameters:
+ * - startDate: string (optional, YYYY-MM-DD)
+ * - endDate: string (optional, YYYY-MM-DD)
+ */
+router.get(
+  '/:id/history',
+  authenticate,
+  validatePortfolioHistory,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    const { startDate, endDate } = req.query;
+    const history = await portfolioHistoryService.getHistory(portfolio.portfolioId, {
+      startDate: startDate ? startDate.slice(0, 10) : undefined,
+      endDate: endDate ? endDate.slice(0, 10) : undefined
+    });
+    res.json({ success: true, ...history });
+  })
+);
+
+/**
+ * Report an analysis service's data errors through the error middleware: too little price
+ * history is 409 (the holdings can't be analyzed yet), an unusable option is 422
+ * @param {Error} error - Error thrown by RiskService, MonteCarloService, StressTestService or AttributionService
+ * @returns {Error} Error with statusCode when it is one of those
+ */
+const analysisError = (error) => {
+  if (error.statusCode) {
+    return error;
+  }
+  if (/^No (price history|price data|benchmark prices|holdings or proxy)|^Need at least|must be positive/.test(error.message)) {
+    return httpError(error.message, 409);
+  }
+  if (/^Unknown stress scenario|must be one of|must name at least one ticker|^Horizon must be/.test(error.message)) {
+    return httpError(error.message, 422);
+  }
+  return error;
+};
+
+/**
+ * GET /portfolio/:id/risk
+ * One-day historical and parametric VaR and expected shortfall at 95% and 99%, per-position
+ * volatility and contribution to risk, beta to a benchmark and the holdings' correlation matrix
+ * Answers 409 when the portfolio holds no positions or its holdings lack enough price history
+ *
+ * Query parameters:
+ * - lookbackBars: number (optional, daily bars of history, default from config)
+ * - benchmark: string (optional, ticker, comma-separated tickers or 'EQUAL_WEIGHT', default from config)
+ */
+router.get(
+  '/:id/risk',
+  authenticate,
+  validatePortfolioRisk,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    if (RiskService.holdings(portfolio).length === 0) {
+      return res.status(409).json({ error: 'Conflict', message: 'Portfolio has no positions to analyze' });
+    }
+
+    const { lookbackBars, benchmark } = req.query;
+    let report;
+    try {
+      report = await riskService.analyze(portfolio, {
+        lookbackBars: lookbackBars ? parseInt(lookbackBars) : undefined,
+        benchmark: benchmark && benchmark.includes(',') ? benchmark.split(',') : benchmark
+      });
+    } catch (error) {
+      throw analysisError(error);
+    }
+    res.json({ success: true, ...report });
+  })
+);
+
+/**
+ * GET /portfolio/:id/projection
+ * Monte Carlo projection of the portfolio's value to its horizon, sampled from the holdings'
+ * historical daily returns: percentile fan bands, probability of loss and of reaching a target
+ * Answers 409 when the portfolio holds no positions or its holdings lack enough price history
+ *
+ * Query parameters:
+ * - horizon: 1 | 2 | 5 (optional, years, default the portfolio's horizon)
+ * - paths: number (optional, 100-10000, default from config)
+ * - seed: number (optional, repeats a run; the seed used is always returned)
+ * - method: 'bootstrap' | 'normal' (optional, default from config)
+ * - targetValue: number (optional, dollars)
+ * - lookbackBars: number (optional, daily bars of history to sample from)
+ */
+router.get(
+  '/:id/projection',
+  authenticate,
+  validatePortfolioProjection,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    if (RiskService.holdings(portfolio).length === 0) {
+      return res.status(409).json({ error: 'Conflict', message: 'Portfolio has no positions to project' });
+    }
+
+    const { horizon, paths, seed, method, targetValue, lookbackBars } = req.query;
+    let projection;
+    try {
+      projection = await monteCarloService.project(portfolio, {
+        horizon: horizon ? parseInt(horizon) : undefined,
+        paths: paths ? parseInt(paths) : undefined,
+        seed: seed !== undefined ? parseInt(seed) : undefined,
+        method,
+        targetValue: targetValue ? parseFloat(targetValue) : undefined,
+        lookbackBars: lookbackBars ? parseInt(lookbackBars) : undefined
+      });
+    } catch (error) {
+      throw analysisError(error);
+    }
+    res.json({ success: true, ...projection });
+  })
+);
+
+/**
+ * POST /portfolio/:id/stress
+ * Replay current holdings through historical stress windows and apply custom price shocks,
+ * reporting per-position and total P&L, the worst drawdown and the time taken to recover
+ * Answers 409 when the portfolio holds no positions or its holdings have no price history,
+ * 422 for an unknown scenario id
+ *
+ * Body (runs every historical scenario when empty):
+ * - scenarios: string[] (optional, ids from GET /portfolio/stress/scenarios)
+ * - shocks: Array<{ name?, market?, sectors?: { sector: move }, tickers?: { ticker: move } }>
+ *   (optional, moves as decimals, e.g. { sectors: { tech: -0.2, energy: 0.05 } }; holdings with no known
+ *   sector are 'Unclassified' and take the market move)
+ */
+router.post(
+  '/:id/stress',
+  authenticate,
+  validatePortfolioStress,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    if (RiskService.holdings(portfolio).length === 0) {
+      return res.status(409).json({ error: 'Conflict', message: 'Portfolio has no positions to stress test' });
+    }
+
+    const { scenarios, shocks } = req.body;
+    let report;
+    try {
+      report = await stressTestService.run(portfolio, { scenarios, shocks });
+    } catch (error) {
+      throw analysisError(error);
+    }
+    res.json({ success: true, ...report });
+  })
+);
+
+/**
+ * GET /portfolio/:id/attribution
+ * Brinson attribution of return against a benchmark: allocation, selection and interaction
+ * effects by sector, each position's contribution to return, and the same per period
+ * Tickers with no known sector are grouped under 'Unclassified'
+ * Answers 409 when the portfolio has neither positions nor snapshots, or lacks price history for the period
+ *
+ * Query parameters:
+ * - period: 'monthly' | 'quarterly' | 'total' (optional, default from config)
+ * - startDate: string (optional, YYYY-MM-DD)
+ * - endDate: string (optional, YYYY-MM-DD)
+ * - benchmark: string (optional, ticker, comma-separated tickers or 'EQUAL_WEIGHT', default from config)
+ */
+router.get(
+  '/:id/attribution',
+  authenticate,
+  validatePortfolioAttribution,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    const { period, startDate, endDate, benchmark } = req.query;
+    const snapshots = await attributionService.loadSnapshots(portfolio.portfolioId, endDate);
+    if (RiskService.holdings(portfolio).length === 0 && snapshots.length === 0) {
+      return res.status(409).json({ error: 'Conflict', message: 'Portfolio has no positions or snapshots to attribute' });
+    }
+
+    let report;
+    try {
+      report = await attributionService.attribute(portfolio, {
+        period,
+        startDate,
+        endDate,
+        benchmark: benchmark && benchmark.includes(',') ? benchmark.split(',') : benchmark
+      });
+    } catch (error) {
+      throw analysisError(error);
+    }
+    res.json({ success: true, ...report });
+  })
+);
+
+/**
+ * Rebalance options from a query string or body, with numbers parsed
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} Options for RebalanceService.preview
+ */
+const parseRebalanceOptions = (source) => {
+  const { mode, frequency, driftThreshold, minTradeValue, cash, targetWeights, allocationMethod, maxWeight } = source;
+  return {
+    mode,
+    frequency,
+    allocationMethod,
+    maxWeight: maxWeight !== undefined ? parseFloat(maxWeight) : undefined,
+    driftThreshold: driftThreshold !== undefined ? parseFloat(driftThreshold) : undefined,
+    minTradeValue: minTradeValue !== undefined ? parseFloat(minTradeValue) : undefined,
+    cash: cash !== undefined ? parseFloat(cash) : undefined,
+    targetWeights: targetWeights
+      ? Object.fromEntries(Object.entries(targetWeights).map(([ticker, w]) => [ticker, parseFloat(w)]))
+      : undefined
+  };
+};
+
+/**
+ * GET /portfolio/:id/rebalance/preview
+ * Proposed rebalancing trades with drift per ticker, estimated costs and post-trade weights
+ *
+ * Query parameters:
+ * - mode: 'calendar' | 'drift' (optional, default from config)
+ * - frequency: 'daily' | 'weekly' | 'monthly' | 'quarterly' (calendar mode)
+ * - driftThreshold: number (drift mode; e.g. 0.05 trades holdings more than 5 points off target)
+ * - minTradeValue: number (optional, smallest trade in dollars)
+ * - cash: number (optional, extra wallet cash to invest)
+ * - targetWeights[TICKER]: number (optional, default from the allocation method)
+ * - allocationMethod: string (optional, default the portfolio's stored method, else equal weight)
+ * - maxWeight: number (optional, per-position cap for the allocation method)
+ */
+router.get(
+  '/:id/rebalance/preview',
+  authenticate,
+  validateRebalancePreview,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    const preview = await rebalanceService.preview(portfolio, parseRebalanceOptions(req.query));
+    res.json({ success: true, ...preview });
+  })
+);
+
+/**
+ * POST /portfolio/:id/rebalance
+ * Execute the rebalancing trades through the wallet with orderSource 'auto-rebalance'
+ * Answers 409 when no rebalance is due, unless force is set
+ *
+ * Body: the preview's query parameters, plus
+ * - force: boolean (optional, rebalance even when not due)
+ */
+router.post(
+  '/:id/rebalance',
+  authenticate,
+  validateRebalance,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    const plan = await rebalanceService.preview(portfolio, parseRebalanceOptions(req.body));
+    if (!plan.due && !req.body.force) {
+      return res.status(409).json({ error: 'Conflict', message: plan.reason, preview: plan });
+    }
+
+    const result = await rebalanceService.execute(portfolio, plan);
+    res.json({ success: result.failed.length === 0, ...result, preview: plan });
+  })
+);
+
+/**
+ * GET /portfolio/:id/rebalance/schedule
+ * Scheduled rebalancing settings with the frequency and strategy in effect
+ */
+router.get(
+  '/:id/rebalance/schedule',
+  authenticate,
+  validatePortfolioId,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    res.json({ success: true, ...rebalanceScheduler.describeSettings(portfolio) });
+  })
+);
+
+/**
+ * PUT /portfolio/:id/rebalance/schedule
+ * Update scheduled rebalancing
+ *
+ * Body:
+ * - enabled: boolean (optional)
+ * - execution: 'auto' | 'approval' (optional) - trade right away or queue runs for approval
+ * - frequency: 'daily' | 'weekly' | 'monthly' | 'quarterly' | null (optional, null follows the curated config or strategy)
+ * - strategy: string | null (optional, preset strategy key; null uses the recommendation for the horizon)
+ */
+router.put(
+  '/:id/rebalance/schedule',
+  authenticate,
+  validateRebalanceSchedule,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    const { enabled, execution, frequency, strategy } = req.body;
+    const settings = await rebalanceScheduler.updateSettings(portfolio, { enabled, execution, frequency, strategy });
+    res.json({ success: true, ...settings });
+  })
+);
+
+/**
+ * GET /portfolio/:id/rebalance/runs
+ * Scheduled rebalance history, newest first
+ *
+ * Query parameters:
+ * - status: string (optional) - executed, partial, failed, pending_approval, rejected, skipped
+ * - limit: number (optional, default: 20)
+ * - skip: number (optional, default: 0)
+ */
+router.get(
+  '/:id/rebalance/runs',
+  authenticate,
+  validateRebalanceRuns,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+
+    const { status, limit, skip } = req.query;
+    const result = await rebalanceScheduler.getRuns(portfolio.portfolioId, {
+      status,
+      limit: limit ? parseInt(limit) : 20,
+      skip: skip ? parseInt(skip) : 0
+    });
+
+    res.json({ success: true, portfolioId: portfolio.portfolioId, ...result });
+  })
+);
+
+/**
+ * Load a portfolio's run that is waiting for approval, answering 404/409 itself
+ * @returns {Promise<Object|null>} Pending run, or null when a response was sent
+ */
+const loadPendingRun = async (req, res, portfolio) => {
+  const run = await rebalanceScheduler.getRun(req.params.runId);
+  if (!run || run.portfolioId !== portfolio.portfolioId) {
+    res.status(404).json({ error: 'Not Found', message: 'Rebalance run not found' });
+    return null;
+  }
+  if (run.status !== 'pending_approval') {
+    res.status(409).json({ error: 'Conflict', message: `Rebalance run is already ${run.status}` });
+    return null;
+  }
+  return run;
+};
+
+/**
+ * POST /portfolio/:id/rebalance/runs/:runId/approve
+ * Execute a queued rebalance at current prices
+ */
+router.post(
+  '/:id/rebalance/runs/:runId/approve',
+  authenticate,
+  validateRebalanceRunId,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+    const run = await loadPendingRun(req, res, portfolio);
+    if (!run) return;
+
+    res.json({ success: true, run: await rebalanceScheduler.approveRun(run, portfolio) });
+  })
+);
+
+/**
+ * POST /portfolio/:id/rebalance/runs/:runId/reject
+ * Decline a queued rebalance; the portfolio waits for its next period
+ */
+router.post(
+  '/:id/rebalance/runs/:runId/reject',
+  authenticate,
+  validateRebalanceRunId,
+  asyncHandler(async (req, res) => {
+    const portfolio = await loadOwnedPortfolio(req, res);
+    if (!portfolio) return;
+    const run = await loadPendingRun(req, res, portfolio);
+    if (!run) return;
+
+    res.json({ success: true, run: await rebalanceScheduler.rejectRun(run, portfolio) });
+  })
+);
+
 module.exports = router;
 
@@ -0,0 +1,103 @@
+/**
+ * Strategy Routes
+ * Express router for preset and user-defined rule strategies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/error.middleware');
+const { authenticate, authenticateOptional } = require('../middleware/auth.middleware');
+const {
+  validateCustomStrategy,
+  validateCustomStrategyUpdate,
+  validateCustomStrategyId
+} = require('../middleware/validation.middleware');
+
+// Import route handlers from the old routes.js
+const {
+  listStrategies,
+  createCustomStrategy,
+  getCustomStrategy,
+  updateCustomStrategy,
+  deleteCustomStrategy
+} = require('../routes');
+
+/**
+ * GET /strategies
+ * Preset strategies, plus the signed-in user's custom rule strategies
+ */
+router.get(
+  '/',
+  authenticateOptional,
+  asyncHandler(async (req, res) => {
+    const result = await listStrategies(req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /strategies
+ * Create a custom rule strategy; its ID (custom_...) can be passed as `strategy`
+ * to /backtest/run, /backtest/portfolio and /portfolio/:id/paper-trading/start
+ * Body: { name: string, description?: string, entryRule: string, exitRule: string,
+ *         frequency?: 'daily' | 'weekly' | 'monthly' }
+ *   Rules compare price fields (PRICE, OPEN, HIGH, LOW, VOLUME) and indicators
+ *   (SMA(n), EMA(n), RSI(n), MACD(f, s, sig).line|signal|histogram, BOLLINGER(n, k).upper|middle|lower,
+ *   ATR(n), STOCH(k, d).k|d, ADX(n).adx|plusdi|minusdi, OBV, VWAP(n), CCI(n), WILLIAMS_R(n), MFI(n))
+ *   with > >= < <= == !=, CROSSES_ABOVE, CROSSES_BELOW, AND, OR, NOT and + - * /
+ *   e.g. entryRule: 'PRICE > SMA(50) AND RSI(14) < 70', exitRule: 'PRICE CROSSES_BELOW SMA(50)'
+ */
+router.post(
+  '/',
+  authenticate,
+  validateCustomStrategy,
+  asyncHandler(async (req, res) => {
+    const result = await createCustomStrategy(req.body, req.userId);
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * GET /strategies/:strategyId
+ * One of the signed-in user's custom strategies
+ */
+router.get(
+  '/:strategyId',
+  authenticate,
+  validateCustomStrategyId,
+  asyncHandler(async (req, res) => {
+    const result = await getCustomStrategy(req.params.strategyId, req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * PUT /strategies/:strategyId
+ * Update a custom strategy
+ * Body: any of { name, description, entryRule, exitRule, frequency }
+ */
+router.put(
+  '/:strategyId',
+  authenticate,
+  validateCustomStrategyUpdate,
+  asyncHandler(async (req, res) => {
+    const result = await updateCustomStrategy(req.params.strategyId, req.body, req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * DELETE /strategies/:strategyId
+ * Delete a custom strategy
+ */
+router.delete(
+  '/:strategyId',
+  authenticate,
+  validateCustomStrategyId,
+  asyncHandler(async (req, res) => {
+    const result = await deleteCustomStrategy(req.params.strategyId, req.userId);
+    res.json(result);
+  })
+);
+
+module.exports = router;
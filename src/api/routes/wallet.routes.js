@@ -6,17 +6,32 @@
 const express = require('express');
 const router = express.Router();
 const TradingService = require('../../services/TradingService');
+const OrderService = require('../../services/OrderService');
+const MarginService = require('../../services/MarginService');
+const TaxLotService = require('../../services/TaxLotService');
 const { authenticate } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const {
   validateBuyStock,
   validateSellStock,
+  validateShortStock,
   validateDeposit,
+  validateWithdrawal,
   validateTransactionHistory,
-  validateUserId
+  validateUserId,
+  validatePlaceOrder,
+  validateModifyOrder,
+  validateOrderId,
+  validateOrderList,
+  validateMarginSetting,
+  validateTaxLots,
+  validateRealizedGains
 } = require('../middleware/validation.middleware');
 
-// Initialize trading service
+// Initialize trading services
 const tradingService = new TradingService();
+const orderService = new OrderService();
+const marginService = new MarginService();
 
 /**
  * Async handler to wrap route handlers
@@ -25,6 +40,21 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+/**
+ * GET /wallet/fees
+ * Current fee schedule
+ * Declared before /:userId so 'fees' isn't taken for a user ID
+ */
+router.get(
+  '/fees',
+  (req, res) => {
+    res.json({
+      success: true,
+      fees: tradingService.feeService.schedule
+    });
+  }
+);
+
 /**
  * GET /wallet/:userId
  * Get wallet details for a user
@@ -51,15 +81,20 @@ router.get(
  * Body:
  * - userId: string (required)
  * - ticker: string (required)
- * - quantity: number (required)
+ * - quantity: number (fractional allowed; required unless notional is given)
+ * - notional: number (dollar amount to buy instead of a quantity)
  * - portfolioId: string (optional)
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - a retry with the same key replays the first successful response
  */
 router.post(
   '/buy',
   authenticate,
+  idempotent,
   validateBuyStock,
   asyncHandler(async (req, res) => {
-    const { userId, ticker, quantity, portfolioId } = req.body;
+    const { userId, ticker, quantity, notional, portfolioId } = req.body;
 
     // Security: Ensure authenticated user matches the userId in request
     if (req.userId !== userId) {
@@ -73,8 +108,9 @@ router.post(
       userId,
       portfolioId,
       ticker.toUpperCase(),
-      parseInt(quantity),
+      quantity !== undefined ? parseFloat(quantity) : null,
       {
+        notional: notional !== undefined ? parseFloat(notional) : undefined,
         orderSource: 'manual',
         notes: `Manual buy order via API`
       }
@@ -91,15 +127,22 @@ router.post(
  * Body:
  * - userId: string (required)
  * - ticker: string (required)
- * - quantity: number (required)
+ * - quantity: number (fractional allowed; required unless notional is given)
+ * - notional: number (dollar amount to sell instead of a quantity)
  * - portfolioId: string (optional)
+ * - lotMethod: 'fifo' | 'lifo' | 'highest_cost' | 'specific' (optional, default from config)
+ * - lots: [{ lotId, quantity }] (required when lotMethod is 'specific')
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - a retry with the same key replays the first successful response
  */
 router.post(
   '/sell',
   authenticate,
+  idempotent,
   validateSellStock,
   asyncHandler(async (req, res) => {
-    const { userId, ticker, quantity, portfolioId } = req.body;
+    const { userId, ticker, quantity, notional, portfolioId, lotMethod, lots } = req.body;
 
     // Security: Ensure authenticated user matches the userId in request
     if (req.userId !== userId) {
@@ -113,10 +156,13 @@ router.post(
       userId,
       portfolioId,
       ticker.toUpperCase(),
-      parseInt(quantity),
+      quantity !== undefined ? parseFloat(quantity) : null,
       {
+        notional: notional !== undefined ? parseFloat(notional) : undefined,
         orderSource: 'manual',
-        notes: `Manual sell order via API`
+        notes: `Manual sell order via API`,
+        lotMethod,
+        lots: lots && lots.map(lot => ({ lotId: lot.lotId, quantity: parseFloat(lot.quantity) }))
       }
     );
 
@@ -158,6 +204,40 @@ router.post(
   })
 );
 
+/**
+ * POST /wallet/withdraw
+ * Withdraw available (unreserved) cash from the wallet
+ *
+ * Body:
+ * - userId: string (required)
+ * - amount: number (required)
+ * - notes: string (optional)
+ */
+router.post(
+  '/withdraw',
+  authenticate,
+  validateWithdrawal,
+  asyncHandler(async (req, res) => {
+    const { userId, amount, notes } = req.body;
+
+    // Security: Ensure authenticated user matches the userId in request
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only withdraw from your own account'
+      });
+    }
+
+    const result = await tradingService.withdrawFunds(
+      userId,
+      parseFloat(amount),
+      notes
+    );
+
+    res.status(201).json(result);
+  })
+);
+
 /**
  * GET /wallet/:userId/transactions
  * Get transaction history for a user
@@ -166,7 +246,7 @@ router.post(
  * - limit: number (optional, default: 50)
  * - skip: number (optional, default: 0)
  * - ticker: string (optional)
- * - type: string (optional) - buy, sell, deposit, withdrawal
+ * - type: string (optional) - buy, sell, short, cover, deposit, withdrawal, dividend, fee
  * - startDate: string (optional) - ISO 8601 format
  * - endDate: string (optional) - ISO 8601 format
  */
@@ -264,5 +344,373 @@ router.get(
   })
 );
 
+/**
+ * GET /wallet/:userId/tax-lots
+ * Tax lots opened by buys, for choosing specific lots to sell
+ *
+ * Query parameters:
+ * - portfolioId: string (optional) - only lots bought in this portfolio
+ * - ticker: string (optional)
+ * - status: string (optional) - open, closed
+ */
+router.get(
+  '/:userId/tax-lots',
+  authenticate,
+  validateTaxLots,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { portfolioId, ticker, status } = req.query;
+
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own account'
+      });
+    }
+
+    const lots = await tradingService.taxLotService.getLots(userId, { portfolioId, ticker, status });
+
+    res.json({
+      success: true,
+      userId,
+      lots,
+      count: lots.length
+    });
+  })
+);
+
+/**
+ * GET /wallet/:userId/realized-gains
+ * Realized gains by tax lot, split into short- and long-term, with wash sales flagged
+ *
+ * Query parameters:
+ * - startDate: string (optional) - ISO 8601 format
+ * - endDate: string (optional) - ISO 8601 format
+ * - ticker: string (optional)
+ * - portfolioId: string (optional) - only sells from this portfolio
+ * - format: string (optional) - json (default) or csv
+ */
+router.get(
+  '/:userId/realized-gains',
+  authenticate,
+  validateRealizedGains,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { startDate, endDate, ticker, portfolioId, format } = req.query;
+
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own account'
+      });
+    }
+
+    const report = await tradingService.taxLotService.getRealizedGains(userId, { startDate, endDate, ticker, portfolioId });
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', 'attachment; filename="realized-gains.csv"');
+      return res.send(TaxLotService.toCSV(report.lines));
+    }
+
+    res.json({
+      success: true,
+      userId,
+      ...report
+    });
+  })
+);
+
+/**
+ * PUT /wallet/margin
+ * Opt in to (or out of) short selling
+ *
+ * Body:
+ * - userId: string (required)
+ * - enabled: boolean (required)
+ */
+router.put(
+  '/margin',
+  authenticate,
+  validateMarginSetting,
+  asyncHandler(async (req, res) => {
+    const { userId, enabled } = req.body;
+
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only change your own account'
+      });
+    }
+
+    const margin = await marginService.setMarginEnabled(userId, enabled === true || enabled === 'true');
+
+    res.json({
+      success: true,
+      userId,
+      margin
+    });
+  })
+);
+
+/**
+ * GET /wallet/:userId/margin
+ * Short positions marked to market with equity and maintenance requirement
+ */
+router.get(
+  '/:userId/margin',
+  authenticate,
+  validateUserId,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own account'
+      });
+    }
+
+    const margin = await marginService.getMarginStatus(userId);
+
+    res.json({
+      success: true,
+      userId,
+      margin
+    });
+  })
+);
+
+/**
+ * POST /wallet/short
+ * Sell borrowed shares short (requires margin to be enabled)
+ *
+ * Body:
+ * - userId: string (required)
+ * - ticker: string (required)
+ * - quantity: number (required)
+ * - portfolioId: string (optional)
+ */
+router.post(
+  '/short',
+  authenticate,
+  validateShortStock,
+  asyncHandler(async (req, res) => {
+    const { userId, ticker, quantity, portfolioId } = req.body;
+
+    // Security: Ensure authenticated user matches the userId in request
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only trade for your own account'
+      });
+    }
+
+    const result = await marginService.shortStock(
+      userId,
+      portfolioId,
+      ticker.toUpperCase(),
+      parseInt(quantity),
+      {
+        orderSource: 'manual',
+        notes: `Manual short order via API`
+      }
+    );
+
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * POST /wallet/cover
+ * Buy back shares to close a short position
+ *
+ * Body:
+ * - userId: string (required)
+ * - ticker: string (required)
+ * - quantity: number (required)
+ */
+router.post(
+  '/cover',
+  authenticate,
+  validateShortStock,
+  asyncHandler(async (req, res) => {
+    const { userId, ticker, quantity } = req.body;
+
+    // Security: Ensure authenticated user matches the userId in request
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only trade for your own account'
+      });
+    }
+
+    const result = await marginService.coverShort(
+      userId,
+      ticker.toUpperCase(),
+      parseInt(quantity),
+      {
+        orderSource: 'manual',
+        notes: `Manual cover order via API`
+      }
+    );
+
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * POST /wallet/orders
+ * Place a resting limit, stop or stop-limit order
+ * Buy orders reserve cash until they fill or are cancelled
+ *
+ * Body:
+ * - userId: string (required)
+ * - ticker: string (required)
+ * - side: 'buy' | 'sell' (required)
+ * - orderType: 'limit' | 'stop' | 'stop-limit' (required)
+ * - quantity: number (fractional allowed; required unless notional is given)
+ * - notional: number (dollar amount to trade instead of a quantity, sized at the limit price, or the stop price for stop orders)
+ * - limitPrice: number (required for limit and stop-limit)
+ * - stopPrice: number (required for stop and stop-limit)
+ * - portfolioId: string (optional)
+ */
+router.post(
+  '/orders',
+  authenticate,
+  validatePlaceOrder,
+  asyncHandler(async (req, res) => {
+    const { userId, ticker, side, orderType, quantity, notional, limitPrice, stopPrice, portfolioId } = req.body;
+
+    // Security: Ensure authenticated user matches the userId in request
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only trade for your own account'
+      });
+    }
+
+    const result = await orderService.placeOrder(userId, {
+      ticker,
+      side,
+      orderType,
+      quantity: quantity !== undefined ? parseFloat(quantity) : null,
+      notional: notional !== undefined ? parseFloat(notional) : undefined,
+      limitPrice: limitPrice !== undefined ? parseFloat(limitPrice) : undefined,
+      stopPrice: stopPrice !== undefined ? parseFloat(stopPrice) : undefined,
+      portfolioId
+    });
+
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * GET /wallet/:userId/orders
+ * List a user's orders
+ *
+ * Query parameters:
+ * - status: string (optional) - pending, filled, cancelled, rejected
+ * - ticker: string (optional)
+ * - limit: number (optional, default: 50)
+ * - skip: number (optional, default: 0)
+ */
+router.get(
+  '/:userId/orders',
+  authenticate,
+  validateOrderList,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { status, ticker, limit, skip } = req.query;
+
+    if (req.userId !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own orders'
+      });
+    }
+
+    const result = await orderService.getOrders(userId, {
+      status,
+      ticker,
+      limit: limit ? parseInt(limit) : 50,
+      skip: skip ? parseInt(skip) : 0
+    });
+
+    res.json({
+      success: true,
+      userId,
+      ...result
+    });
+  })
+);
+
+/**
+ * Load an order for the authenticated user, answering 404/403/409 itself
+ * @returns {Promise<Object|null>} Pending order, or null when a response was sent
+ */
+const loadPendingOrder = async (req, res) => {
+  const order = await orderService.getOrder(req.params.orderId);
+  if (!order) {
+    res.status(404).json({ error: 'Not Found', message: 'Order not found' });
+    return null;
+  }
+  if (order.userId !== req.userId) {
+    res.status(403).json({ error: 'Forbidden', message: 'You can only manage your own orders' });
+    return null;
+  }
+  if (order.status !== 'pending') {
+    res.status(409).json({ error: 'Conflict', message: `Order is already ${order.status}` });
+    return null;
+  }
+  return order;
+};
+
+/**
+ * PATCH /wallet/orders/:orderId
+ * Modify a pending order's quantity or prices
+ *
+ * Body:
+ * - quantity: number (optional, fractional allowed)
+ * - limitPrice: number (optional)
+ * - stopPrice: number (optional)
+ */
+router.patch(
+  '/orders/:orderId',
+  authenticate,
+  validateModifyOrder,
+  asyncHandler(async (req, res) => {
+    const order = await loadPendingOrder(req, res);
+    if (!order) return;
+
+    const { quantity, limitPrice, stopPrice } = req.body;
+    const result = await orderService.modifyOrder(order, {
+      quantity: quantity !== undefined ? parseFloat(quantity) : undefined,
+      limitPrice: limitPrice !== undefined ? parseFloat(limitPrice) : undefined,
+      stopPrice: stopPrice !== undefined ? parseFloat(stopPrice) : undefined
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * DELETE /wallet/orders/:orderId
+ * Cancel a pending order and release its reserved cash
+ */
+router.delete(
+  '/orders/:orderId',
+  authenticate,
+  validateOrderId,
+  asyncHandler(async (req, res) => {
+    const order = await loadPendingOrder(req, res);
+    if (!order) return;
+
+    const result = await orderService.cancelOrder(order);
+
+    res.json(result);
+  })
+);
+
 module.exports = router;
 
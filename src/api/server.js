@@ -11,6 +11,7 @@ const path = require('path');
 const app = require('../app');
 const { connectDB, isDBConnected, getDBStatus } = require('../db/connection');
 const dailyUpdateService = require('../services/DailyUpdateService');
+const rebalanceScheduler = require('../services/RebalanceSchedulerService');
 const config = require('../../config/config');
 
 const PORT = config.app.port;
@@ -62,6 +63,15 @@ async function startServer() {
       console.log('\n⏰ Daily update service disabled (set ENABLE_DAILY_UPDATES=true to enable)');
     }
 
+    // ==================== Rebalance Scheduler ====================
+    if (process.env.ENABLE_AUTO_REBALANCE === 'true') {
+      console.log('\n⚖️  Starting rebalance scheduler...');
+      rebalanceScheduler.start();
+      console.log('✅ Rebalance scheduler started');
+    } else {
+      console.log('\n⚖️  Rebalance scheduler disabled (set ENABLE_AUTO_REBALANCE=true to enable)');
+    }
+
     // ==================== Mount API Routes First ====================
     const apiRoutes = require('./routes/index');
     app.use('/', apiRoutes);
@@ -109,8 +119,22 @@ async function startServer() {
       console.log(`                     GET    /stocks/popular`);
       console.log(`                     GET    /stocks/available`);
       console.log(`   Backtesting:      POST   /backtest`);
-      console.log(`   Paper Trading:    GET    /paper-trading/:id`);
+      console.log(`                     POST   /backtest/portfolio`);
+      console.log(`                     POST   /backtest/optimize`);
+      console.log(`                     POST   /backtest/compare`);
+      console.log(`                     GET    /backtest/history`);
+      console.log(`                     GET    /backtest/:sessionId`);
+      console.log(`                     DELETE /backtest/:sessionId`);
+      console.log(`   Paper Trading:    GET    /portfolio/:id/paper-trading`);
+      console.log(`                     POST   /portfolio/:id/paper-trading/start`);
+      console.log(`                     POST   /portfolio/:id/paper-trading/pause`);
+      console.log(`                     POST   /portfolio/:id/paper-trading/stop`);
       console.log(`   Coupled Trades:   POST   /coupled-trade`);
+      console.log(`   Strategies:       GET    /strategies`);
+      console.log(`                     POST   /strategies`);
+      console.log(`                     GET    /strategies/:strategyId`);
+      console.log(`                     PUT    /strategies/:strategyId`);
+      console.log(`                     DELETE /strategies/:strategyId`);
       console.log(`\n⚡ Press Ctrl+C to stop the server`);
     });
 
@@ -128,6 +152,10 @@ async function startServer() {
           dailyUpdateService.stop();
           console.log('✅ Daily update service stopped');
         }
+
+        if (rebalanceScheduler.isRunning) {
+          rebalanceScheduler.stop();
+        }
         
         // Close database connection
         if (isDBConnected()) {
@@ -139,9 +139,25 @@ app.get('/api', (req, res) => {
       ],
       advanced: [
         'POST /backtest',
+        'POST /backtest/portfolio',
+        'POST /backtest/optimize',
+        'POST /backtest/compare',
+        'GET /backtest/history',
+        'GET /backtest/:sessionId',
+        'DELETE /backtest/:sessionId',
         'GET /portfolio/:id/paper-trading',
+        'POST /portfolio/:id/paper-trading/start',
+        'POST /portfolio/:id/paper-trading/pause',
+        'POST /portfolio/:id/paper-trading/stop',
         'POST /coupled-trade'
       ],
+      strategies: [
+        'GET /strategies',
+        'POST /strategies',
+        'GET /strategies/:strategyId',
+        'PUT /strategies/:strategyId',
+        'DELETE /strategies/:strategyId'
+      ],
       system: [
         'GET /health',
         'GET /api'
@@ -9,6 +9,7 @@ const BacktestSessionModel = require('./models/BacktestSessionModel');
 const PaperTradingSessionModel = require('./models/PaperTradingSessionModel');
 const UserModel = require('./models/UserModel');
 const PriceDataModel = require('./models/PriceDataModel');
+const CustomStrategyModel = require('./models/CustomStrategyModel');
 const Portfolio = require('../models/Portfolio');
 const Security = require('../models/Security');
 const User = require('../models/User');
@@ -19,6 +20,7 @@ const memoryPortfolios = new Map();
 const memoryBacktestSessions = new Map();
 const memoryPaperTradingSessions = new Map();
 const memoryUsers = new Map();
+const memoryCustomStrategies = new Map();
 
 class DBService {
   /**
@@ -369,6 +371,9 @@ class DBService {
           portfolioId,
           userId: userId, // Required - must be validated before calling this method
           name: portfolio.name || null, // Save portfolio name if provided
+          type: portfolio.type || null,
+          curatedId: portfolio.curatedId || null, // Curated portfolios rebalance on their configured frequency
+          allocation: portfolio.allocation || {},
           horizon: portfolio.horizon,
           cash: portfolio.cash,
           initialCapital: portfolio.initialCapital || portfolio.cash || null, // Track initial capital (defaults to initial cash)
@@ -478,11 +483,11 @@ class DBService {
         return true;
       } catch (error) {
         console.error('Error saving backtest session to database:', error.message);
-        memoryBacktestSessions.set(sessionId, sessionData);
+        memoryBacktestSessions.set(sessionId, { createdAt: new Date(), ...sessionData, sessionId });
         return false;
       }
     } else {
-      memoryBacktestSessions.set(sessionId, sessionData);
+      memoryBacktestSessions.set(sessionId, { createdAt: new Date(), ...sessionData, sessionId });
       return true;
     }
   }
@@ -524,6 +529,60 @@ class DBService {
     }
   }
 
+  /**
+   * Get a page of a user's backtest sessions, newest first
+   * Trades and equity curves are left out; load a single session for those
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit = 20, skip = 0 }
+   * @returns {Promise<Object>} { sessions, total }
+   */
+  static async getBacktestSessionsByUser(userId, { limit = 20, skip = 0 } = {}) {
+    const fromMemory = () => {
+      const sessions = Array.from(memoryBacktestSessions.values())
+        .filter(s => s.userId === userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      return {
+        sessions: sessions.slice(skip, skip + limit)
+          .map(({ trades, equityCurve, benchmarkEquityCurve, ...summary }) => summary),
+        total: sessions.length
+      };
+    };
+
+    if (this.useDatabase()) {
+      try {
+        const [sessions, total] = await Promise.all([
+          BacktestSessionModel.find({ userId })
+            .select('-trades -equityCurve -benchmarkEquityCurve')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+          BacktestSessionModel.countDocuments({ userId })
+        ]);
+        return { sessions: sessions.map(s => s.toObject()), total };
+      } catch (error) {
+        console.error('Error loading backtest history from database:', error.message);
+        return fromMemory();
+      }
+    } else {
+      return fromMemory();
+    }
+  }
+
+  /**
+   * Delete backtest session
+   * @param {string} sessionId - Session ID
+   */
+  static async deleteBacktestSession(sessionId) {
+    if (this.useDatabase()) {
+      try {
+        await BacktestSessionModel.deleteOne({ sessionId });
+      } catch (error) {
+        console.error('Error deleting backtest session from database:', error.message);
+      }
+    }
+    memoryBacktestSessions.delete(sessionId);
+  }
+
   // ==================== Paper Trading Session Operations ====================
 
   /**
@@ -565,6 +624,107 @@ class DBService {
       return memoryPaperTradingSessions.get(portfolioId) || null;
     }
   }
+
+  /**
+   * Get all paper trading sessions with a given status
+   */
+  static async getPaperTradingSessionsByStatus(status = 'active') {
+    if (this.useDatabase()) {
+      try {
+        const sessions = await PaperTradingSessionModel.find({ status });
+        return sessions.map(s => s.toObject());
+      } catch (error) {
+        console.error('Error loading paper trading sessions from database:', error.message);
+        return Array.from(memoryPaperTradingSessions.values())
+          .filter(s => s.status === status);
+      }
+    } else {
+      return Array.from(memoryPaperTradingSessions.values())
+        .filter(s => s.status === status);
+    }
+  }
+
+  // ==================== Custom Strategy Operations ====================
+
+  /**
+   * Save (create or replace) a user-defined rule strategy
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} strategyData - { userId, name, description, entryRule, exitRule, frequency, indicators, ... }
+   */
+  static async saveCustomStrategy(strategyId, strategyData) {
+    if (this.useDatabase()) {
+      try {
+        await CustomStrategyModel.findOneAndUpdate(
+          { strategyId },
+          { ...strategyData, strategyId },
+          { upsert: true, new: true }
+        );
+        return true;
+      } catch (error) {
+        console.error('Error saving custom strategy to database:', error.message);
+        memoryCustomStrategies.set(strategyId, { ...strategyData, strategyId });
+        return false;
+      }
+    } else {
+      memoryCustomStrategies.set(strategyId, { ...strategyData, strategyId });
+      return true;
+    }
+  }
+
+  /**
+   * Get a user-defined rule strategy
+   * @param {string} strategyId - Strategy ID
+   */
+  static async getCustomStrategy(strategyId) {
+    if (this.useDatabase()) {
+      try {
+        const strategy = await CustomStrategyModel.findOne({ strategyId });
+        return strategy ? strategy.toObject() : null;
+      } catch (error) {
+        console.error('Error loading custom strategy from database:', error.message);
+        return memoryCustomStrategies.get(strategyId) || null;
+      }
+    } else {
+      return memoryCustomStrategies.get(strategyId) || null;
+    }
+  }
+
+  /**
+   * Get a user's rule strategies, newest first
+   * @param {string} userId - User ID
+   */
+  static async getCustomStrategiesByUser(userId) {
+    const fromMemory = () => Array.from(memoryCustomStrategies.values())
+      .filter(s => s.userId === userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    if (this.useDatabase()) {
+      try {
+        const strategies = await CustomStrategyModel.find({ userId }).sort({ createdAt: -1 });
+        return strategies.map(s => s.toObject());
+      } catch (error) {
+        console.error('Error loading custom strategies from database:', error.message);
+        return fromMemory();
+      }
+    } else {
+      return fromMemory();
+    }
+  }
+
+  /**
+   * Delete a user-defined rule strategy
+   * @param {string} strategyId - Strategy ID
+   */
+  static async deleteCustomStrategy(strategyId) {
+    if (this.useDatabase()) {
+      try {
+        await CustomStrategyModel.deleteOne({ strategyId });
+      } catch (error) {
+        console.error('Error deleting custom strategy from database:', error.message);
+      }
+    }
+    memoryCustomStrategies.delete(strategyId);
+  }
 }
 
 module.exports = DBService;
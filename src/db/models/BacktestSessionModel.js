@@ -5,20 +5,82 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+const TradeSchema = new Schema({
+  date: String,
+  type: { type: String, enum: ['BUY', 'SELL'] },
+  ticker: String, // Portfolio backtests only
+  price: Number, // Fill price after spread/slippage
+  marketPrice: Number,
+  quantity: Number,
+  value: Number,
+  commission: Number,
+  slippage: Number,
+  profitLoss: Number,
+  reason: String
+}, { _id: false });
+
+const EquityPointSchema = new Schema({
+  date: String,
+  value: Number,
+  cash: Number,
+  drawdown: Number // Negative percentage from the running peak
+}, { _id: false });
+
 const BacktestSessionSchema = new Schema({
   sessionId: { type: String, required: true, unique: true },
-  portfolioId: { type: String, required: true, index: true },
+  userId: { type: String, index: true }, // Set when the run was made by a signed-in user
+  type: { type: String, enum: ['stock', 'portfolio'], default: 'stock' },
+  portfolioId: { type: String, index: true }, // Set for portfolio backtests
+  portfolioName: String,
+  ticker: String, // Set for single-stock backtests
+  tickers: [String], // Set for portfolio backtests
   startDate: { type: String, required: true },
   endDate: { type: String, required: true },
   strategy: String,
+  initialCapital: Number,
+  // Request inputs needed to re-run: strategy alias, benchmark, rebalanceFreq, weights, parameters
+  inputs: Schema.Types.Mixed,
   status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
   metrics: {
     cagr: Number,
     sharpe: Number,
+    sharpeRatio: Number,
     maxDrawdown: Number,
     totalReturn: Number,
     winRate: Number,
-    totalTrades: Number
+    totalTrades: Number,
+    profitableTrades: Number,
+    averageReturn: Number,
+    volatility: Number,
+    rebalanceCount: Number,
+    finalValue: Number,
+    initialCapital: Number,
+    totalCommission: Number,
+    totalSlippage: Number
+  },
+  trades: [TradeSchema],
+  equityCurve: [EquityPointSchema],
+  benchmark: Schema.Types.Mixed, // Benchmark comparison summary
+  benchmarkEquityCurve: [{ _id: false, date: String, value: Number }],
+  costModel: {
+    commission: { model: String, rate: Number, minimum: Number },
+    slippage: { model: String, bps: Number, impact: Number },
+    spreadBps: Number
+  },
+  positionSizing: {
+    mode: { type: String, enum: ['fixed_fraction', 'fixed_dollar', 'volatility_target', 'kelly'] },
+    fraction: Number,
+    amount: Number,
+    targetVolatility: Number,
+    lookback: Number,
+    kellyCap: Number,
+    minTrades: Number
+  },
+  exitRules: {
+    stopLossPercent: Number,
+    takeProfitPercent: Number,
+    trailingStopPercent: Number,
+    atrStop: { period: Number, multiplier: Number }
   },
   createdAt: { type: Date, default: Date.now },
   completedAt: Date
@@ -30,6 +92,7 @@ const BacktestSessionSchema = new Schema({
 // Note: sessionId already has unique: true (creates index automatically)
 // Note: portfolioId already has index: true in schema definition
 BacktestSessionSchema.index({ createdAt: -1 });
+BacktestSessionSchema.index({ userId: 1, createdAt: -1 });
 
 const BacktestSessionModel = mongoose.model('BacktestSession', BacktestSessionSchema);
 
@@ -0,0 +1,32 @@
+/**
+ * Mongoose model for user-defined rule strategies
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const IndicatorConfigSchema = new Schema({
+  type: { type: String, required: true },
+  params: { type: Schema.Types.Mixed, default: {} }
+}, { _id: false });
+
+const CustomStrategySchema = new Schema({
+  strategyId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  entryRule: { type: String, required: true }, // RuleExpressionService expression, e.g. 'PRICE > SMA(50)'
+  exitRule: { type: String, required: true },
+  frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], default: 'weekly' },
+  indicators: [IndicatorConfigSchema], // Indicators the rules reference, derived when saved
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: false
+});
+
+CustomStrategySchema.index({ userId: 1, createdAt: -1 });
+
+const CustomStrategyModel = mongoose.model('CustomStrategy', CustomStrategySchema);
+
+module.exports = CustomStrategyModel;
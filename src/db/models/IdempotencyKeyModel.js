@@ -0,0 +1,54 @@
+/**
+ * IdempotencyKeyModel.js
+ * Mongoose model for Idempotency-Key headers seen on trade requests
+ * Each record holds the response first sent for a key so a retried request
+ * gets the same answer instead of placing the trade twice
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Method and path the key was first used on
+  route: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request body; reusing a key with a different body is rejected
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    // Keys can be reused for a different request after a day
+    expires: 24 * 60 * 60
+  }
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+const IdempotencyKeyModel = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKeyModel;
@@ -0,0 +1,111 @@
+/**
+ * OrderModel.js
+ * Mongoose model for resting limit, stop and stop-limit orders
+ * Orders wait here until the matcher fills them against new daily bars;
+ * a filled order points at the completed TransactionModel record
+ */
+
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  portfolioId: {
+    type: String,
+    default: null
+  },
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  side: {
+    type: String,
+    required: true,
+    enum: ['buy', 'sell']
+  },
+  orderType: {
+    type: String,
+    required: true,
+    enum: ['limit', 'stop', 'stop-limit']
+  },
+  // Shares, fractional up to config.trading.fractional.quantityPrecision
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Dollar amount requested for notional orders; quantity holds the shares it buys or sells at the order price
+  notional: {
+    type: Number,
+    default: null
+  },
+  limitPrice: {
+    type: Number,
+    required: function() {
+      return ['limit', 'stop-limit'].includes(this.orderType);
+    },
+    min: 0
+  },
+  stopPrice: {
+    type: Number,
+    required: function() {
+      return ['stop', 'stop-limit'].includes(this.orderType);
+    },
+    min: 0
+  },
+  // Stop-limit orders become limit orders once the stop price is hit
+  triggered: {
+    type: Boolean,
+    default: false
+  },
+  // Cash held in WalletModel.reservedFunds for buy orders
+  reservedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'filled', 'cancelled', 'rejected'],
+    default: 'pending'
+  },
+  // Date of the last bar the order was checked against (YYYY-MM-DD)
+  lastCheckedDate: {
+    type: String,
+    required: true
+  },
+  // Fill details
+  fillPrice: {
+    type: Number,
+    default: null
+  },
+  filledDate: {
+    type: String,
+    default: null
+  },
+  transactionId: {
+    type: String,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+orderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, ticker: 1 });
+
+// Ensure virtuals are included in JSON
+orderSchema.set('toJSON', { virtuals: true });
+orderSchema.set('toObject', { virtuals: true });
+
+const OrderModel = mongoose.model('Order', orderSchema);
+
+module.exports = OrderModel;
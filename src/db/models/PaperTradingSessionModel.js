@@ -10,17 +10,39 @@ const PaperTradeSchema = new Schema({
   side: { type: String, enum: ['buy', 'sell'], required: true },
   shares: { type: Number, required: true },
   price: { type: Number, required: true },
+  value: { type: Number, default: 0 }, // shares * price
+  profitLoss: { type: Number, default: null }, // Realized P&L (sells only)
+  date: String, // Date of the daily bar the fill was simulated on
+  reason: { type: String, default: '' },
   timestamp: { type: Date, default: Date.now }
 }, { _id: false });
 
+const PaperPositionSchema = new Schema({
+  ticker: { type: String, required: true },
+  shares: { type: Number, default: 0 },
+  avgCost: { type: Number, default: 0 },
+  lastPrice: { type: Number, default: 0 }
+}, { _id: false });
+
+const DailyValueSchema = new Schema({
+  date: { type: String, required: true },
+  value: { type: Number, required: true },
+  cash: Number
+}, { _id: false });
+
 const PaperTradingSessionSchema = new Schema({
   portfolioId: { type: String, required: true, unique: true },
   status: { type: String, enum: ['active', 'paused', 'stopped'], default: 'active' },
+  strategy: { type: String, default: null }, // StrategyService key or custom strategy ID driving the signals
   initialValue: { type: Number, default: 100000 },
   currentValue: { type: Number, default: 100000 },
+  cash: { type: Number, default: 100000 },
   totalReturn: { type: Number, default: 0 },
   dailyReturn: { type: Number, default: 0 },
+  positions: [PaperPositionSchema],
   paperTrades: [PaperTradeSchema],
+  dailyValues: [DailyValueSchema], // End-of-day equity curve
+  lastProcessedDate: { type: String, default: null }, // Last daily bar the session has traded on
   performance: {
     currentValue: Number,
     totalReturn: Number,
@@ -29,6 +51,8 @@ const PaperTradingSessionSchema = new Schema({
     maxDrawdown: Number
   },
   startedAt: { type: Date, default: Date.now },
+  pausedAt: { type: Date, default: null },
+  stoppedAt: { type: Date, default: null },
   lastUpdated: { type: Date, default: Date.now }
 }, {
   timestamps: false
@@ -42,4 +66,3 @@ PaperTradingSessionSchema.index({ startedAt: -1 });
 const PaperTradingSessionModel = mongoose.model('PaperTradingSession', PaperTradingSessionSchema);
 
 module.exports = PaperTradingSessionModel;
-
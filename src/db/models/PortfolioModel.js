@@ -4,12 +4,17 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { roundShares } = require('../../utils/calculations');
+const config = require('../../../config/config');
+
+// Positions may hold fractional shares; stored quantities are rounded to the configured precision
+const setShares = (value) => roundShares(value, config.trading?.fractional?.quantityPrecision ?? 0);
 
 const PositionSchema = new Schema({
   ticker: { type: String, required: true },
   side: { type: String, enum: ['long', 'short'], default: 'long' },
-  quantity: { type: Number, default: 0 }, // Number of shares held (renamed from 'shares' for consistency)
-  shares: { type: Number, default: 0 }, // Kept for backward compatibility
+  quantity: { type: Number, default: 0, set: setShares }, // Number of shares held, fractional allowed (renamed from 'shares' for consistency)
+  shares: { type: Number, default: 0, set: setShares }, // Kept for backward compatibility
   averageCost: { type: Number, default: 0 }, // Average cost per share (renamed from 'avg_cost')
   avg_cost: { type: Number, default: 0 }, // Kept for backward compatibility
   currentPrice: { type: Number, default: 0 }, // Current market price per share
@@ -19,6 +24,21 @@ const PositionSchema = new Schema({
   pnl_unrealized: { type: Number, default: 0 } // Kept for backward compatibility
 }, { _id: false });
 
+// Scheduled rebalancing; frequency and strategy fall back to the curated config and the recommended strategy
+const AutoRebalanceSchema = new Schema({
+  enabled: { type: Boolean, default: false },
+  execution: { type: String, enum: ['auto', 'approval'], default: 'approval' }, // Trade right away or queue for the owner
+  frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'quarterly', null], default: null },
+  strategy: { type: String, default: null } // Preset strategy key driving target weights
+}, { _id: false });
+
+// Covariance-based allocation chosen for the portfolio; rebalances target these weights
+const AllocationSchema = new Schema({
+  method: { type: String, enum: ['equal_weight', 'min_variance', 'max_sharpe', 'risk_parity', 'inverse_volatility', null], default: null },
+  maxWeight: { type: Number, default: null }, // Per-position cap
+  weights: { type: Schema.Types.Mixed, default: null } // Ticker -> weight at creation
+}, { _id: false });
+
 const SecuritySchema = new Schema({
   ticker: { type: String, required: true },
   name: String,
@@ -37,6 +57,11 @@ const PortfolioSchema = new Schema({
   risk_budget: { type: Number, default: 1.0 },
   securities: [SecuritySchema],
   positions: [PositionSchema],
+  lastRebalancedAt: { type: Date, default: null }, // Last executed rebalance; drives calendar rebalancing
+  type: { type: String, default: null }, // 'custom' or 'curated'
+  curatedId: { type: String, default: null }, // Curated portfolio config id (e.g. '1y-growth')
+  autoRebalance: { type: AutoRebalanceSchema, default: () => ({}) },
+  allocation: { type: AllocationSchema, default: () => ({}) },
   createdAt: { type: Date, default: Date.now },
   lastUpdated: { type: Date, default: Date.now }
 }, {
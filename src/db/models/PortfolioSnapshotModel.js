@@ -0,0 +1,60 @@
+/**
+ * PortfolioSnapshotModel.js
+ * Mongoose model for end-of-day portfolio snapshots
+ * One snapshot per portfolio per day holds the positions, cash and value at that day's closes,
+ * plus the money that moved into or out of the portfolio that day so returns can exclude it
+ */
+
+const mongoose = require('mongoose');
+
+const snapshotPositionSchema = new mongoose.Schema({
+  ticker: String,
+  quantity: Number,
+  price: Number, // Close on or before the snapshot date
+  marketValue: Number
+}, { _id: false });
+
+const portfolioSnapshotSchema = new mongoose.Schema({
+  portfolioId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  cash: {
+    type: Number,
+    default: 0
+  },
+  positionsValue: {
+    type: Number,
+    default: 0
+  },
+  totalValue: {
+    type: Number,
+    required: true
+  },
+  // Net money moved into the portfolio since the previous snapshot: buys and fees in, sales and dividends out
+  netFlow: {
+    type: Number,
+    default: 0
+  },
+  positions: [snapshotPositionSchema],
+  // Held tickers without a close to value them; they are left out of positionsValue
+  missingPrices: [String]
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+portfolioSnapshotSchema.index({ portfolioId: 1, date: 1 }, { unique: true });
+
+const PortfolioSnapshotModel = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
+
+module.exports = PortfolioSnapshotModel;
@@ -0,0 +1,68 @@
+/**
+ * RebalanceRunModel.js
+ * Mongoose model for the history of scheduled portfolio rebalances
+ * Each run records the strategy-driven target weights and the trades it proposed;
+ * runs waiting on the owner's approval keep status 'pending_approval' until approved or rejected
+ */
+
+const mongoose = require('mongoose');
+
+const tradeSchema = new mongoose.Schema({
+  ticker: String,
+  side: { type: String, enum: ['buy', 'sell'] },
+  shares: Number,
+  price: Number,
+  value: Number,
+  estimatedCost: Number,
+  transactionId: { type: String, default: null }, // Set once executed
+  error: { type: String, default: null } // Set when execution failed
+}, { _id: false });
+
+const rebalanceRunSchema = new mongoose.Schema({
+  portfolioId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['executed', 'partial', 'failed', 'pending_approval', 'rejected', 'skipped'],
+    required: true
+  },
+  strategy: String,
+  frequency: String,
+  // Ticker -> weight the strategy asked for, and the signal behind each weight
+  targetWeights: mongoose.Schema.Types.Mixed,
+  signals: mongoose.Schema.Types.Mixed,
+  totalValue: Number,
+  maxDrift: Number,
+  trades: [tradeSchema],
+  estimatedCosts: {
+    type: Number,
+    default: 0
+  },
+  reason: String,
+  // When the owner approved or rejected a queued run
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  executedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+rebalanceRunSchema.index({ portfolioId: 1, createdAt: -1 });
+rebalanceRunSchema.index({ portfolioId: 1, status: 1 });
+
+const RebalanceRunModel = mongoose.model('RebalanceRun', rebalanceRunSchema);
+
+module.exports = RebalanceRunModel;
@@ -0,0 +1,66 @@
+/**
+ * TaxLotModel.js
+ * Mongoose model for tax lots - one lot per buy, drawn down by the sells matched to it
+ */
+
+const mongoose = require('mongoose');
+
+const taxLotSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Lots belong to the portfolio that bought them; null for buys made outside a portfolio
+  portfolioId: {
+    type: String,
+    default: null
+  },
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Buy that opened the lot
+  transactionId: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remainingQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Purchase price plus commission, per share
+  costPerShare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+taxLotSchema.index({ userId: 1, portfolioId: 1, ticker: 1, status: 1, acquiredAt: 1 });
+
+// Ensure virtuals are included in JSON
+taxLotSchema.set('toJSON', { virtuals: true });
+taxLotSchema.set('toObject', { virtuals: true });
+
+const TaxLotModel = mongoose.model('TaxLot', taxLotSchema);
+
+module.exports = TaxLotModel;
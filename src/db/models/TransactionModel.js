@@ -20,12 +20,12 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['buy', 'sell', 'deposit', 'withdrawal', 'dividend', 'fee', 'commission']
+    enum: ['buy', 'sell', 'short', 'cover', 'deposit', 'withdrawal', 'dividend', 'fee', 'commission']
   },
   ticker: {
     type: String,
     required: function() {
-      return ['buy', 'sell'].includes(this.type);
+      return ['buy', 'sell', 'short', 'cover'].includes(this.type);
     },
     uppercase: true
   },
@@ -33,17 +33,22 @@ const transactionSchema = new mongoose.Schema({
   quantity: {
     type: Number,
     required: function() {
-      return ['buy', 'sell'].includes(this.type);
+      return ['buy', 'sell', 'short', 'cover'].includes(this.type);
     },
     min: 0
   },
   price: {
     type: Number,
     required: function() {
-      return ['buy', 'sell'].includes(this.type);
+      return ['buy', 'sell', 'short', 'cover'].includes(this.type);
     },
     min: 0
   },
+  // Dollar amount requested for notional orders; quantity holds the (possibly fractional) shares it bought or sold
+  notional: {
+    type: Number,
+    default: null
+  },
   // Costs
   subtotal: {
     type: Number,
@@ -85,7 +90,7 @@ const transactionSchema = new mongoose.Schema({
   },
   orderSource: {
     type: String,
-    enum: ['manual', 'strategy', 'auto-rebalance', 'coupled-trade'],
+    enum: ['manual', 'strategy', 'auto-rebalance', 'coupled-trade', 'margin-call'],
     default: 'manual'
   },
   // For sell orders - track profit/loss
@@ -97,6 +102,19 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // For sell orders - tax lots the shares were taken from
+  lotMethod: {
+    type: String,
+    enum: ['fifo', 'lifo', 'highest_cost', 'specific', null],
+    default: null
+  },
+  lotsSold: [{
+    _id: false,
+    lotId: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    costPerShare: { type: Number, required: true },
+    acquiredAt: { type: Date, required: true }
+  }],
   // Notes and metadata
   notes: {
     type: String,
@@ -105,6 +123,11 @@ const transactionSchema = new mongoose.Schema({
   errorMessage: {
     type: String,
     default: null
+  },
+  // Links system-posted entries to their source, e.g. 'dividend:AAPL:2024-02-09'
+  referenceId: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt
@@ -115,13 +138,18 @@ transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ userId: 1, ticker: 1, type: 1 });
 transactionSchema.index({ portfolioId: 1, createdAt: -1 });
 transactionSchema.index({ ticker: 1, type: 1, createdAt: -1 });
+transactionSchema.index({ userId: 1, referenceId: 1 });
 
 // Virtual for transaction direction
 transactionSchema.virtual('direction').get(function() {
   if (this.type === 'buy') return 'debit';
   if (this.type === 'sell') return 'credit';
+  if (this.type === 'short') return 'credit';
+  if (this.type === 'cover') return 'debit';
   if (this.type === 'deposit') return 'credit';
   if (this.type === 'withdrawal') return 'debit';
+  if (this.type === 'dividend') return 'credit';
+  if (this.type === 'fee') return 'debit';
   return 'neutral';
 });
 
@@ -149,9 +177,11 @@ transactionSchema.statics.createBuyTransaction = async function(data) {
     ticker,
     quantity,
     price,
+    notional = null,
     commission = 0,
     fees = 0,
     balanceBefore,
+    executionType = 'market',
     orderSource = 'manual',
     notes = ''
   } = data;
@@ -167,6 +197,7 @@ transactionSchema.statics.createBuyTransaction = async function(data) {
     ticker,
     quantity,
     price,
+    notional,
     subtotal,
     commission,
     fees,
@@ -174,7 +205,7 @@ transactionSchema.statics.createBuyTransaction = async function(data) {
     balanceBefore,
     balanceAfter,
     status: 'completed',
-    executionType: 'market',
+    executionType,
     orderSource,
     notes
   });
@@ -189,10 +220,14 @@ transactionSchema.statics.createSellTransaction = async function(data) {
     ticker,
     quantity,
     price,
+    notional = null,
     commission = 0,
     fees = 0,
     balanceBefore,
     costBasis = null,
+    lotMethod = null,
+    lotsSold = [],
+    executionType = 'market',
     orderSource = 'manual',
     notes = ''
   } = data;
@@ -215,6 +250,7 @@ transactionSchema.statics.createSellTransaction = async function(data) {
     ticker,
     quantity,
     price,
+    notional,
     subtotal,
     commission,
     fees,
@@ -223,8 +259,87 @@ transactionSchema.statics.createSellTransaction = async function(data) {
     balanceAfter,
     costBasis,
     realizedProfitLoss,
+    lotMethod,
+    lotsSold,
+    status: 'completed',
+    executionType,
+    orderSource,
+    notes
+  });
+
+  return await transaction.save();
+};
+
+transactionSchema.statics.createShortTransaction = async function(data) {
+  const {
+    userId,
+    portfolioId,
+    ticker,
+    quantity,
+    price,
+    commission = 0,
+    balanceBefore,
+    orderSource = 'manual',
+    notes = ''
+  } = data;
+
+  const subtotal = quantity * price;
+  const total = subtotal - commission; // Proceeds credited, then held as collateral
+
+  const transaction = new this({
+    userId,
+    portfolioId,
+    type: 'short',
+    ticker,
+    quantity,
+    price,
+    subtotal,
+    commission,
+    total,
+    balanceBefore,
+    balanceAfter: balanceBefore + total,
+    status: 'completed',
+    orderSource,
+    notes
+  });
+
+  return await transaction.save();
+};
+
+transactionSchema.statics.createCoverTransaction = async function(data) {
+  const {
+    userId,
+    portfolioId,
+    ticker,
+    quantity,
+    price,
+    commission = 0,
+    balanceBefore,
+    costBasis,
+    orderSource = 'manual',
+    notes = ''
+  } = data;
+
+  const subtotal = quantity * price;
+  const total = subtotal + commission;
+  // A short profits when shares are bought back below the price they were sold at
+  const realizedProfitLoss = (costBasis - price) * quantity - commission;
+
+  const transaction = new this({
+    userId,
+    portfolioId,
+    type: 'cover',
+    ticker,
+    quantity,
+    price,
+    subtotal,
+    commission,
+    total,
+    balanceBefore,
+    balanceAfter: balanceBefore - total,
+    costBasis,
+    realizedProfitLoss,
     status: 'completed',
-    executionType: 'market',
     orderSource,
     notes
   });
@@ -247,6 +362,83 @@ transactionSchema.statics.createDepositTransaction = async function(userId, amou
   return await transaction.save();
 };
 
+transactionSchema.statics.createWithdrawalTransaction = async function(userId, amount, balanceBefore, notes = '') {
+  const transaction = new this({
+    userId,
+    type: 'withdrawal',
+    subtotal: amount,
+    total: amount,
+    balanceBefore,
+    balanceAfter: balanceBefore - amount,
+    status: 'completed',
+    notes
+  });
+
+  return await transaction.save();
+};
+
+transactionSchema.statics.createFeeTransaction = async function(data) {
+  const {
+    userId,
+    portfolioId = null,
+    ticker,
+    amount,
+    balanceBefore,
+    referenceId = null,
+    notes = ''
+  } = data;
+
+  const transaction = new this({
+    userId,
+    portfolioId,
+    type: 'fee',
+    ticker,
+    subtotal: amount,
+    fees: amount,
+    total: amount,
+    balanceBefore,
+    balanceAfter: balanceBefore - amount,
+    status: 'completed',
+    referenceId,
+    notes
+  });
+
+  return await transaction.save();
+};
+
+transactionSchema.statics.createDividendTransaction = async function(data) {
+  const {
+    userId,
+    portfolioId = null,
+    ticker,
+    quantity,
+    price,
+    balanceBefore,
+    referenceId = null,
+    notes = ''
+  } = data;
+
+  const amount = quantity * price; // price is the dividend per share
+
+  const transaction = new this({
+    userId,
+    portfolioId,
+    type: 'dividend',
+    ticker,
+    quantity,
+    price,
+    subtotal: amount,
+    total: amount,
+    balanceBefore,
+    balanceAfter: balanceBefore + amount,
+    status: 'completed',
+    referenceId,
+    notes
+  });
+
+  return await transaction.save();
+};
+
 transactionSchema.statics.getTransactionHistory = async function(userId, options = {}) {
   const {
     limit = 50,
@@ -5,6 +5,55 @@
 
 const mongoose = require('mongoose');
 
+// Open short position; collateral is the short proceeds plus initial margin held in reservedFunds
+const shortPositionSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  side: {
+    type: String,
+    enum: ['short'],
+    default: 'short'
+  },
+  portfolioId: {
+    type: String,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  averageCost: {
+    type: Number,
+    required: true // Average price the shares were sold short at
+  },
+  collateral: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Last mark-to-market
+  currentPrice: {
+    type: Number,
+    default: 0
+  },
+  marketValue: {
+    type: Number,
+    default: 0
+  },
+  profitLoss: {
+    type: Number,
+    default: 0
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const walletSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -41,6 +90,13 @@ const walletSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Cash from sales returned to the balance (not a withdrawal)
+  totalSaleProceeds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cash taken out of the wallet by the user
   totalWithdrawn: {
     type: Number,
     default: 0,
@@ -50,6 +106,20 @@ const walletSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Income and charges posted by the dividend engine and fee schedule
+  totalDividends: {
+    type: Number,
+    default: 0
+  },
+  totalFees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastAccountFeeAt: {
+    type: Date,
+    default: null
+  },
   // Statistics
   totalTrades: {
     type: Number,
@@ -66,6 +136,21 @@ const walletSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Short selling is opt-in; shorts borrow shares against collateral
+  marginEnabled: {
+    type: Boolean,
+    default: false
+  },
+  shortPositions: [shortPositionSchema],
+  marginCalls: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastMarginCallAt: {
+    type: Date,
+    default: null
+  },
   // Metadata
   status: {
     type: String,
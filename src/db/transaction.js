@@ -0,0 +1,56 @@
+/**
+ * Multi-document transaction helper
+ * Runs a unit of work inside a MongoDB transaction so every write in it commits or
+ * rolls back together. Mongoose's async local storage hands the session to every
+ * query and save made inside the work, so callers don't have to thread it through.
+ * Standalone servers (no replica set) can't run transactions; there the work runs
+ * without one and a warning is logged once.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// Marks work already running inside runInTransaction so nested calls join it
+const activeTransaction = new AsyncLocalStorage();
+let transactionsSupported = true;
+
+/**
+ * Whether an error means the server can't run transactions at all
+ * @param {Error} error - Error from starting or using a transaction
+ * @returns {boolean}
+ */
+function isTransactionUnsupported(error) {
+  return error.code === 20 ||
+    /Transaction numbers are only allowed on a replica set member or mongos/i.test(error.message || '');
+}
+
+/**
+ * Run work atomically; the transaction is retried on transient errors and aborted if work throws
+ * Calls made while a transaction is already running join it instead of starting another
+ * @param {Function} work - Async function performing the writes
+ * @returns {Promise<*>} Whatever work returns
+ */
+async function runInTransaction(work) {
+  // Without a connection there is no session to start; the work's own queries report the outage
+  if (!transactionsSupported || activeTransaction.getStore() || mongoose.connection.readyState !== 1) {
+    return work();
+  }
+
+  try {
+    return await mongoose.connection.transaction(() => activeTransaction.run(true, work));
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+    transactionsSupported = false;
+    console.warn('⚠️  MongoDB transactions need a replica set - trades will run without them');
+    return work();
+  }
+}
+
+module.exports = {
+  runInTransaction,
+  isTransactionUnsupported
+};
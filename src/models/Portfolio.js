@@ -5,6 +5,8 @@
  */
 
 const Position = require('./Position');
+const Security = require('./Security');
+const { roundShares } = require('../utils/calculations');
 const config = require('../../config/config');
 
 class Portfolio {
@@ -143,20 +145,39 @@ class Portfolio {
   }
 
   /**
-   * Rebalance portfolio to target weights
+   * Plan the trades that bring the portfolio to target weights without executing them
+   * Target tickers the portfolio doesn't hold yet are added; held tickers missing from
+   * the targets are treated as a 0% target and sold down
    * @param {Object} target_weights - Object with ticker -> weight (0.0 to 1.0)
    * @param {Object} currentPrices - Object with ticker -> current price
+   * @param {Object} options - { driftThreshold: only trade tickers whose weight drifted further than this,
+   *   minTradeValue: smallest trade in dollars (default $100), precision: share decimal places }
+   * @returns {Object} { totalValue, cash, drift, trades, postTradeWeights, maxDrift }
    */
-  rebalance(target_weights, currentPrices) {
-    const currentValue = this.mark_to_market(Object.values(currentPrices).map(price => ({ price }))).totalValue;
-    const trades = [];
+  planRebalance(target_weights, currentPrices, options = {}) {
+    const {
+      driftThreshold = 0,
+      minTradeValue = 100,
+      precision = config.trading.fractional?.quantityPrecision ?? 0
+    } = options;
+
+    for (const ticker of Object.keys(target_weights)) {
+      if (!this.getPosition(ticker)) {
+        this.addSecurity(new Security(ticker));
+      }
+    }
 
-    console.log(`Rebalancing portfolio to target weights (total value: $${currentValue.toFixed(2)})`);
+    // Value the portfolio once so every ticker is measured against the same total
+    const quotes = Object.entries(currentPrices).map(([ticker, price]) => ({ ticker, price }));
+    const totalValue = this.mark_to_market(quotes).totalValue;
 
-    for (const [ticker, targetWeight] of Object.entries(target_weights)) {
-      const position = this.getPosition(ticker);
-      if (!position) {
-        console.warn(`Position not found for ${ticker}, skipping`);
+    const drift = [];
+    const trades = [];
+    let cashAfter = this.cash;
+
+    for (const [ticker, position] of this.positions) {
+      const targetWeight = target_weights[ticker] || 0;
+      if (!(ticker in target_weights) && position.isEmpty()) {
         continue;
       }
 
@@ -167,26 +188,76 @@ class Portfolio {
       }
 
       const currentValue = position.getMarketValue(currentPrice);
-      const currentWeight = currentValue / this.mark_to_market(Object.values(currentPrices).map(price => ({ price }))).totalValue;
-      const targetValue = targetWeight * this.mark_to_market(Object.values(currentPrices).map(price => ({ price }))).totalValue;
-      const difference = targetValue - currentValue;
-
-      if (Math.abs(difference) > 100) { // Minimum trade size of $100
-        const sharesToTrade = Math.floor(Math.abs(difference) / currentPrice);
-        const side = difference > 0 ? 'buy' : 'sell';
-
-        try {
-          this.executeTrade(ticker, side, sharesToTrade, currentPrice);
-          trades.push({
-            ticker,
-            side,
-            shares: sharesToTrade,
-            price: currentPrice,
-            value: sharesToTrade * currentPrice
-          });
-        } catch (error) {
-          console.warn(`Failed to execute trade for ${ticker}: ${error.message}`);
-        }
+      const currentWeight = totalValue > 0 ? currentValue / totalValue : 0;
+      drift.push({
+        ticker,
+        price: currentPrice,
+        shares: position.shares,
+        currentValue,
+        currentWeight,
+        targetWeight,
+        drift: currentWeight - targetWeight
+      });
+
+      const difference = targetWeight * totalValue - currentValue;
+      if (Math.abs(currentWeight - targetWeight) <= driftThreshold || Math.abs(difference) < minTradeValue) {
+        continue;
+      }
+
+      // Fractional shares let small portfolios reach target weights on high-priced names
+      const side = difference > 0 ? 'buy' : 'sell';
+      let sharesToTrade = roundShares(Math.abs(difference) / currentPrice, precision);
+      if (side === 'sell') {
+        sharesToTrade = Math.min(sharesToTrade, position.shares);
+      }
+      if (sharesToTrade <= 0) {
+        continue;
+      }
+
+      const value = sharesToTrade * currentPrice;
+      cashAfter += side === 'buy' ? -value : value;
+      trades.push({ ticker, side, shares: sharesToTrade, price: currentPrice, value });
+    }
+
+    const postTradeWeights = {};
+    for (const row of drift) {
+      const trade = trades.find(t => t.ticker === row.ticker);
+      const shares = trade ? row.shares + (trade.side === 'buy' ? trade.shares : -trade.shares) : row.shares;
+      postTradeWeights[row.ticker] = totalValue > 0 ? (shares * row.price) / totalValue : 0;
+    }
+    postTradeWeights.cash = totalValue > 0 ? cashAfter / totalValue : 0;
+
+    return {
+      totalValue,
+      cash: this.cash,
+      drift,
+      trades,
+      postTradeWeights,
+      maxDrift: drift.reduce((max, row) => Math.max(max, Math.abs(row.drift)), 0)
+    };
+  }
+
+  /**
+   * Rebalance portfolio to target weights
+   * Sells run before buys so their proceeds can fund the purchases
+   * @param {Object} target_weights - Object with ticker -> weight (0.0 to 1.0)
+   * @param {Object} currentPrices - Object with ticker -> current price
+   * @param {Object} options - Passed to planRebalance
+   * @returns {Array<Object>} Executed trades
+   */
+  rebalance(target_weights, currentPrices, options = {}) {
+    const plan = this.planRebalance(target_weights, currentPrices, options);
+    const trades = [];
+
+    console.log(`Rebalancing portfolio to target weights (total value: $${plan.totalValue.toFixed(2)})`);
+
+    const ordered = [...plan.trades.filter(t => t.side === 'sell'), ...plan.trades.filter(t => t.side === 'buy')];
+    for (const trade of ordered) {
+      try {
+        this.executeTrade(trade.ticker, trade.side, trade.shares, trade.price);
+        trades.push(trade);
+      } catch (error) {
+        console.warn(`Failed to execute trade for ${trade.ticker}: ${error.message}`);
       }
     }
 
@@ -4,6 +4,12 @@
  * Actions: increase(qty, price), decrease(qty, price), close()
  */
 
+const { roundShares } = require('../utils/calculations');
+const config = require('../../config/config');
+
+// Shares may be fractional; rounding keeps float noise from leaving dust in a closed position
+const SHARE_PRECISION = config.trading.fractional?.quantityPrecision ?? 0;
+
 class Position {
   constructor(security, side = 'long', shares = 0, avg_cost = 0) {
     this.security = security; // Security object
@@ -27,7 +33,7 @@ class Position {
     }
 
     const totalCost = this.shares * this.avg_cost + qty * price;
-    const totalShares = this.shares + qty;
+    const totalShares = roundShares(this.shares + qty, SHARE_PRECISION);
     
     this.avg_cost = totalCost / totalShares;
     this.shares = totalShares;
@@ -56,7 +62,7 @@ class Position {
       ? (price - this.avg_cost) * qty
       : (this.avg_cost - price) * qty;
     
-    this.shares -= qty;
+    this.shares = roundShares(this.shares - qty, SHARE_PRECISION);
     
     console.log(`Decreased ${this.security.ticker} position: -${qty} shares at $${price}, realized P&L: $${realizedPnl.toFixed(2)}`);
     
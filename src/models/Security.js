@@ -144,9 +144,11 @@ class Security {
 
   /**
    * Get default sector based on ticker
+   * @param {string} fallback - Sector for tickers without a default
    * @returns {string} Default sector
    */
-  getDefaultSector() {
+  getDefaultSector(fallback = 'Technology') {
+    // GICS sector names, except financials, which all share BRK.B's 'Financial Services'
     const sectorMap = {
       'AAPL': 'Technology',
       'MSFT': 'Technology',
@@ -157,10 +159,22 @@ class Security {
       'META': 'Technology',
       'NVDA': 'Technology',
       'NFLX': 'Communication Services',
-      'BRK.B': 'Financial Services'
+      'DIS': 'Communication Services',
+      'BRK.B': 'Financial Services',
+      'JPM': 'Financial Services',
+      'BAC': 'Financial Services',
+      'V': 'Financial Services',
+      'MA': 'Financial Services',
+      'JNJ': 'Health Care',
+      'UNH': 'Health Care',
+      'PG': 'Consumer Staples',
+      'WMT': 'Consumer Staples',
+      'HD': 'Consumer Discretionary',
+      'XOM': 'Energy',
+      'CVX': 'Energy'
     };
     
-    return sectorMap[this.ticker] || 'Technology';
+    return sectorMap[this.ticker] || fallback;
   }
 
   /**
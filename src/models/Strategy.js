@@ -5,6 +5,7 @@
  */
 
 const { IndicatorService } = require('../services/IndicatorService');
+const RuleExpressionService = require('../services/RuleExpressionService');
 
 class Strategy {
   constructor(name, indicators = [], entryRule = null, exitRule = null, rebalanceFreq = 'weekly') {
@@ -14,6 +15,40 @@ class Strategy {
     this.exitRule = exitRule;
     this.rebalance_freq = rebalanceFreq;
     this.lastSignals = new Map(); // Cache for last generated signals
+    this.compiledRules = null; // Set by compileRules for user-defined rule strategies
+  }
+
+  /**
+   * Parse the entry and exit rules as rule expressions (see RuleExpressionService)
+   * so they are evaluated instead of the indicator majority vote. The preset
+   * strategies' rules are descriptions only and are never compiled
+   * Indicators are replaced by the ones the rules reference
+   * @returns {Strategy} This strategy
+   * @throws {Error} When either rule is not a valid expression
+   */
+  compileRules() {
+    const entry = RuleExpressionService.compile(this.entryRule);
+    const exit = RuleExpressionService.compile(this.exitRule);
+
+    this.compiledRules = { entry, exit };
+    this.indicators = RuleExpressionService.getIndicators([entry, exit]);
+    return this;
+  }
+
+  /**
+   * Evaluate compiled rules on the last bar of a price history
+   * A bar that meets both rules counts as an exit, so conflicting rules never open a position
+   * @param {Array} priceData - Price data up to the bar to evaluate
+   * @returns {string} 'buy' when the entry rule holds, 'sell' when the exit rule holds, else 'hold'
+   */
+  evaluateRules(priceData) {
+    if (RuleExpressionService.evaluate(this.compiledRules.exit, priceData)) {
+      return 'sell';
+    }
+    if (RuleExpressionService.evaluate(this.compiledRules.entry, priceData)) {
+      return 'buy';
+    }
+    return 'hold';
   }
 
   /**
@@ -131,8 +166,11 @@ class Strategy {
    * @returns {string} Final signal
    */
   applyCustomRules(indicatorSignals, priceData) {
-    // This would be implemented based on specific strategy rules
-    // For now, fall back to majority vote
+    if (this.compiledRules) {
+      return this.evaluateRules(priceData);
+    }
+
+    // Preset rules are descriptive text, so fall back to majority vote
     return this.applyMajorityVote(indicatorSignals);
   }
 
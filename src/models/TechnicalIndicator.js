@@ -32,8 +32,8 @@ class TechnicalIndicator {
     // Extract close prices
     const closes = priceData.map(point => point.close);
     
-    // Compute indicator-specific values
-    this.values = this.calculateValues(closes);
+    // Compute indicator-specific values (bars are passed for indicators that need high/low/volume)
+    this.values = this.calculateValues(closes, priceData);
     
     // Generate signals
     this.signals = this.generateSignals(priceData, this.values);
@@ -44,9 +44,10 @@ class TechnicalIndicator {
   /**
    * Calculate indicator-specific values (to be implemented by subclasses)
    * @param {Array<number>} closes - Array of close prices
+   * @param {Array<Object>} [priceData] - Full price bars (open, high, low, close, volume)
    * @returns {Array<number>} Indicator values
    */
-  calculateValues(closes) {
+  calculateValues(closes, priceData) {
     throw new Error('calculateValues must be implemented by subclass');
   }
 
@@ -0,0 +1,398 @@
+/**
+ * AllocationService - Portfolio weights from the covariance of daily returns
+ * Estimates annualized mean returns and covariance from PriceDataModel history and
+ * produces equal-weight, minimum-variance, maximum-Sharpe, risk-parity and
+ * inverse-volatility weights. All weights are long-only, add up to 1 and respect a
+ * per-position cap. Mean-variance portfolios are solved by projected gradient descent;
+ * the maximum-Sharpe portfolio is the best Sharpe ratio along the efficient-frontier sweep.
+ * Uses only database data, no external API calls
+ */
+
+const PriceDataModel = require('../db/models/PriceDataModel');
+const config = require('../../config/config');
+
+const ALLOCATION_METHODS = ['equal_weight', 'min_variance', 'max_sharpe', 'risk_parity', 'inverse_volatility'];
+const TRADING_DAYS = 252;
+// Risk-aversion settings tried when sweeping the frontier
+const FRONTIER_SWEEP = 60;
+
+const DEFAULT_SETTINGS = {
+  defaultMethod: 'equal_weight',
+  lookbackBars: 252,
+  minBars: 60,
+  maxWeight: 1,
+  riskFreeRate: 0.02,
+  frontierPoints: 15
+};
+
+class AllocationService {
+  constructor(settings = config.allocation || {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Weights for a set of tickers from their stored price history
+   * @param {Array<string>} tickers - Tickers to allocate across
+   * @param {Object} options - { method, maxWeight, lookbackBars }
+   * @returns {Promise<Object>} Weights, per-ticker risk figures, portfolio statistics and frontier points
+   */
+  async allocate(tickers, options = {}) {
+    try {
+      const lookbackBars = options.lookbackBars || this.settings.lookbackBars;
+      const closes = await this.loadCloses(tickers, lookbackBars);
+      return this.optimize(closes, options);
+    } catch (error) {
+      console.error('Allocation error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Aligned daily closes for tickers, from PriceDataModel
+   * Only dates every ticker traded on are kept
+   * @param {Array<string>} tickers - Tickers to load
+   * @param {number} lookbackBars - Most recent aligned bars to keep
+   * @returns {Promise<Object>} { dates, closes: Map<ticker, number[]> }
+   */
+  async loadCloses(tickers, lookbackBars) {
+    const upper = [...new Set(tickers.map(t => t.toUpperCase()))];
+    const docs = await PriceDataModel.find({ ticker: { $in: upper }, interval: 'daily' });
+
+    const byTicker = new Map();
+    for (const doc of docs) {
+      byTicker.set(doc.ticker.toUpperCase(), new Map((doc.data || []).map(point => [point.date, point.close])));
+    }
+
+    const missing = upper.filter(ticker => !byTicker.has(ticker) || byTicker.get(ticker).size === 0);
+    if (missing.length > 0) {
+      throw new Error(`No price history in database for: ${missing.join(', ')}`);
+    }
+
+    const dates = [...byTicker.get(upper[0]).keys()]
+      .filter(date => upper.every(ticker => byTicker.get(ticker).has(date)))
+      .sort()
+      .slice(-(lookbackBars + 1));
+
+    const closes = new Map();
+    for (const ticker of upper) {
+      const series = byTicker.get(ticker);
+      closes.set(ticker, dates.map(date => series.get(date)));
+    }
+    return { dates, closes };
+  }
+
+  /**
+   * Weights and statistics from aligned closes
+   * @param {Object} aligned - { dates, closes: Map<ticker, number[]> }
+   * @param {Object} options - { method, maxWeight }
+   * @returns {Object} { method, maxWeight, weights, tickers, expectedReturn, volatility, sharpeRatio, frontier, ... }
+   */
+  optimize({ dates, closes }, options = {}) {
+    const method = options.method || this.settings.defaultMethod;
+    const maxWeight = options.maxWeight ?? this.settings.maxWeight;
+    const tickers = Array.from(closes.keys());
+    const n = tickers.length;
+
+    if (!ALLOCATION_METHODS.includes(method)) {
+      throw new Error(`Allocation method must be one of: ${ALLOCATION_METHODS.join(', ')}`);
+    }
+    if (n === 0) {
+      throw new Error('At least one ticker is required');
+    }
+    if (maxWeight * n < 1 - 1e-9) {
+      throw new Error(`A ${(maxWeight * 100).toFixed(0)}% position cap cannot be met with ${n} ticker(s)`);
+    }
+    if (dates.length - 1 < this.settings.minBars) {
+      throw new Error(`Need at least ${this.settings.minBars} overlapping daily returns, found ${Math.max(0, dates.length - 1)}`);
+    }
+
+    const returns = tickers.map(ticker => AllocationService.toReturns(closes.get(ticker)));
+    const mu = returns.map(series => AllocationService.mean(series) * TRADING_DAYS);
+    const cov = AllocationService.covariance(returns).map(row => row.map(v => v * TRADING_DAYS));
+
+    const sweep = this.sweepFrontier(mu, cov, maxWeight);
+    let weights;
+    switch (method) {
+      case 'min_variance':
+        weights = sweep[0].weights;
+        break;
+      case 'max_sharpe':
+        weights = sweep.reduce((best, point) => (point.sharpeRatio > best.sharpeRatio ? point : best)).weights;
+        break;
+      case 'risk_parity':
+        weights = AllocationService.capWeights(AllocationService.riskParity(cov), maxWeight);
+        break;
+      case 'inverse_volatility':
+        weights = AllocationService.capWeights(cov.map((row, i) => 1 / Math.sqrt(row[i] || 1e-12)), maxWeight);
+        break;
+      default:
+        weights = new Array(n).fill(1 / n);
+    }
+
+    const stats = this.portfolioStats(weights, mu, cov);
+    const contributions = AllocationService.riskContributions(weights, cov);
+
+    return {
+      method,
+      maxWeight,
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      observations: dates.length - 1,
+      weights: Object.fromEntries(tickers.map((ticker, i) => [ticker, weights[i]])),
+      tickers: tickers.map((ticker, i) => ({
+        ticker,
+        weight: weights[i],
+        expectedReturn: mu[i],
+        volatility: Math.sqrt(cov[i][i]),
+        riskContribution: contributions[i]
+      })),
+      ...stats,
+      frontier: this.samplePoints(sweep).map(point => ({
+        expectedReturn: point.expectedReturn,
+        volatility: point.volatility,
+        sharpeRatio: point.sharpeRatio,
+        weights: Object.fromEntries(tickers.map((ticker, i) => [ticker, point.weights[i]]))
+      }))
+    };
+  }
+
+  /**
+   * Capped mean-variance portfolios from minimum variance up to maximum return
+   * Each point minimizes ½w'Σw − τμ'w for a growing risk tolerance τ
+   * @param {Array<number>} mu - Annualized mean returns
+   * @param {Array<Array<number>>} cov - Annualized covariance
+   * @param {number} maxWeight - Per-position cap
+   * @returns {Array<Object>} Points sorted by volatility, minimum variance first
+   */
+  sweepFrontier(mu, cov, maxWeight) {
+    const largest = Math.max(...cov.map(row => Math.max(...row.map(Math.abs))));
+    const spread = Math.max(...mu) - Math.min(...mu);
+    const tauMax = spread > 1e-9 ? (10 * largest * cov.length) / spread : 0;
+
+    const points = [];
+    let weights = null;
+    for (let k = 0; k < FRONTIER_SWEEP; k++) {
+      const tau = tauMax * Math.pow(k / (FRONTIER_SWEEP - 1), 2);
+      weights = AllocationService.meanVariance(mu, cov, tau, maxWeight, weights);
+      points.push({ weights, ...this.portfolioStats(weights, mu, cov) });
+    }
+
+    // Drop points that duplicate their neighbour or fall below the frontier
+    const frontier = [];
+    for (const point of points.sort((a, b) => a.volatility - b.volatility)) {
+      const last = frontier[frontier.length - 1];
+      if (!last || point.expectedReturn > last.expectedReturn + 1e-9) {
+        frontier.push(point);
+      }
+    }
+    return frontier;
+  }
+
+  /**
+   * Evenly spaced frontier points, always including both ends
+   * @param {Array<Object>} sweep - Frontier from sweepFrontier
+   * @returns {Array<Object>} At most settings.frontierPoints points
+   */
+  samplePoints(sweep) {
+    const count = Math.min(this.settings.frontierPoints, sweep.length);
+    if (count <= 1) {
+      return sweep.slice(0, count);
+    }
+    const points = [];
+    for (let k = 0; k < count; k++) {
+      points.push(sweep[Math.round((k * (sweep.length - 1)) / (count - 1))]);
+    }
+    return points;
+  }
+
+  /**
+   * Expected return, volatility and Sharpe ratio of a weighting
+   * @param {Array<number>} weights - Weights
+   * @param {Array<number>} mu - Annualized mean returns
+   * @param {Array<Array<number>>} cov - Annualized covariance
+   * @returns {Object} { expectedReturn, volatility, sharpeRatio }
+   */
+  portfolioStats(weights, mu, cov) {
+    const expectedReturn = weights.reduce((sum, w, i) => sum + w * mu[i], 0);
+    const volatility = Math.sqrt(Math.max(0, AllocationService.quadratic(weights, cov)));
+    return {
+      expectedReturn,
+      volatility,
+      sharpeRatio: volatility > 0 ? (expectedReturn - this.settings.riskFreeRate) / volatility : 0
+    };
+  }
+
+  /**
+   * Simple daily returns from closes
+   * @param {Array<number>} closes - Closes
+   * @returns {Array<number>} Returns
+   */
+  static toReturns(closes) {
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      returns.push(closes[i] / closes[i - 1] - 1);
+    }
+    return returns;
+  }
+
+  /**
+   * Arithmetic mean
+   * @param {Array<number>} values - Values
+   * @returns {number} Mean
+   */
+  static mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  /**
+   * Sample covariance matrix of equally long return series
+   * @param {Array<Array<number>>} series - One return series per asset
+   * @returns {Array<Array<number>>} Covariance
+   */
+  static covariance(series) {
+    const means = series.map(AllocationService.mean);
+    const length = series[0].length;
+    return series.map((a, i) => series.map((b, j) => {
+      let sum = 0;
+      for (let t = 0; t < length; t++) {
+        sum += (a[t] - means[i]) * (b[t] - means[j]);
+      }
+      return sum / (length - 1);
+    }));
+  }
+
+  /**
+   * w'Σw
+   * @param {Array<number>} weights - Weights
+   * @param {Array<Array<number>>} cov - Covariance
+   * @returns {number} Portfolio variance
+   */
+  static quadratic(weights, cov) {
+    return weights.reduce((sum, wi, i) => sum + wi * cov[i].reduce((row, c, j) => row + c * weights[j], 0), 0);
+  }
+
+  /**
+   * Project a vector onto { w : Σw = 1, 0 ≤ w ≤ cap }
+   * Finds the shift θ with Σ clip(v − θ, 0, cap) = 1 by bisection
+   * @param {Array<number>} values - Vector to project
+   * @param {number} cap - Per-position cap
+   * @returns {Array<number>} Projected weights
+   */
+  static projectCapped(values, cap) {
+    const total = (theta) => values.reduce((sum, v) => sum + Math.min(cap, Math.max(0, v - theta)), 0);
+    let low = Math.min(...values) - cap - 1;
+    let high = Math.max(...values);
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (total(mid) > 1) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const theta = (low + high) / 2;
+    return values.map(v => Math.min(cap, Math.max(0, v - theta)));
+  }
+
+  /**
+   * Capped long-only minimizer of ½w'Σw − τμ'w by projected gradient descent
+   * @param {Array<number>} mu - Mean returns
+   * @param {Array<Array<number>>} cov - Covariance
+   * @param {number} tau - Risk tolerance; 0 gives minimum variance
+   * @param {number} cap - Per-position cap
+   * @param {Array<number>} [start] - Starting weights (warm start from the previous frontier point)
+   * @returns {Array<number>} Weights
+   */
+  static meanVariance(mu, cov, tau, cap, start = null) {
+    const n = mu.length;
+    // 1 / trace bounds the step below 1 / largest eigenvalue, which keeps descent stable
+    const trace = cov.reduce((sum, row, i) => sum + row[i], 0) || 1;
+    const step = 1 / trace;
+    let weights = AllocationService.projectCapped(start || new Array(n).fill(1 / n), cap);
+
+    for (let iteration = 0; iteration < 5000; iteration++) {
+      const gradient = cov.map((row, i) => row.reduce((sum, c, j) => sum + c * weights[j], 0) - tau * mu[i]);
+      const next = AllocationService.projectCapped(weights.map((w, i) => w - step * gradient[i]), cap);
+      const change = next.reduce((sum, w, i) => sum + Math.abs(w - weights[i]), 0);
+      weights = next;
+      if (change < 1e-10) {
+        break;
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Equal-risk-contribution weights
+   * Scales each weight toward an equal share of portfolio variance until contributions match
+   * @param {Array<Array<number>>} cov - Covariance
+   * @returns {Array<number>} Weights adding up to 1
+   */
+  static riskParity(cov) {
+    const n = cov.length;
+    let weights = cov.map((row, i) => 1 / Math.sqrt(row[i] || 1e-12));
+    let total = weights.reduce((sum, w) => sum + w, 0);
+    weights = weights.map(w => w / total);
+
+    for (let iteration = 0; iteration < 1000; iteration++) {
+      const contributions = AllocationService.riskContributions(weights, cov);
+      const next = weights.map((w, i) => w * Math.sqrt((1 / n) / Math.max(contributions[i], 1e-12)));
+      total = next.reduce((sum, w) => sum + w, 0);
+      const normalized = next.map(w => w / total);
+      const change = normalized.reduce((sum, w, i) => sum + Math.abs(w - weights[i]), 0);
+      weights = normalized;
+      if (change < 1e-10) {
+        break;
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Share of portfolio variance each position contributes
+   * @param {Array<number>} weights - Weights
+   * @param {Array<Array<number>>} cov - Covariance
+   * @returns {Array<number>} Contributions adding up to 1
+   */
+  static riskContributions(weights, cov) {
+    const variance = AllocationService.quadratic(weights, cov);
+    if (variance <= 0) {
+      return weights.map(() => 1 / weights.length);
+    }
+    return weights.map((w, i) => (w * cov[i].reduce((sum, c, j) => sum + c * weights[j], 0)) / variance);
+  }
+
+  /**
+   * Normalize weights, cap each position and hand the excess to the uncapped ones pro rata
+   * @param {Array<number>} raw - Non-negative raw weights
+   * @param {number} cap - Per-position cap
+   * @returns {Array<number>} Weights adding up to 1
+   */
+  static capWeights(raw, cap) {
+    const weights = new Array(raw.length).fill(0);
+    const capped = new Set();
+    let remaining = 1;
+
+    for (let round = 0; round < raw.length; round++) {
+      const free = raw.map((w, i) => i).filter(i => !capped.has(i));
+      const freeTotal = free.reduce((sum, i) => sum + raw[i], 0);
+      let newlyCapped = false;
+
+      for (const i of free) {
+        weights[i] = freeTotal > 0 ? (raw[i] / freeTotal) * remaining : remaining / free.length;
+        if (weights[i] > cap) {
+          weights[i] = cap;
+          capped.add(i);
+          newlyCapped = true;
+        }
+      }
+      if (!newlyCapped) {
+        break;
+      }
+      remaining = 1 - cap * capped.size;
+    }
+    return weights;
+  }
+}
+
+module.exports = AllocationService;
@@ -0,0 +1,379 @@
+/**
+ * AttributionService - Explains a portfolio's return against a benchmark
+ * Each period's return is split by sector into allocation, selection and interaction effects
+ * (Brinson-Fachler) and by position into contribution to return. Holdings come from the daily
+ * snapshots, or today's positions when none were taken; positions are held from each period's
+ * start, so trades inside a period are not captured. Periods are linked with Carino factors so
+ * the effects add up to the compounded active return.
+ * Uses only database data, no external API calls
+ */
+
+const PortfolioSnapshotModel = require('../db/models/PortfolioSnapshotModel');
+const BenchmarkService = require('./BenchmarkService');
+const StressTestService = require('./StressTestService');
+const RiskService = require('./RiskService');
+const config = require('../../config/config');
+
+const ATTRIBUTION_PERIODS = ['monthly', 'quarterly', 'total'];
+const CASH_SECTOR = 'Cash';
+
+const DEFAULT_SETTINGS = { period: 'monthly', lookbackBars: 252, benchmark: 'EQUAL_WEIGHT' };
+
+class AttributionService {
+  constructor(settings = config.attribution || {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.benchmarkService = new BenchmarkService();
+    this.stressTestService = new StressTestService();
+  }
+
+  /**
+   * Attribution report for a stored portfolio
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} options - { period, startDate, endDate, benchmark }
+   * @returns {Promise<Object>} Linked totals, sector effects, position contributions and per-period detail
+   */
+  async attribute(portfolioDoc, options = {}) {
+    try {
+      const period = options.period || this.settings.period;
+      const benchmark = options.benchmark || this.settings.benchmark;
+      if (!ATTRIBUTION_PERIODS.includes(period)) {
+        throw new Error(`Attribution period must be one of: ${ATTRIBUTION_PERIODS.join(', ')}`);
+      }
+
+      const snapshots = await this.loadSnapshots(portfolioDoc.portfolioId, options.endDate);
+      const current = RiskService.holdings(portfolioDoc).map(h => ({
+        ticker: h.ticker.toUpperCase(),
+        quantity: h.direction * h.quantity
+      }));
+      if (snapshots.length === 0 && current.length === 0) {
+        throw new Error('Portfolio has no positions or snapshots to attribute');
+      }
+
+      const heldTickers = snapshots.length > 0
+        ? snapshots.flatMap(s => s.positions.map(p => p.ticker.toUpperCase()))
+        : current.map(h => h.ticker);
+      const benchmarkTickers = await this.benchmarkService.resolveTickers(benchmark);
+      if (benchmarkTickers.length === 0) {
+        throw new Error('Benchmark must name at least one ticker');
+      }
+
+      const history = await this.stressTestService.loadHistory([...heldTickers, ...benchmarkTickers]);
+      const missing = [...new Set(heldTickers)].filter(ticker => !history.has(ticker));
+      if (missing.length > 0) {
+        throw new Error(`No price history in database for: ${missing.join(', ')}`);
+      }
+
+      const calendar = this.buildCalendar(history, [...new Set(heldTickers)], snapshots, options);
+      const boundaries = AttributionService.periodBoundaries(calendar, period);
+      if (boundaries.length < 2) {
+        throw new Error('Need at least two trading days to attribute returns');
+      }
+
+      const allTickers = [...new Set([...heldTickers, ...benchmarkTickers])];
+      const sectors = StressTestService.sectorsFor(portfolioDoc, allTickers.map(ticker => ({ ticker })));
+      const holdingsAt = (date) => {
+        const snapshot = [...snapshots].reverse().find(s => s.date <= date);
+        if (!snapshot) {
+          return { cash: portfolioDoc.cash || 0, positions: current };
+        }
+        return {
+          cash: snapshot.cash || 0,
+          positions: snapshot.positions.map(p => ({
+            ticker: p.ticker.toUpperCase(),
+            quantity: (p.marketValue < 0 ? -1 : 1) * p.quantity
+          }))
+        };
+      };
+
+      const periods = [];
+      for (let i = 1; i < boundaries.length; i++) {
+        const startDate = boundaries[i - 1];
+        const endDate = boundaries[i];
+        periods.push(this.attributePeriod({
+          startDate,
+          endDate,
+          holdings: holdingsAt(startDate),
+          benchmarkTickers,
+          history,
+          sectors
+        }));
+      }
+
+      return {
+        portfolioId: portfolioDoc.portfolioId,
+        period,
+        startDate: boundaries[0],
+        endDate: boundaries[boundaries.length - 1],
+        holdingsSource: snapshots.length > 0 ? 'snapshots' : 'current',
+        benchmark: {
+          label: this.benchmarkService.getLabel(benchmark),
+          tickers: benchmarkTickers.filter(ticker => history.has(ticker))
+        },
+        ...AttributionService.link(periods),
+        periods
+      };
+    } catch (error) {
+      console.error('Attribution error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshots up to a date, oldest first
+   * @param {string} portfolioId - Portfolio ID
+   * @param {string} endDate - Last date (YYYY-MM-DD), optional
+   * @returns {Promise<Array<Object>>} Snapshots
+   */
+  async loadSnapshots(portfolioId, endDate) {
+    const query = { portfolioId };
+    if (endDate) {
+      query.date = { $lte: endDate };
+    }
+    return PortfolioSnapshotModel.find(query).sort({ date: 1 });
+  }
+
+  /**
+   * Trading days to measure over
+   * Defaults to the span covered by snapshots, or the last lookbackBars days of the holdings' prices
+   * @param {Map} history - Result of StressTestService.loadHistory()
+   * @param {Array<string>} heldTickers - Tickers the portfolio held
+   * @param {Array<Object>} snapshots - Snapshots, oldest first
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Array<string>} Sorted dates
+   */
+  buildCalendar(history, heldTickers, snapshots, options) {
+    let dates = [...new Set(heldTickers.flatMap(ticker => history.get(ticker).dates))].sort();
+    if (options.endDate) {
+      dates = dates.filter(date => date <= options.endDate);
+    }
+
+    const firstSnapshot = snapshots.length > 0 ? snapshots[0].date : null;
+    const startDate = [options.startDate, firstSnapshot].filter(Boolean).sort().pop();
+    if (startDate) {
+      return dates.filter(date => date >= startDate);
+    }
+    return dates.slice(-(this.settings.lookbackBars + 1));
+  }
+
+  /**
+   * Portfolio and benchmark returns for one period, attributed by sector and position
+   * Both sides are held from the period's start; the benchmark is equal-weighted across its
+   * constituents priced on that day, and the portfolio's cash is a sector earning nothing
+   * @param {Object} input - { startDate, endDate, holdings: { cash, positions }, benchmarkTickers, history, sectors }
+   * @returns {Object} { startDate, endDate, portfolioReturn, benchmarkReturn, activeReturn, effects, sectors, positions }
+   */
+  attributePeriod({ startDate, endDate, holdings, benchmarkTickers, history, sectors }) {
+    const priceReturn = (ticker) => {
+      const series = history.get(ticker);
+      const start = series ? StressTestService.closeOn(series, startDate) : null;
+      return start ? StressTestService.closeOn(series, endDate) / start - 1 : null;
+    };
+
+    const positions = holdings.positions
+      .map(p => {
+        const series = history.get(p.ticker);
+        const price = series ? StressTestService.closeOn(series, startDate) : null;
+        return { ticker: p.ticker, value: price ? p.quantity * price : 0, return: priceReturn(p.ticker) ?? 0 };
+      })
+      .filter(p => p.value !== 0);
+    const totalValue = holdings.cash + positions.reduce((sum, p) => sum + p.value, 0);
+    if (totalValue <= 0) {
+      throw new Error(`Portfolio value on ${startDate} must be positive to attribute returns`);
+    }
+
+    const portfolioRows = positions.map(p => ({ ...p, sector: sectors[p.ticker], weight: p.value / totalValue }));
+    if (holdings.cash !== 0) {
+      portfolioRows.push({ ticker: null, sector: CASH_SECTOR, weight: holdings.cash / totalValue, return: 0 });
+    }
+
+    const constituents = benchmarkTickers
+      .map(ticker => ({ ticker, sector: sectors[ticker], return: priceReturn(ticker) }))
+      .filter(c => c.return !== null);
+    if (constituents.length === 0) {
+      throw new Error(`No benchmark prices on ${startDate}`);
+    }
+    const benchmarkRows = constituents.map(c => ({ ...c, weight: 1 / constituents.length }));
+
+    const { portfolioReturn, benchmarkReturn, effects, sectors: sectorRows } =
+      AttributionService.brinson(AttributionService.bySector(portfolioRows), AttributionService.bySector(benchmarkRows));
+
+    return {
+      startDate,
+      endDate,
+      portfolioReturn,
+      benchmarkReturn,
+      activeReturn: portfolioReturn - benchmarkReturn,
+      effects,
+      sectors: sectorRows,
+      positions: portfolioRows
+        .filter(row => row.ticker)
+        .map(row => ({
+          ticker: row.ticker,
+          sector: row.sector,
+          weight: row.weight,
+          return: row.return,
+          contribution: row.weight * row.return
+        }))
+    };
+  }
+
+  /**
+   * Sector weights and weighted returns from holdings rows
+   * @param {Array<Object>} rows - { sector, weight, return }
+   * @returns {Map} sector -> { weight, return }
+   */
+  static bySector(rows) {
+    const sectors = new Map();
+    for (const row of rows) {
+      const entry = sectors.get(row.sector) || { weight: 0, weighted: 0 };
+      entry.weight += row.weight;
+      entry.weighted += row.weight * row.return;
+      sectors.set(row.sector, entry);
+    }
+    return new Map([...sectors].map(([sector, { weight, weighted }]) =>
+      [sector, { weight, return: weight !== 0 ? weighted / weight : 0 }]));
+  }
+
+  /**
+   * Brinson-Fachler attribution of one period
+   * allocation = (wp - wb)(rb - Rb), selection = wb(rp - rb), interaction = (wp - wb)(rp - rb);
+   * a sector one side does not hold takes the other side's return (the benchmark total for the
+   * benchmark), so the effects always sum to the active return
+   * @param {Map} portfolio - sector -> { weight, return }, weights summing to 1
+   * @param {Map} benchmark - sector -> { weight, return }, weights summing to 1
+   * @returns {Object} { portfolioReturn, benchmarkReturn, effects, sectors }
+   */
+  static brinson(portfolio, benchmark) {
+    const total = (sectors) => [...sectors.values()].reduce((sum, s) => sum + s.weight * s.return, 0);
+    const portfolioReturn = total(portfolio);
+    const benchmarkReturn = total(benchmark);
+
+    const names = [...new Set([...benchmark.keys(), ...portfolio.keys()])];
+    const sectors = names.map(sector => {
+      const wp = portfolio.has(sector) ? portfolio.get(sector).weight : 0;
+      const wb = benchmark.has(sector) ? benchmark.get(sector).weight : 0;
+      const rb = benchmark.has(sector) ? benchmark.get(sector).return : benchmarkReturn;
+      const rp = portfolio.has(sector) ? portfolio.get(sector).return : rb;
+      const allocation = (wp - wb) * (rb - benchmarkReturn);
+      const selection = wb * (rp - rb);
+      const interaction = (wp - wb) * (rp - rb);
+      return {
+        sector,
+        portfolioWeight: wp,
+        benchmarkWeight: wb,
+        portfolioReturn: portfolio.has(sector) ? rp : null,
+        benchmarkReturn: benchmark.has(sector) ? rb : null,
+        allocation,
+        selection,
+        interaction,
+        total: allocation + selection + interaction
+      };
+    });
+
+    const sum = (key) => sectors.reduce((acc, s) => acc + s[key], 0);
+    return {
+      portfolioReturn,
+      benchmarkReturn,
+      effects: { allocation: sum('allocation'), selection: sum('selection'), interaction: sum('interaction') },
+      sectors
+    };
+  }
+
+  /**
+   * Carino linking coefficient for a period's (or the whole span's) returns
+   * @param {number} portfolioReturn - Portfolio return
+   * @param {number} benchmarkReturn - Benchmark return
+   * @returns {number} Coefficient
+   */
+  static linkingFactor(portfolioReturn, benchmarkReturn) {
+    if (Math.abs(portfolioReturn - benchmarkReturn) < 1e-12) {
+      return 1 / (1 + portfolioReturn);
+    }
+    return (Math.log(1 + portfolioReturn) - Math.log(1 + benchmarkReturn)) / (portfolioReturn - benchmarkReturn);
+  }
+
+  /**
+   * Combine periods into compounded returns with linked sector effects and position contributions
+   * Effects are scaled by Carino factors so they sum to the compounded active return, and
+   * contributions so they sum to the compounded portfolio return
+   * @param {Array<Object>} periods - Results of attributePeriod()
+   * @returns {Object} { portfolioReturn, benchmarkReturn, activeReturn, effects, sectors, positions }
+   */
+  static link(periods) {
+    const compound = (key) => periods.reduce((growth, p) => growth * (1 + p[key]), 1) - 1;
+    const portfolioReturn = compound('portfolioReturn');
+    const benchmarkReturn = compound('benchmarkReturn');
+    const activeFactor = AttributionService.linkingFactor(portfolioReturn, benchmarkReturn);
+    const returnFactor = AttributionService.linkingFactor(portfolioReturn, 0);
+
+    const sectors = new Map();
+    const positions = new Map();
+    const effects = { allocation: 0, selection: 0, interaction: 0 };
+
+    for (const p of periods) {
+      const scale = AttributionService.linkingFactor(p.portfolioReturn, p.benchmarkReturn) / activeFactor;
+      for (const key of Object.keys(effects)) {
+        effects[key] += p.effects[key] * scale;
+      }
+      for (const s of p.sectors) {
+        const entry = sectors.get(s.sector) ||
+          { sector: s.sector, portfolioWeight: 0, benchmarkWeight: 0, allocation: 0, selection: 0, interaction: 0, total: 0 };
+        entry.portfolioWeight += s.portfolioWeight / periods.length;
+        entry.benchmarkWeight += s.benchmarkWeight / periods.length;
+        entry.allocation += s.allocation * scale;
+        entry.selection += s.selection * scale;
+        entry.interaction += s.interaction * scale;
+        entry.total += s.total * scale;
+        sectors.set(s.sector, entry);
+      }
+
+      const contributionScale = AttributionService.linkingFactor(p.portfolioReturn, 0) / returnFactor;
+      for (const position of p.positions) {
+        const entry = positions.get(position.ticker) ||
+          { ticker: position.ticker, sector: position.sector, averageWeight: 0, growth: 1, contribution: 0 };
+        entry.averageWeight += position.weight / periods.length;
+        entry.growth *= 1 + position.return;
+        entry.contribution += position.contribution * contributionScale;
+        positions.set(position.ticker, entry);
+      }
+    }
+
+    return {
+      portfolioReturn,
+      benchmarkReturn,
+      activeReturn: portfolioReturn - benchmarkReturn,
+      effects,
+      sectors: [...sectors.values()].sort((a, b) => b.total - a.total),
+      positions: [...positions.values()]
+        .map(({ growth, ...position }) => ({ ...position, return: growth - 1 })) // Compounded over the periods held
+        .sort((a, b) => b.contribution - a.contribution)
+    };
+  }
+
+  /**
+   * Period end dates, starting with the first trading day
+   * @param {Array<string>} calendar - Sorted trading dates
+   * @param {string} period - 'monthly' | 'quarterly' | 'total'
+   * @returns {Array<string>} First date followed by the last trading day of each period
+   */
+  static periodBoundaries(calendar, period) {
+    if (calendar.length === 0) {
+      return [];
+    }
+    const key = (date) => {
+      if (period === 'monthly') return date.slice(0, 7);
+      if (period === 'quarterly') return `${date.slice(0, 4)}-Q${Math.ceil(parseInt(date.slice(5, 7)) / 3)}`;
+      return 'total';
+    };
+
+    const boundaries = [calendar[0]];
+    for (let i = 1; i < calendar.length; i++) {
+      if (i === calendar.length - 1 || key(calendar[i]) !== key(calendar[i + 1])) {
+        boundaries.push(calendar[i]);
+      }
+    }
+    return boundaries;
+  }
+}
+
+module.exports = AttributionService;
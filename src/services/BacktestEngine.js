@@ -6,6 +6,9 @@
 
 const { IndicatorService } = require('./IndicatorService');
 const StrategyService = require('./StrategyService');
+const { ExecutionModelService } = require('./ExecutionModelService');
+const ExitRuleService = require('./ExitRuleService');
+const { calculateMean, calculateStdDev } = require('../utils/calculations');
 
 class BacktestEngine {
   /**
@@ -14,8 +17,15 @@ class BacktestEngine {
    * @param {string} config.ticker - Stock ticker symbol
    * @param {Array} config.priceData - Historical price data (OHLCV)
    * @param {string} config.strategyKey - Strategy key (trend_following, mean_reversion, momentum)
+   * @param {Strategy} [config.strategy] - Strategy to use instead of the strategyKey preset (e.g. with tuned parameters)
    * @param {number} config.initialCapital - Starting capital
    * @param {number} config.positionSizePercent - Percentage of cash to use per trade (default 50)
+   * @param {CostModel} [config.costModel] - Commission/slippage/spread model (defaults from config.backtest.costs)
+   * @param {PositionSizer} [config.positionSizer] - Sizing model; overrides positionSizePercent
+   * @param {Object} [config.benchmark] - Buy-and-hold benchmark { label, series: [{ date, close }] }
+   * @param {Object} [config.exitRules] - Protective exits checked against each bar's high/low
+   *   { stopLossPercent, takeProfitPercent, trailingStopPercent, atrStop: { period, multiplier } }
+   * @param {boolean} [config.quiet] - Skip the run banners and per-trade log lines (e.g. for optimizer grids)
    */
   constructor(config) {
     this.ticker = config.ticker;
@@ -23,10 +33,17 @@ class BacktestEngine {
     this.strategyKey = config.strategyKey;
     this.initialCapital = config.initialCapital;
     this.positionSizePercent = config.positionSizePercent || 50;
+    this.benchmark = config.benchmark || null;
+    this.quiet = Boolean(config.quiet);
+    this.exitRules = new ExitRuleService(config.exitRules || {});
+    this.costModel = config.costModel || ExecutionModelService.createCostModel();
+    this.positionSizer = config.positionSizer || ExecutionModelService.createPositionSizer(
+      config.positionSizePercent ? { mode: 'fixed_fraction', fraction: config.positionSizePercent / 100 } : null
+    );
 
     // Get strategy from StrategyService
     this.strategyService = new StrategyService();
-    this.strategy = this.strategyService.getStrategy(this.strategyKey);
+    this.strategy = config.strategy || this.strategyService.getStrategy(this.strategyKey);
     
     if (!this.strategy) {
       throw new Error(`Strategy not found: ${this.strategyKey}`);
@@ -37,7 +54,7 @@ class BacktestEngine {
     this.shares = 0;
     this.trades = [];
     this.dailyPortfolioValues = [];
-    this.currentPosition = null; // { buyPrice, buyDate, quantity }
+    this.currentPosition = null; // { buyPrice, buyDate, quantity, commission, exitState }
     
     // Required data days for indicators
     this.requiredDataDays = this.calculateRequiredDataDays();
@@ -49,9 +66,18 @@ class BacktestEngine {
    * @returns {number} Minimum days required
    */
   calculateRequiredDataDays() {
+    return BacktestEngine.getRequiredDataDays(this.strategy);
+  }
+
+  /**
+   * Minimum days of data a strategy's indicators need
+   * @param {Strategy} strategy - Strategy with indicator configurations
+   * @returns {number} Minimum days required
+   */
+  static getRequiredDataDays(strategy) {
     let maxWindow = 0;
     
-    for (const indicatorConfig of this.strategy.indicators) {
+    for (const indicatorConfig of strategy.indicators) {
       const { type, params } = indicatorConfig;
       let window = 0;
       
@@ -66,6 +92,29 @@ class BacktestEngine {
           // MACD needs slowPeriod + signalPeriod - 1 days
           window = (params.slowPeriod || 26) + (params.signalPeriod || 9) - 1;
           break;
+        case 'VWAP':
+        case 'CCI':
+        case 'OBV':
+          window = params.window || 20;
+          break;
+        case 'WILLIAMS_R':
+        case 'WILLR':
+          window = params.window || 14;
+          break;
+        case 'ATR':
+        case 'MFI':
+          // Both measure change from the previous bar, so need one extra day
+          window = (params.window || 14) + 1;
+          break;
+        case 'STOCHASTIC':
+        case 'STOCH':
+          // %D averages dPeriod values of %K
+          window = (params.kPeriod || 14) + (params.dPeriod || 3) - 1;
+          break;
+        case 'ADX':
+          // ADX smooths the directional index, itself a window of smoothed ranges
+          window = 2 * (params.window || 14);
+          break;
         default:
           window = 20; // Default fallback
       }
@@ -77,18 +126,31 @@ class BacktestEngine {
     return maxWindow + 5;
   }
 
+  /**
+   * Log a progress line unless the engine is quiet
+   * @param {...*} args - console.log arguments
+   */
+  log(...args) {
+    if (!this.quiet) {
+      console.log(...args);
+    }
+  }
+
   /**
    * Run the backtest simulation
    * @returns {Object} Backtest results with metrics and trades
    */
   async run() {
-    console.log(`\n========== BACKTEST START ==========`);
-    console.log(`Ticker: ${this.ticker}`);
-    console.log(`Strategy: ${this.strategy.name}`);
-    console.log(`Initial Capital: $${this.initialCapital.toLocaleString()}`);
-    console.log(`Position Size: ${this.positionSizePercent}%`);
-    console.log(`Price Data Points: ${this.priceData.length}`);
-    console.log(`Required Data Days: ${this.requiredDataDays}`);
+    this.log(`\n========== BACKTEST START ==========`);
+    this.log(`Ticker: ${this.ticker}`);
+    this.log(`Strategy: ${this.strategy.name}`);
+    this.log(`Initial Capital: $${this.initialCapital.toLocaleString()}`);
+    this.log(`Position Sizing: ${JSON.stringify(this.positionSizer.describe())}`);
+    if (this.exitRules.hasRules()) {
+      this.log(`Exit Rules: ${JSON.stringify(this.exitRules.describe())}`);
+    }
+    this.log(`Price Data Points: ${this.priceData.length}`);
+    this.log(`Required Data Days: ${this.requiredDataDays}`);
     
     // Validate we have enough data
     if (this.priceData.length < this.requiredDataDays) {
@@ -101,12 +163,12 @@ class BacktestEngine {
     // Get date range
     const startDate = this.priceData[0].date;
     const endDate = this.priceData[this.priceData.length - 1].date;
-    console.log(`Date Range: ${startDate} to ${endDate}`);
+    this.log(`Date Range: ${startDate} to ${endDate}`);
     
     // Find the first day we can start simulation (after warm-up period)
     const simulationStartIndex = this.requiredDataDays;
-    console.log(`Simulation starts at index: ${simulationStartIndex} (date: ${this.priceData[simulationStartIndex]?.date})`);
-    console.log(`=====================================\n`);
+    this.log(`Simulation starts at index: ${simulationStartIndex} (date: ${this.priceData[simulationStartIndex]?.date})`);
+    this.log(`=====================================\n`);
 
     // Run day-by-day simulation
     for (let dayIndex = simulationStartIndex; dayIndex < this.priceData.length; dayIndex++) {
@@ -115,20 +177,19 @@ class BacktestEngine {
 
     // Close any open position at the end
     if (this.shares > 0) {
-      const lastPrice = this.priceData[this.priceData.length - 1].close;
-      const lastDate = this.priceData[this.priceData.length - 1].date;
-      this.executeSell(lastDate, lastPrice, 'End of backtest - closing position');
+      const lastBar = this.priceData[this.priceData.length - 1];
+      this.executeSell(lastBar.date, lastBar.close, 'End of backtest - closing position', lastBar);
     }
 
     // Calculate final metrics
     const metrics = this.calculateMetrics();
 
-    console.log(`\n========== BACKTEST COMPLETE ==========`);
-    console.log(`Final Portfolio Value: $${metrics.finalValue.toLocaleString()}`);
-    console.log(`Total Return: ${metrics.totalReturn.toFixed(2)}%`);
-    console.log(`Total Trades: ${metrics.totalTrades}`);
-    console.log(`Win Rate: ${metrics.winRate.toFixed(1)}%`);
-    console.log(`========================================\n`);
+    this.log(`\n========== BACKTEST COMPLETE ==========`);
+    this.log(`Final Portfolio Value: $${metrics.finalValue.toLocaleString()}`);
+    this.log(`Total Return: ${metrics.totalReturn.toFixed(2)}%`);
+    this.log(`Total Trades: ${metrics.totalTrades}`);
+    this.log(`Win Rate: ${metrics.winRate.toFixed(1)}%`);
+    this.log(`========================================\n`);
 
     return {
       ticker: this.ticker,
@@ -136,7 +197,10 @@ class BacktestEngine {
       startDate: this.priceData[simulationStartIndex].date,
       endDate: this.priceData[this.priceData.length - 1].date,
       metrics,
-      trades: this.trades
+      trades: this.trades,
+      dailyPortfolioValues: this.dailyPortfolioValues,
+      equityCurve: this.buildEquityCurve(),
+      ...this.compareToBenchmark(metrics)
     };
   }
 
@@ -158,16 +222,19 @@ class BacktestEngine {
       // Get historical data up to this day (for indicator calculation)
       const historicalData = this.priceData.slice(0, dayIndex + 1);
 
+      // Protective exits trigger intraday, before the close-based strategy signal
+      const exited = this.checkExitRules(currentDay);
+
       // Calculate indicators and get signal
       const signal = this.getStrategySignal(historicalData);
 
       // Execute trade based on signal
-      if (signal === 'buy' && this.shares === 0) {
-        // Only buy if we don't have a position
-        this.executeBuy(currentDate, currentPrice);
+      if (signal === 'buy' && this.shares === 0 && !exited) {
+        // Only buy if we don't have a position and weren't just stopped out on this bar
+        this.executeBuy(currentDate, currentPrice, { bar: currentDay, history: historicalData });
       } else if (signal === 'sell' && this.shares > 0) {
         // Only sell if we have a position
-        this.executeSell(currentDate, currentPrice, 'Strategy signal');
+        this.executeSell(currentDate, currentPrice, 'Strategy signal', currentDay);
       }
 
       // Track daily portfolio value
@@ -185,6 +252,27 @@ class BacktestEngine {
     }
   }
 
+  /**
+   * Close the open position if the bar hits one of the exit rules
+   * @param {Object} bar - Current OHLCV bar
+   * @returns {boolean} True if the position was closed
+   */
+  checkExitRules(bar) {
+    const exitState = this.currentPosition?.exitState;
+    if (this.shares <= 0 || !exitState) {
+      return false;
+    }
+
+    const exit = this.exitRules.checkExit(exitState, bar);
+    if (exit) {
+      this.executeSell(bar.date, exit.price, exit.reason, bar);
+      return true;
+    }
+
+    this.exitRules.updatePosition(exitState, bar);
+    return false;
+  }
+
   /**
    * Get trading signal from strategy
    * @param {Array} priceData - Historical price data up to current day
@@ -196,10 +284,19 @@ class BacktestEngine {
         return 'hold';
       }
 
+      // User-defined rule strategies evaluate their own entry/exit expressions
+      if (this.strategy.compiledRules) {
+        return this.strategy.evaluateRules(priceData);
+      }
+
       const indicatorSignals = {};
 
       // Calculate each indicator for the strategy
-      for (const indicatorConfig of this.strategy.indicators) {
+      this.strategy.indicators.forEach((indicatorConfig, index) => {
+        // Indicators vote by type like Strategy.calculateSignalForTicker, so a repeated type casts one vote;
+        // a tuned indicator votes on its own so its parameters can't be overwritten by a sibling
+        const key = indicatorConfig.tuned ? `${indicatorConfig.type}[${index}]` : indicatorConfig.type;
+
         try {
           const indicator = IndicatorService.createIndicator(
             indicatorConfig.type,
@@ -210,16 +307,16 @@ class BacktestEngine {
           const signals = indicator.getAllSignals();
           
           if (signals && signals.length > 0) {
-            indicatorSignals[indicatorConfig.type] = signals;
+            indicatorSignals[key] = signals;
           } else {
-            indicatorSignals[indicatorConfig.type] = ['hold'];
+            indicatorSignals[key] = ['hold'];
           }
         } catch (error) {
           // If indicator calculation fails, default to hold
           console.warn(`Indicator ${indicatorConfig.type} calculation failed:`, error.message);
-          indicatorSignals[indicatorConfig.type] = ['hold'];
+          indicatorSignals[key] = ['hold'];
         }
-      }
+      });
 
       // Apply strategy rules to get final signal
       const finalSignal = this.applyMajorityVote(indicatorSignals);
@@ -259,42 +356,81 @@ class BacktestEngine {
     return 'hold';
   }
 
+  /**
+   * Largest share count whose fill value plus commission fits in a budget
+   * @param {number} budget - Dollars available for the position
+   * @param {number} price - Signal price
+   * @param {Object} [bar] - Current OHLCV bar
+   * @returns {number} Whole shares
+   */
+  getAffordableQuantity(budget, price, bar = null) {
+    const available = Math.min(budget, this.cash);
+    let quantity = Math.floor(available / price);
+
+    while (quantity > 0) {
+      const fillPrice = this.costModel.getFillPrice('buy', price, quantity, bar);
+      const commission = this.costModel.getCommission(quantity, fillPrice);
+      if (quantity * fillPrice + commission <= available) {
+        break;
+      }
+      // Re-estimate from the cost of this attempt instead of stepping one share at a time
+      quantity = Math.min(quantity - 1, Math.floor((available - commission) / fillPrice));
+    }
+
+    return Math.max(0, quantity);
+  }
+
   /**
    * Execute a buy trade
    * @param {string} date - Trade date
    * @param {number} price - Current price
+   * @param {Object} [context] - { bar, history } for slippage and position sizing
    */
-  executeBuy(date, price) {
-    // Calculate position size based on percentage of available cash
-    const positionValue = this.cash * (this.positionSizePercent / 100);
-    const sharesToBuy = Math.floor(positionValue / price);
+  executeBuy(date, price, context = {}) {
+    const { bar = null, history = [] } = context;
+
+    // Size the position, then fit it into cash after costs
+    const positionValue = this.positionSizer.getPositionValue({
+      cash: this.cash,
+      equity: this.cash + this.shares * price,
+      history,
+      closedTrades: this.trades.filter(t => t.type === 'SELL')
+    });
+    const sharesToBuy = this.getAffordableQuantity(positionValue, price, bar);
     
     if (sharesToBuy <= 0) {
       return; // Not enough cash to buy
     }
 
-    const tradeValue = sharesToBuy * price;
+    const fillPrice = this.costModel.getFillPrice('buy', price, sharesToBuy, bar);
+    const commission = this.costModel.getCommission(sharesToBuy, fillPrice);
+    const tradeValue = sharesToBuy * fillPrice;
     
     // Update state
-    this.cash -= tradeValue;
+    this.cash -= tradeValue + commission;
     this.shares += sharesToBuy;
     this.currentPosition = {
-      buyPrice: price,
+      buyPrice: fillPrice,
       buyDate: date,
-      quantity: sharesToBuy
+      quantity: sharesToBuy,
+      commission,
+      exitState: this.exitRules.hasRules() ? this.exitRules.openPosition(fillPrice, history) : null
     };
 
     // Record trade
     const trade = {
       date,
       type: 'BUY',
-      price,
+      price: fillPrice,
+      marketPrice: price,
       quantity: sharesToBuy,
-      value: tradeValue
+      value: tradeValue,
+      commission,
+      slippage: (fillPrice - price) * sharesToBuy
     };
     this.trades.push(trade);
 
-    console.log(`📈 BUY: ${date} - ${sharesToBuy} shares @ $${price.toFixed(2)} = $${tradeValue.toFixed(2)}`);
+    this.log(`📈 BUY: ${date} - ${sharesToBuy} shares @ $${fillPrice.toFixed(2)} = $${tradeValue.toFixed(2)}`);
   }
 
   /**
@@ -302,23 +438,27 @@ class BacktestEngine {
    * @param {string} date - Trade date
    * @param {number} price - Current price
    * @param {string} reason - Reason for selling
+   * @param {Object} [bar] - Current OHLCV bar for slippage
    */
-  executeSell(date, price, reason = '') {
+  executeSell(date, price, reason = '', bar = null) {
     if (this.shares <= 0) {
       return; // No shares to sell
     }
 
-    const tradeValue = this.shares * price;
     const sharesToSell = this.shares;
+    const fillPrice = this.costModel.getFillPrice('sell', price, sharesToSell, bar);
+    const commission = this.costModel.getCommission(sharesToSell, fillPrice);
+    const tradeValue = sharesToSell * fillPrice;
     
-    // Calculate profit/loss for this trade
+    // Calculate profit/loss for this round trip, net of both commissions
     let profitLoss = 0;
     if (this.currentPosition) {
-      profitLoss = (price - this.currentPosition.buyPrice) * sharesToSell;
+      profitLoss = (fillPrice - this.currentPosition.buyPrice) * sharesToSell -
+        commission - (this.currentPosition.commission || 0);
     }
 
     // Update state
-    this.cash += tradeValue;
+    this.cash += tradeValue - commission;
     this.shares = 0;
     this.currentPosition = null;
 
@@ -326,16 +466,30 @@ class BacktestEngine {
     const trade = {
       date,
       type: 'SELL',
-      price,
+      price: fillPrice,
+      marketPrice: price,
       quantity: sharesToSell,
       value: tradeValue,
+      commission,
+      slippage: (price - fillPrice) * sharesToSell,
       profitLoss,
       reason
     };
     this.trades.push(trade);
 
     const profitLossStr = profitLoss >= 0 ? `+$${profitLoss.toFixed(2)}` : `-$${Math.abs(profitLoss).toFixed(2)}`;
-    console.log(`📉 SELL: ${date} - ${sharesToSell} shares @ $${price.toFixed(2)} = $${tradeValue.toFixed(2)} (${profitLossStr})`);
+    this.log(`📉 SELL: ${date} - ${sharesToSell} shares @ $${fillPrice.toFixed(2)} = $${tradeValue.toFixed(2)} (${profitLossStr})`);
+  }
+
+  /**
+   * Total commission and slippage (including spread) paid across all trades
+   * @returns {Object} { totalCommission, totalSlippage }
+   */
+  calculateTradingCosts() {
+    return this.trades.reduce((totals, trade) => ({
+      totalCommission: totals.totalCommission + (trade.commission || 0),
+      totalSlippage: totals.totalSlippage + (trade.slippage || 0)
+    }), { totalCommission: 0, totalSlippage: 0 });
   }
 
   /**
@@ -370,6 +524,8 @@ class BacktestEngine {
     // Calculate Sharpe Ratio (simplified - using daily returns)
     const sharpeRatio = this.calculateSharpeRatio();
 
+    const { totalCommission, totalSlippage } = this.calculateTradingCosts();
+
     return {
       totalReturn: totalReturn * 100, // Convert to percentage (8.15 for 8.15%)
       cagr: cagr * 100, // Convert to percentage
@@ -379,11 +535,104 @@ class BacktestEngine {
       totalTrades,
       profitableTrades,
       averageReturn: averageReturn * 100, // Convert to percentage
+      totalCommission,
+      totalSlippage,
       finalValue,
       initialCapital: this.initialCapital
     };
   }
 
+  /**
+   * Equity curve with running drawdown
+   * @returns {Array<Object>} { date, value, cash, drawdown } with drawdown as a negative percentage
+   */
+  buildEquityCurve() {
+    let peak = -Infinity;
+    return this.dailyPortfolioValues.map(({ date, value, cash }) => {
+      peak = Math.max(peak, value);
+      return { date, value, cash, drawdown: peak > 0 ? ((value - peak) / peak) * 100 : 0 };
+    });
+  }
+
+  /**
+   * Compare the strategy's daily values with a buy-and-hold benchmark
+   * Benchmark closes are forward-filled onto the simulation dates; alpha, beta,
+   * tracking error and information ratio use daily returns annualized over 252 days
+   * @param {Object} metrics - Strategy metrics from calculateMetrics
+   * @returns {Object} { benchmark, benchmarkEquityCurve } or {} when no benchmark is set
+   */
+  compareToBenchmark(metrics) {
+    if (!this.benchmark || !this.benchmark.series || this.benchmark.series.length === 0) {
+      return {};
+    }
+
+    // Pair each simulated day with the latest benchmark close on or before it
+    const series = [...this.benchmark.series].sort((a, b) => a.date.localeCompare(b.date));
+    const pairs = [];
+    let pointer = -1;
+    for (const daily of this.dailyPortfolioValues) {
+      while (pointer + 1 < series.length && series[pointer + 1].date <= daily.date) {
+        pointer++;
+      }
+      if (pointer >= 0) {
+        pairs.push({ date: daily.date, value: daily.value, close: series[pointer].close });
+      }
+    }
+
+    if (pairs.length < 2) {
+      return {
+        benchmark: { label: this.benchmark.label, error: 'Benchmark does not overlap the backtest period' },
+        benchmarkEquityCurve: []
+      };
+    }
+
+    const baseClose = pairs[0].close;
+    const benchmarkEquityCurve = pairs.map(({ date, close }) => ({
+      date,
+      value: this.initialCapital * close / baseClose
+    }));
+
+    const strategyReturns = [];
+    const benchmarkReturns = [];
+    for (let i = 1; i < pairs.length; i++) {
+      strategyReturns.push((pairs[i].value - pairs[i - 1].value) / pairs[i - 1].value);
+      benchmarkReturns.push((pairs[i].close - pairs[i - 1].close) / pairs[i - 1].close);
+    }
+
+    const meanStrategy = calculateMean(strategyReturns);
+    const meanBenchmark = calculateMean(benchmarkReturns);
+    let covariance = 0;
+    let benchmarkVariance = 0;
+    for (let i = 0; i < strategyReturns.length; i++) {
+      covariance += (strategyReturns[i] - meanStrategy) * (benchmarkReturns[i] - meanBenchmark);
+      benchmarkVariance += Math.pow(benchmarkReturns[i] - meanBenchmark, 2);
+    }
+    const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
+
+    // Jensen's alpha with a zero risk-free rate, consistent with calculateSharpeRatio
+    const alpha = (meanStrategy - beta * meanBenchmark) * 252;
+
+    const activeReturns = strategyReturns.map((r, i) => r - benchmarkReturns[i]);
+    const activeStdDev = calculateStdDev(activeReturns);
+    const trackingError = activeStdDev * Math.sqrt(252);
+    const informationRatio = trackingError > 0 ? (calculateMean(activeReturns) * 252) / trackingError : 0;
+
+    const benchmarkReturn = (pairs[pairs.length - 1].close - baseClose) / baseClose * 100;
+
+    return {
+      benchmark: {
+        label: this.benchmark.label,
+        benchmarkReturn,
+        excessReturn: metrics.totalReturn - benchmarkReturn,
+        beta,
+        alpha: alpha * 100, // Convert to percentage
+        trackingError: trackingError * 100, // Convert to percentage
+        informationRatio
+      },
+      benchmarkEquityCurve
+    };
+  }
+
   /**
    * Calculate maximum drawdown
    * @returns {number} Maximum drawdown as a negative percentage
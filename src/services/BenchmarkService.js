@@ -0,0 +1,127 @@
+/**
+ * BenchmarkService - Buy-and-hold benchmark series for backtests
+ * Resolves a benchmark (single ticker, list of tickers or the equal-weight
+ * basket of every ticker in the database) to one daily price series
+ * Uses only database data, no external API calls
+ */
+
+const PriceDataModel = require('../db/models/PriceDataModel');
+
+// Benchmark keyword for an equal-weight basket of every ticker in PriceDataModel
+const EQUAL_WEIGHT_BENCHMARK = 'EQUAL_WEIGHT';
+
+// Basket index level on its first date
+const BASKET_BASE_LEVEL = 100;
+
+class BenchmarkService {
+  /**
+   * Load a benchmark price series for a date range
+   * @param {string|Array<string>} benchmark - Ticker, list of tickers, or 'EQUAL_WEIGHT'
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { label, tickers, series: [{ date, close }] }
+   */
+  async loadBenchmark(benchmark, startDate, endDate) {
+    try {
+      const tickers = await this.resolveTickers(benchmark);
+      if (tickers.length === 0) {
+        throw new Error('Benchmark must name at least one ticker');
+      }
+
+      const docs = await PriceDataModel.find({ ticker: { $in: tickers } });
+      const seriesList = docs
+        .map(doc => (doc.data || [])
+          .filter(point => point.date >= startDate && point.date <= endDate)
+          .map(point => ({ date: point.date, close: point.close }))
+          .sort((a, b) => a.date.localeCompare(b.date)))
+        .filter(series => series.length > 0);
+
+      if (seriesList.length === 0) {
+        throw new Error(`No price data found in database for benchmark ${this.getLabel(benchmark)} between ${startDate} and ${endDate}`);
+      }
+
+      const series = seriesList.length === 1 ? seriesList[0] : this.buildBasketSeries(seriesList);
+
+      return {
+        label: this.getLabel(benchmark),
+        tickers: docs.map(doc => doc.ticker),
+        series
+      };
+    } catch (error) {
+      console.error('Error loading benchmark:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Expand a benchmark spec into tickers
+   * @param {string|Array<string>} benchmark - Benchmark spec
+   * @returns {Promise<Array<string>>} Upper-case tickers
+   */
+  async resolveTickers(benchmark) {
+    if (Array.isArray(benchmark)) {
+      return [...new Set(benchmark.map(t => String(t).trim().toUpperCase()).filter(Boolean))];
+    }
+
+    const ticker = String(benchmark || '').trim().toUpperCase();
+    if (ticker === EQUAL_WEIGHT_BENCHMARK) {
+      const docs = await PriceDataModel.find({ interval: 'daily' }).select('ticker');
+      return docs.map(doc => doc.ticker);
+    }
+
+    return ticker ? [ticker] : [];
+  }
+
+  /**
+   * Display label for a benchmark spec
+   * @param {string|Array<string>} benchmark - Benchmark spec
+   * @returns {string} Label
+   */
+  getLabel(benchmark) {
+    if (Array.isArray(benchmark)) {
+      return `Equal-weight ${benchmark.map(t => String(t).toUpperCase()).join('/')}`;
+    }
+    const ticker = String(benchmark).toUpperCase();
+    return ticker === EQUAL_WEIGHT_BENCHMARK ? 'Equal-weight database basket' : ticker;
+  }
+
+  /**
+   * Combine several price series into an equal-weight buy-and-hold basket index
+   * The basket starts once every series has a price; gaps are forward-filled
+   * @param {Array<Array<Object>>} seriesList - Sorted [{ date, close }] per ticker
+   * @returns {Array<Object>} Basket series [{ date, close }] starting at 100
+   */
+  buildBasketSeries(seriesList) {
+    const startDate = seriesList.reduce((latest, series) =>
+      series[0].date > latest ? series[0].date : latest, seriesList[0][0].date);
+
+    const dates = new Set();
+    for (const series of seriesList) {
+      for (const point of series) {
+        if (point.date >= startDate) {
+          dates.add(point.date);
+        }
+      }
+    }
+
+    const lookups = seriesList.map(series => new Map(series.map(point => [point.date, point.close])));
+    const bases = lookups.map((lookup, i) => {
+      const first = seriesList[i].filter(point => point.date <= startDate).pop();
+      return first.close;
+    });
+    const lastCloses = [...bases];
+
+    return Array.from(dates).sort().map(date => {
+      let sum = 0;
+      lookups.forEach((lookup, i) => {
+        if (lookup.has(date)) {
+          lastCloses[i] = lookup.get(date);
+        }
+        sum += lastCloses[i] / bases[i];
+      });
+      return { date, close: BASKET_BASE_LEVEL * sum / lookups.length };
+    });
+  }
+}
+
+module.exports = BenchmarkService;
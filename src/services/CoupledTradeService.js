@@ -0,0 +1,470 @@
+/**
+ * CoupledTradeService - Pairs-trading engine for a portfolio's holdings
+ * Ranks every ticker pair by return correlation and Engle-Granger cointegration,
+ * estimates a hedge ratio by regression and turns the spread z-score into
+ * long/short legs with entry, exit and stop thresholds
+ */
+
+const DBService = require('../db/dbService');
+const PriceDataService = require('./PriceDataService');
+const {
+  calculateMean,
+  calculateStdDev,
+  calculateCorrelation,
+  calculateZScore,
+  calculateLinearRegression,
+  calculateDickeyFuller
+} = require('../utils/calculations');
+const config = require('../../config/config');
+
+// Engle-Granger critical values for two series (residual-based Dickey-Fuller)
+const COINTEGRATION_CRITICAL_VALUES = {
+  '1%': -3.90,
+  '5%': -3.34,
+  '10%': -3.04
+};
+
+// Dickey-Fuller statistic treated as "no evidence of mean reversion" for risk scoring
+const NO_REVERSION_STATISTIC = -2.0;
+
+// Half-life (bars) at which slow mean reversion counts as maximum risk
+const MAX_HALF_LIFE_BARS = 60;
+
+class CoupledTradeService {
+  constructor() {
+    this.priceDataService = new PriceDataService();
+  }
+
+  /**
+   * Generate a coupled trade for a portfolio
+   * @param {string} portfolioId - Portfolio ID
+   * @param {Object} options - { method?: 'pairs'|'beta_hedging', lookbackBars?, entryZScore?, exitZScore?, stopZScore? }
+   * @returns {Promise<Object>} Best pair with legs, thresholds and risk score plus ranked candidates
+   */
+  async generateCoupledTrade(portfolioId, options = {}) {
+    try {
+      const portfolio = await DBService.getPortfolio(portfolioId);
+      if (!portfolio) {
+        throw new Error('Portfolio not found');
+      }
+
+      const tickers = portfolio.getTickers();
+      if (tickers.length < 2) {
+        throw new Error('Coupled trades require at least two tickers in the portfolio');
+      }
+
+      const settings = this.resolveSettings(options);
+      const priceDataMap = await this.loadPriceData(tickers, settings.lookbackBars);
+
+      const candidates = this.rankPairs(priceDataMap, settings);
+      if (candidates.length === 0) {
+        throw new Error(`Not enough overlapping price history to evaluate any pair (need ${settings.minBars} bars)`);
+      }
+
+      const best = candidates[0];
+      console.log(`🔗 Coupled trade for ${portfolioId}: ${best.tickers.join('/')} z=${best.zScore.toFixed(2)} (${best.signal})`);
+
+      return {
+        portfolioId,
+        method: settings.method,
+        ...best,
+        candidates: candidates.slice(0, settings.maxCandidates).map(candidate => ({
+          tickers: candidate.tickers,
+          correlation: candidate.correlation,
+          cointegration: candidate.cointegration,
+          hedgeRatio: candidate.hedgeRatio,
+          zScore: candidate.zScore,
+          signal: candidate.signal,
+          riskScore: candidate.riskScore
+        })),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generating coupled trade:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge request options with configured defaults
+   * @param {Object} options - Request options
+   * @returns {Object} Settings
+   */
+  resolveSettings(options = {}) {
+    const defaults = config.coupledTrade;
+    const settings = {
+      method: options.method || 'pairs',
+      lookbackBars: options.lookbackBars || defaults.lookbackBars,
+      minBars: defaults.minBars,
+      entryZScore: options.entryZScore ?? defaults.entryZScore,
+      exitZScore: options.exitZScore ?? defaults.exitZScore,
+      stopZScore: options.stopZScore ?? defaults.stopZScore,
+      maxCandidates: defaults.maxCandidates
+    };
+
+    if (settings.exitZScore >= settings.entryZScore) {
+      throw new Error('Exit z-score must be smaller than entry z-score');
+    }
+    if (settings.stopZScore <= settings.entryZScore) {
+      throw new Error('Stop z-score must be larger than entry z-score');
+    }
+
+    return settings;
+  }
+
+  /**
+   * Evaluate and rank every pair of tickers, best first
+   * @param {Map<string, Array>} priceDataMap - Map of ticker -> price data sorted by date
+   * @param {Object} settings - Resolved settings
+   * @returns {Array<Object>} Pair analyses sorted by rank score
+   */
+  rankPairs(priceDataMap, settings) {
+    const tickers = Array.from(priceDataMap.keys()).sort();
+    const candidates = [];
+
+    for (let i = 0; i < tickers.length; i++) {
+      for (let j = i + 1; j < tickers.length; j++) {
+        const aligned = this.alignCloses(
+          priceDataMap.get(tickers[i]),
+          priceDataMap.get(tickers[j]),
+          settings.lookbackBars
+        );
+        if (aligned.dates.length < settings.minBars) {
+          continue;
+        }
+
+        const analysis = this.analyzePair(tickers[i], tickers[j], aligned, settings);
+        if (analysis) {
+          candidates.push(analysis);
+        }
+      }
+    }
+
+    return candidates.sort((a, b) => b.rankScore - a.rankScore);
+  }
+
+  /**
+   * Inner-join two price series on date and keep the most recent bars
+   * @param {Array} dataA - Price data for the first ticker
+   * @param {Array} dataB - Price data for the second ticker
+   * @param {number} lookbackBars - Number of most recent common bars to keep
+   * @returns {Object} { dates, a, b } aligned closes
+   */
+  alignCloses(dataA, dataB, lookbackBars) {
+    const closesB = new Map(dataB.map(point => [point.date, point.close]));
+    const dates = [];
+    const a = [];
+    const b = [];
+
+    for (const point of dataA) {
+      const closeB = closesB.get(point.date);
+      if (closeB > 0 && point.close > 0) {
+        dates.push(point.date);
+        a.push(point.close);
+        b.push(closeB);
+      }
+    }
+
+    const start = Math.max(0, dates.length - lookbackBars);
+    return { dates: dates.slice(start), a: a.slice(start), b: b.slice(start) };
+  }
+
+  /**
+   * Analyze one pair in the orientation with the stronger cointegration
+   * @param {string} tickerA - First ticker
+   * @param {string} tickerB - Second ticker
+   * @param {Object} aligned - Aligned closes from alignCloses
+   * @param {Object} settings - Resolved settings
+   * @returns {Object|null} Pair analysis or null if the regression is undefined
+   */
+  analyzePair(tickerA, tickerB, aligned, settings) {
+    const returnsA = this.toReturns(aligned.a);
+    const returnsB = this.toReturns(aligned.b);
+    const correlation = calculateCorrelation(returnsA, returnsB);
+
+    // Engle-Granger depends on which series is the dependent one; keep the better fit
+    const orientations = [
+      this.buildSpread({ ticker: tickerA, prices: aligned.a, returns: returnsA }, { ticker: tickerB, prices: aligned.b, returns: returnsB }, settings.method),
+      this.buildSpread({ ticker: tickerB, prices: aligned.b, returns: returnsB }, { ticker: tickerA, prices: aligned.a, returns: returnsA }, settings.method)
+    ].filter(Boolean);
+
+    if (orientations.length === 0) {
+      return null;
+    }
+
+    const spread = orientations.reduce((best, current) =>
+      current.dickeyFuller.statistic < best.dickeyFuller.statistic ? current : best
+    );
+
+    const { statistic, coefficient } = spread.dickeyFuller;
+    const spreadMean = calculateMean(spread.values);
+    const spreadStdDev = calculateStdDev(spread.values, spreadMean);
+    const currentSpread = spread.values[spread.values.length - 1];
+    const zScore = calculateZScore(currentSpread, spread.values);
+    const halfLife = this.calculateHalfLife(coefficient);
+
+    const cointegration = {
+      statistic,
+      criticalValues: COINTEGRATION_CRITICAL_VALUES,
+      confidence: this.getCointegrationConfidence(statistic),
+      isCointegrated: statistic <= COINTEGRATION_CRITICAL_VALUES['5%']
+    };
+
+    const thresholds = this.buildThresholds(spreadMean, spreadStdDev, settings);
+    const signal = this.getSignal(zScore, settings);
+    const legs = this.buildLegs(spread, zScore);
+    const riskScore = this.calculateRiskScore({ statistic, correlation, halfLife, zScore }, settings);
+
+    // Mean-reversion evidence dominates; correlation breaks ties between cointegrated pairs
+    const rankScore = 0.6 * (1 - this.getCointegrationRisk(statistic)) + 0.4 * Math.max(0, correlation);
+
+    return {
+      tickers: [spread.primary.ticker, spread.hedge.ticker],
+      asOf: aligned.dates[aligned.dates.length - 1],
+      observations: aligned.dates.length,
+      correlation,
+      cointegration,
+      hedgeRatio: spread.hedgeRatio,
+      ...(spread.beta !== undefined && { beta: spread.beta }),
+      halfLife,
+      zScore,
+      spread: {
+        current: currentSpread,
+        mean: spreadMean,
+        stdDev: spreadStdDev
+      },
+      thresholds,
+      signal,
+      legs,
+      riskScore,
+      rankScore
+    };
+  }
+
+  /**
+   * Build the spread series for a primary/hedge orientation
+   * 'pairs' regresses price levels (hedge ratio in shares); 'beta_hedging' regresses
+   * daily returns and tracks the beta-hedged cumulative log return
+   * @param {Object} primary - { ticker, prices, returns }
+   * @param {Object} hedge - { ticker, prices, returns }
+   * @param {string} method - 'pairs' or 'beta_hedging'
+   * @returns {Object|null} { primary, hedge, values, hedgeRatio, beta?, dickeyFuller }
+   */
+  buildSpread(primary, hedge, method) {
+    let values;
+    let hedgeRatio;
+    let beta;
+
+    if (method === 'beta_hedging') {
+      const regression = calculateLinearRegression(hedge.returns, primary.returns);
+      if (!regression) {
+        return null;
+      }
+      beta = regression.slope;
+      values = primary.prices.map((price, i) =>
+        Math.log(price / primary.prices[0]) - beta * Math.log(hedge.prices[i] / hedge.prices[0])
+      );
+      // Dollar beta converted to hedge shares per primary share at today's prices
+      const last = primary.prices.length - 1;
+      hedgeRatio = beta * primary.prices[last] / hedge.prices[last];
+    } else {
+      const regression = calculateLinearRegression(hedge.prices, primary.prices);
+      if (!regression) {
+        return null;
+      }
+      values = regression.residuals;
+      hedgeRatio = regression.slope;
+    }
+
+    const mean = calculateMean(values);
+    const dickeyFuller = calculateDickeyFuller(values.map(value => value - mean));
+    if (!dickeyFuller) {
+      return null;
+    }
+
+    return { primary, hedge, values, hedgeRatio, beta, dickeyFuller };
+  }
+
+  /**
+   * Build long/short legs for one unit of the primary leg
+   * A rich spread (z > 0) shorts the primary and buys the hedge, a cheap spread the reverse
+   * @param {Object} spread - Spread from buildSpread
+   * @param {number} zScore - Current spread z-score
+   * @returns {Array<Object>} Legs with side, share ratio, price and notional weight
+   */
+  buildLegs(spread, zScore) {
+    const primarySide = zScore > 0 ? 'short' : 'long';
+    const opposite = primarySide === 'long' ? 'short' : 'long';
+    // A negative hedge ratio means the pair moves inversely, so both legs share a side
+    const hedgeSide = spread.hedgeRatio >= 0 ? opposite : primarySide;
+
+    const primaryPrice = spread.primary.prices[spread.primary.prices.length - 1];
+    const hedgePrice = spread.hedge.prices[spread.hedge.prices.length - 1];
+    const hedgeShares = Math.abs(spread.hedgeRatio);
+
+    const primaryNotional = primaryPrice;
+    const hedgeNotional = hedgeShares * hedgePrice;
+    const grossNotional = primaryNotional + hedgeNotional;
+
+    return [
+      {
+        ticker: spread.primary.ticker,
+        side: primarySide,
+        shares: 1,
+        price: primaryPrice,
+        weight: grossNotional > 0 ? primaryNotional / grossNotional : 0
+      },
+      {
+        ticker: spread.hedge.ticker,
+        side: hedgeSide,
+        shares: hedgeShares,
+        price: hedgePrice,
+        weight: grossNotional > 0 ? hedgeNotional / grossNotional : 0
+      }
+    ];
+  }
+
+  /**
+   * Entry/exit/stop bands in z-score and spread units
+   * @param {number} mean - Spread mean
+   * @param {number} stdDev - Spread standard deviation
+   * @param {Object} settings - Resolved settings
+   * @returns {Object} Thresholds
+   */
+  buildThresholds(mean, stdDev, settings) {
+    const band = (z) => ({ zScore: z, upper: mean + z * stdDev, lower: mean - z * stdDev });
+    return {
+      entry: band(settings.entryZScore),
+      exit: band(settings.exitZScore),
+      stop: band(settings.stopZScore)
+    };
+  }
+
+  /**
+   * Map the current z-score to an action
+   * @param {number} zScore - Current spread z-score
+   * @param {Object} settings - Resolved settings
+   * @returns {string} 'enter' | 'exit' | 'stop' | 'hold'
+   */
+  getSignal(zScore, settings) {
+    const magnitude = Math.abs(zScore);
+    if (magnitude >= settings.stopZScore) {
+      return 'stop';
+    }
+    if (magnitude >= settings.entryZScore) {
+      return 'enter';
+    }
+    if (magnitude <= settings.exitZScore) {
+      return 'exit';
+    }
+    return 'hold';
+  }
+
+  /**
+   * Risk score from 0 (low) to 1 (high)
+   * Weighs weak cointegration, low correlation, slow mean reversion and
+   * how close the spread already is to the stop band
+   * @param {Object} inputs - { statistic, correlation, halfLife, zScore }
+   * @param {Object} settings - Resolved settings
+   * @returns {number} Risk score rounded to two decimals
+   */
+  calculateRiskScore({ statistic, correlation, halfLife, zScore }, settings) {
+    const cointegrationRisk = this.getCointegrationRisk(statistic);
+    const correlationRisk = 1 - Math.max(0, correlation);
+    const halfLifeRisk = halfLife === null ? 1 : Math.min(1, halfLife / MAX_HALF_LIFE_BARS);
+    const divergenceRisk = Math.min(1, Math.max(0,
+      (Math.abs(zScore) - settings.entryZScore) / (settings.stopZScore - settings.entryZScore)
+    ));
+
+    const score = 0.35 * cointegrationRisk +
+      0.25 * correlationRisk +
+      0.25 * halfLifeRisk +
+      0.15 * divergenceRisk;
+
+    return Math.round(score * 100) / 100;
+  }
+
+  /**
+   * Scale a Dickey-Fuller statistic to 0 (strong reversion) .. 1 (none)
+   * @param {number} statistic - Dickey-Fuller statistic
+   * @returns {number} Cointegration risk
+   */
+  getCointegrationRisk(statistic) {
+    const strongest = COINTEGRATION_CRITICAL_VALUES['1%'];
+    const risk = (statistic - strongest) / (NO_REVERSION_STATISTIC - strongest);
+    return Math.min(1, Math.max(0, risk));
+  }
+
+  /**
+   * Highest confidence level at which the spread is cointegrated
+   * @param {number} statistic - Dickey-Fuller statistic
+   * @returns {string|null} '99%', '95%', '90%' or null
+   */
+  getCointegrationConfidence(statistic) {
+    if (statistic <= COINTEGRATION_CRITICAL_VALUES['1%']) return '99%';
+    if (statistic <= COINTEGRATION_CRITICAL_VALUES['5%']) return '95%';
+    if (statistic <= COINTEGRATION_CRITICAL_VALUES['10%']) return '90%';
+    return null;
+  }
+
+  /**
+   * Mean-reversion half-life in bars from the Dickey-Fuller coefficient
+   * @param {number} coefficient - Coefficient on the lagged spread
+   * @returns {number|null} Half-life, or null if the spread does not revert
+   */
+  calculateHalfLife(coefficient) {
+    if (!(coefficient < 0) || coefficient <= -1) {
+      return null;
+    }
+    return -Math.log(2) / Math.log(1 + coefficient);
+  }
+
+  /**
+   * Convert prices to simple daily returns
+   * @param {Array<number>} prices - Prices
+   * @returns {Array<number>} Returns (one shorter than prices)
+   */
+  toReturns(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+    }
+    return returns;
+  }
+
+  /**
+   * Load daily price data for tickers covering the lookback window
+   * @param {Array<string>} tickers - Tickers
+   * @param {number} lookbackBars - Trading bars needed
+   * @returns {Promise<Map<string, Array>>} Map of ticker -> price data sorted by date
+   */
+  async loadPriceData(tickers, lookbackBars) {
+    const today = new Date();
+    const endDate = today.toISOString().split('T')[0];
+    const start = new Date(today);
+    // ~252 trading bars per 365 calendar days, plus slack for holidays
+    start.setDate(start.getDate() - Math.ceil(lookbackBars * 365 / 252) - 14);
+    const startDate = start.toISOString().split('T')[0];
+
+    const priceDataMap = new Map();
+    const results = await Promise.all(tickers.map(async (ticker) => {
+      try {
+        const data = await this.priceDataService.getPriceData(ticker, startDate, endDate, 'daily');
+        return { ticker, data };
+      } catch (error) {
+        console.warn(`Failed to load price data for ${ticker}:`, error.message);
+        return { ticker, data: null };
+      }
+    }));
+
+    for (const { ticker, data } of results) {
+      if (data && data.length > 0) {
+        priceDataMap.set(ticker, [...data].sort((a, b) => a.date.localeCompare(b.date)));
+      }
+    }
+
+    return priceDataMap;
+  }
+}
+
+module.exports = CoupledTradeService;
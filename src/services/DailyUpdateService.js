@@ -4,12 +4,24 @@
  */
 
 const PriceDataService = require('./PriceDataService');
+const PaperTradingService = require('./PaperTradingService');
+const OrderService = require('./OrderService');
+const MarginService = require('./MarginService');
+const FeeService = require('./FeeService');
+const DividendService = require('./DividendService');
+const PortfolioHistoryService = require('./PortfolioHistoryService');
 const PriceDataModel = require('../db/models/PriceDataModel');
 const { isDBConnected } = require('../db/connection');
 
 class DailyUpdateService {
   constructor() {
     this.priceDataService = new PriceDataService();
+    this.paperTradingService = new PaperTradingService();
+    this.orderService = new OrderService();
+    this.marginService = new MarginService();
+    this.feeService = new FeeService();
+    this.dividendService = new DividendService();
+    this.portfolioHistoryService = new PortfolioHistoryService();
     this.updateInterval = null;
     this.isRunning = false;
   }
@@ -64,11 +76,22 @@ class DailyUpdateService {
       
       if (tickers.length === 0) {
         console.log('✅ All tickers are up to date');
-        return;
+      } else {
+        console.log(`📊 Updating ${tickers.length} ticker(s): ${tickers.join(', ')}`);
+        await this.priceDataService.batchUpdateTickers(tickers);
       }
 
-      console.log(`📊 Updating ${tickers.length} ticker(s): ${tickers.join(', ')}`);
-      await this.priceDataService.batchUpdateTickers(tickers);
+      // Fill resting wallet orders and check short margin, then run paper trading sessions against any newly ingested bars
+      await this.orderService.processPendingOrders();
+      await this.marginService.processMarginCalls();
+
+      // Post dividend income and account fees that have come due
+      await this.dividendService.processDividends();
+      await this.feeService.chargeMonthlyFees();
+      await this.paperTradingService.processAllSessions();
+
+      // Record end-of-day portfolio values once the day's closes, trades and cash movements are in
+      await this.portfolioHistoryService.takeSnapshots();
       
     } catch (error) {
       console.error('Error in daily update:', error.message);
@@ -81,6 +104,8 @@ class DailyUpdateService {
   async updateTickers(tickers) {
     console.log(`🔄 Manually updating ${tickers.length} ticker(s)...`);
     await this.priceDataService.batchUpdateTickers(tickers);
+    await this.orderService.processPendingOrders();
+    await this.marginService.processMarginCalls();
   }
 
   /**
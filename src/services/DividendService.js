@@ -0,0 +1,211 @@
+/**
+ * DividendService.js
+ * Credits cash dividends to wallet holders from a locally loaded dividend calendar
+ * The calendar is a CSV (Ticker,ExDate,PayDate,Amount) with one row per dividend.
+ * Anyone holding shares before the ex-dividend date is credited on that date;
+ * short sellers owe the dividend and are charged it as a fee. Positions are kept
+ * per portfolio so each payment is recorded against the portfolio that held the shares.
+ */
+
+const fs = require('fs').promises;
+const WalletModel = require('../db/models/WalletModel');
+const TransactionModel = require('../db/models/TransactionModel');
+const FeeService = require('./FeeService');
+const { runInTransaction } = require('../db/transaction');
+const config = require('../../config/config');
+
+class DividendService {
+  constructor(calendarFile = config.trading?.dividendCalendarFile) {
+    this.calendarFile = calendarFile;
+    this.calendar = null;
+    this.feeService = new FeeService();
+  }
+
+  /**
+   * Parse a dividend calendar CSV
+   * @param {string} csv - File contents with a Ticker,ExDate,PayDate,Amount header
+   * @returns {Array<Object>} { ticker, exDate, payDate, amount } sorted by exDate
+   */
+  static parseCalendar(csv) {
+    const lines = csv.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    const [tickerCol, exDateCol, payDateCol, amountCol] = ['ticker', 'exdate', 'paydate', 'amount'].map(column);
+    if (tickerCol < 0 || exDateCol < 0 || amountCol < 0) {
+      throw new Error('Dividend calendar must have Ticker, ExDate and Amount columns');
+    }
+
+    const events = [];
+    for (let i = 1; i < lines.length; i++) {
+      const cells = lines[i].split(',').map(c => c.trim());
+      const amount = parseFloat(cells[amountCol]);
+      const exDate = cells[exDateCol];
+      if (!cells[tickerCol] || !/^\d{4}-\d{2}-\d{2}$/.test(exDate) || !(amount > 0)) {
+        throw new Error(`Invalid dividend calendar row ${i + 1}: ${lines[i]}`);
+      }
+      events.push({
+        ticker: cells[tickerCol].toUpperCase(),
+        exDate,
+        payDate: payDateCol >= 0 ? cells[payDateCol] || null : null,
+        amount
+      });
+    }
+
+    return events.sort((a, b) => a.exDate.localeCompare(b.exDate));
+  }
+
+  /**
+   * Net long and short share counts per user and portfolio from trades before a date
+   * @param {Array<Object>} transactions - Completed buy/sell/short/cover transactions
+   * @param {string} beforeDate - Exclusive cut-off (YYYY-MM-DD)
+   * @returns {Map<string, Object>} "userId:portfolioId" -> { userId, portfolioId, long, short };
+   *   trades outside a portfolio have a null portfolioId
+   */
+  static getPositionsBefore(transactions, beforeDate) {
+    const cutoff = new Date(`${beforeDate}T00:00:00.000Z`);
+    const positions = new Map();
+
+    for (const tx of transactions) {
+      if (tx.createdAt >= cutoff) {
+        continue;
+      }
+      const portfolioId = tx.portfolioId || null;
+      const key = `${tx.userId}:${portfolioId || ''}`;
+      if (!positions.has(key)) {
+        positions.set(key, { userId: tx.userId, portfolioId, long: 0, short: 0 });
+      }
+      const position = positions.get(key);
+      if (tx.type === 'buy') position.long += tx.quantity;
+      if (tx.type === 'sell') position.long -= tx.quantity;
+      if (tx.type === 'short') position.short += tx.quantity;
+      if (tx.type === 'cover') position.short -= tx.quantity;
+    }
+
+    return positions;
+  }
+
+  /**
+   * Load (and cache) the dividend calendar file
+   * @returns {Promise<Array<Object>>} Dividend events; empty when the file doesn't exist
+   */
+  async loadCalendar() {
+    if (this.calendar) {
+      return this.calendar;
+    }
+    try {
+      this.calendar = DividendService.parseCalendar(await fs.readFile(this.calendarFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.calendar = [];
+    }
+    return this.calendar;
+  }
+
+  /**
+   * Credit (or charge shorts for) every dividend whose ex-date has passed
+   * Each payment is keyed by referenceId so reruns never pay twice
+   * Called by DailyUpdateService
+   * @param {string} [asOfDate] - Process ex-dates up to and including this date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { credited, charged }
+   */
+  async processDividends(asOfDate = new Date().toISOString().split('T')[0]) {
+    const calendar = await this.loadCalendar();
+    const summary = { credited: 0, charged: 0 };
+
+    for (const event of calendar.filter(e => e.exDate <= asOfDate)) {
+      try {
+        const result = await this.processEvent(event);
+        summary.credited += result.credited;
+        summary.charged += result.charged;
+      } catch (error) {
+        console.error(`Failed to process ${event.ticker} dividend for ${event.exDate}:`, error.message);
+      }
+    }
+
+    if (summary.credited + summary.charged > 0) {
+      console.log(`💵 Dividends: credited ${summary.credited} holder(s), charged ${summary.charged} short seller(s)`);
+    }
+    return summary;
+  }
+
+  /**
+   * Pay one dividend to every portfolio positioned in the ticker before its ex-date
+   * @param {Object} event - { ticker, exDate, amount }
+   * @returns {Promise<Object>} { credited, charged } - counts of portfolio positions
+   */
+  async processEvent(event) {
+    // Payments were once keyed per user; a user paid under that key is not paid again per portfolio
+    const eventReferenceId = `dividend:${event.ticker}:${event.exDate}`;
+    const transactions = await TransactionModel.find({
+      ticker: event.ticker,
+      type: { $in: ['buy', 'sell', 'short', 'cover'] },
+      status: 'completed',
+      createdAt: { $lt: new Date(`${event.exDate}T00:00:00.000Z`) }
+    });
+
+    const result = { credited: 0, charged: 0 };
+    for (const position of DividendService.getPositionsBefore(transactions, event.exDate).values()) {
+      if (position.long <= 0 && position.short <= 0) {
+        continue;
+      }
+      const { userId, portfolioId } = position;
+      const referenceId = `${eventReferenceId}:${portfolioId || 'wallet'}`;
+
+      // The wallet update and its transaction record commit together, as trades do
+      const paid = await runInTransaction(async () => {
+        if (await TransactionModel.exists({ userId, referenceId: { $in: [eventReferenceId, referenceId] } })) {
+          return null;
+        }
+
+        const wallet = await WalletModel.findByUserId(userId);
+        if (!wallet) {
+          return null;
+        }
+
+        if (position.long > 0) {
+          const balanceBefore = wallet.balance;
+          const amount = position.long * event.amount;
+          wallet.addFunds(amount);
+          wallet.totalDividends += amount;
+          await wallet.save();
+
+          await TransactionModel.createDividendTransaction({
+            userId,
+            portfolioId,
+            ticker: event.ticker,
+            quantity: position.long,
+            price: event.amount,
+            balanceBefore,
+            referenceId,
+            notes: `Dividend of $${event.amount} per share on ${position.long} shares of ${event.ticker} (ex-date ${event.exDate})`
+          });
+        }
+
+        if (position.short > 0) {
+          await this.feeService.chargeFee(wallet, position.short * event.amount, {
+            ticker: event.ticker,
+            portfolioId,
+            referenceId,
+            notes: `Dividend owed on ${position.short} shares of ${event.ticker} sold short (ex-date ${event.exDate})`
+          });
+        }
+        return position;
+      });
+
+      if (paid) {
+        result.credited += paid.long > 0 ? 1 : 0;
+        result.charged += paid.short > 0 ? 1 : 0;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = DividendService;
@@ -0,0 +1,274 @@
+/**
+ * ExecutionModelService - Transaction cost and position sizing models for backtests
+ * Cost models turn a signal price into a fill price plus commission;
+ * position sizers decide how many dollars a new position gets
+ */
+
+const { calculateStdDev } = require('../utils/calculations');
+const config = require('../../config/config');
+
+/**
+ * Commission, slippage and bid/ask spread applied to simulated fills
+ */
+class CostModel {
+  /**
+   * @param {Object} options - Cost settings
+   * @param {Object} [options.commission] - { model: 'none'|'per_share'|'percent', rate, minimum }
+   *   per_share rate is dollars per share; percent rate is a fraction of notional (0.001 = 0.1%)
+   * @param {Object} [options.slippage] - { model: 'none'|'fixed'|'volume', bps, impact }
+   *   fixed moves the fill by bps; volume applies impact * sqrt(quantity / bar volume)
+   * @param {number} [options.spreadBps] - Quoted bid/ask spread; each fill crosses half of it
+   */
+  constructor(options = {}) {
+    this.commission = {
+      model: 'none',
+      rate: 0,
+      minimum: 0,
+      ...(options.commission || {})
+    };
+    this.slippage = {
+      model: 'none',
+      bps: 0,
+      impact: 0.1,
+      ...(options.slippage || {})
+    };
+    this.spreadBps = options.spreadBps || 0;
+  }
+
+  /**
+   * Price actually paid (buy) or received (sell)
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} price - Signal price (bar close)
+   * @param {number} quantity - Shares traded
+   * @param {Object} [bar] - Current OHLCV bar, used for volume-based slippage
+   * @returns {number} Fill price
+   */
+  getFillPrice(side, price, quantity, bar = null) {
+    const adverse = this.getSpreadFraction() + this.getSlippageFraction(quantity, bar);
+    return side === 'buy' ? price * (1 + adverse) : price * (1 - adverse);
+  }
+
+  /**
+   * Half of the quoted spread as a fraction of price
+   * @returns {number} Spread fraction
+   */
+  getSpreadFraction() {
+    return this.spreadBps / 2 / 10000;
+  }
+
+  /**
+   * Slippage as a fraction of price
+   * @param {number} quantity - Shares traded
+   * @param {Object} [bar] - Current OHLCV bar
+   * @returns {number} Slippage fraction
+   */
+  getSlippageFraction(quantity, bar = null) {
+    switch (this.slippage.model) {
+      case 'fixed':
+        return this.slippage.bps / 10000;
+      case 'volume':
+        // Square-root market impact; no volume information means no impact estimate
+        if (!bar || !(bar.volume > 0)) {
+          return 0;
+        }
+        return this.slippage.impact * Math.sqrt(quantity / bar.volume);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Commission charged for a fill
+   * @param {number} quantity - Shares traded
+   * @param {number} fillPrice - Fill price
+   * @returns {number} Commission in dollars
+   */
+  getCommission(quantity, fillPrice) {
+    if (quantity <= 0) {
+      return 0;
+    }
+
+    let commission = 0;
+    switch (this.commission.model) {
+      case 'per_share':
+        commission = this.commission.rate * quantity;
+        break;
+      case 'percent':
+        commission = this.commission.rate * quantity * fillPrice;
+        break;
+      default:
+        return 0;
+    }
+    return Math.max(commission, this.commission.minimum || 0);
+  }
+
+  /**
+   * Settings for persistence and API responses
+   * @returns {Object} Cost model description
+   */
+  describe() {
+    return {
+      commission: { ...this.commission },
+      slippage: { ...this.slippage },
+      spreadBps: this.spreadBps
+    };
+  }
+}
+
+/**
+ * Decides the dollar size of a new position
+ */
+class PositionSizer {
+  /**
+   * @param {Object} options - Sizing settings
+   * @param {string} [options.mode] - fixed_fraction | fixed_dollar | volatility_target | kelly
+   * @param {number} [options.fraction] - fixed_fraction: share of available cash;
+   *   kelly: share of equity used until enough trades have closed
+   * @param {number} [options.amount] - fixed_dollar: dollars per position
+   * @param {number} [options.targetVolatility] - volatility_target: annualized target (0.15 = 15%)
+   * @param {number} [options.lookback] - volatility_target: days of returns to measure volatility
+   * @param {number} [options.kellyCap] - kelly: maximum share of equity
+   * @param {number} [options.minTrades] - kelly: closed trades needed before Kelly is trusted
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'fixed_fraction';
+    this.fraction = options.fraction ?? (this.mode === 'kelly' ? 0.1 : 0.5);
+    this.amount = options.amount ?? 1000;
+    this.targetVolatility = options.targetVolatility ?? 0.15;
+    this.lookback = options.lookback ?? 20;
+    this.kellyCap = options.kellyCap ?? 0.25;
+    this.minTrades = options.minTrades ?? 5;
+  }
+
+  /**
+   * Dollars to commit to a new position (before costs, capped by cash)
+   * @param {Object} context - { cash, equity, history: price bars up to today, closedTrades: [{ profitLoss, value }] }
+   * @returns {number} Dollars to invest
+   */
+  getPositionValue({ cash, equity, history = [], closedTrades = [] }) {
+    let value;
+
+    switch (this.mode) {
+      case 'fixed_dollar':
+        value = this.amount;
+        break;
+      case 'volatility_target':
+        value = equity * this.getVolatilityTargetFraction(history);
+        break;
+      case 'kelly':
+        value = equity * this.getKellyFraction(closedTrades);
+        break;
+      case 'fixed_fraction':
+      default:
+        value = cash * this.fraction;
+    }
+
+    return Math.max(0, Math.min(value, cash));
+  }
+
+  /**
+   * Share of equity that puts the position at the target volatility
+   * @param {Array} history - Price bars up to today
+   * @returns {number} Fraction of equity, at most 1
+   */
+  getVolatilityTargetFraction(history) {
+    const closes = history.slice(-(this.lookback + 1)).map(bar => bar.close);
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      returns.push((closes[i] - closes[i - 1]) / closes[i - 1]);
+    }
+
+    const volatility = calculateStdDev(returns) * Math.sqrt(252);
+    if (returns.length < 2 || volatility === 0) {
+      return 0;
+    }
+    return Math.min(1, this.targetVolatility / volatility);
+  }
+
+  /**
+   * Kelly fraction from closed trades, capped at kellyCap
+   * f* = W - (1 - W) / R, with W the win rate and R the average win / average loss
+   * @param {Array<Object>} closedTrades - Trades with profitLoss
+   * @returns {number} Fraction of equity
+   */
+  getKellyFraction(closedTrades) {
+    if (closedTrades.length < this.minTrades) {
+      return Math.min(this.fraction, this.kellyCap);
+    }
+
+    const wins = closedTrades.filter(t => t.profitLoss > 0);
+    const losses = closedTrades.filter(t => t.profitLoss <= 0);
+    const winRate = wins.length / closedTrades.length;
+    if (losses.length === 0) {
+      return this.kellyCap;
+    }
+    if (wins.length === 0) {
+      return 0;
+    }
+
+    const averageWin = wins.reduce((sum, t) => sum + t.profitLoss, 0) / wins.length;
+    const averageLoss = Math.abs(losses.reduce((sum, t) => sum + t.profitLoss, 0) / losses.length);
+    if (averageLoss === 0) {
+      return this.kellyCap;
+    }
+
+    const kelly = winRate - (1 - winRate) / (averageWin / averageLoss);
+    return Math.min(this.kellyCap, Math.max(0, kelly));
+  }
+
+  /**
+   * Settings for persistence and API responses
+   * @returns {Object} Sizer description
+   */
+  describe() {
+    switch (this.mode) {
+      case 'fixed_dollar':
+        return { mode: this.mode, amount: this.amount };
+      case 'volatility_target':
+        return { mode: this.mode, targetVolatility: this.targetVolatility, lookback: this.lookback };
+      case 'kelly':
+        return { mode: this.mode, kellyCap: this.kellyCap, minTrades: this.minTrades, fraction: this.fraction };
+      default:
+        return { mode: this.mode, fraction: this.fraction };
+    }
+  }
+}
+
+class ExecutionModelService {
+  /**
+   * Create a cost model, falling back to config.backtest.costs
+   * @param {Object} [options] - Cost settings (see CostModel)
+   * @returns {CostModel} Cost model
+   */
+  static createCostModel(options = null) {
+    const defaults = config.backtest.costs || {};
+    const settings = options || {};
+    return new CostModel({
+      commission: settings.commission || defaults.commission,
+      slippage: settings.slippage || defaults.slippage,
+      spreadBps: settings.spreadBps ?? defaults.spreadBps
+    });
+  }
+
+  /**
+   * Create a position sizer, falling back to config.backtest.sizing
+   * @param {Object} [options] - Sizing settings (see PositionSizer)
+   * @returns {PositionSizer} Position sizer
+   */
+  static createPositionSizer(options = null) {
+    const validModes = ['fixed_fraction', 'fixed_dollar', 'volatility_target', 'kelly'];
+    const settings = options || config.backtest.sizing || {};
+
+    if (settings.mode && !validModes.includes(settings.mode)) {
+      throw new Error(`Unknown sizing mode: ${settings.mode}. Use one of ${validModes.join(', ')}`);
+    }
+
+    return new PositionSizer(settings);
+  }
+}
+
+module.exports = {
+  ExecutionModelService,
+  CostModel,
+  PositionSizer
+};
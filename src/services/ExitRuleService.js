@@ -0,0 +1,136 @@
+/**
+ * ExitRuleService - Protective exits for backtest positions
+ * Checks stop-loss, take-profit, trailing-stop and ATR-stop levels against
+ * each bar's high/low so a position is closed intraday when a level is hit,
+ * regardless of what the strategy signal says
+ */
+
+const { calculateATR } = require('../utils/calculations');
+
+class ExitRuleService {
+  /**
+   * @param {Object} [rules] - Exit rules; omit a rule to disable it
+   * @param {number} [rules.stopLossPercent] - Exit when price falls this % below the entry price
+   * @param {number} [rules.takeProfitPercent] - Exit when price rises this % above the entry price
+   * @param {number} [rules.trailingStopPercent] - Exit when price falls this % below the highest high since entry
+   * @param {Object} [rules.atrStop] - { period = 14, multiplier = 3 }: exit multiplier x ATR below the entry price
+   */
+  constructor(rules = {}) {
+    this.stopLossPercent = rules.stopLossPercent || null;
+    this.takeProfitPercent = rules.takeProfitPercent || null;
+    this.trailingStopPercent = rules.trailingStopPercent || null;
+    this.atrStop = rules.atrStop
+      ? { period: rules.atrStop.period || 14, multiplier: rules.atrStop.multiplier || 3 }
+      : null;
+  }
+
+  /**
+   * Whether any exit rule is configured
+   * @returns {boolean}
+   */
+  hasRules() {
+    return Boolean(this.stopLossPercent || this.takeProfitPercent || this.trailingStopPercent || this.atrStop);
+  }
+
+  /**
+   * Fix the exit levels for a newly opened position
+   * @param {number} entryPrice - Fill price of the entry
+   * @param {Array<Object>} history - Price bars up to and including the entry bar
+   * @returns {Object} Position exit state { entryPrice, highestHigh, stopLoss, takeProfit, atrStop, atr }
+   */
+  openPosition(entryPrice, history = []) {
+    const atr = this.atrStop ? calculateATR(history, this.atrStop.period) : null;
+
+    return {
+      entryPrice,
+      highestHigh: entryPrice,
+      stopLoss: this.stopLossPercent ? entryPrice * (1 - this.stopLossPercent / 100) : null,
+      takeProfit: this.takeProfitPercent ? entryPrice * (1 + this.takeProfitPercent / 100) : null,
+      atrStop: atr ? entryPrice - this.atrStop.multiplier * atr : null,
+      atr
+    };
+  }
+
+  /**
+   * Check a bar against the position's exit levels
+   * A bar that opens through a level fills at the open (gap); otherwise the
+   * level itself is the fill. When a bar touches both a stop and the take-profit,
+   * the stop is assumed to have been hit first
+   * @param {Object} state - Position exit state from openPosition
+   * @param {Object} bar - OHLC bar
+   * @returns {Object|null} { price, reason } or null if no rule triggered
+   */
+  checkExit(state, bar) {
+    const open = bar.open ?? bar.close;
+    const high = bar.high ?? bar.close;
+    const low = bar.low ?? bar.close;
+    const stop = this.getActiveStop(state);
+
+    if (stop && low <= stop.level) {
+      return { price: Math.min(open, stop.level), reason: stop.reason };
+    }
+
+    if (state.takeProfit && high >= state.takeProfit) {
+      return {
+        price: Math.max(open, state.takeProfit),
+        reason: `Take-profit (+${this.takeProfitPercent}%)`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Highest (closest) of the configured stop levels
+   * @param {Object} state - Position exit state
+   * @returns {Object|null} { level, reason } or null if no stop is set
+   */
+  getActiveStop(state) {
+    const stops = [];
+
+    if (state.stopLoss) {
+      stops.push({ level: state.stopLoss, reason: `Stop-loss (-${this.stopLossPercent}%)` });
+    }
+    if (this.trailingStopPercent) {
+      stops.push({
+        level: state.highestHigh * (1 - this.trailingStopPercent / 100),
+        reason: `Trailing stop (-${this.trailingStopPercent}% from high)`
+      });
+    }
+    if (state.atrStop) {
+      stops.push({
+        level: state.atrStop,
+        reason: `ATR stop (${this.atrStop.multiplier} x ATR${this.atrStop.period})`
+      });
+    }
+
+    if (stops.length === 0) {
+      return null;
+    }
+    return stops.reduce((highest, stop) => (stop.level > highest.level ? stop : highest));
+  }
+
+  /**
+   * Advance the trailing high after a bar the position survived
+   * @param {Object} state - Position exit state
+   * @param {Object} bar - OHLC bar
+   */
+  updatePosition(state, bar) {
+    state.highestHigh = Math.max(state.highestHigh, bar.high ?? bar.close);
+  }
+
+  /**
+   * Settings for persistence and API responses
+   * @returns {Object} Exit rule description
+   */
+  describe() {
+    return {
+      stopLossPercent: this.stopLossPercent,
+      takeProfitPercent: this.takeProfitPercent,
+      trailingStopPercent: this.trailingStopPercent,
+      atrStop: this.atrStop
+    };
+  }
+}
+
+module.exports = ExitRuleService;
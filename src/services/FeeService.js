@@ -0,0 +1,143 @@
+/**
+ * FeeService.js
+ * Applies the configured fee schedule to wallets
+ * Per-trade fees are charged alongside each buy/sell and the monthly account fee
+ * once per calendar month; every charge posts a 'fee' transaction
+ */
+
+const WalletModel = require('../db/models/WalletModel');
+const TransactionModel = require('../db/models/TransactionModel');
+const { runInTransaction } = require('../db/transaction');
+const config = require('../../config/config');
+
+class FeeService {
+  constructor(schedule = config.trading?.fees || {}) {
+    this.schedule = {
+      monthlyAccountFee: schedule.monthlyAccountFee || 0,
+      perTradeFee: schedule.perTradeFee || 0,
+      perTradePercent: schedule.perTradePercent || 0
+    };
+  }
+
+  /**
+   * Per-trade fee for a trade of the given value, rounded to cents
+   * @param {number} tradeValue - Quantity times price
+   * @returns {number} Fee in dollars
+   */
+  calculateTradeFee(tradeValue) {
+    const fee = this.schedule.perTradeFee + tradeValue * this.schedule.perTradePercent;
+    return Math.round(fee * 100) / 100;
+  }
+
+  /**
+   * Whether a wallet is due the monthly account fee
+   * Wallets are first charged in the month after they were opened
+   * @param {Object} wallet - { lastAccountFeeAt, createdAt }
+   * @param {Date} asOf - Current time
+   * @returns {boolean} True when no fee has been charged yet this calendar month
+   */
+  static isAccountFeeDue(wallet, asOf) {
+    const monthStart = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), 1));
+    const since = wallet.lastAccountFeeAt || wallet.createdAt;
+    return !!since && since < monthStart;
+  }
+
+  /**
+   * Charge a fee to a wallet, capped at its available cash, and record it
+   * @param {Object} wallet - Wallet document (saved here)
+   * @param {number} amount - Fee in dollars
+   * @param {Object} details - { ticker, portfolioId, referenceId, notes }
+   * @returns {Promise<Object|null>} Fee transaction, or null when nothing was charged
+   */
+  async chargeFee(wallet, amount, details = {}) {
+    const charged = Math.min(amount, Math.max(0, wallet.availableBalance));
+    if (charged <= 0) {
+      return null;
+    }
+
+    const balanceBefore = wallet.balance;
+    wallet.balance -= charged;
+    wallet.totalFees += charged;
+    wallet.lastTransactionAt = new Date();
+    await wallet.save();
+
+    return TransactionModel.createFeeTransaction({
+      userId: wallet.userId,
+      portfolioId: details.portfolioId || null,
+      ticker: details.ticker,
+      amount: charged,
+      balanceBefore,
+      referenceId: details.referenceId || null,
+      notes: details.notes || `Fee of $${charged.toFixed(2)}`
+    });
+  }
+
+  /**
+   * Charge the per-trade fee for a completed buy/sell
+   * @param {Object} wallet - Wallet document
+   * @param {Object} trade - { type, ticker, quantity, price, portfolioId }
+   * @returns {Promise<Object|null>} Fee transaction
+   */
+  async chargeTradeFee(wallet, trade) {
+    const fee = this.calculateTradeFee(trade.quantity * trade.price);
+    if (fee <= 0) {
+      return null;
+    }
+    return this.chargeFee(wallet, fee, {
+      ticker: trade.ticker,
+      portfolioId: trade.portfolioId,
+      notes: `Trade fee for ${trade.type} of ${trade.quantity} shares of ${trade.ticker}`
+    });
+  }
+
+  /**
+   * Charge the monthly account fee to every active wallet that is due
+   * Called by DailyUpdateService
+   * @param {Date} asOf - Current time
+   * @returns {Promise<number>} Wallets charged a non-zero fee
+   */
+  async chargeMonthlyFees(asOf = new Date()) {
+    const fee = this.schedule.monthlyAccountFee;
+    if (fee <= 0) {
+      return 0;
+    }
+
+    const month = asOf.toISOString().slice(0, 7);
+    const wallets = await WalletModel.find({ status: 'active' });
+    let charged = 0;
+
+    for (const wallet of wallets) {
+      if (!FeeService.isAccountFeeDue(wallet, asOf)) {
+        continue;
+      }
+      try {
+        // The wallet update and its fee transaction commit together, as trades do
+        const transaction = await runInTransaction(async () => {
+          const current = await WalletModel.findByUserId(wallet.userId);
+          current.lastAccountFeeAt = asOf;
+          const posted = await this.chargeFee(current, fee, {
+            referenceId: `account-fee:${month}`,
+            notes: `Monthly account fee for ${month}`
+          });
+          if (!posted) {
+            // Nothing to charge, but don't try again until next month
+            await current.save();
+          }
+          return posted;
+        });
+        if (transaction) {
+          charged++;
+        }
+      } catch (error) {
+        console.error(`Failed to charge account fee to ${wallet.userId}:`, error.message);
+      }
+    }
+
+    if (charged > 0) {
+      console.log(`💳 Charged monthly account fee to ${charged} wallet(s)`);
+    }
+    return charged;
+  }
+}
+
+module.exports = FeeService;
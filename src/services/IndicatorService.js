@@ -1,6 +1,8 @@
 /**
  * IndicatorService - Implementation of specific technical indicators
- * SMA, EMA, RSI, MACD, Bollinger Bands with buy/hold/sell signals
+ * SMA, EMA, RSI, MACD, Bollinger Bands, ATR, Stochastic, ADX, OBV, VWAP, CCI,
+ * Williams %R and MFI with buy/hold/sell signals
+ * Indicators that need highs, lows or volume read them from the price bars passed to calculateValues
  */
 
 const TechnicalIndicator = require('../models/TechnicalIndicator');
@@ -375,6 +377,531 @@ class BollingerBandsIndicator extends TechnicalIndicator {
   }
 }
 
+/**
+ * Typical price of a bar, (high + low + close) / 3
+ * Bars without a high or low fall back to the close
+ * @param {Object} bar - Price bar
+ * @returns {number} Typical price
+ */
+const typicalPrice = (bar) => ((bar.high ?? bar.close) + (bar.low ?? bar.close) + bar.close) / 3;
+
+/**
+ * True range of a bar against the previous close
+ * @param {Object} bar - Price bar
+ * @param {number} previousClose - Previous bar's close
+ * @returns {number} True range
+ */
+const trueRange = (bar, previousClose) => {
+  const high = bar.high ?? bar.close;
+  const low = bar.low ?? bar.close;
+  return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+};
+
+/**
+ * Wilder smoothing of a series, seeded with the mean of the first window values
+ * @param {Array<number>} values - Series to smooth
+ * @param {number} window - Smoothing period
+ * @returns {Array<number>} Smoothed values, starting at values[window - 1]
+ */
+const wilderSmooth = (values, window) => {
+  if (values.length < window) {
+    return [];
+  }
+  const smoothed = [calculateMean(values.slice(0, window))];
+  for (let i = window; i < values.length; i++) {
+    smoothed.push((smoothed[smoothed.length - 1] * (window - 1) + values[i]) / window);
+  }
+  return smoothed;
+};
+
+/**
+ * Signal from an oscillator's overbought/oversold levels, as RSI does
+ * @param {number} value - Oscillator value
+ * @param {Object} params - { overbought, oversold }
+ * @returns {string} Signal
+ */
+const zoneSignal = (value, { overbought, oversold }) => {
+  if (value < oversold) return 'buy';
+  if (value > overbought) return 'sell';
+  return 'hold';
+};
+
+/**
+ * Strength of an oscillator signal: how far past its level, relative to the rest of the scale
+ * @param {number} value - Oscillator value
+ * @param {Object} params - { overbought, oversold }
+ * @param {number} min - Bottom of the scale
+ * @param {number} max - Top of the scale
+ * @returns {number} Strength (0-1), 0.5 between the levels
+ */
+const zoneStrength = (value, { overbought, oversold }, min, max) => {
+  if (value < oversold) {
+    return Math.min(1.0, (oversold - value) / (oversold - min));
+  }
+  if (value > overbought) {
+    return Math.min(1.0, (value - overbought) / (max - overbought));
+  }
+  return 0.5;
+};
+
+/**
+ * Average True Range (ATR) Indicator
+ * Volatility breakout: a close that moves more than multiplier × ATR from the previous close
+ */
+class ATRIndicator extends TechnicalIndicator {
+  constructor(window = 14, multiplier = 1) {
+    super('ATR', window, { multiplier });
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    if (priceData.length < this.window + 1) {
+      throw new Error(`Insufficient data: need at least ${this.window + 1} data points`);
+    }
+
+    const ranges = [];
+    for (let i = 1; i < priceData.length; i++) {
+      ranges.push(trueRange(priceData[i], priceData[i - 1].close));
+    }
+    // values[i] is the ATR on priceData[i + window]
+    return wilderSmooth(ranges, this.window);
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (index < 1) return 'hold';
+
+    const bar = index + this.window;
+    const move = priceData[bar].close - priceData[bar - 1].close;
+    // Measure against the previous bar's ATR so today's range doesn't widen its own threshold
+    const threshold = this.params.multiplier * values[index - 1];
+
+    if (move > threshold) {
+      return 'buy';
+    }
+    if (move < -threshold) {
+      return 'sell';
+    }
+    return 'hold';
+  }
+
+  getSignalStrength(index) {
+    if (index < 1 || index >= this.values.length || !this.priceData) {
+      return 0;
+    }
+
+    const bar = index + this.window;
+    const move = Math.abs(this.priceData[bar].close - this.priceData[bar - 1].close);
+    const threshold = this.params.multiplier * this.values[index - 1];
+    if (this.signals[index] === 'hold' || threshold === 0) {
+      return 0.5;
+    }
+    return Math.min(1.0, move / (2 * threshold));
+  }
+
+  generateSignals(priceData, values) {
+    // Keep the bars for getSignalStrength, which only receives an index
+    this.priceData = priceData;
+    return super.generateSignals(priceData, values);
+  }
+}
+
+/**
+ * Stochastic Oscillator Indicator
+ * %K places the close within the window's high-low range; %D is its moving average
+ */
+class StochasticIndicator extends TechnicalIndicator {
+  constructor(kPeriod = 14, dPeriod = 3, overbought = 80, oversold = 20) {
+    super('STOCHASTIC', kPeriod, { kPeriod, dPeriod, overbought, oversold });
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    const { kPeriod, dPeriod } = this.params;
+    if (priceData.length < kPeriod + dPeriod - 1) {
+      throw new Error(`Insufficient data: need at least ${kPeriod + dPeriod - 1} data points`);
+    }
+
+    const k = [];
+    for (let i = kPeriod - 1; i < priceData.length; i++) {
+      const window = priceData.slice(i - kPeriod + 1, i + 1);
+      const highest = Math.max(...window.map(bar => bar.high ?? bar.close));
+      const lowest = Math.min(...window.map(bar => bar.low ?? bar.close));
+      k.push(highest === lowest ? 50 : 100 * (priceData[i].close - lowest) / (highest - lowest));
+    }
+
+    return { k, d: calculateSMA(k, dPeriod) };
+  }
+
+  generateSignals(priceData, values) {
+    // Override base class method since values is an object, not array
+    const signals = [];
+
+    if (!values.d || values.d.length === 0) {
+      return signals;
+    }
+
+    // One signal per %D value, the last of which falls on the last bar
+    for (let i = 0; i < values.d.length; i++) {
+      signals.push(this.calculateSignal(priceData, values, i));
+    }
+
+    return signals;
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (!values.d || index < 0 || index >= values.d.length) return 'hold';
+
+    const k = values.k[index + this.params.dPeriod - 1];
+    const d = values.d[index];
+
+    // Oversold and turning up, or overbought and turning down
+    if (k < this.params.oversold && k > d) {
+      return 'buy';
+    }
+    if (k > this.params.overbought && k < d) {
+      return 'sell';
+    }
+    return 'hold';
+  }
+
+  getSignalStrength(index) {
+    if (!this.values.d || index < 0 || index >= this.values.d.length) {
+      return 0;
+    }
+    if (this.signals[index] === 'hold') {
+      return 0.5;
+    }
+    return zoneStrength(this.values.k[index + this.params.dPeriod - 1], this.params, 0, 100);
+  }
+}
+
+/**
+ * Average Directional Index (ADX) Indicator
+ * ADX measures trend strength; +DI and -DI give its direction
+ */
+class ADXIndicator extends TechnicalIndicator {
+  constructor(window = 14, threshold = 25) {
+    super('ADX', window, { threshold });
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    if (priceData.length < 2 * this.window) {
+      throw new Error(`Insufficient data: need at least ${2 * this.window} data points`);
+    }
+
+    const ranges = [];
+    const plusMoves = [];
+    const minusMoves = [];
+    for (let i = 1; i < priceData.length; i++) {
+      const upMove = (priceData[i].high ?? priceData[i].close) - (priceData[i - 1].high ?? priceData[i - 1].close);
+      const downMove = (priceData[i - 1].low ?? priceData[i - 1].close) - (priceData[i].low ?? priceData[i].close);
+      ranges.push(trueRange(priceData[i], priceData[i - 1].close));
+      plusMoves.push(upMove > downMove && upMove > 0 ? upMove : 0);
+      minusMoves.push(downMove > upMove && downMove > 0 ? downMove : 0);
+    }
+
+    const atr = wilderSmooth(ranges, this.window);
+    const plusDM = wilderSmooth(plusMoves, this.window);
+    const minusDM = wilderSmooth(minusMoves, this.window);
+
+    const plusDI = atr.map((range, i) => (range === 0 ? 0 : 100 * plusDM[i] / range));
+    const minusDI = atr.map((range, i) => (range === 0 ? 0 : 100 * minusDM[i] / range));
+    const dx = plusDI.map((plus, i) => {
+      const sum = plus + minusDI[i];
+      return sum === 0 ? 0 : 100 * Math.abs(plus - minusDI[i]) / sum;
+    });
+
+    // +DI/-DI start on priceData[window]; ADX starts window - 1 values later
+    return { adx: wilderSmooth(dx, this.window), plusDI, minusDI };
+  }
+
+  generateSignals(priceData, values) {
+    // Override base class method since values is an object, not array
+    const signals = [];
+
+    if (!values.adx || values.adx.length === 0) {
+      return signals;
+    }
+
+    for (let i = 0; i < values.adx.length; i++) {
+      signals.push(this.calculateSignal(priceData, values, i));
+    }
+
+    return signals;
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (!values.adx || index < 0 || index >= values.adx.length) return 'hold';
+
+    const adx = values.adx[index];
+    const plusDI = values.plusDI[index + this.window - 1];
+    const minusDI = values.minusDI[index + this.window - 1];
+
+    // Only trade a trend strong enough to clear the threshold, in the direction of the dominant DI
+    if (adx >= this.params.threshold && plusDI > minusDI) {
+      return 'buy';
+    }
+    if (adx >= this.params.threshold && minusDI > plusDI) {
+      return 'sell';
+    }
+    return 'hold';
+  }
+
+  getSignalStrength(index) {
+    if (!this.values.adx || index < 0 || index >= this.values.adx.length) {
+      return 0;
+    }
+    if (this.signals[index] === 'hold') {
+      return 0.5;
+    }
+    // ADX of 50 and above is an exceptionally strong trend
+    return Math.min(1.0, this.values.adx[index] / 50);
+  }
+}
+
+/**
+ * On-Balance Volume (OBV) Indicator
+ * Running total of volume, added on up days and subtracted on down days; signals when it
+ * crosses its own moving average
+ */
+class OBVIndicator extends TechnicalIndicator {
+  constructor(window = 20) {
+    super('OBV', window);
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    const obv = [0];
+    for (let i = 1; i < priceData.length; i++) {
+      const volume = priceData[i].volume || 0;
+      const change = priceData[i].close - priceData[i - 1].close;
+      obv.push(obv[i - 1] + (change > 0 ? volume : change < 0 ? -volume : 0));
+    }
+    return obv;
+  }
+
+  generateSignals(priceData, values) {
+    // OBV aligns with priceData; its moving average starts window - 1 bars in
+    this.average = values.length >= this.window ? calculateSMA(values, this.window) : [];
+    return super.generateSignals(priceData, values);
+  }
+
+  calculateSignal(priceData, values, index) {
+    const averageIndex = index - this.window + 1;
+    if (averageIndex < 1) return 'hold';
+
+    const current = values[index] - this.average[averageIndex];
+    const previous = values[index - 1] - this.average[averageIndex - 1];
+
+    // OBV crossing above its average = buying pressure
+    if (previous <= 0 && current > 0) {
+      return 'buy';
+    }
+    // OBV crossing below its average = selling pressure
+    if (previous >= 0 && current < 0) {
+      return 'sell';
+    }
+    return 'hold';
+  }
+
+  getSignalStrength(index) {
+    const averageIndex = index - this.window + 1;
+    if (index < 0 || index >= this.values.length || averageIndex < 0) {
+      return 0;
+    }
+    if (this.signals[index] === 'hold') {
+      return 0.5;
+    }
+    const average = this.average[averageIndex];
+    return Math.min(1.0, Math.abs(this.values[index] - average) / (Math.abs(average) || 1));
+  }
+}
+
+/**
+ * Volume-Weighted Average Price (VWAP) Indicator
+ * Rolling VWAP of the typical price over the window; price crossing it gives the signal
+ */
+class VWAPIndicator extends TechnicalIndicator {
+  constructor(window = 20) {
+    super('VWAP', window);
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    if (priceData.length < this.window) {
+      throw new Error(`Insufficient data: need at least ${this.window} data points`);
+    }
+
+    const vwap = [];
+    for (let i = this.window - 1; i < priceData.length; i++) {
+      const window = priceData.slice(i - this.window + 1, i + 1);
+      const volume = window.reduce((sum, bar) => sum + (bar.volume || 0), 0);
+      vwap.push(volume > 0
+        ? window.reduce((sum, bar) => sum + typicalPrice(bar) * (bar.volume || 0), 0) / volume
+        : calculateMean(window.map(typicalPrice)));
+    }
+    return vwap;
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (index < 1) return 'hold';
+
+    const currentPrice = priceData[index + this.window - 1].close;
+    const previousPrice = priceData[index + this.window - 2].close;
+
+    // Price crossing above VWAP = buy signal
+    if (previousPrice <= values[index - 1] && currentPrice > values[index]) {
+      return 'buy';
+    }
+    // Price crossing below VWAP = sell signal
+    if (previousPrice >= values[index - 1] && currentPrice < values[index]) {
+      return 'sell';
+    }
+    return 'hold';
+  }
+
+  getSignalStrength(index) {
+    if (index < 0 || index >= this.values.length || !this.priceData) {
+      return 0;
+    }
+    if (this.signals[index] === 'hold') {
+      return 0.5;
+    }
+    // A 2% break from VWAP is full strength
+    const price = this.priceData[index + this.window - 1].close;
+    return Math.min(1.0, Math.abs(price - this.values[index]) / this.values[index] / 0.02);
+  }
+
+  generateSignals(priceData, values) {
+    // Keep the bars for getSignalStrength, which only receives an index
+    this.priceData = priceData;
+    return super.generateSignals(priceData, values);
+  }
+}
+
+/**
+ * Commodity Channel Index (CCI) Indicator
+ * Distance of the typical price from its average, in units of mean absolute deviation
+ */
+class CCIIndicator extends TechnicalIndicator {
+  constructor(window = 20, overbought = 100, oversold = -100) {
+    super('CCI', window, { overbought, oversold });
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    if (priceData.length < this.window) {
+      throw new Error(`Insufficient data: need at least ${this.window} data points`);
+    }
+
+    const typical = priceData.map(typicalPrice);
+    const cci = [];
+    for (let i = this.window - 1; i < typical.length; i++) {
+      const window = typical.slice(i - this.window + 1, i + 1);
+      const mean = calculateMean(window);
+      const meanDeviation = calculateMean(window.map(tp => Math.abs(tp - mean)));
+      cci.push(meanDeviation === 0 ? 0 : (typical[i] - mean) / (0.015 * meanDeviation));
+    }
+    return cci;
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (index < 0 || index >= values.length) return 'hold';
+    return zoneSignal(values[index], this.params);
+  }
+
+  getSignalStrength(index) {
+    if (index < 0 || index >= this.values.length) {
+      return 0;
+    }
+    // CCI is unbounded; treat twice the level as full strength
+    const { overbought, oversold } = this.params;
+    return zoneStrength(this.values[index], this.params, 2 * oversold, 2 * overbought);
+  }
+}
+
+/**
+ * Williams %R Indicator
+ * Close relative to the window's high, from 0 (at the high) to -100 (at the low)
+ */
+class WilliamsRIndicator extends TechnicalIndicator {
+  constructor(window = 14, overbought = -20, oversold = -80) {
+    super('WILLIAMS_R', window, { overbought, oversold });
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    if (priceData.length < this.window) {
+      throw new Error(`Insufficient data: need at least ${this.window} data points`);
+    }
+
+    const values = [];
+    for (let i = this.window - 1; i < priceData.length; i++) {
+      const window = priceData.slice(i - this.window + 1, i + 1);
+      const highest = Math.max(...window.map(bar => bar.high ?? bar.close));
+      const lowest = Math.min(...window.map(bar => bar.low ?? bar.close));
+      values.push(highest === lowest ? -50 : -100 * (highest - priceData[i].close) / (highest - lowest));
+    }
+    return values;
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (index < 0 || index >= values.length) return 'hold';
+    return zoneSignal(values[index], this.params);
+  }
+
+  getSignalStrength(index) {
+    if (index < 0 || index >= this.values.length) {
+      return 0;
+    }
+    return zoneStrength(this.values[index], this.params, -100, 0);
+  }
+}
+
+/**
+ * Money Flow Index (MFI) Indicator
+ * Volume-weighted RSI of the typical price, on a 0-100 scale
+ */
+class MFIIndicator extends TechnicalIndicator {
+  constructor(window = 14, overbought = 80, oversold = 20) {
+    super('MFI', window, { overbought, oversold });
+  }
+
+  calculateValues(closes, priceData = closes.map(close => ({ close }))) {
+    if (priceData.length < this.window + 1) {
+      throw new Error(`Insufficient data: need at least ${this.window + 1} data points`);
+    }
+
+    const typical = priceData.map(typicalPrice);
+    const positive = [];
+    const negative = [];
+    for (let i = 1; i < typical.length; i++) {
+      const flow = typical[i] * (priceData[i].volume || 0);
+      positive.push(typical[i] > typical[i - 1] ? flow : 0);
+      negative.push(typical[i] < typical[i - 1] ? flow : 0);
+    }
+
+    // values[i] is the MFI on priceData[i + window]
+    const mfi = [];
+    for (let i = this.window - 1; i < positive.length; i++) {
+      const gained = positive.slice(i - this.window + 1, i + 1).reduce((sum, f) => sum + f, 0);
+      const lost = negative.slice(i - this.window + 1, i + 1).reduce((sum, f) => sum + f, 0);
+      if (lost === 0) {
+        mfi.push(gained === 0 ? 50 : 100);
+      } else {
+        mfi.push(100 - (100 / (1 + gained / lost)));
+      }
+    }
+    return mfi;
+  }
+
+  calculateSignal(priceData, values, index) {
+    if (index < 0 || index >= values.length) return 'hold';
+    return zoneSignal(values[index], this.params);
+  }
+
+  getSignalStrength(index) {
+    if (index < 0 || index >= this.values.length) {
+      return 0;
+    }
+    return zoneStrength(this.values[index], this.params, 0, 100);
+  }
+}
+
 /**
  * Indicator Service Factory
  */
@@ -408,6 +935,49 @@ class IndicatorService {
           params.multiplier || 2
         );
       
+      case 'ATR':
+        return new ATRIndicator(params.window || 14, params.multiplier || 1);
+
+      case 'STOCHASTIC':
+      case 'STOCH':
+        return new StochasticIndicator(
+          params.kPeriod || 14,
+          params.dPeriod || 3,
+          params.overbought || 80,
+          params.oversold || 20
+        );
+
+      case 'ADX':
+        return new ADXIndicator(params.window || 14, params.threshold || 25);
+
+      case 'OBV':
+        return new OBVIndicator(params.window || 20);
+
+      case 'VWAP':
+        return new VWAPIndicator(params.window || 20);
+
+      case 'CCI':
+        return new CCIIndicator(
+          params.window || 20,
+          params.overbought ?? 100,
+          params.oversold ?? -100
+        );
+
+      case 'WILLIAMS_R':
+      case 'WILLR':
+        return new WilliamsRIndicator(
+          params.window || 14,
+          params.overbought ?? -20,
+          params.oversold ?? -80
+        );
+
+      case 'MFI':
+        return new MFIIndicator(
+          params.window || 14,
+          params.overbought || 80,
+          params.oversold || 20
+        );
+      
       default:
         throw new Error(`Unknown indicator type: ${type}`);
     }
@@ -419,7 +989,15 @@ class IndicatorService {
       { type: 'EMA', name: 'Exponential Moving Average', defaultWindow: 12 },
       { type: 'RSI', name: 'Relative Strength Index', defaultWindow: 14 },
       { type: 'MACD', name: 'MACD', defaultWindow: 26 },
-      { type: 'BOLLINGER', name: 'Bollinger Bands', defaultWindow: 20 }
+      { type: 'BOLLINGER', name: 'Bollinger Bands', defaultWindow: 20 },
+      { type: 'ATR', name: 'Average True Range', defaultWindow: 14 },
+      { type: 'STOCHASTIC', name: 'Stochastic Oscillator', defaultWindow: 14 },
+      { type: 'ADX', name: 'Average Directional Index', defaultWindow: 14 },
+      { type: 'OBV', name: 'On-Balance Volume', defaultWindow: 20 },
+      { type: 'VWAP', name: 'Volume-Weighted Average Price', defaultWindow: 20 },
+      { type: 'CCI', name: 'Commodity Channel Index', defaultWindow: 20 },
+      { type: 'WILLIAMS_R', name: 'Williams %R', defaultWindow: 14 },
+      { type: 'MFI', name: 'Money Flow Index', defaultWindow: 14 }
     ];
   }
 
@@ -453,5 +1031,13 @@ module.exports = {
   EMAIndicator,
   RSIIndicator,
   MACDIndicator,
-  BollingerBandsIndicator
+  BollingerBandsIndicator,
+  ATRIndicator,
+  StochasticIndicator,
+  ADXIndicator,
+  OBVIndicator,
+  VWAPIndicator,
+  CCIIndicator,
+  WilliamsRIndicator,
+  MFIIndicator
 };
@@ -0,0 +1,414 @@
+/**
+ * MarginService.js
+ * Opt-in short selling with margin accounting for wallets
+ * Shorting credits the sale proceeds and holds them plus initial margin as collateral
+ * (in the wallet's reservedFunds). Shorts are marked to market against the latest bars;
+ * when account equity drops below the maintenance requirement the largest losing shorts
+ * are bought back until the account is back in good standing.
+ *
+ * Equity is cash balance minus short market value; long holdings are not counted toward margin.
+ */
+
+const WalletModel = require('../db/models/WalletModel');
+const TransactionModel = require('../db/models/TransactionModel');
+const TradingService = require('./TradingService');
+const { runInTransaction } = require('../db/transaction');
+const config = require('../../config/config');
+
+const DEFAULT_MARGIN = { initialMarginRate: 0.5, maintenanceMarginRate: 0.3 };
+
+class MarginService {
+  constructor() {
+    this.tradingService = new TradingService();
+    this.margin = { ...DEFAULT_MARGIN, ...(config.trading?.margin || {}) };
+  }
+
+  /**
+   * Update each short position's price, market value and unrealized P&L
+   * @param {Object} wallet - Wallet with shortPositions
+   * @param {Map<string, number>} prices - Ticker -> latest price; missing tickers keep their last mark
+   */
+  static markShortPositions(wallet, prices) {
+    for (const position of wallet.shortPositions) {
+      const price = prices.get(position.ticker);
+      if (price) {
+        position.currentPrice = price;
+      }
+      position.marketValue = position.quantity * position.currentPrice;
+      position.profitLoss = (position.averageCost - position.currentPrice) * position.quantity;
+    }
+  }
+
+  /**
+   * Margin figures from the wallet's last mark-to-market
+   * @param {Object} wallet - Wallet with balance and shortPositions
+   * @param {number} maintenanceMarginRate - Required equity as a fraction of short market value
+   * @returns {Object} { shortMarketValue, equity, maintenanceRequirement, excessEquity, marginCall }
+   */
+  static calculateMarginStatus(wallet, maintenanceMarginRate) {
+    const shortMarketValue = wallet.shortPositions.reduce((sum, p) => sum + p.marketValue, 0);
+    const equity = wallet.balance - shortMarketValue;
+    const maintenanceRequirement = shortMarketValue * maintenanceMarginRate;
+
+    return {
+      shortMarketValue,
+      equity,
+      maintenanceRequirement,
+      excessEquity: equity - maintenanceRequirement,
+      marginCall: shortMarketValue > 0 && equity < maintenanceRequirement
+    };
+  }
+
+  /**
+   * Turn short selling on or off for a wallet
+   * @param {string} userId - Wallet owner
+   * @param {boolean} enabled - New setting
+   * @returns {Promise<Object>} Margin status
+   */
+  async setMarginEnabled(userId, enabled) {
+    try {
+      const wallet = await this.tradingService.getOrCreateWallet(userId);
+      if (!enabled && wallet.shortPositions.length > 0) {
+        throw new Error('Cover all short positions before disabling margin');
+      }
+
+      wallet.marginEnabled = enabled;
+      await wallet.save();
+
+      return this.formatMarginStatus(wallet);
+    } catch (error) {
+      console.error('Error updating margin setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get margin status with shorts marked to the latest prices
+   * @param {string} userId - Wallet owner
+   * @returns {Promise<Object>} Margin status and short positions
+   */
+  async getMarginStatus(userId) {
+    try {
+      const wallet = await this.tradingService.getOrCreateWallet(userId);
+      if (wallet.shortPositions.length > 0) {
+        MarginService.markShortPositions(wallet, await this.loadLatestPrices(wallet));
+        await wallet.save();
+      }
+      return this.formatMarginStatus(wallet);
+    } catch (error) {
+      console.error('Error getting margin status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sell shares short
+   * @param {string} userId - Wallet owner
+   * @param {string|null} portfolioId - Portfolio the short belongs to (informational)
+   * @param {string} ticker - Stock ticker
+   * @param {number} quantity - Shares to borrow and sell
+   * @param {Object} options - { price, orderSource, notes }
+   * @returns {Promise<Object>} Transaction, position, wallet balances and margin status
+   */
+  async shortStock(userId, portfolioId, ticker, quantity, options = {}) {
+    try {
+      if (!userId || !ticker || !quantity || quantity <= 0) {
+        throw new Error('Invalid short order parameters');
+      }
+
+      // May call the market data API, so it runs before the transaction opens
+      const price = options.price || await this.tradingService.getCurrentPrice(ticker);
+      if (!price) {
+        throw new Error(`Unable to get current price for ${ticker}`);
+      }
+
+      return await runInTransaction(async () => {
+        const wallet = await this.tradingService.getOrCreateWallet(userId);
+        if (wallet.status !== 'active') {
+          throw new Error('Wallet is not active');
+        }
+        if (!wallet.marginEnabled) {
+          throw new Error('Margin trading is not enabled for this wallet');
+        }
+
+        const commission = options.commission || config.trading?.commission || 0;
+        const subtotal = quantity * price;
+        const proceeds = subtotal - commission;
+        const initialMargin = subtotal * this.margin.initialMarginRate;
+
+        // The full sale value is held back, so initial margin and commission come out of available cash
+        if (!wallet.hasAvailableFunds(initialMargin + commission)) {
+          throw new Error(
+            `Insufficient funds for margin. Required: $${(initialMargin + commission).toFixed(2)}, Available: $${wallet.availableBalance.toFixed(2)}`
+          );
+        }
+
+        const balanceBefore = wallet.balance;
+        const collateral = subtotal + initialMargin;
+        wallet.addFunds(proceeds);
+        wallet.reserveFunds(collateral);
+
+        let position = wallet.shortPositions.find(p => p.ticker === ticker);
+        if (position) {
+          const totalQuantity = position.quantity + quantity;
+          position.averageCost = (position.quantity * position.averageCost + subtotal) / totalQuantity;
+          position.quantity = totalQuantity;
+          position.collateral += collateral;
+        } else {
+          wallet.shortPositions.push({
+            ticker,
+            portfolioId: portfolioId || null,
+            quantity,
+            averageCost: price,
+            collateral
+          });
+          position = wallet.shortPositions[wallet.shortPositions.length - 1];
+        }
+        MarginService.markShortPositions(wallet, new Map([[ticker, price]]));
+        await wallet.save();
+
+        const transaction = await TransactionModel.createShortTransaction({
+          userId,
+          portfolioId: portfolioId || null,
+          ticker,
+          quantity,
+          price,
+          commission,
+          balanceBefore,
+          orderSource: options.orderSource || 'manual',
+          notes: options.notes || `Sold ${quantity} shares of ${ticker} short`
+        });
+
+        return {
+          success: true,
+          transaction: transaction.toObject(),
+          position: position.toObject ? position.toObject() : { ...position },
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          margin: MarginService.calculateMarginStatus(wallet, this.margin.maintenanceMarginRate),
+          message: `Successfully shorted ${quantity} shares of ${ticker} at $${price.toFixed(2)}`
+        };
+      });
+    } catch (error) {
+      console.error('Error shorting stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buy back shares to close (part of) a short position
+   * @param {string} userId - Wallet owner
+   * @param {string} ticker - Stock ticker
+   * @param {number} quantity - Shares to buy back
+   * @param {Object} options - { price, orderSource, notes }
+   * @returns {Promise<Object>} Transaction, wallet balances, realized P&L and margin status
+   */
+  async coverShort(userId, ticker, quantity, options = {}) {
+    try {
+      if (!userId || !ticker || !quantity || quantity <= 0) {
+        throw new Error('Invalid cover order parameters');
+      }
+
+      // May call the market data API, so it runs before the transaction opens
+      const price = options.price || await this.tradingService.getCurrentPrice(ticker);
+      if (!price) {
+        throw new Error(`Unable to get current price for ${ticker}`);
+      }
+
+      return await runInTransaction(async () => {
+        const wallet = await this.tradingService.getOrCreateWallet(userId);
+        const position = wallet.shortPositions.find(p => p.ticker === ticker);
+        if (!position || position.quantity < quantity) {
+          throw new Error(`Insufficient short position. You are short ${position?.quantity || 0} shares of ${ticker}`);
+        }
+
+        const transaction = await this.coverPosition(wallet, position, quantity, price, {
+          orderSource: options.orderSource || 'manual',
+          notes: options.notes || `Bought back ${quantity} shares of ${ticker} to cover short`
+        });
+        await wallet.save();
+
+        return {
+          success: true,
+          transaction: transaction.toObject(),
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          profitLoss: transaction.realizedProfitLoss,
+          margin: MarginService.calculateMarginStatus(wallet, this.margin.maintenanceMarginRate),
+          message: `Successfully covered ${quantity} shares of ${ticker} at $${price.toFixed(2)}`
+        };
+      });
+    } catch (error) {
+      console.error('Error covering short:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every wallet with open shorts to the latest bars and liquidate margin calls
+   * Called by DailyUpdateService after new price data is saved
+   * @returns {Promise<Object>} { checked, marginCalls }
+   */
+  async processMarginCalls() {
+    const wallets = await WalletModel.find({ 'shortPositions.0': { $exists: true } });
+    let marginCalls = 0;
+
+    for (const wallet of wallets) {
+      try {
+        const prices = await this.loadLatestPrices(wallet);
+        // Cover transactions and the wallet update commit together
+        const liquidations = await runInTransaction(async () => {
+          const current = await WalletModel.findById(wallet._id);
+          const covered = await this.enforceMargin(current, prices);
+          await current.save();
+          return covered;
+        });
+        if (liquidations.length > 0) {
+          marginCalls++;
+        }
+      } catch (error) {
+        console.error(`Failed to check margin for ${wallet.userId}:`, error.message);
+      }
+    }
+
+    if (marginCalls > 0) {
+      console.log(`⚠️ Liquidated shorts in ${marginCalls}/${wallets.length} wallet(s) on margin calls`);
+    }
+    return { checked: wallets.length, marginCalls };
+  }
+
+  /**
+   * Mark shorts to market and, on a margin call, cover the largest losing shorts
+   * until equity is back above the maintenance requirement. The wallet is not saved.
+   * @param {Object} wallet - Wallet document
+   * @param {Map<string, number>} prices - Ticker -> latest price
+   * @returns {Promise<Array>} Cover transactions made
+   */
+  async enforceMargin(wallet, prices) {
+    MarginService.markShortPositions(wallet, prices);
+
+    const liquidations = [];
+    let status = MarginService.calculateMarginStatus(wallet, this.margin.maintenanceMarginRate);
+    if (!status.marginCall) {
+      return liquidations;
+    }
+
+    wallet.marginCalls += 1;
+    wallet.lastMarginCallAt = new Date();
+
+    const byLoss = [...wallet.shortPositions].sort((a, b) => a.profitLoss - b.profitLoss);
+    for (const position of byLoss) {
+      if (!status.marginCall) {
+        break;
+      }
+
+      // Each share bought back frees its collateral; past that, cover only what free cash allows
+      const commission = config.trading?.commission || 0;
+      const shortfallPerShare = position.currentPrice - position.collateral / position.quantity;
+      const quantity = shortfallPerShare <= 0
+        ? position.quantity
+        : Math.min(position.quantity, Math.floor((wallet.availableBalance - commission) / shortfallPerShare));
+      if (quantity <= 0) {
+        continue;
+      }
+
+      try {
+        liquidations.push(await this.coverPosition(wallet, position, quantity, position.currentPrice, {
+          orderSource: 'margin-call',
+          notes: `Margin call: bought back ${quantity} shares of ${position.ticker}`
+        }));
+      } catch (error) {
+        console.error(`Margin call cover failed for ${position.ticker}:`, error.message);
+        continue;
+      }
+      status = MarginService.calculateMarginStatus(wallet, this.margin.maintenanceMarginRate);
+    }
+
+    return liquidations;
+  }
+
+  /**
+   * Release collateral, pay for the buy-back and record the cover; the wallet is not saved
+   * @returns {Promise<Object>} Cover transaction
+   */
+  async coverPosition(wallet, position, quantity, price, options) {
+    const commission = config.trading?.commission || 0;
+    const cost = quantity * price + commission;
+    const released = position.collateral * (quantity / position.quantity);
+
+    wallet.releaseFunds(released);
+    if (!wallet.hasAvailableFunds(cost)) {
+      wallet.reserveFunds(released);
+      throw new Error(
+        `Insufficient funds to cover. Required: $${cost.toFixed(2)}, Available: $${(wallet.availableBalance + released).toFixed(2)}`
+      );
+    }
+
+    const balanceBefore = wallet.balance;
+    wallet.deductFunds(cost);
+
+    const profitLoss = (position.averageCost - price) * quantity - commission;
+    wallet.updateProfitLoss(profitLoss, profitLoss > 0);
+
+    position.collateral -= released;
+    position.quantity -= quantity;
+    if (position.quantity <= 0) {
+      const index = wallet.shortPositions.findIndex(p => p.ticker === position.ticker);
+      wallet.shortPositions.splice(index, 1);
+    } else {
+      MarginService.markShortPositions(wallet, new Map([[position.ticker, price]]));
+    }
+
+    return TransactionModel.createCoverTransaction({
+      userId: wallet.userId,
+      portfolioId: position.portfolioId || null,
+      ticker: position.ticker,
+      quantity,
+      price,
+      commission,
+      balanceBefore,
+      costBasis: position.averageCost,
+      orderSource: options.orderSource,
+      notes: options.notes
+    });
+  }
+
+  /**
+   * Latest daily close for each shorted ticker
+   * @param {Object} wallet - Wallet with shortPositions
+   * @returns {Promise<Map<string, number>>} Ticker -> price
+   */
+  async loadLatestPrices(wallet) {
+    const prices = new Map();
+    for (const position of wallet.shortPositions) {
+      const latest = await this.tradingService.priceDataService.getLatestPrice(position.ticker);
+      if (latest && latest.close) {
+        prices.set(position.ticker, parseFloat(latest.close));
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * Margin response body
+   * @param {Object} wallet - Wallet document
+   * @returns {Object} Settings, figures and short positions
+   */
+  formatMarginStatus(wallet) {
+    return {
+      marginEnabled: wallet.marginEnabled,
+      initialMarginRate: this.margin.initialMarginRate,
+      maintenanceMarginRate: this.margin.maintenanceMarginRate,
+      ...MarginService.calculateMarginStatus(wallet, this.margin.maintenanceMarginRate),
+      marginCalls: wallet.marginCalls,
+      lastMarginCallAt: wallet.lastMarginCallAt,
+      shortPositions: wallet.shortPositions.map(p => (p.toObject ? p.toObject() : { ...p }))
+    };
+  }
+}
+
+module.exports = MarginService;
@@ -0,0 +1,225 @@
+/**
+ * MonteCarloService - Projects a portfolio's value over its investment horizon
+ * Daily returns of today's holdings (held at constant weights, cash earning nothing) are taken
+ * from stored closes, then thousands of paths are simulated to the horizon by resampling those
+ * days (bootstrap) or drawing from a normal distribution with their mean and volatility.
+ * Runs are seeded so the same request reproduces the same paths.
+ * Uses only database data, no external API calls
+ */
+
+const AllocationService = require('./AllocationService');
+const RiskService = require('./RiskService');
+const { calculateMean, calculateStdDev } = require('../utils/calculations');
+const config = require('../../config/config');
+
+const TRADING_DAYS = 252;
+const SIMULATION_METHODS = ['bootstrap', 'normal'];
+
+const DEFAULT_SETTINGS = {
+  method: 'bootstrap',
+  paths: 2000,
+  maxPaths: 10000,
+  lookbackBars: 756,
+  minBars: 120,
+  bandInterval: 21,
+  percentiles: [5, 10, 25, 50, 75, 90, 95]
+};
+
+class MonteCarloService {
+  constructor(settings = config.monteCarlo || {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.allocationService = new AllocationService();
+  }
+
+  /**
+   * Seeded uniform random numbers in [0, 1) (Park-Miller, as in OptimizationService.sample)
+   * @param {number} seed - Seed
+   * @returns {Function} Generator
+   */
+  static createRandom(seed) {
+    let state = (Math.abs(Math.floor(seed)) % 2147483646) + 1;
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return (state - 1) / 2147483646;
+    };
+  }
+
+  /**
+   * Value at a percentile of sorted values, interpolating between neighbours
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {number} p - Percentile, 0-100
+   * @returns {number} Value
+   */
+  static percentile(sorted, p) {
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Project a stored portfolio to its horizon
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} options - { horizon (years), paths, seed, method, targetValue, lookbackBars }
+   * @returns {Promise<Object>} Fan bands, final-value distribution, probability of loss and of reaching the target
+   */
+  async project(portfolioDoc, options = {}) {
+    try {
+      const holdings = RiskService.holdings(portfolioDoc).map(h => ({ ...h, ticker: h.ticker.toUpperCase() }));
+      if (holdings.length === 0) {
+        throw new Error('Portfolio has no positions to project');
+      }
+
+      const lookbackBars = options.lookbackBars || this.settings.lookbackBars;
+      const { dates, closes } = await this.allocationService.loadCloses(holdings.map(h => h.ticker), lookbackBars);
+      if (dates.length - 1 < this.settings.minBars) {
+        throw new Error(`Need at least ${this.settings.minBars} overlapping daily returns, found ${Math.max(0, dates.length - 1)}`);
+      }
+
+      const values = holdings.map(h => {
+        const series = closes.get(h.ticker);
+        return h.direction * h.quantity * series[series.length - 1];
+      });
+      const cash = portfolioDoc.cash || 0;
+      const startValue = cash + values.reduce((sum, v) => sum + v, 0);
+      if (startValue <= 0) {
+        throw new Error('Portfolio value must be positive to project');
+      }
+
+      const assetReturns = holdings.map(h => AllocationService.toReturns(closes.get(h.ticker)));
+      const dailyReturns = assetReturns[0].map((_, t) =>
+        values.reduce((sum, v, i) => sum + (v / startValue) * assetReturns[i][t], 0));
+
+      const result = this.simulate(dailyReturns, {
+        startValue,
+        horizon: options.horizon || portfolioDoc.horizon,
+        paths: options.paths,
+        seed: options.seed,
+        method: options.method,
+        targetValue: options.targetValue
+      });
+
+      return {
+        portfolioId: portfolioDoc.portfolioId,
+        lookbackBars,
+        startDate: dates[0],
+        endDate: dates[dates.length - 1],
+        ...result
+      };
+    } catch (error) {
+      console.error('Monte Carlo projection error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate paths from a series of historical daily returns
+   * @param {Array<number>} dailyReturns - Historical daily portfolio returns
+   * @param {Object} options - { startValue, horizon (years), paths, seed, method, targetValue }
+   * @returns {Object} { method, seed, paths, horizon, tradingDays, bands, final, probabilityOfLoss, target }
+   */
+  simulate(dailyReturns, options = {}) {
+    const method = options.method || this.settings.method;
+    const paths = Math.min(options.paths || this.settings.paths, this.settings.maxPaths);
+    // Unseeded runs pick a seed and report it, so any run can be repeated
+    const seed = options.seed ?? Math.floor(Math.random() * 2147483646);
+    const horizon = options.horizon;
+    const startValue = options.startValue;
+    const targetValue = options.targetValue ?? null;
+
+    if (!SIMULATION_METHODS.includes(method)) {
+      throw new Error(`Simulation method must be one of: ${SIMULATION_METHODS.join(', ')}`);
+    }
+    if (!(horizon > 0)) {
+      throw new Error('Horizon must be a positive number of years');
+    }
+
+    const tradingDays = Math.round(horizon * TRADING_DAYS);
+    const random = MonteCarloService.createRandom(seed);
+    const mean = calculateMean(dailyReturns);
+    const volatility = calculateStdDev(dailyReturns);
+
+    // Standard normal draws by Box-Muller
+    const normal = () => {
+      const u = 1 - random();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+    const draw = method === 'bootstrap'
+      ? () => dailyReturns[Math.floor(random() * dailyReturns.length)]
+      : () => mean + volatility * normal();
+
+    const checkpoints = [];
+    for (let day = this.settings.bandInterval; day < tradingDays; day += this.settings.bandInterval) {
+      checkpoints.push(day);
+    }
+    checkpoints.push(tradingDays);
+
+    const valuesAt = checkpoints.map(() => new Float64Array(paths));
+    let reachedTarget = 0;
+
+    for (let path = 0; path < paths; path++) {
+      let value = startValue;
+      let reached = targetValue !== null && value >= targetValue;
+      let next = 0;
+      for (let day = 1; day <= tradingDays; day++) {
+        value = Math.max(0, value * (1 + draw()));
+        if (!reached && targetValue !== null && value >= targetValue) {
+          reached = true;
+        }
+        if (day === checkpoints[next]) {
+          valuesAt[next][path] = value;
+          next++;
+        }
+      }
+      if (reached) {
+        reachedTarget++;
+      }
+    }
+
+    const describe = (values) => {
+      const sorted = Array.from(values).sort((a, b) => a - b);
+      return Object.fromEntries(this.settings.percentiles.map(p => [`p${p}`, MonteCarloService.percentile(sorted, p)]));
+    };
+
+    const finalValues = valuesAt[valuesAt.length - 1];
+    const losses = finalValues.reduce((count, v) => count + (v < startValue ? 1 : 0), 0);
+    const endedAbove = targetValue !== null
+      ? finalValues.reduce((count, v) => count + (v >= targetValue ? 1 : 0), 0)
+      : 0;
+
+    return {
+      method,
+      seed,
+      paths,
+      horizon,
+      tradingDays,
+      startValue,
+      historical: {
+        observations: dailyReturns.length,
+        meanDailyReturn: mean,
+        dailyVolatility: volatility,
+        annualizedReturn: mean * TRADING_DAYS,
+        annualizedVolatility: volatility * Math.sqrt(TRADING_DAYS)
+      },
+      bands: checkpoints.map((day, i) => ({
+        day,
+        years: day / TRADING_DAYS,
+        percentiles: describe(valuesAt[i])
+      })),
+      final: {
+        mean: calculateMean(Array.from(finalValues)),
+        percentiles: describe(finalValues)
+      },
+      probabilityOfLoss: losses / paths,
+      target: targetValue !== null
+        ? {
+          value: targetValue,
+          probabilityOfReaching: reachedTarget / paths, // Touched at any point before the horizon
+          probabilityAtHorizon: endedAbove / paths
+        }
+        : null
+    };
+  }
+}
+
+module.exports = MonteCarloService;
@@ -0,0 +1,467 @@
+/**
+ * OptimizationService - Walk-forward parameter optimization for strategies
+ * Searches indicator parameters (grid or random) on rolling in-sample windows
+ * with BacktestEngine, then validates each window's winner on the following
+ * out-of-sample window
+ * Uses only database data, no external API calls
+ */
+
+const BacktestEngine = require('./BacktestEngine');
+const StrategyService = require('./StrategyService');
+const Strategy = require('../models/Strategy');
+const config = require('../../config/config');
+
+// "SMA[1].window" -> strategy.indicators[1] (an SMA) params.window
+const PARAMETER_KEY_PATTERN = /^([A-Z_]+)\[(\d+)\]\.(\w+)$/;
+
+// Metrics that can be maximized; maxDrawdown is negative so larger is better too
+const OBJECTIVES = ['sharpeRatio', 'totalReturn', 'cagr', 'winRate', 'maxDrawdown'];
+
+// Largest grid expanded before random sampling
+const MAX_GRID_SIZE = 10000;
+
+class OptimizationService {
+  constructor() {
+    this.strategyService = new StrategyService();
+  }
+
+  /**
+   * Run a walk-forward optimization
+   * @param {Object} options - Optimization options
+   * @param {string} options.ticker - Stock ticker
+   * @param {Array} options.priceData - Daily OHLCV bars sorted by date
+   * @param {string} options.strategyKey - Backend strategy key
+   * @param {number} options.initialCapital - Starting capital per window
+   * @param {Object} [options.parameterSpace] - { "TYPE[index].param": [values] | { min, max, step } }
+   * @param {string} [options.method] - 'grid' (default) or 'random'
+   * @param {number} [options.samples] - Parameter sets drawn by random search
+   * @param {number} [options.seed] - Random search seed, for repeatable samples
+   * @param {string} [options.objective] - Metric to maximize (default sharpeRatio)
+   * @param {number} [options.inSampleBars] - Bars per in-sample window
+   * @param {number} [options.outOfSampleBars] - Bars per out-of-sample window
+   * @param {Object} [options.engineConfig] - Extra BacktestEngine config (costModel, positionSizer, exitRules)
+   * @returns {Promise<Object>} Parameter surface, chosen parameters and out-of-sample results
+   */
+  async optimize(options) {
+    try {
+      const settings = this.resolveSettings(options);
+      const baseStrategy = this.strategyService.getStrategy(options.strategyKey);
+      if (!baseStrategy) {
+        throw new Error(`Strategy not found: ${options.strategyKey}`);
+      }
+
+      const candidates = this.buildCandidates(baseStrategy, settings);
+      const folds = this.buildFolds(options.priceData.length, candidates, settings);
+
+      console.log(`\n🔧 Walk-forward optimization: ${options.ticker} ${options.strategyKey}`);
+      console.log(`   ${candidates.length} parameter sets × ${folds.length} windows (${settings.method} search, maximizing ${settings.objective})`);
+
+      const surface = candidates.map(candidate => ({
+        parameters: candidate.parameters,
+        inSampleScores: [],
+        timesSelected: 0
+      }));
+      const foldResults = [];
+
+      for (const [foldIndex, fold] of folds.entries()) {
+        let best = null;
+
+        for (const [candidateIndex, candidate] of candidates.entries()) {
+          const result = await this.runWindow(options, candidate, fold.inSampleStart, fold.inSampleEnd);
+          const score = result.metrics[settings.objective];
+          surface[candidateIndex].inSampleScores.push(score);
+
+          if (!best || score > best.score) {
+            best = { candidateIndex, score, metrics: result.metrics };
+          }
+        }
+
+        surface[best.candidateIndex].timesSelected++;
+        const chosen = candidates[best.candidateIndex];
+        const outOfSample = await this.runWindow(options, chosen, fold.outOfSampleStart, fold.outOfSampleEnd);
+
+        foldResults.push({
+          fold: foldIndex + 1,
+          inSample: this.getPeriod(options.priceData, fold.inSampleStart, fold.inSampleEnd),
+          outOfSample: this.getPeriod(options.priceData, fold.outOfSampleStart, fold.outOfSampleEnd),
+          parameters: chosen.parameters,
+          inSampleScore: best.score,
+          inSampleMetrics: this.summarizeMetrics(best.metrics),
+          outOfSampleMetrics: this.summarizeMetrics(outOfSample.metrics),
+          outOfSampleTrades: outOfSample.trades
+        });
+      }
+
+      const rankedSurface = surface
+        .map(point => ({
+          parameters: point.parameters,
+          meanInSampleScore: point.inSampleScores.reduce((sum, s) => sum + s, 0) / point.inSampleScores.length,
+          inSampleScores: point.inSampleScores,
+          timesSelected: point.timesSelected
+        }))
+        .sort((a, b) => b.meanInSampleScore - a.meanInSampleScore);
+
+      return {
+        ticker: options.ticker,
+        strategy: options.strategyKey,
+        method: settings.method,
+        objective: settings.objective,
+        parameterSpace: settings.parameterSpace,
+        combinationsTested: candidates.length,
+        windows: {
+          inSampleBars: settings.inSampleBars,
+          outOfSampleBars: settings.outOfSampleBars,
+          count: folds.length
+        },
+        chosenParameters: this.chooseParameters(rankedSurface),
+        outOfSample: this.aggregateOutOfSample(foldResults, settings.objective),
+        folds: foldResults.map(({ outOfSampleTrades, ...fold }) => fold),
+        surface: rankedSurface
+      };
+    } catch (error) {
+      console.error('Error running walk-forward optimization:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge request options with config.optimization defaults
+   * @param {Object} options - Optimization options
+   * @returns {Object} Settings
+   */
+  resolveSettings(options) {
+    const defaults = config.optimization;
+    const settings = {
+      method: options.method || 'grid',
+      objective: options.objective || defaults.objective,
+      samples: options.samples || defaults.randomSamples,
+      seed: options.seed ?? 1,
+      inSampleBars: options.inSampleBars || defaults.inSampleBars,
+      outOfSampleBars: options.outOfSampleBars || defaults.outOfSampleBars,
+      parameterSpace: options.parameterSpace || defaults.parameterSpaces[options.strategyKey]
+    };
+
+    if (!['grid', 'random'].includes(settings.method)) {
+      throw new Error(`Unknown search method: ${settings.method}. Use grid or random`);
+    }
+    if (!OBJECTIVES.includes(settings.objective)) {
+      throw new Error(`Unknown objective: ${settings.objective}. Use one of ${OBJECTIVES.join(', ')}`);
+    }
+    if (!settings.parameterSpace || Object.keys(settings.parameterSpace).length === 0) {
+      throw new Error(`No parameter space given and no default space for strategy ${options.strategyKey}`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Expand the parameter space into strategies to test
+   * Grid search keeps every valid combination; random search draws a seeded sample of them
+   * @param {Strategy} baseStrategy - Preset strategy
+   * @param {Object} settings - Resolved settings
+   * @returns {Array<Object>} [{ parameters, strategy }]
+   */
+  buildCandidates(baseStrategy, settings) {
+    const keys = Object.keys(settings.parameterSpace);
+    const valueLists = keys.map(key => {
+      this.parseParameterKey(key, baseStrategy);
+      return this.expandValues(key, settings.parameterSpace[key]);
+    });
+
+    const gridSize = valueLists.reduce((product, values) => product * values.length, 1);
+    if (gridSize > MAX_GRID_SIZE) {
+      throw new Error(`Parameter space has ${gridSize} combinations; at most ${MAX_GRID_SIZE} can be searched`);
+    }
+
+    let combinations = [{}];
+    for (const [i, key] of keys.entries()) {
+      combinations = combinations.flatMap(combination =>
+        valueLists[i].map(value => ({ ...combination, [key]: value })));
+    }
+
+    let candidates = combinations
+      .map(parameters => ({ parameters, strategy: this.applyParameters(baseStrategy, parameters) }))
+      .filter(candidate => this.isValidStrategy(candidate.strategy));
+
+    if (settings.method === 'random') {
+      candidates = this.sample(candidates, settings.samples, settings.seed);
+    }
+
+    if (candidates.length === 0) {
+      throw new Error('Parameter space has no valid combinations');
+    }
+    if (candidates.length > config.optimization.maxCombinations) {
+      throw new Error(`Parameter space has ${candidates.length} combinations; the limit is ${config.optimization.maxCombinations}. Narrow the space or use random search`);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Values to test for one parameter
+   * @param {string} key - Parameter key
+   * @param {Array<number>|Object} spec - List of values or { min, max, step }
+   * @returns {Array<number>} Values
+   */
+  expandValues(key, spec) {
+    if (Array.isArray(spec)) {
+      if (spec.length === 0 || !spec.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        throw new Error(`Parameter ${key} must list at least one number`);
+      }
+      return [...new Set(spec)];
+    }
+
+    const { min, max, step } = spec || {};
+    if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+      throw new Error(`Parameter ${key} range needs numeric min <= max and a positive step`);
+    }
+    if ((max - min) / step >= MAX_GRID_SIZE) {
+      throw new Error(`Parameter ${key} range has too many values; use a larger step`);
+    }
+
+    const values = [];
+    for (let value = min; value <= max + step * 1e-9; value += step) {
+      values.push(Number(value.toFixed(10)));
+    }
+    return values;
+  }
+
+  /**
+   * Split a parameter key and check it addresses the strategy's indicators
+   * @param {string} key - e.g. "SMA[1].window"
+   * @param {Strategy} strategy - Strategy the key refers to
+   * @returns {Object} { type, index, param }
+   */
+  parseParameterKey(key, strategy) {
+    const match = PARAMETER_KEY_PATTERN.exec(key);
+    if (!match) {
+      throw new Error(`Invalid parameter ${key}. Use TYPE[index].param, e.g. SMA[0].window`);
+    }
+
+    const [, type, index, param] = match;
+    const indicator = strategy.indicators[Number(index)];
+    if (!indicator || indicator.type !== type) {
+      const available = strategy.indicators.map((ind, i) => `${ind.type}[${i}]`).join(', ');
+      throw new Error(`Parameter ${key} does not match the strategy's indicators (${available})`);
+    }
+
+    return { type, index: Number(index), param };
+  }
+
+  /**
+   * Preset strategy with tuned parameters, e.g. chosenParameters from an optimization
+   * @param {string} strategyKey - Backend strategy key
+   * @param {Object} parameters - { "TYPE[index].param": value }
+   * @returns {Strategy} Strategy
+   */
+  buildStrategy(strategyKey, parameters) {
+    const baseStrategy = this.strategyService.getStrategy(strategyKey);
+    if (!baseStrategy) {
+      throw new Error(`Strategy not found: ${strategyKey}`);
+    }
+
+    const strategy = this.applyParameters(baseStrategy, parameters);
+    if (!this.isValidStrategy(strategy)) {
+      throw new Error('Parameters produce an invalid strategy (check MACD fast < slow and RSI oversold < overbought)');
+    }
+    return strategy;
+  }
+
+  /**
+   * Copy a strategy with some indicator parameters replaced
+   * Replaced indicators are marked tuned, which gives them their own vote in BacktestEngine
+   * @param {Strategy} baseStrategy - Strategy to copy
+   * @param {Object} parameters - { "TYPE[index].param": value }
+   * @returns {Strategy} New strategy
+   */
+  applyParameters(baseStrategy, parameters = {}) {
+    const indicators = baseStrategy.indicators.map(indicator => ({
+      type: indicator.type,
+      params: { ...indicator.params }
+    }));
+
+    for (const [key, value] of Object.entries(parameters)) {
+      const { index, param } = this.parseParameterKey(key, baseStrategy);
+      indicators[index].params[param] = value;
+      indicators[index].tuned = true;
+    }
+
+    return new Strategy(
+      baseStrategy.name,
+      indicators,
+      baseStrategy.entryRule,
+      baseStrategy.exitRule,
+      baseStrategy.rebalance_freq
+    );
+  }
+
+  /**
+   * Reject parameter sets that make an indicator meaningless
+   * @param {Strategy} strategy - Candidate strategy
+   * @returns {boolean} True if every indicator is well-formed
+   */
+  isValidStrategy(strategy) {
+    return strategy.indicators.every(({ type, params }) => {
+      if (type === 'MACD') {
+        return (params.fastPeriod || 12) < (params.slowPeriod || 26);
+      }
+      if (type === 'RSI') {
+        return (params.oversold || 30) < (params.overbought || 70);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Seeded sample without replacement
+   * @param {Array} items - Items to sample from
+   * @param {number} count - Sample size
+   * @param {number} seed - Seed
+   * @returns {Array} Sampled items, in their original order
+   */
+  sample(items, count, seed) {
+    let state = (Math.abs(Math.floor(seed)) % 2147483646) + 1;
+    const random = () => {
+      state = (state * 16807) % 2147483647;
+      return (state - 1) / 2147483646;
+    };
+
+    const indexes = items.map((_, i) => i);
+    for (let i = indexes.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+
+    return indexes.slice(0, count).sort((a, b) => a - b).map(i => items[i]);
+  }
+
+  /**
+   * Lay out rolling in-sample / out-of-sample windows
+   * The first window starts after the longest indicator warm-up so every
+   * candidate is scored on the same dates
+   * @param {number} barCount - Number of price bars
+   * @param {Array<Object>} candidates - Candidates (for warm-up lengths)
+   * @param {Object} settings - Resolved settings
+   * @returns {Array<Object>} [{ inSampleStart, inSampleEnd, outOfSampleStart, outOfSampleEnd }] (end exclusive)
+   */
+  buildFolds(barCount, candidates, settings) {
+    const warmup = Math.max(...candidates.map(candidate => this.getWarmup(candidate.strategy)));
+    const { inSampleBars, outOfSampleBars } = settings;
+    const folds = [];
+
+    for (let start = warmup; start + inSampleBars + outOfSampleBars <= barCount; start += outOfSampleBars) {
+      folds.push({
+        inSampleStart: start,
+        inSampleEnd: start + inSampleBars,
+        outOfSampleStart: start + inSampleBars,
+        outOfSampleEnd: start + inSampleBars + outOfSampleBars
+      });
+    }
+
+    if (folds.length === 0) {
+      throw new Error(`Not enough data for walk-forward: need at least ${warmup + inSampleBars + outOfSampleBars} bars, have ${barCount}`);
+    }
+
+    return folds;
+  }
+
+  /**
+   * Bars BacktestEngine needs before its first simulated day
+   * @param {Strategy} strategy - Strategy
+   * @returns {number} Warm-up bars
+   */
+  getWarmup(strategy) {
+    return BacktestEngine.getRequiredDataDays(strategy);
+  }
+
+  /**
+   * Backtest one candidate on bars [start, end), warming up on the bars before start
+   * @param {Object} options - Optimization options
+   * @param {Object} candidate - { strategy }
+   * @param {number} start - First simulated bar
+   * @param {number} end - Bar after the last simulated bar
+   * @returns {Promise<Object>} BacktestEngine results
+   */
+  async runWindow(options, candidate, start, end) {
+    const warmup = this.getWarmup(candidate.strategy);
+    const engine = new BacktestEngine({
+      ...(options.engineConfig || {}),
+      ticker: options.ticker,
+      priceData: options.priceData.slice(start - warmup, end),
+      strategyKey: options.strategyKey,
+      strategy: candidate.strategy,
+      initialCapital: options.initialCapital,
+      quiet: true
+    });
+    return engine.run();
+  }
+
+  /**
+   * First and last date of bars [start, end)
+   * @param {Array} priceData - Price bars
+   * @param {number} start - First bar
+   * @param {number} end - Bar after the last
+   * @returns {Object} { start, end }
+   */
+  getPeriod(priceData, start, end) {
+    return { start: priceData[start].date, end: priceData[end - 1].date };
+  }
+
+  /**
+   * Metrics reported per window
+   * @param {Object} metrics - BacktestEngine metrics
+   * @returns {Object} Summary
+   */
+  summarizeMetrics(metrics) {
+    return {
+      totalReturn: metrics.totalReturn,
+      cagr: metrics.cagr,
+      sharpeRatio: metrics.sharpeRatio,
+      maxDrawdown: metrics.maxDrawdown,
+      winRate: metrics.winRate,
+      totalTrades: metrics.totalTrades
+    };
+  }
+
+  /**
+   * Parameters to trade going forward: the set chosen in the most windows,
+   * ties broken by mean in-sample score
+   * @param {Array<Object>} rankedSurface - Surface sorted by mean in-sample score
+   * @returns {Object} Parameters
+   */
+  chooseParameters(rankedSurface) {
+    const mostSelected = rankedSurface.reduce((best, point) =>
+      (point.timesSelected > best.timesSelected ? point : best), rankedSurface[0]);
+    return mostSelected.parameters;
+  }
+
+  /**
+   * Combine the out-of-sample windows into one walk-forward result
+   * Returns compound across windows; walk-forward efficiency is the mean
+   * out-of-sample objective over the mean in-sample objective of the chosen sets
+   * (null when the in-sample mean is not positive, where the ratio means nothing)
+   * @param {Array<Object>} foldResults - Per-window results
+   * @param {string} objective - Objective metric
+   * @returns {Object} Aggregate out-of-sample metrics
+   */
+  aggregateOutOfSample(foldResults, objective) {
+    const growth = foldResults.reduce((product, fold) => product * (1 + fold.outOfSampleMetrics.totalReturn / 100), 1);
+    const closedTrades = foldResults.flatMap(fold => fold.outOfSampleTrades.filter(t => t.type === 'SELL'));
+    const winningTrades = closedTrades.filter(t => t.profitLoss > 0).length;
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    const meanInSample = mean(foldResults.map(fold => fold.inSampleScore));
+    const meanOutOfSample = mean(foldResults.map(fold => fold.outOfSampleMetrics[objective]));
+
+    return {
+      totalReturn: (growth - 1) * 100,
+      averageSharpeRatio: mean(foldResults.map(fold => fold.outOfSampleMetrics.sharpeRatio)),
+      maxDrawdown: Math.min(...foldResults.map(fold => fold.outOfSampleMetrics.maxDrawdown)),
+      totalTrades: closedTrades.length,
+      winRate: closedTrades.length > 0 ? (winningTrades / closedTrades.length) * 100 : 0,
+      walkForwardEfficiency: meanInSample > 0 ? meanOutOfSample / meanInSample : null
+    };
+  }
+}
+
+module.exports = OptimizationService;
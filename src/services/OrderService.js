@@ -0,0 +1,505 @@
+/**
+ * OrderService.js
+ * Resting limit, stop and stop-limit orders for the wallet
+ * Buy orders reserve cash when placed; the matcher fills orders whose price
+ * conditions were crossed by a new daily bar's high/low and books the fill
+ * through TradingService like a market order
+ */
+
+const OrderModel = require('../db/models/OrderModel');
+const TransactionModel = require('../db/models/TransactionModel');
+const PortfolioModel = require('../db/models/PortfolioModel');
+const { runInTransaction } = require('../db/transaction');
+const TradingService = require('./TradingService');
+const { roundShares } = require('../utils/calculations');
+const config = require('../../config/config');
+
+const ORDER_TYPES = ['limit', 'stop', 'stop-limit'];
+const ORDER_SIDES = ['buy', 'sell'];
+
+class OrderService {
+  constructor() {
+    this.tradingService = new TradingService();
+  }
+
+  /**
+   * Check a pending order against one daily bar
+   * Gaps fill at the open when it is better than (limit) or through (stop) the order price.
+   * A stop-limit triggered on this bar only fills here if the trigger price satisfies the limit;
+   * otherwise it rests as a limit order from the next bar on.
+   * @param {Object} order - { side, orderType, limitPrice, stopPrice, triggered }
+   * @param {Object} bar - { open, high, low }
+   * @returns {Object} { triggered, fillPrice } - fillPrice is null when the order does not fill
+   */
+  static matchBar(order, bar) {
+    const isBuy = order.side === 'buy';
+    const open = parseFloat(bar.open);
+    const high = parseFloat(bar.high);
+    const low = parseFloat(bar.low);
+
+    const limitFill = () => {
+      if (isBuy) {
+        return low <= order.limitPrice ? Math.min(open, order.limitPrice) : null;
+      }
+      return high >= order.limitPrice ? Math.max(open, order.limitPrice) : null;
+    };
+
+    if (order.orderType === 'limit') {
+      return { triggered: false, fillPrice: limitFill() };
+    }
+
+    if (order.orderType === 'stop-limit' && order.triggered) {
+      return { triggered: true, fillPrice: limitFill() };
+    }
+
+    const stopHit = isBuy ? high >= order.stopPrice : low <= order.stopPrice;
+    if (!stopHit) {
+      return { triggered: false, fillPrice: null };
+    }
+
+    const triggerPrice = isBuy ? Math.max(open, order.stopPrice) : Math.min(open, order.stopPrice);
+    if (order.orderType === 'stop') {
+      return { triggered: true, fillPrice: triggerPrice };
+    }
+
+    const withinLimit = isBuy ? triggerPrice <= order.limitPrice : triggerPrice >= order.limitPrice;
+    return { triggered: true, fillPrice: withinLimit ? triggerPrice : null };
+  }
+
+  /**
+   * Cash to reserve for a buy order: the worst price it can fill at on placement terms plus commission
+   * Stop orders can gap past their stop, so the fill re-checks funds after releasing this
+   * @param {Object} order - { side, orderType, quantity, limitPrice, stopPrice }
+   * @returns {number} Amount to hold in the wallet
+   */
+  static getReserveAmount(order) {
+    if (order.side !== 'buy') {
+      return 0;
+    }
+    return order.quantity * OrderService.getOrderPrice(order) + (config.trading?.commission || 0);
+  }
+
+  /**
+   * Price an order is sized against: its stop for stop orders, otherwise its limit
+   * @param {Object} order - { orderType, limitPrice, stopPrice }
+   * @returns {number} Order price
+   */
+  static getOrderPrice(order) {
+    return order.orderType === 'stop' ? order.stopPrice : order.limitPrice;
+  }
+
+  /**
+   * Place a resting order
+   * Pass quantity (fractional allowed) or, with quantity null, notional as a dollar amount;
+   * a notional order is sized into shares at its order price when placed
+   * @param {string} userId - Owner
+   * @param {Object} params - { ticker, side, orderType, quantity, notional, limitPrice, stopPrice, portfolioId }
+   * @returns {Promise<Object>} Saved order and wallet balances
+   */
+  async placeOrder(userId, params) {
+    try {
+      const order = {
+        userId,
+        portfolioId: params.portfolioId || null,
+        ticker: params.ticker.toUpperCase(),
+        side: params.side,
+        orderType: params.orderType,
+        quantity: params.quantity,
+        notional: params.notional || null,
+        limitPrice: params.limitPrice,
+        stopPrice: params.stopPrice
+      };
+      this.validateOrderPrices(order);
+      if (order.notional) {
+        order.quantity = this.tradingService.resolveQuantity(null, OrderService.getOrderPrice(order), order.notional);
+      }
+      this.validateQuantity(order.quantity);
+
+      if (order.side === 'sell') {
+        await this.checkSellableShares(order);
+      }
+
+      // Only bars after the latest one at placement can fill the order
+      const latestBar = await this.tradingService.priceDataService.getLatestPrice(order.ticker);
+      order.lastCheckedDate = latestBar?.date || new Date().toISOString().split('T')[0];
+      order.reservedAmount = OrderService.getReserveAmount(order);
+
+      // The cash reservation and the order are saved together
+      return await runInTransaction(async () => {
+        const wallet = await this.tradingService.getOrCreateWallet(userId);
+        if (wallet.status !== 'active') {
+          throw new Error('Wallet is not active');
+        }
+
+        if (order.reservedAmount > 0) {
+          if (!wallet.hasAvailableFunds(order.reservedAmount)) {
+            throw new Error(
+              `Insufficient funds. Required: $${order.reservedAmount.toFixed(2)}, Available: $${wallet.availableBalance.toFixed(2)}`
+            );
+          }
+          wallet.reserveFunds(order.reservedAmount);
+          await wallet.save();
+        }
+
+        const saved = await new OrderModel(order).save();
+
+        return {
+          success: true,
+          order: saved.toObject(),
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          message: `Placed ${order.orderType} ${order.side} order for ${order.quantity} shares of ${order.ticker}`
+        };
+      });
+    } catch (error) {
+      console.error('Error placing order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one order by id
+   * @param {string} orderId - Order id
+   * @returns {Promise<Object|null>} Order document
+   */
+  async getOrder(orderId) {
+    return OrderModel.findById(orderId);
+  }
+
+  /**
+   * List a user's orders, newest first
+   * @param {string} userId - Owner
+   * @param {Object} options - { status, ticker, limit, skip }
+   * @returns {Promise<Object>} Orders and count
+   */
+  async getOrders(userId, options = {}) {
+    try {
+      const query = { userId };
+      if (options.status) query.status = options.status;
+      if (options.ticker) query.ticker = options.ticker.toUpperCase();
+
+      const orders = await OrderModel.find(query)
+        .sort({ createdAt: -1 })
+        .limit(options.limit || 50)
+        .skip(options.skip || 0);
+
+      return {
+        orders: orders.map(o => o.toObject()),
+        count: orders.length
+      };
+    } catch (error) {
+      console.error('Error getting orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change quantity or prices of a pending order, re-sizing its cash reservation
+   * @param {Object} order - Pending order document
+   * @param {Object} changes - { quantity, limitPrice, stopPrice }
+   * @returns {Promise<Object>} Updated order and wallet balances
+   */
+  async modifyOrder(order, changes) {
+    try {
+      if (order.status !== 'pending') {
+        throw new Error(`Only pending orders can be modified; order is ${order.status}`);
+      }
+      if (order.triggered && changes.stopPrice !== undefined) {
+        throw new Error('Stop price cannot be changed after the order has triggered');
+      }
+
+      const updated = {
+        side: order.side,
+        orderType: order.orderType,
+        ticker: order.ticker,
+        portfolioId: order.portfolioId,
+        userId: order.userId,
+        quantity: changes.quantity ?? order.quantity,
+        limitPrice: changes.limitPrice ?? order.limitPrice,
+        stopPrice: changes.stopPrice ?? order.stopPrice
+      };
+      this.validateOrderPrices(updated);
+      this.validateQuantity(updated.quantity);
+
+      if (updated.side === 'sell' && updated.quantity > order.quantity) {
+        await this.checkSellableShares(updated, order._id);
+      }
+
+      const previousReserved = order.reservedAmount;
+      const reservedAmount = OrderService.getReserveAmount(updated);
+
+      // Re-sizing the reservation and updating the order commit together
+      return await runInTransaction(async () => {
+        const wallet = await this.tradingService.getOrCreateWallet(order.userId);
+        if (reservedAmount !== previousReserved) {
+          wallet.releaseFunds(previousReserved);
+          if (!wallet.hasAvailableFunds(reservedAmount)) {
+            throw new Error(
+              `Insufficient funds. Required: $${reservedAmount.toFixed(2)}, Available: $${wallet.availableBalance.toFixed(2)}`
+            );
+          }
+          wallet.reserveFunds(reservedAmount);
+          await wallet.save();
+        }
+
+        order.quantity = updated.quantity;
+        order.limitPrice = updated.limitPrice;
+        order.stopPrice = updated.stopPrice;
+        order.reservedAmount = reservedAmount;
+        await order.save();
+
+        return {
+          success: true,
+          order: order.toObject(),
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Error modifying order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending order and release its reserved cash
+   * @param {Object} order - Pending order document
+   * @returns {Promise<Object>} Cancelled order and wallet balances
+   */
+  async cancelOrder(order) {
+    try {
+      if (order.status !== 'pending') {
+        throw new Error(`Only pending orders can be cancelled; order is ${order.status}`);
+      }
+
+      const reservedAmount = order.reservedAmount;
+
+      return await runInTransaction(async () => {
+        order.reservedAmount = reservedAmount;
+        const wallet = await this.releaseReservation(order);
+        order.status = 'cancelled';
+        await order.save();
+
+        return {
+          success: true,
+          order: order.toObject(),
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Match every pending order against the bars ingested since it was last checked
+   * Called by DailyUpdateService after new price data is saved
+   * @returns {Promise<Object>} { checked, filled, rejected }
+   */
+  async processPendingOrders() {
+    const orders = await OrderModel.find({ status: 'pending' }).sort({ createdAt: 1 });
+    const today = new Date().toISOString().split('T')[0];
+    const barsByTicker = new Map();
+    const summary = { checked: orders.length, filled: 0, rejected: 0 };
+
+    for (const order of orders) {
+      try {
+        if (!barsByTicker.has(order.ticker)) {
+          const since = orders
+            .filter(o => o.ticker === order.ticker)
+            .reduce((min, o) => (o.lastCheckedDate < min ? o.lastCheckedDate : min), order.lastCheckedDate);
+          const bars = await this.tradingService.priceDataService.getFromDatabase(order.ticker, since, today);
+          barsByTicker.set(order.ticker, [...(bars || [])].sort((a, b) => a.date.localeCompare(b.date)));
+        }
+
+        const status = await this.matchOrder(order, barsByTicker.get(order.ticker));
+        if (status === 'filled') summary.filled++;
+        if (status === 'rejected') summary.rejected++;
+      } catch (error) {
+        console.error(`Failed to match order ${order._id}:`, error.message);
+      }
+    }
+
+    if (orders.length > 0) {
+      console.log(`📑 Matched ${orders.length} pending order(s): ${summary.filled} filled, ${summary.rejected} rejected`);
+    }
+    return summary;
+  }
+
+  /**
+   * Walk one order through bars newer than its lastCheckedDate until it fills
+   * @param {Object} order - Pending order document
+   * @param {Array} bars - Daily bars sorted by date
+   * @returns {Promise<string>} Order status afterwards
+   */
+  async matchOrder(order, bars) {
+    for (const bar of bars) {
+      if (bar.date <= order.lastCheckedDate) {
+        continue;
+      }
+
+      const { triggered, fillPrice } = OrderService.matchBar(order, bar);
+      order.triggered = triggered;
+      order.lastCheckedDate = bar.date;
+
+      if (fillPrice !== null) {
+        await this.fillOrder(order, fillPrice, bar.date);
+        return order.status;
+      }
+    }
+
+    await order.save();
+    return order.status;
+  }
+
+  /**
+   * Book a matched order as a completed buy/sell transaction
+   * Orders that can no longer be covered (cash or shares) are rejected instead
+   * @param {Object} order - Pending order document
+   * @param {number} fillPrice - Matched price
+   * @param {string} date - Bar date of the fill
+   */
+  async fillOrder(order, fillPrice, date) {
+    // Captured so a retried transaction releases the same reservation again
+    const reservedAmount = order.reservedAmount;
+
+    try {
+      await runInTransaction(async () => {
+        order.reservedAmount = reservedAmount;
+        await this.releaseReservation(order);
+        // Saved with the release so a failed fill can tell whether the release was rolled back
+        await order.save();
+
+        const trade = order.side === 'buy'
+          ? this.tradingService.buyStock.bind(this.tradingService)
+          : this.tradingService.sellStock.bind(this.tradingService);
+
+        if (order.side === 'sell' && !order.portfolioId) {
+          await this.checkSellableShares(order, order._id);
+        }
+
+        const result = await trade(order.userId, order.portfolioId, order.ticker, order.quantity, {
+          price: fillPrice,
+          executionType: order.orderType,
+          orderSource: 'manual',
+          notes: `Filled ${order.orderType} ${order.side} order for ${order.quantity} shares of ${order.ticker} on ${date}`
+        });
+
+        order.status = 'filled';
+        order.fillPrice = fillPrice;
+        order.filledDate = date;
+        order.transactionId = String(result.transaction._id);
+        await order.save();
+      });
+    } catch (error) {
+      // A transaction rolled the release back; without one (standalone server) it already persisted,
+      // so only release what the stored order still holds
+      const stored = await OrderModel.findById(order._id);
+      const stillReserved = stored ? stored.reservedAmount : reservedAmount;
+      await runInTransaction(async () => {
+        order.reservedAmount = stillReserved;
+        await this.releaseReservation(order);
+        order.status = 'rejected';
+        order.errorMessage = error.message;
+        await order.save();
+      });
+    }
+  }
+
+  /**
+   * Return an order's reserved cash to the wallet's available balance
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} Wallet document
+   */
+  async releaseReservation(order) {
+    const wallet = await this.tradingService.getOrCreateWallet(order.userId);
+    if (order.reservedAmount > 0) {
+      wallet.releaseFunds(order.reservedAmount);
+      await wallet.save();
+      order.reservedAmount = 0;
+    }
+    return wallet;
+  }
+
+  /**
+   * Validate side, type and the prices the order type needs
+   * @param {Object} order - Order fields
+   */
+  validateOrderPrices(order) {
+    if (!ORDER_SIDES.includes(order.side)) {
+      throw new Error(`side must be one of: ${ORDER_SIDES.join(', ')}`);
+    }
+    if (!ORDER_TYPES.includes(order.orderType)) {
+      throw new Error(`orderType must be one of: ${ORDER_TYPES.join(', ')}`);
+    }
+    if (['limit', 'stop-limit'].includes(order.orderType) && !(order.limitPrice > 0)) {
+      throw new Error(`limitPrice is required for ${order.orderType} orders`);
+    }
+    if (['stop', 'stop-limit'].includes(order.orderType) && !(order.stopPrice > 0)) {
+      throw new Error(`stopPrice is required for ${order.orderType} orders`);
+    }
+  }
+
+  /**
+   * Validate a share quantity against the configured fractional precision
+   * @param {number} quantity - Shares
+   */
+  validateQuantity(quantity) {
+    const precision = this.tradingService.quantityPrecision;
+    if (!(quantity > 0) || roundShares(quantity, precision) !== quantity) {
+      throw new Error(precision > 0
+        ? `Quantity must be a positive number with at most ${precision} decimal places`
+        : 'Quantity must be a positive integer');
+    }
+  }
+
+  /**
+   * Ensure the shares a sell order needs are held and not committed to other pending sells
+   * @param {Object} order - Sell order fields
+   * @param {string} [excludeOrderId] - Order to leave out of the committed count (when modifying/filling)
+   */
+  async checkSellableShares(order, excludeOrderId = null) {
+    let held = 0;
+    if (order.portfolioId) {
+      const portfolio = await PortfolioModel.findById(order.portfolioId);
+      if (!portfolio || portfolio.userId !== order.userId) {
+        throw new Error('Portfolio not found or unauthorized');
+      }
+      held = portfolio.positions.find(p => p.ticker === order.ticker)?.quantity || 0;
+    } else {
+      const trades = await TransactionModel.find({
+        userId: order.userId,
+        ticker: order.ticker,
+        type: { $in: ['buy', 'sell'] },
+        status: 'completed'
+      });
+      held = trades.reduce((sum, tx) => sum + (tx.type === 'buy' ? tx.quantity : -tx.quantity), 0);
+    }
+
+    const otherSells = await OrderModel.find({
+      userId: order.userId,
+      ticker: order.ticker,
+      side: 'sell',
+      status: 'pending',
+      portfolioId: order.portfolioId || null,
+      ...(excludeOrderId && { _id: { $ne: excludeOrderId } })
+    });
+    const committed = otherSells.reduce((sum, o) => sum + o.quantity, 0);
+
+    if (held - committed < order.quantity) {
+      throw new Error(
+        `Insufficient shares. You have ${held} shares of ${order.ticker}, ${committed} already in pending sell orders`
+      );
+    }
+  }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,487 @@
+/**
+ * PaperTradingService - Forward-tests a portfolio's strategy on live daily bars
+ * Starts, pauses and stops sessions, simulates fills on each new bar and
+ * keeps the session's equity curve and performance metrics up to date
+ */
+
+const DBService = require('../db/dbService');
+const StrategyService = require('./StrategyService');
+const PriceDataService = require('./PriceDataService');
+const { calculateMean, calculateStdDev, calculateMaxDrawdown } = require('../utils/calculations');
+const config = require('../../config/config');
+
+// Calendar days of history loaded so long-window indicators (SMA200) can warm up
+const HISTORY_LOOKBACK_DAYS = 400;
+
+class PaperTradingService {
+  constructor() {
+    this.strategyService = new StrategyService();
+    this.priceDataService = new PriceDataService();
+  }
+
+  /**
+   * Start (or resume) paper trading for a portfolio
+   * A paused session is resumed; a stopped session is replaced by a fresh one
+   * @param {string} portfolioId - Portfolio ID
+   * @param {Object} options - { initialCapital?: number, strategy?: string, userId?: string }
+   *   strategy may be a custom rule strategy ID owned by userId
+   * @returns {Promise<Object>} Session state
+   */
+  async startSession(portfolioId, options = {}) {
+    try {
+      const portfolio = await DBService.getPortfolio(portfolioId);
+      if (!portfolio) {
+        throw new Error('Portfolio not found');
+      }
+
+      const existing = await DBService.getPaperTradingSession(portfolioId);
+      if (existing && existing.status === 'active') {
+        throw new Error('Paper trading session is already active for this portfolio');
+      }
+
+      if (existing && existing.status === 'paused') {
+        // Catch up on bars missed while paused (marked to market only), then resume
+        const session = await this.processSession(existing);
+        session.status = 'active';
+        session.pausedAt = null;
+        session.lastUpdated = new Date();
+        await this.saveSession(session);
+        console.log(`▶️  Resumed paper trading for portfolio ${portfolioId}`);
+        return session;
+      }
+
+      const tickers = portfolio.getTickers();
+      if (tickers.length === 0) {
+        throw new Error('No tickers found in portfolio');
+      }
+
+      const strategyKey = await this.resolveStrategyKey(options.strategy, portfolio.horizon, tickers.length, options.userId);
+      const initialCapital = parseFloat(options.initialCapital) || config.trading.initialCapital;
+      if (initialCapital <= 0) {
+        throw new Error('Initial capital must be a positive number');
+      }
+
+      // Only bars that arrive after the session starts are traded
+      const priceDataMap = await this.loadPriceData(tickers);
+      if (priceDataMap.size === 0) {
+        throw new Error('No price data available for any ticker in this portfolio');
+      }
+      const startDate = this.getLatestDate(priceDataMap);
+
+      const session = {
+        portfolioId,
+        status: 'active',
+        strategy: strategyKey,
+        initialValue: initialCapital,
+        currentValue: initialCapital,
+        cash: initialCapital,
+        totalReturn: 0,
+        dailyReturn: 0,
+        positions: tickers.map(ticker => ({ ticker, shares: 0, avgCost: 0, lastPrice: 0 })),
+        paperTrades: [],
+        dailyValues: [{ date: startDate, value: initialCapital, cash: initialCapital }],
+        lastProcessedDate: startDate,
+        performance: {
+          currentValue: initialCapital,
+          totalReturn: 0,
+          dailyReturn: 0,
+          sharpeRatio: 0,
+          maxDrawdown: 0
+        },
+        startedAt: new Date(),
+        pausedAt: null,
+        stoppedAt: null,
+        lastUpdated: new Date()
+      };
+
+      await this.saveSession(session);
+      console.log(`🚀 Started paper trading for portfolio ${portfolioId} (${strategyKey}, $${initialCapital.toLocaleString()}, from ${startDate})`);
+
+      return session;
+    } catch (error) {
+      console.error('Error starting paper trading session:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause an active session - positions are kept and marked to market, but no new trades are made
+   * @param {string} portfolioId - Portfolio ID
+   * @returns {Promise<Object>} Session state
+   */
+  async pauseSession(portfolioId) {
+    try {
+      const existing = await DBService.getPaperTradingSession(portfolioId);
+      if (!existing) {
+        throw new Error('No paper trading session found for this portfolio');
+      }
+      if (existing.status !== 'active') {
+        throw new Error(`Cannot pause a ${existing.status} paper trading session`);
+      }
+
+      const session = await this.processSession(existing);
+      session.status = 'paused';
+      session.pausedAt = new Date();
+      session.lastUpdated = new Date();
+      await this.saveSession(session);
+
+      console.log(`⏸️  Paused paper trading for portfolio ${portfolioId}`);
+      return session;
+    } catch (error) {
+      console.error('Error pausing paper trading session:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a session - final bars are processed and the session is frozen
+   * @param {string} portfolioId - Portfolio ID
+   * @returns {Promise<Object>} Session state
+   */
+  async stopSession(portfolioId) {
+    try {
+      const existing = await DBService.getPaperTradingSession(portfolioId);
+      if (!existing) {
+        throw new Error('No paper trading session found for this portfolio');
+      }
+      if (existing.status === 'stopped') {
+        throw new Error('Paper trading session is already stopped');
+      }
+
+      const session = await this.processSession(existing);
+      session.status = 'stopped';
+      session.stoppedAt = new Date();
+      session.lastUpdated = new Date();
+      await this.saveSession(session);
+
+      console.log(`⏹️  Stopped paper trading for portfolio ${portfolioId}`);
+      return session;
+    } catch (error) {
+      console.error('Error stopping paper trading session:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current session for a portfolio, processing any bars not yet seen
+   * @param {string} portfolioId - Portfolio ID
+   * @returns {Promise<Object|null>} Session state or null if none exists
+   */
+  async getSession(portfolioId) {
+    const existing = await DBService.getPaperTradingSession(portfolioId);
+    if (!existing) {
+      return null;
+    }
+
+    if (existing.status === 'stopped') {
+      return existing;
+    }
+
+    const session = await this.processSession(existing);
+    await this.saveSession(session);
+    return session;
+  }
+
+  /**
+   * Process new bars for every active or paused session
+   * Called by DailyUpdateService after new price data is ingested
+   * @returns {Promise<number>} Number of sessions processed
+   */
+  async processAllSessions() {
+    const sessions = [
+      ...(await DBService.getPaperTradingSessionsByStatus('active')),
+      ...(await DBService.getPaperTradingSessionsByStatus('paused'))
+    ];
+
+    let processed = 0;
+    for (const existing of sessions) {
+      try {
+        const session = await this.processSession(existing);
+        await this.saveSession(session);
+        processed++;
+      } catch (error) {
+        console.error(`Failed to process paper trading session for ${existing.portfolioId}:`, error.message);
+      }
+    }
+
+    if (sessions.length > 0) {
+      console.log(`📄 Processed ${processed}/${sessions.length} paper trading session(s)`);
+    }
+    return processed;
+  }
+
+  /**
+   * Apply all daily bars newer than the session's lastProcessedDate
+   * Active sessions trade on each bar; paused sessions are only marked to market
+   * @param {Object} session - Session state
+   * @returns {Promise<Object>} Updated session state
+   */
+  async processSession(session) {
+    const tickers = (session.positions || []).map(p => p.ticker);
+    const priceDataMap = await this.loadPriceData(tickers);
+
+    const newDates = this.getNewBarDates(priceDataMap, session.lastProcessedDate);
+    if (newDates.length === 0) {
+      return session;
+    }
+
+    const strategy = await this.loadStrategy(session.strategy);
+    const trade = session.status === 'active' && !!strategy;
+
+    for (const date of newDates) {
+      this.applyBar(session, date, priceDataMap, strategy, trade);
+    }
+
+    this.updatePerformance(session);
+    session.lastUpdated = new Date();
+    return session;
+  }
+
+  /**
+   * Simulate a single daily bar: generate signals, fill at the close, mark to market
+   * @param {Object} session - Session state (mutated)
+   * @param {string} date - Bar date (YYYY-MM-DD)
+   * @param {Map<string, Array>} priceDataMap - Map of ticker -> sorted price data
+   * @param {Strategy|null} strategy - Strategy used for signals
+   * @param {boolean} trade - Whether fills are allowed on this bar
+   */
+  applyBar(session, date, priceDataMap, strategy, trade = true) {
+    const tickerCount = session.positions.length;
+
+    for (const position of session.positions) {
+      const data = priceDataMap.get(position.ticker);
+      if (!data) continue;
+
+      const barIndex = data.findIndex(point => point.date === date);
+      if (barIndex < 0) continue;
+
+      const price = data[barIndex].close;
+      position.lastPrice = price;
+
+      if (!trade) continue;
+
+      const signal = this.getSignal(strategy, position.ticker, data.slice(0, barIndex + 1));
+
+      if (signal === 'buy' && position.shares === 0) {
+        // Equal-weight sizing: each ticker may use up to 1/N of current equity
+        const allocation = Math.min(session.cash, session.currentValue / tickerCount);
+        const shares = Math.floor(allocation / price);
+        if (shares > 0) {
+          const value = shares * price;
+          session.cash -= value;
+          position.shares = shares;
+          position.avgCost = price;
+          session.paperTrades.push({
+            ticker: position.ticker,
+            side: 'buy',
+            shares,
+            price,
+            value,
+            profitLoss: null,
+            date,
+            reason: `${strategy.name} buy signal`,
+            timestamp: new Date()
+          });
+        }
+      } else if (signal === 'sell' && position.shares > 0) {
+        const shares = position.shares;
+        const value = shares * price;
+        const profitLoss = (price - position.avgCost) * shares;
+        session.cash += value;
+        position.shares = 0;
+        position.avgCost = 0;
+        session.paperTrades.push({
+          ticker: position.ticker,
+          side: 'sell',
+          shares,
+          price,
+          value,
+          profitLoss,
+          date,
+          reason: `${strategy.name} sell signal`,
+          timestamp: new Date()
+        });
+      }
+    }
+
+    // Mark to market at the close
+    const holdingsValue = session.positions.reduce((sum, p) => sum + (p.shares * p.lastPrice), 0);
+    session.currentValue = session.cash + holdingsValue;
+    session.dailyValues.push({ date, value: session.currentValue, cash: session.cash });
+    session.lastProcessedDate = date;
+  }
+
+  /**
+   * Get the strategy's signal for one ticker from its history up to the current bar
+   * @param {Strategy} strategy - Strategy
+   * @param {string} ticker - Stock ticker
+   * @param {Array} history - Price data up to and including the current bar
+   * @returns {string} 'buy', 'sell' or 'hold'
+   */
+  getSignal(strategy, ticker, history) {
+    try {
+      return strategy.calculateSignalForTicker(ticker, history).signal || 'hold';
+    } catch (error) {
+      console.warn(`Paper trading signal failed for ${ticker}:`, error.message);
+      return 'hold';
+    }
+  }
+
+  /**
+   * Recalculate return, Sharpe ratio and drawdown from the session's equity curve
+   * Returns are percentages, matching BacktestEngine metrics
+   * @param {Object} session - Session state (mutated)
+   */
+  updatePerformance(session) {
+    const values = session.dailyValues.map(d => d.value);
+    const latest = values[values.length - 1];
+    const previous = values.length > 1 ? values[values.length - 2] : latest;
+
+    const dailyReturns = [];
+    for (let i = 1; i < values.length; i++) {
+      if (values[i - 1] > 0) {
+        dailyReturns.push((values[i] - values[i - 1]) / values[i - 1]);
+      }
+    }
+
+    // Annualized Sharpe (risk-free rate of 0, 252 trading days)
+    const stdDev = calculateStdDev(dailyReturns);
+    const sharpeRatio = stdDev > 0 ? (calculateMean(dailyReturns) / stdDev) * Math.sqrt(252) : 0;
+    const { maxDrawdown } = calculateMaxDrawdown(values);
+
+    session.currentValue = latest;
+    session.totalReturn = ((latest - session.initialValue) / session.initialValue) * 100;
+    session.dailyReturn = previous > 0 ? ((latest - previous) / previous) * 100 : 0;
+    session.performance = {
+      currentValue: session.currentValue,
+      totalReturn: session.totalReturn,
+      dailyReturn: session.dailyReturn,
+      sharpeRatio,
+      maxDrawdown: -maxDrawdown * 100
+    };
+  }
+
+  /**
+   * Load recent daily price data for tickers
+   * @param {Array<string>} tickers - Tickers
+   * @returns {Promise<Map<string, Array>>} Map of ticker -> price data sorted by date
+   */
+  async loadPriceData(tickers) {
+    const today = new Date();
+    const endDate = today.toISOString().split('T')[0];
+    const start = new Date(today);
+    start.setDate(start.getDate() - HISTORY_LOOKBACK_DAYS);
+    const startDate = start.toISOString().split('T')[0];
+
+    const priceDataMap = new Map();
+    const results = await Promise.all(tickers.map(async (ticker) => {
+      try {
+        const data = await this.priceDataService.getPriceData(ticker, startDate, endDate, 'daily');
+        return { ticker, data };
+      } catch (error) {
+        console.warn(`Failed to load price data for ${ticker}:`, error.message);
+        return { ticker, data: null };
+      }
+    }));
+
+    for (const { ticker, data } of results) {
+      if (data && data.length > 0) {
+        const sorted = [...data].sort((a, b) => a.date.localeCompare(b.date));
+        priceDataMap.set(ticker, sorted);
+      }
+    }
+
+    return priceDataMap;
+  }
+
+  /**
+   * Get sorted, de-duplicated bar dates after a given date
+   * @param {Map<string, Array>} priceDataMap - Map of ticker -> price data
+   * @param {string|null} afterDate - Exclusive lower bound (YYYY-MM-DD)
+   * @returns {Array<string>} Dates in ascending order
+   */
+  getNewBarDates(priceDataMap, afterDate) {
+    const dates = new Set();
+    for (const data of priceDataMap.values()) {
+      for (const point of data) {
+        if (!afterDate || point.date > afterDate) {
+          dates.add(point.date);
+        }
+      }
+    }
+    return Array.from(dates).sort();
+  }
+
+  /**
+   * Get the most recent bar date across tickers
+   * @param {Map<string, Array>} priceDataMap - Map of ticker -> price data
+   * @returns {string|null} Latest date
+   */
+  getLatestDate(priceDataMap) {
+    let latest = null;
+    for (const data of priceDataMap.values()) {
+      const last = data[data.length - 1].date;
+      if (!latest || last > latest) {
+        latest = last;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Pick the strategy key: the requested one if registered (or the user's own
+   * custom rule strategy), else the recommendation for the horizon
+   * @param {string|undefined} requested - Requested strategy key
+   * @param {number} horizon - Portfolio horizon in years
+   * @param {number} portfolioSize - Number of tickers
+   * @param {string|null} userId - User starting the session, required for custom strategies
+   * @returns {Promise<string>} Strategy key
+   */
+  async resolveStrategyKey(requested, horizon, portfolioSize, userId = null) {
+    if (StrategyService.isCustomStrategyId(requested)) {
+      const definition = await DBService.getCustomStrategy(requested);
+      if (!definition || definition.userId !== userId) {
+        throw new Error(`Strategy not found: ${requested}`);
+      }
+      return requested;
+    }
+
+    if (requested) {
+      if (!this.strategyService.getStrategy(requested)) {
+        throw new Error(`Strategy not found: ${requested}`);
+      }
+      return requested;
+    }
+
+    return this.strategyService.recommendStrategy({
+      horizon,
+      riskTolerance: 'medium',
+      portfolioSize
+    }).strategy;
+  }
+
+  /**
+   * Strategy for a session: a preset, or a custom rule strategy loaded from the database
+   * @param {string} strategyKey - Session strategy key
+   * @returns {Promise<Strategy|null>} null if the strategy no longer exists
+   */
+  async loadStrategy(strategyKey) {
+    if (!StrategyService.isCustomStrategyId(strategyKey)) {
+      return this.strategyService.getStrategy(strategyKey);
+    }
+
+    const definition = await DBService.getCustomStrategy(strategyKey);
+    return definition ? this.strategyService.buildRuleStrategy(definition) : null;
+  }
+
+  /**
+   * Persist session state
+   * @param {Object} session - Session state
+   */
+  async saveSession(session) {
+    const { _id, __v, ...sessionData } = session;
+    await DBService.savePaperTradingSession(session.portfolioId, sessionData);
+  }
+}
+
+module.exports = PaperTradingService;
@@ -0,0 +1,497 @@
+/**
+ * PortfolioBacktestEngine - Multi-asset backtesting simulation
+ * Runs the strategy's signals on every ticker of a portfolio with a shared cash
+ * balance, target-weight allocation and periodic rebalancing
+ * Uses only database data, no external API calls
+ */
+
+const BacktestEngine = require('./BacktestEngine');
+
+// Rebalance only positions that drifted by more than this share of equity
+const REBALANCE_TOLERANCE = 0.01;
+
+class PortfolioBacktestEngine extends BacktestEngine {
+  /**
+   * Initialize portfolio backtest engine
+   * @param {Object} config - Backtest configuration
+   * @param {string} config.portfolioId - Saved or curated portfolio ID
+   * @param {Map<string, Array>|Object} config.priceDataMap - Ticker -> historical price data (OHLCV)
+   * @param {string} config.strategyKey - Strategy key (trend_following, mean_reversion, momentum, conservative)
+   * @param {Strategy} [config.strategy] - Strategy to use instead of the preset for strategyKey
+   * @param {number} config.initialCapital - Starting capital
+   * @param {Object} [config.weights] - Ticker -> target weight (defaults to equal weight)
+   * @param {string} [config.rebalanceFreq] - daily | weekly | monthly | quarterly (defaults to the strategy's)
+   * @param {Object} [config.benchmark] - Buy-and-hold benchmark { label, series: [{ date, close }] }
+   * @param {CostModel} [config.costModel] - Commission/slippage/spread model (defaults from config.backtest.costs)
+   */
+  constructor(config) {
+    super({
+      ticker: null,
+      priceData: [],
+      strategyKey: config.strategyKey,
+      strategy: config.strategy,
+      initialCapital: config.initialCapital,
+      benchmark: config.benchmark,
+      costModel: config.costModel
+    });
+
+    this.portfolioId = config.portfolioId;
+    this.priceDataMap = config.priceDataMap instanceof Map
+      ? config.priceDataMap
+      : new Map(Object.entries(config.priceDataMap || {}));
+    this.tickers = Array.from(this.priceDataMap.keys());
+    this.weights = this.normalizeWeights(config.weights);
+    this.rebalanceFreq = config.rebalanceFreq || this.strategy.rebalance_freq || 'monthly';
+
+    // Per-ticker state
+    this.positions = new Map(); // ticker -> { shares, avgCost, lastPrice }
+    this.invested = new Map(); // ticker -> true while the strategy is long
+    this.rebalanceCount = 0;
+  }
+
+  /**
+   * Normalize target weights over the portfolio tickers
+   * @param {Object} [weights] - Ticker -> raw weight
+   * @returns {Map<string, number>} Ticker -> weight summing to 1
+   */
+  normalizeWeights(weights) {
+    const raw = this.tickers.map(ticker => Math.max(0, (weights && weights[ticker]) || 0));
+    const total = raw.reduce((sum, w) => sum + w, 0);
+
+    const normalized = new Map();
+    this.tickers.forEach((ticker, i) => {
+      normalized.set(ticker, total > 0 ? raw[i] / total : 1 / this.tickers.length);
+    });
+    return normalized;
+  }
+
+  /**
+   * Run the portfolio backtest simulation
+   * @returns {Object} Backtest results with portfolio metrics, equity curve and trades
+   */
+  async run() {
+    console.log(`\n========== PORTFOLIO BACKTEST START ==========`);
+    console.log(`Portfolio: ${this.portfolioId}`);
+    console.log(`Tickers: ${this.tickers.join(', ')}`);
+    console.log(`Strategy: ${this.strategy.name} (${this.rebalanceFreq} rebalancing)`);
+    console.log(`Initial Capital: $${this.initialCapital.toLocaleString()}`);
+    console.log(`Required Data Days: ${this.requiredDataDays}`);
+
+    this.prepareData();
+
+    const calendar = this.buildCalendar();
+    const simulationStartIndex = this.findSimulationStartIndex(calendar);
+    console.log(`Date Range: ${calendar[simulationStartIndex]} to ${calendar[calendar.length - 1]}`);
+    console.log(`==============================================\n`);
+
+    let previousPeriod = null;
+    for (let i = simulationStartIndex; i < calendar.length; i++) {
+      const date = calendar[i];
+      const period = this.getRebalancePeriod(date);
+      const rebalance = previousPeriod !== null && period !== previousPeriod;
+      this.simulatePortfolioDay(date, rebalance);
+      previousPeriod = period;
+    }
+
+    // Close any open positions at the end
+    const lastDate = calendar[calendar.length - 1];
+    for (const ticker of this.tickers) {
+      const position = this.positions.get(ticker);
+      if (position.shares > 0) {
+        this.sellShares(ticker, lastDate, position.lastPrice, position.shares, 'End of backtest - closing position');
+      }
+    }
+
+    const metrics = this.calculateMetrics();
+
+    console.log(`\n========== PORTFOLIO BACKTEST COMPLETE ==========`);
+    console.log(`Final Portfolio Value: $${metrics.finalValue.toLocaleString()}`);
+    console.log(`Total Return: ${metrics.totalReturn.toFixed(2)}%`);
+    console.log(`Total Trades: ${metrics.totalTrades} (${this.rebalanceCount} rebalances)`);
+    console.log(`=================================================\n`);
+
+    return {
+      portfolioId: this.portfolioId,
+      tickers: this.tickers,
+      strategy: this.strategy.name,
+      rebalanceFreq: this.rebalanceFreq,
+      startDate: calendar[simulationStartIndex],
+      endDate: lastDate,
+      metrics,
+      equityCurve: this.buildEquityCurve(),
+      tickerSummary: this.buildTickerSummary(),
+      trades: this.trades,
+      ...this.compareToBenchmark(metrics)
+    };
+  }
+
+  /**
+   * Sort each ticker's data, drop tickers that cannot warm up and index bars by date
+   */
+  prepareData() {
+    this.barIndex = new Map();
+
+    for (const ticker of [...this.tickers]) {
+      const data = [...(this.priceDataMap.get(ticker) || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+      if (data.length <= this.requiredDataDays) {
+        console.warn(`Skipping ${ticker}: need more than ${this.requiredDataDays} data points, have ${data.length}`);
+        this.priceDataMap.delete(ticker);
+        continue;
+      }
+
+      this.priceDataMap.set(ticker, data);
+      this.barIndex.set(ticker, new Map(data.map((point, i) => [point.date, i])));
+      this.positions.set(ticker, { shares: 0, avgCost: 0, lastPrice: 0 });
+      this.invested.set(ticker, false);
+    }
+
+    if (this.priceDataMap.size === 0) {
+      throw new Error(`Insufficient data: no ticker has more than ${this.requiredDataDays} data points`);
+    }
+
+    if (this.priceDataMap.size < this.tickers.length) {
+      this.tickers = Array.from(this.priceDataMap.keys());
+      this.weights = this.normalizeWeights(Object.fromEntries(this.weights));
+    }
+  }
+
+  /**
+   * Union of all bar dates across tickers
+   * @returns {Array<string>} Sorted dates
+   */
+  buildCalendar() {
+    const dates = new Set();
+    for (const data of this.priceDataMap.values()) {
+      for (const point of data) {
+        dates.add(point.date);
+      }
+    }
+    return Array.from(dates).sort();
+  }
+
+  /**
+   * First calendar index at which every ticker has finished its indicator warm-up
+   * @param {Array<string>} calendar - Sorted dates
+   * @returns {number} Calendar index
+   */
+  findSimulationStartIndex(calendar) {
+    let warmUpDate = calendar[0];
+    for (const data of this.priceDataMap.values()) {
+      const date = data[this.requiredDataDays].date;
+      if (date > warmUpDate) {
+        warmUpDate = date;
+      }
+    }
+    return calendar.indexOf(warmUpDate);
+  }
+
+  /**
+   * Key identifying the rebalance period a date falls in
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} Period key; a change of key triggers a rebalance
+   */
+  getRebalancePeriod(date) {
+    const [year, month] = date.split('-').map(Number);
+
+    switch (this.rebalanceFreq) {
+      case 'daily':
+        return date;
+      case 'weekly': {
+        // Weeks start on Monday; key by the Monday's date
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+        return day.toISOString().split('T')[0];
+      }
+      case 'quarterly':
+        return `${year}-Q${Math.floor((month - 1) / 3) + 1}`;
+      case 'monthly':
+      default:
+        return `${year}-${month}`;
+    }
+  }
+
+  /**
+   * Simulate one calendar day across the portfolio
+   * Sells first to free cash, then rebalances, then opens new positions
+   * @param {string} date - Current date
+   * @param {boolean} rebalance - Whether this is the first day of a new rebalance period
+   */
+  simulatePortfolioDay(date, rebalance) {
+    const signals = new Map();
+
+    for (const ticker of this.tickers) {
+      const index = this.barIndex.get(ticker).get(date);
+      if (index === undefined) {
+        continue; // No bar for this ticker today; keep last price
+      }
+
+      const data = this.priceDataMap.get(ticker);
+      this.positions.get(ticker).lastPrice = data[index].close;
+      signals.set(ticker, this.getStrategySignal(data.slice(0, index + 1)));
+    }
+
+    for (const [ticker, signal] of signals) {
+      if (signal === 'sell' && this.invested.get(ticker)) {
+        this.invested.set(ticker, false);
+        const position = this.positions.get(ticker);
+        if (position.shares > 0) {
+          this.sellShares(ticker, date, position.lastPrice, position.shares, 'Strategy signal');
+        }
+      }
+    }
+
+    if (rebalance) {
+      this.rebalancePositions(date);
+    }
+
+    for (const [ticker, signal] of signals) {
+      if (signal === 'buy' && !this.invested.get(ticker)) {
+        this.invested.set(ticker, true);
+        const position = this.positions.get(ticker);
+        const target = this.weights.get(ticker) * this.getPortfolioValue();
+        const quantity = this.getAffordableQuantity(target, position.lastPrice, this.getBar(ticker, date));
+        this.buyShares(ticker, date, position.lastPrice, quantity, 'Strategy signal');
+      }
+    }
+
+    this.recordDailyValue(date);
+  }
+
+  /**
+   * Bring invested positions back to their target weights
+   * Overweight positions are trimmed before underweight ones are topped up
+   * @param {string} date - Current date
+   */
+  rebalancePositions(date) {
+    const portfolioValue = this.getPortfolioValue();
+    const adjustments = [];
+
+    for (const ticker of this.tickers) {
+      const position = this.positions.get(ticker);
+      if (!this.invested.get(ticker) || position.lastPrice <= 0) {
+        continue;
+      }
+
+      const targetValue = this.weights.get(ticker) * portfolioValue;
+      const drift = targetValue - position.shares * position.lastPrice;
+      if (Math.abs(drift) < REBALANCE_TOLERANCE * portfolioValue) {
+        continue;
+      }
+
+      adjustments.push({ ticker, position, shares: Math.trunc(drift / position.lastPrice) });
+    }
+
+    if (adjustments.length === 0) {
+      return;
+    }
+
+    this.rebalanceCount++;
+    for (const { ticker, position, shares } of adjustments.filter(a => a.shares < 0)) {
+      this.sellShares(ticker, date, position.lastPrice, -shares, 'Rebalance');
+    }
+    for (const { ticker, position, shares } of adjustments.filter(a => a.shares > 0)) {
+      const affordable = Math.min(shares, this.getAffordableQuantity(this.cash, position.lastPrice, this.getBar(ticker, date)));
+      this.buyShares(ticker, date, position.lastPrice, affordable, 'Rebalance');
+    }
+  }
+
+  /**
+   * Today's bar for a ticker, if it traded
+   * @param {string} ticker - Ticker
+   * @param {string} date - Date
+   * @returns {Object|null} OHLCV bar
+   */
+  getBar(ticker, date) {
+    const index = this.barIndex.get(ticker).get(date);
+    return index === undefined ? null : this.priceDataMap.get(ticker)[index];
+  }
+
+  /**
+   * Buy shares of a ticker through the cost model
+   * Commission is folded into the average cost
+   * @param {string} ticker - Ticker
+   * @param {string} date - Trade date
+   * @param {number} price - Signal price
+   * @param {number} quantity - Shares to buy
+   * @param {string} reason - Reason for buying
+   */
+  buyShares(ticker, date, price, quantity, reason) {
+    if (quantity <= 0) {
+      return;
+    }
+
+    const bar = this.getBar(ticker, date);
+    const fillPrice = this.costModel.getFillPrice('buy', price, quantity, bar);
+    const commission = this.costModel.getCommission(quantity, fillPrice);
+    const position = this.positions.get(ticker);
+    const tradeValue = quantity * fillPrice;
+
+    this.cash -= tradeValue + commission;
+    position.avgCost = (position.avgCost * position.shares + tradeValue + commission) / (position.shares + quantity);
+    position.shares += quantity;
+
+    this.trades.push({
+      date,
+      ticker,
+      type: 'BUY',
+      price: fillPrice,
+      marketPrice: price,
+      quantity,
+      value: tradeValue,
+      commission,
+      slippage: (fillPrice - price) * quantity,
+      reason
+    });
+  }
+
+  /**
+   * Sell shares of a ticker through the cost model, realizing P&L against the average cost
+   * @param {string} ticker - Ticker
+   * @param {string} date - Trade date
+   * @param {number} price - Signal price
+   * @param {number} quantity - Shares to sell
+   * @param {string} reason - Reason for selling
+   */
+  sellShares(ticker, date, price, quantity, reason) {
+    const position = this.positions.get(ticker);
+    const sharesToSell = Math.min(quantity, position.shares);
+    if (sharesToSell <= 0) {
+      return;
+    }
+
+    const bar = this.getBar(ticker, date);
+    const fillPrice = this.costModel.getFillPrice('sell', price, sharesToSell, bar);
+    const commission = this.costModel.getCommission(sharesToSell, fillPrice);
+    const tradeValue = sharesToSell * fillPrice;
+    const profitLoss = (fillPrice - position.avgCost) * sharesToSell - commission;
+
+    this.cash += tradeValue - commission;
+    position.shares -= sharesToSell;
+    if (position.shares === 0) {
+      position.avgCost = 0;
+    }
+
+    this.trades.push({
+      date,
+      ticker,
+      type: 'SELL',
+      price: fillPrice,
+      marketPrice: price,
+      quantity: sharesToSell,
+      value: tradeValue,
+      commission,
+      slippage: (price - fillPrice) * sharesToSell,
+      profitLoss,
+      reason
+    });
+  }
+
+  /**
+   * Current cash plus market value of all positions
+   * @returns {number} Portfolio value
+   */
+  getPortfolioValue() {
+    let value = this.cash;
+    for (const position of this.positions.values()) {
+      value += position.shares * position.lastPrice;
+    }
+    return value;
+  }
+
+  /**
+   * Record the end-of-day portfolio value
+   * @param {string} date - Current date
+   */
+  recordDailyValue(date) {
+    const holdings = {};
+    for (const [ticker, position] of this.positions) {
+      if (position.shares > 0) {
+        holdings[ticker] = position.shares;
+      }
+    }
+
+    this.dailyPortfolioValues.push({
+      date,
+      value: this.getPortfolioValue(),
+      cash: this.cash,
+      holdings
+    });
+  }
+
+  /**
+   * Per-ticker trade counts and realized P&L
+   * @returns {Array<Object>} Summary per ticker
+   */
+  buildTickerSummary() {
+    return this.tickers.map(ticker => {
+      const trades = this.trades.filter(t => t.ticker === ticker);
+      return {
+        ticker,
+        weight: this.weights.get(ticker),
+        trades: trades.length,
+        realizedProfitLoss: trades.reduce((sum, t) => sum + (t.profitLoss || 0), 0)
+      };
+    });
+  }
+
+  /**
+   * Calculate portfolio-level performance metrics
+   * @returns {Object} Performance metrics (percentages as in BacktestEngine)
+   */
+  calculateMetrics() {
+    const first = this.dailyPortfolioValues[0];
+    const last = this.dailyPortfolioValues[this.dailyPortfolioValues.length - 1];
+    const finalValue = last ? last.value : this.cash;
+    const totalReturn = (finalValue - this.initialCapital) / this.initialCapital;
+
+    const years = first && last
+      ? (new Date(last.date) - new Date(first.date)) / (365.25 * 24 * 60 * 60 * 1000)
+      : 0;
+    const cagr = years > 0 ? Math.pow(finalValue / this.initialCapital, 1 / years) - 1 : 0;
+
+    const sellTrades = this.trades.filter(t => t.type === 'SELL' && t.profitLoss !== undefined);
+    const totalTrades = sellTrades.length;
+    const profitableTrades = sellTrades.filter(t => t.profitLoss > 0).length;
+    const winRate = totalTrades > 0 ? profitableTrades / totalTrades : 0;
+    const totalProfitLoss = sellTrades.reduce((sum, t) => sum + (t.profitLoss || 0), 0);
+    const averageReturn = totalTrades > 0 ? totalProfitLoss / totalTrades / this.initialCapital : 0;
+
+    return {
+      totalReturn: totalReturn * 100,
+      cagr: cagr * 100,
+      sharpeRatio: this.calculateSharpeRatio(),
+      maxDrawdown: this.calculateMaxDrawdown() * 100,
+      volatility: this.calculateVolatility() * 100,
+      winRate: winRate * 100,
+      totalTrades,
+      profitableTrades,
+      averageReturn: averageReturn * 100,
+      ...this.calculateTradingCosts(),
+      rebalanceCount: this.rebalanceCount,
+      finalValue,
+      initialCapital: this.initialCapital
+    };
+  }
+
+  /**
+   * Annualized volatility of daily portfolio returns
+   * @returns {number} Volatility as a fraction
+   */
+  calculateVolatility() {
+    const values = this.dailyPortfolioValues.map(d => d.value);
+    if (values.length < 2) {
+      return 0;
+    }
+
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+      returns.push((values[i] - values[i - 1]) / values[i - 1]);
+    }
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+    return Math.sqrt(variance) * Math.sqrt(252);
+  }
+}
+
+module.exports = PortfolioBacktestEngine;
@@ -0,0 +1,321 @@
+/**
+ * PortfolioHistoryService.js
+ * End-of-day portfolio snapshots and the returns computed from them
+ * Snapshots value each portfolio's positions at the day's closes from PriceDataModel and
+ * record the net money moved into the portfolio that day (wallet buys and fees in, sales and
+ * dividends out). Time-weighted returns chain daily returns with those flows taken out;
+ * money-weighted returns are the internal rate of return of the same flows.
+ */
+
+const PortfolioModel = require('../db/models/PortfolioModel');
+const PortfolioSnapshotModel = require('../db/models/PortfolioSnapshotModel');
+const PriceDataModel = require('../db/models/PriceDataModel');
+const TransactionModel = require('../db/models/TransactionModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Direction each transaction type moves money relative to the portfolio: +1 into it, -1 out of it
+const FLOW_SIGNS = {
+  buy: 1,
+  fee: 1,
+  commission: 1,
+  deposit: 1,
+  sell: -1,
+  dividend: -1,
+  withdrawal: -1
+};
+
+class PortfolioHistoryService {
+  /**
+   * Date string for a time
+   * @param {Date} date - Time
+   * @returns {string} YYYY-MM-DD (UTC)
+   */
+  static toDateString(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  /**
+   * Midnight UTC at the start of the day after a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Date} Start of the next day
+   */
+  static nextDay(date) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + DAY_MS);
+  }
+
+  /**
+   * Snapshot every stored portfolio for a day
+   * Called by DailyUpdateService; re-running on the same day overwrites that day's snapshot,
+   * so the last run of the day leaves the end-of-day state
+   * @param {Date} asOf - Current time
+   * @returns {Promise<number>} Portfolios snapshotted
+   */
+  async takeSnapshots(asOf = new Date()) {
+    const date = PortfolioHistoryService.toDateString(asOf);
+    const closeCache = new Map();
+    let count = 0;
+
+    try {
+      const portfolios = await PortfolioModel.find({});
+      for (const portfolioDoc of portfolios) {
+        try {
+          await this.takeSnapshot(portfolioDoc, date, closeCache);
+          count++;
+        } catch (error) {
+          console.error(`Failed to snapshot portfolio ${portfolioDoc.portfolioId}:`, error.message);
+        }
+      }
+      if (count > 0) {
+        console.log(`📸 Saved ${date} snapshots for ${count} portfolio(s)`);
+      }
+    } catch (error) {
+      console.error('Error taking portfolio snapshots:', error.message);
+    }
+    return count;
+  }
+
+  /**
+   * Value a portfolio at a day's closes and save the snapshot
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {string} date - YYYY-MM-DD
+   * @param {Map} closeCache - Ticker -> price points, shared across a run
+   * @returns {Promise<Object>} Saved snapshot
+   */
+  async takeSnapshot(portfolioDoc, date, closeCache = new Map()) {
+    const held = portfolioDoc.positions
+      .map(p => ({ ticker: p.ticker, side: p.side, quantity: p.quantity || p.shares || 0 }))
+      .filter(p => p.quantity > 0);
+    const closes = await this.getCloses(held.map(p => p.ticker), date, closeCache);
+
+    const positions = [];
+    const missingPrices = [];
+    for (const position of held) {
+      const price = closes[position.ticker];
+      if (price === undefined) {
+        missingPrices.push(position.ticker);
+        continue;
+      }
+      const direction = position.side === 'short' ? -1 : 1;
+      positions.push({
+        ticker: position.ticker,
+        quantity: position.quantity,
+        price,
+        marketValue: direction * position.quantity * price
+      });
+    }
+
+    const previous = await PortfolioSnapshotModel.findOne({
+      portfolioId: portfolioDoc.portfolioId,
+      date: { $lt: date }
+    }).sort({ date: -1 });
+    const netFlow = await this.getNetFlow(portfolioDoc, previous ? previous.date : null, date);
+
+    const cash = portfolioDoc.cash || 0;
+    const positionsValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+
+    return PortfolioSnapshotModel.findOneAndUpdate(
+      { portfolioId: portfolioDoc.portfolioId, date },
+      {
+        userId: portfolioDoc.userId,
+        cash,
+        positionsValue,
+        totalValue: cash + positionsValue,
+        netFlow,
+        positions,
+        missingPrices
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Closes on or before a date
+   * @param {Array<string>} tickers - Tickers to price
+   * @param {string} date - YYYY-MM-DD
+   * @param {Map} closeCache - Ticker -> price points, filled from PriceDataModel as needed
+   * @returns {Promise<Object>} Ticker -> close; tickers without data are left out
+   */
+  async getCloses(tickers, date, closeCache = new Map()) {
+    const missing = tickers.filter(ticker => !closeCache.has(ticker));
+    if (missing.length > 0) {
+      const docs = await PriceDataModel.find({ ticker: { $in: missing }, interval: 'daily' });
+      for (const ticker of missing) {
+        const doc = docs.find(d => d.ticker === ticker);
+        closeCache.set(ticker, doc ? doc.data : []);
+      }
+    }
+
+    const closes = {};
+    for (const ticker of tickers) {
+      const points = closeCache.get(ticker).filter(point => point.date <= date);
+      if (points.length > 0) {
+        closes[ticker] = points[points.length - 1].close;
+      }
+    }
+    return closes;
+  }
+
+  /**
+   * Net money moved into a portfolio between two snapshot days
+   * Wallet trades record the portfolio's _id; the portfolioId string is matched too
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {string|null} afterDate - Previous snapshot day (exclusive), or null for all earlier flows
+   * @param {string} throughDate - Snapshot day (inclusive)
+   * @returns {Promise<number>} Inflows minus outflows in dollars
+   */
+  async getNetFlow(portfolioDoc, afterDate, throughDate) {
+    const createdAt = { $lt: PortfolioHistoryService.nextDay(throughDate) };
+    if (afterDate) {
+      createdAt.$gte = PortfolioHistoryService.nextDay(afterDate);
+    }
+
+    const transactions = await TransactionModel.find({
+      portfolioId: { $in: [portfolioDoc._id.toString(), portfolioDoc.portfolioId] },
+      type: { $in: Object.keys(FLOW_SIGNS) },
+      status: 'completed',
+      createdAt
+    });
+
+    return transactions.reduce((sum, tx) => sum + FLOW_SIGNS[tx.type] * Math.abs(tx.total), 0);
+  }
+
+  /**
+   * Snapshots and returns over a date range
+   * @param {string} portfolioId - Portfolio ID
+   * @param {Object} options - { startDate, endDate } as YYYY-MM-DD
+   * @returns {Promise<Object>} Snapshots with daily and cumulative returns, and period returns
+   */
+  async getHistory(portfolioId, options = {}) {
+    const query = { portfolioId };
+    if (options.startDate || options.endDate) {
+      query.date = {};
+      if (options.startDate) query.date.$gte = options.startDate;
+      if (options.endDate) query.date.$lte = options.endDate;
+    }
+    const snapshots = await PortfolioSnapshotModel.find(query).sort({ date: 1 });
+
+    const series = PortfolioHistoryService.dailyReturns(snapshots);
+    return {
+      portfolioId,
+      startDate: snapshots.length > 0 ? snapshots[0].date : null,
+      endDate: snapshots.length > 0 ? snapshots[snapshots.length - 1].date : null,
+      returns: PortfolioHistoryService.summarize(snapshots, series),
+      snapshots: snapshots.map((snapshot, i) => ({
+        date: snapshot.date,
+        totalValue: snapshot.totalValue,
+        cash: snapshot.cash,
+        positionsValue: snapshot.positionsValue,
+        netFlow: snapshot.netFlow,
+        dailyReturn: series[i].dailyReturn,
+        cumulativeReturn: series[i].cumulativeReturn,
+        positions: snapshot.positions,
+        missingPrices: snapshot.missingPrices
+      }))
+    };
+  }
+
+  /**
+   * Daily returns with each day's flow taken out, chained into a cumulative time-weighted return
+   * Flows are treated as arriving by the close: r = (V_t - F_t) / V_(t-1) - 1. A day that starts
+   * from nothing measures against the money put in instead.
+   * @param {Array<Object>} snapshots - Snapshots sorted by date ({ totalValue, netFlow })
+   * @returns {Array<Object>} { dailyReturn, cumulativeReturn } per snapshot; the first is 0
+   */
+  static dailyReturns(snapshots) {
+    let growth = 1;
+    return snapshots.map((snapshot, i) => {
+      let dailyReturn = 0;
+      if (i > 0) {
+        const start = snapshots[i - 1].totalValue;
+        if (start > 0) {
+          dailyReturn = (snapshot.totalValue - snapshot.netFlow) / start - 1;
+        } else if (snapshot.netFlow > 0) {
+          dailyReturn = snapshot.totalValue / snapshot.netFlow - 1;
+        }
+      }
+      growth *= 1 + dailyReturn;
+      return { dailyReturn, cumulativeReturn: growth - 1 };
+    });
+  }
+
+  /**
+   * Money-weighted return: the annual rate at which the flows and ending value net to zero
+   * The starting value counts as money put in on the first day
+   * @param {Array<Object>} snapshots - Snapshots sorted by date ({ date, totalValue, netFlow })
+   * @returns {number|null} Annualized internal rate of return, or null when it has no solution
+   */
+  static moneyWeightedReturn(snapshots) {
+    if (snapshots.length < 2) {
+      return null;
+    }
+
+    const start = new Date(`${snapshots[0].date}T00:00:00Z`).getTime();
+    const last = snapshots[snapshots.length - 1];
+    const cashFlows = [{ years: 0, amount: -snapshots[0].totalValue }];
+    for (const snapshot of snapshots.slice(1)) {
+      if (snapshot.netFlow !== 0) {
+        const years = (new Date(`${snapshot.date}T00:00:00Z`).getTime() - start) / (365 * DAY_MS);
+        cashFlows.push({ years, amount: -snapshot.netFlow });
+      }
+    }
+    const endYears = (new Date(`${last.date}T00:00:00Z`).getTime() - start) / (365 * DAY_MS);
+    cashFlows.push({ years: endYears, amount: last.totalValue });
+
+    if (endYears <= 0) {
+      return null;
+    }
+
+    const npv = (rate) => cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.years), 0);
+    let low = -0.9999;
+    let high = 10;
+    if (npv(low) * npv(high) > 0) {
+      return null;
+    }
+
+    // NPV falls as the rate rises when money goes in first, so bisect on the sign change
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if ((npv(mid) > 0) === (npv(low) > 0)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Period returns over a set of snapshots
+   * Annualized figures are only given once the history spans a year
+   * @param {Array<Object>} snapshots - Snapshots sorted by date
+   * @param {Array<Object>} series - Result of dailyReturns
+   * @returns {Object} Time- and money-weighted returns with the start/end values and net flows
+   */
+  static summarize(snapshots, series) {
+    if (snapshots.length === 0) {
+      return null;
+    }
+
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    const days = (new Date(`${last.date}T00:00:00Z`) - new Date(`${first.date}T00:00:00Z`)) / DAY_MS;
+    const netFlows = snapshots.slice(1).reduce((sum, s) => sum + s.netFlow, 0);
+    const timeWeighted = series[series.length - 1].cumulativeReturn;
+    const irr = PortfolioHistoryService.moneyWeightedReturn(snapshots);
+
+    return {
+      days,
+      startValue: first.totalValue,
+      endValue: last.totalValue,
+      netFlows,
+      gain: last.totalValue - first.totalValue - netFlows,
+      timeWeightedReturn: timeWeighted,
+      timeWeightedAnnualized: days >= 365 ? Math.pow(1 + timeWeighted, 365 / days) - 1 : null,
+      moneyWeightedReturn: irr !== null ? Math.pow(1 + irr, days / 365) - 1 : null,
+      moneyWeightedAnnualized: days >= 365 ? irr : null
+    };
+  }
+}
+
+module.exports = PortfolioHistoryService;
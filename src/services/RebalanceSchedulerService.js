@@ -0,0 +1,398 @@
+/**
+ * RebalanceSchedulerService - Background service that rebalances portfolios on schedule
+ * Runs alongside DailyUpdateService. Each portfolio with auto-rebalancing enabled is
+ * rebalanced once per period of its frequency: the portfolio's own setting, else its
+ * curated config's rebalanceFrequency, else what its strategy recommends for the horizon.
+ * Target weights come from the strategy's current signals: tickers signalling 'sell'
+ * are moved to cash and the rest share the portfolio equally, as in portfolio backtests.
+ * Depending on the portfolio's setting the trades run right away or wait for the owner's approval.
+ */
+
+const PortfolioModel = require('../db/models/PortfolioModel');
+const RebalanceRunModel = require('../db/models/RebalanceRunModel');
+const RebalanceService = require('./RebalanceService');
+const StrategyService = require('./StrategyService');
+const PriceDataService = require('./PriceDataService');
+const { getAllCuratedPortfolios } = require('../../config/curatedPortfolios');
+const { isDBConnected } = require('../db/connection');
+
+class RebalanceSchedulerService {
+  constructor() {
+    this.rebalanceService = new RebalanceService();
+    this.strategyService = new StrategyService();
+    this.priceDataService = new PriceDataService();
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the scheduler
+   * Checks for due portfolios every hour
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Rebalance scheduler already running');
+      return;
+    }
+
+    if (!isDBConnected()) {
+      console.log('⚠️ Database not connected - rebalance scheduler not started');
+      return;
+    }
+
+    this.isRunning = true;
+    console.log('🚀 Starting rebalance scheduler...');
+
+    this.runScheduledRebalances();
+
+    this.checkInterval = setInterval(() => {
+      this.runScheduledRebalances();
+    }, 60 * 60 * 1000); // 1 hour
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+    console.log('Rebalance scheduler stopped');
+  }
+
+  /**
+   * Strategy driving a portfolio's target weights
+   * @param {Object} portfolioDoc - Portfolio document
+   * @returns {Object} { key, strategy }
+   */
+  resolveStrategy(portfolioDoc) {
+    const key = portfolioDoc.autoRebalance?.strategy;
+    if (key) {
+      const strategy = this.strategyService.getStrategy(key);
+      if (!strategy) {
+        throw new Error(`Unknown strategy: ${key}`);
+      }
+      return { key, strategy };
+    }
+
+    const recommendation = this.strategyService.recommendStrategy({
+      horizon: portfolioDoc.horizon,
+      riskTolerance: 'medium',
+      portfolioSize: portfolioDoc.securities.length
+    });
+    return { key: recommendation.strategy, strategy: recommendation.strategyObject };
+  }
+
+  /**
+   * How often a portfolio is rebalanced
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Strategy} strategy - Strategy driving the portfolio
+   * @returns {string} daily | weekly | monthly | quarterly
+   */
+  resolveFrequency(portfolioDoc, strategy) {
+    if (portfolioDoc.autoRebalance?.frequency) {
+      return portfolioDoc.autoRebalance.frequency;
+    }
+
+    if (portfolioDoc.curatedId) {
+      const curated = getAllCuratedPortfolios().find(p => p.id === portfolioDoc.curatedId);
+      if (curated?.rebalanceFrequency) {
+        return curated.rebalanceFrequency;
+      }
+    }
+
+    return strategy.recommend_frequency(portfolioDoc.horizon, portfolioDoc.securities.length);
+  }
+
+  /**
+   * Target weights from strategy signals
+   * Tickers signalling 'sell' get no weight; the others keep their base weight
+   * @param {Array<string>} tickers - Portfolio tickers
+   * @param {Map<string, Object>} signals - Ticker -> signal from Strategy.generate_signals
+   * @param {Object} [baseWeights] - Ticker -> weight from the portfolio's allocation (default equal weight)
+   * @returns {Object} Ticker -> weight; weights add up to less than 1 when cash is held
+   */
+  signalWeights(tickers, signals, baseWeights = null) {
+    const weights = {};
+    for (const ticker of tickers) {
+      const base = baseWeights ? (baseWeights[ticker] || 0) : 1 / tickers.length;
+      weights[ticker] = signals.get(ticker)?.signal === 'sell' ? 0 : base;
+    }
+    return weights;
+  }
+
+  /**
+   * Run a portfolio's strategy over the last year of prices and turn its signals into target weights
+   * Held tickers start from the portfolio's allocation method, or equal weight if it cannot be estimated
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Strategy} strategy - Strategy to run
+   * @returns {Promise<Object>} { targetWeights, signals: ticker -> signal }
+   */
+  async getTargetWeights(portfolioDoc, strategy) {
+    const tickers = RebalanceService.portfolioTickers(portfolioDoc);
+    const endDate = new Date();
+    const startDate = new Date(endDate);
+    startDate.setFullYear(startDate.getFullYear() - 1);
+
+    const priceDataMap = new Map();
+    for (const ticker of tickers) {
+      try {
+        const priceData = await this.priceDataService.getPriceData(
+          ticker,
+          startDate.toISOString().split('T')[0],
+          endDate.toISOString().split('T')[0],
+          'daily'
+        );
+        if (priceData && priceData.length > 0) {
+          priceDataMap.set(ticker, priceData);
+        }
+      } catch (error) {
+        console.warn(`Failed to fetch data for ${ticker}:`, error.message);
+      }
+    }
+
+    let baseWeights = null;
+    try {
+      ({ targetWeights: baseWeights } = await this.rebalanceService.resolveTargetWeights(portfolioDoc));
+    } catch (error) {
+      console.warn(`Allocation unavailable for ${portfolioDoc.portfolioId}, using equal weight:`, error.message);
+    }
+
+    const signals = strategy.generate_signals(priceDataMap);
+    return {
+      targetWeights: this.signalWeights(tickers, signals, baseWeights),
+      signals: Object.fromEntries(tickers.map(ticker => [ticker, signals.get(ticker)?.signal || 'hold']))
+    };
+  }
+
+  /**
+   * Rebalance every portfolio whose period has come due
+   * Portfolios with a run still waiting for approval are left until it is decided
+   * @param {Date} asOf - Current time
+   * @returns {Promise<Array<Object>>} Runs recorded
+   */
+  async runScheduledRebalances(asOf = new Date()) {
+    const runs = [];
+    try {
+      const portfolios = await PortfolioModel.find({ 'autoRebalance.enabled': true });
+
+      for (const portfolioDoc of portfolios) {
+        try {
+          const { key, strategy } = this.resolveStrategy(portfolioDoc);
+          const frequency = this.resolveFrequency(portfolioDoc, strategy);
+          const nextDate = RebalanceService.nextCalendarDate(portfolioDoc.lastRebalancedAt, frequency);
+          if (nextDate && nextDate > asOf) {
+            continue;
+          }
+
+          const pending = await RebalanceRunModel.exists({
+            portfolioId: portfolioDoc.portfolioId,
+            status: 'pending_approval'
+          });
+          if (pending) {
+            continue;
+          }
+
+          runs.push(await this.rebalancePortfolio(portfolioDoc, { key, strategy, frequency, asOf }));
+        } catch (error) {
+          console.error(`Scheduled rebalance of ${portfolioDoc.portfolioId} failed:`, error.message);
+        }
+      }
+
+      if (runs.length > 0) {
+        console.log(`⚖️  Recorded ${runs.length} scheduled rebalance run(s)`);
+      }
+    } catch (error) {
+      console.error('Error running scheduled rebalances:', error.message);
+    }
+    return runs;
+  }
+
+  /**
+   * Plan one portfolio's rebalance, then execute it or queue it for approval
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} context - { key, strategy, frequency, asOf }
+   * @returns {Promise<Object>} Recorded run
+   */
+  async rebalancePortfolio(portfolioDoc, { key, strategy, frequency, asOf }) {
+    const { targetWeights, signals } = await this.getTargetWeights(portfolioDoc, strategy);
+    const plan = await this.rebalanceService.preview(portfolioDoc, { mode: 'calendar', frequency, targetWeights, asOf });
+
+    const run = new RebalanceRunModel({
+      portfolioId: portfolioDoc.portfolioId,
+      userId: portfolioDoc.userId,
+      strategy: key,
+      frequency,
+      targetWeights,
+      signals,
+      totalValue: plan.totalValue,
+      maxDrift: plan.maxDrift,
+      trades: plan.trades,
+      estimatedCosts: plan.estimatedCosts
+    });
+
+    if (plan.trades.length === 0) {
+      run.status = 'skipped';
+      run.reason = 'Holdings already match the target weights';
+      await this.markRebalanced(portfolioDoc, asOf);
+    } else if (portfolioDoc.autoRebalance?.execution === 'auto') {
+      await this.executeRun(run, portfolioDoc, plan);
+    } else {
+      run.status = 'pending_approval';
+      run.reason = `${plan.trades.length} trade(s) waiting for approval`;
+    }
+
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Execute a run's trades and copy the outcome onto it
+   * A run where every trade failed still closes the period, so it isn't retried every hour
+   * @param {Object} run - Rebalance run document
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} plan - Result of RebalanceService.preview
+   */
+  async executeRun(run, portfolioDoc, plan) {
+    const result = await this.rebalanceService.execute(portfolioDoc, plan);
+    if (result.executed.length === 0) {
+      await this.markRebalanced(portfolioDoc, new Date());
+    }
+
+    run.trades = [
+      ...result.executed.map(t => ({ ...t, transactionId: t.transaction?._id?.toString() || null })),
+      ...result.failed
+    ];
+    run.executedAt = new Date();
+    run.status = result.failed.length === 0 ? 'executed' : (result.executed.length > 0 ? 'partial' : 'failed');
+    run.reason = `${result.executed.length} trade(s) executed, ${result.failed.length} failed`;
+  }
+
+  /**
+   * Start a portfolio's next calendar period without trading
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Date} asOf - Time of the run
+   */
+  async markRebalanced(portfolioDoc, asOf) {
+    await PortfolioModel.updateOne({ _id: portfolioDoc._id }, { $set: { lastRebalancedAt: asOf } });
+  }
+
+  /**
+   * Execute a run that was waiting for approval
+   * Trades are re-planned at current prices against the run's target weights
+   * @param {Object} run - Pending rebalance run document
+   * @param {Object} portfolioDoc - Portfolio document
+   * @returns {Promise<Object>} Updated run
+   */
+  async approveRun(run, portfolioDoc) {
+    const plan = await this.rebalanceService.preview(portfolioDoc, {
+      mode: 'calendar',
+      frequency: run.frequency,
+      targetWeights: run.targetWeights
+    });
+
+    run.decidedAt = new Date();
+    if (plan.trades.length === 0) {
+      run.status = 'skipped';
+      run.reason = 'Holdings already matched the target weights when approved';
+      await this.markRebalanced(portfolioDoc, run.decidedAt);
+    } else {
+      await this.executeRun(run, portfolioDoc, plan);
+    }
+
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Decline a run that was waiting for approval
+   * The portfolio is treated as rebalanced for this period so it isn't queued again right away
+   * @param {Object} run - Pending rebalance run document
+   * @param {Object} portfolioDoc - Portfolio document
+   * @returns {Promise<Object>} Updated run
+   */
+  async rejectRun(run, portfolioDoc) {
+    run.status = 'rejected';
+    run.decidedAt = new Date();
+    run.reason = 'Rejected by the portfolio owner';
+    await this.markRebalanced(portfolioDoc, run.decidedAt);
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Update a portfolio's auto-rebalance settings
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} settings - { enabled, execution, frequency, strategy }
+   * @returns {Promise<Object>} Saved settings with the frequency and strategy in effect
+   */
+  async updateSettings(portfolioDoc, settings) {
+    if (settings.strategy && !this.strategyService.getStrategy(settings.strategy)) {
+      throw new Error(`Unknown strategy: ${settings.strategy}`);
+    }
+
+    for (const field of ['enabled', 'execution', 'frequency', 'strategy']) {
+      if (settings[field] !== undefined) {
+        portfolioDoc.autoRebalance[field] = settings[field];
+      }
+    }
+    await portfolioDoc.save();
+
+    return this.describeSettings(portfolioDoc);
+  }
+
+  /**
+   * A portfolio's auto-rebalance settings with the frequency and strategy in effect
+   * @param {Object} portfolioDoc - Portfolio document
+   * @returns {Object} Settings
+   */
+  describeSettings(portfolioDoc) {
+    const { key, strategy } = this.resolveStrategy(portfolioDoc);
+    const frequency = this.resolveFrequency(portfolioDoc, strategy);
+
+    return {
+      portfolioId: portfolioDoc.portfolioId,
+      enabled: portfolioDoc.autoRebalance.enabled,
+      execution: portfolioDoc.autoRebalance.execution,
+      frequency,
+      strategy: key,
+      lastRebalancedAt: portfolioDoc.lastRebalancedAt || null,
+      nextRebalanceDate: RebalanceService.nextCalendarDate(portfolioDoc.lastRebalancedAt, frequency)
+    };
+  }
+
+  /**
+   * A portfolio's rebalance run history, newest first
+   * @param {string} portfolioId - Portfolio ID
+   * @param {Object} options - { status, limit, skip }
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async getRuns(portfolioId, { status, limit = 20, skip = 0 } = {}) {
+    const query = { portfolioId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [runs, total] = await Promise.all([
+      RebalanceRunModel.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      RebalanceRunModel.countDocuments(query)
+    ]);
+    return { runs, total };
+  }
+
+  /**
+   * Find a run by id
+   * @param {string} runId - Run id
+   * @returns {Promise<Object|null>} Run document
+   */
+  async getRun(runId) {
+    return RebalanceRunModel.findById(runId);
+  }
+}
+
+// Singleton instance
+const rebalanceSchedulerService = new RebalanceSchedulerService();
+
+module.exports = rebalanceSchedulerService;
@@ -0,0 +1,292 @@
+/**
+ * RebalanceService.js
+ * Previews and executes rebalancing of stored portfolios back to target weights
+ * Calendar mode rebalances once per frequency period; drift mode whenever a holding's
+ * weight moves outside the drift band. Trades settle against the owner's wallet through
+ * TradingService, so the rebalance works on the portfolio's holdings plus any extra cash
+ * the caller chooses to invest from the wallet.
+ */
+
+const PortfolioModel = require('../db/models/PortfolioModel');
+const Portfolio = require('../models/Portfolio');
+const Security = require('../models/Security');
+const TradingService = require('./TradingService');
+const AllocationService = require('./AllocationService');
+const config = require('../../config/config');
+
+const REBALANCE_MODES = ['calendar', 'drift'];
+const REBALANCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly'];
+const DEFAULT_SETTINGS = { mode: 'calendar', frequency: 'monthly', driftThreshold: 0.05, minTradeValue: 100 };
+
+class RebalanceService {
+  constructor(settings = config.trading?.rebalancing || {}) {
+    this.tradingService = new TradingService();
+    this.allocationService = new AllocationService();
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * When a calendar rebalance is next due
+   * @param {Date|null} lastRebalancedAt - Last rebalance, or null if never rebalanced
+   * @param {string} frequency - daily | weekly | monthly | quarterly
+   * @returns {Date|null} Due date; null means due now
+   */
+  static nextCalendarDate(lastRebalancedAt, frequency) {
+    if (!lastRebalancedAt) {
+      return null;
+    }
+
+    const next = new Date(lastRebalancedAt);
+    switch (frequency) {
+      case 'daily':
+        next.setUTCDate(next.getUTCDate() + 1);
+        break;
+      case 'weekly':
+        next.setUTCDate(next.getUTCDate() + 7);
+        break;
+      case 'quarterly':
+        next.setUTCMonth(next.getUTCMonth() + 3);
+        break;
+      default:
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+    return next;
+  }
+
+  /**
+   * The portfolio's securities and any other held tickers
+   * @param {Object} portfolioDoc - Portfolio document
+   * @returns {Array<string>} Tickers
+   */
+  static portfolioTickers(portfolioDoc) {
+    const tickers = new Set(portfolioDoc.securities.map(s => s.ticker));
+    for (const position of portfolioDoc.positions) {
+      if (position.quantity > 0) {
+        tickers.add(position.ticker);
+      }
+    }
+    return Array.from(tickers);
+  }
+
+  /**
+   * Equal weights across the portfolio's tickers
+   * @param {Object} portfolioDoc - Portfolio document
+   * @returns {Object} Ticker -> weight
+   */
+  static equalWeights(portfolioDoc) {
+    const tickers = RebalanceService.portfolioTickers(portfolioDoc);
+
+    const weights = {};
+    for (const ticker of tickers) {
+      weights[ticker] = 1 / tickers.length;
+    }
+    return weights;
+  }
+
+  /**
+   * Target weights for a rebalance: explicit weights first, then the requested or stored
+   * allocation method, then equal weight
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} options - { targetWeights, allocationMethod, maxWeight }
+   * @returns {Promise<Object>} { targetWeights, allocationMethod }
+   */
+  async resolveTargetWeights(portfolioDoc, options = {}) {
+    if (options.targetWeights) {
+      return { targetWeights: options.targetWeights, allocationMethod: null };
+    }
+
+    const method = options.allocationMethod || portfolioDoc.allocation?.method || 'equal_weight';
+    if (method === 'equal_weight') {
+      return { targetWeights: RebalanceService.equalWeights(portfolioDoc), allocationMethod: method };
+    }
+
+    const allocation = await this.allocationService.allocate(RebalanceService.portfolioTickers(portfolioDoc), {
+      method,
+      maxWeight: options.maxWeight ?? portfolioDoc.allocation?.maxWeight ?? undefined
+    });
+    return { targetWeights: allocation.weights, allocationMethod: method };
+  }
+
+  /**
+   * Build a Portfolio holding the document's positions and the given cash
+   * @param {Object} portfolioDoc - Portfolio document (quantity is the primary share field)
+   * @param {number} cash - Cash available to the rebalance
+   * @returns {Portfolio} Portfolio object
+   */
+  static toPortfolio(portfolioDoc, cash) {
+    const securities = portfolioDoc.securities.map(s =>
+      new Security(s.ticker, s.name, s.exchange, s.sector, s.inception_date));
+    const portfolio = new Portfolio(securities, portfolioDoc.horizon);
+    portfolio.cash = cash;
+
+    for (const posData of portfolioDoc.positions) {
+      const shares = posData.quantity || posData.shares || 0;
+      if (shares <= 0) {
+        continue;
+      }
+      if (!portfolio.getPosition(posData.ticker)) {
+        portfolio.addSecurity(new Security(posData.ticker));
+      }
+      const position = portfolio.getPosition(posData.ticker);
+      position.shares = shares;
+      position.avg_cost = posData.averageCost || posData.avg_cost || 0;
+    }
+    return portfolio;
+  }
+
+  /**
+   * Find a stored portfolio by its portfolioId
+   * @param {string} portfolioId - Portfolio ID
+   * @returns {Promise<Object|null>} Portfolio document
+   */
+  async getPortfolio(portfolioId) {
+    return PortfolioModel.findOne({ portfolioId });
+  }
+
+  /**
+   * Current prices for a set of tickers; tickers without a price are left out
+   * @param {Array<string>} tickers - Tickers to price
+   * @returns {Promise<Object>} Ticker -> price
+   */
+  async getPrices(tickers) {
+    const prices = {};
+    for (const ticker of tickers) {
+      try {
+        const price = await this.tradingService.getCurrentPrice(ticker);
+        if (price) {
+          prices[ticker] = price;
+        }
+      } catch (error) {
+        console.warn(`No price for ${ticker}: ${error.message}`);
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * Propose the trades that bring a portfolio back to its target weights
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} options - { mode, frequency, driftThreshold, minTradeValue, targetWeights,
+   *   allocationMethod, maxWeight, cash, asOf }
+   * @returns {Promise<Object>} Drift per ticker, proposed trades with estimated costs,
+   *   post-trade weights and whether a rebalance is due
+   */
+  async preview(portfolioDoc, options = {}) {
+    const mode = options.mode || this.settings.mode;
+    const frequency = options.frequency || this.settings.frequency;
+    const driftThreshold = options.driftThreshold ?? this.settings.driftThreshold;
+    const minTradeValue = options.minTradeValue ?? this.settings.minTradeValue;
+    const asOf = options.asOf || new Date();
+
+    if (!REBALANCE_MODES.includes(mode)) {
+      throw new Error(`Rebalance mode must be one of: ${REBALANCE_MODES.join(', ')}`);
+    }
+    if (!REBALANCE_FREQUENCIES.includes(frequency)) {
+      throw new Error(`Rebalance frequency must be one of: ${REBALANCE_FREQUENCIES.join(', ')}`);
+    }
+
+    const { targetWeights, allocationMethod } = await this.resolveTargetWeights(portfolioDoc, options);
+    const totalWeight = Object.values(targetWeights).reduce((sum, w) => sum + w, 0);
+    if (totalWeight > 1.0001) {
+      throw new Error(`Target weights add up to ${(totalWeight * 100).toFixed(2)}%, which is more than 100%`);
+    }
+
+    const portfolio = RebalanceService.toPortfolio(portfolioDoc, options.cash || 0);
+    const tickers = new Set([...Object.keys(targetWeights), ...portfolio.getTickers()]);
+    const prices = await this.getPrices([...tickers]);
+
+    // Calendar rebalances trade everything back to target; drift rebalances only what left the band
+    const plan = portfolio.planRebalance(targetWeights, prices, {
+      driftThreshold: mode === 'drift' ? driftThreshold : 0,
+      minTradeValue
+    });
+
+    let due;
+    let reason;
+    let nextRebalanceDate = null;
+    if (mode === 'calendar') {
+      nextRebalanceDate = RebalanceService.nextCalendarDate(portfolioDoc.lastRebalancedAt, frequency);
+      due = !nextRebalanceDate || nextRebalanceDate <= asOf;
+      reason = due
+        ? `Calendar rebalance due (${frequency})`
+        : `Next ${frequency} rebalance is due on ${nextRebalanceDate.toISOString().split('T')[0]}`;
+    } else {
+      due = plan.maxDrift > driftThreshold;
+      reason = due
+        ? `Drift of ${(plan.maxDrift * 100).toFixed(2)}% is outside the ${(driftThreshold * 100).toFixed(2)}% band`
+        : `All holdings are within the ${(driftThreshold * 100).toFixed(2)}% drift band`;
+    }
+
+    const trades = plan.trades.map(trade => {
+      const commission = config.trading?.commission || 0;
+      const fee = this.tradingService.feeService.calculateTradeFee(trade.value);
+      return { ...trade, estimatedCost: commission + fee };
+    });
+
+    return {
+      portfolioId: portfolioDoc.portfolioId,
+      mode,
+      frequency: mode === 'calendar' ? frequency : null,
+      driftThreshold: mode === 'drift' ? driftThreshold : null,
+      allocationMethod,
+      due,
+      reason,
+      lastRebalancedAt: portfolioDoc.lastRebalancedAt || null,
+      nextRebalanceDate,
+      totalValue: plan.totalValue,
+      cash: plan.cash,
+      maxDrift: plan.maxDrift,
+      drift: plan.drift,
+      trades,
+      estimatedCosts: trades.reduce((sum, t) => sum + t.estimatedCost, 0),
+      postTradeWeights: plan.postTradeWeights,
+      missingPrices: [...tickers].filter(ticker => !prices[ticker]),
+      asOf
+    };
+  }
+
+  /**
+   * Execute a previewed rebalance through TradingService
+   * Sells run first so their proceeds fund the buys; a trade that fails is reported
+   * and the rest still run, since each trade commits on its own
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} plan - Result of preview()
+   * @returns {Promise<Object>} { executed, failed, lastRebalancedAt }
+   */
+  async execute(portfolioDoc, plan) {
+    const executed = [];
+    const failed = [];
+    const ordered = [...plan.trades.filter(t => t.side === 'sell'), ...plan.trades.filter(t => t.side === 'buy')];
+
+    for (const trade of ordered) {
+      const execute = trade.side === 'buy'
+        ? this.tradingService.buyStock.bind(this.tradingService)
+        : this.tradingService.sellStock.bind(this.tradingService);
+      try {
+        const result = await execute(portfolioDoc.userId, portfolioDoc._id.toString(), trade.ticker, trade.shares, {
+          orderSource: 'auto-rebalance',
+          notes: `Rebalance ${portfolioDoc.portfolioId}: ${trade.side} ${trade.shares} ${trade.ticker}`
+        });
+        executed.push({ ...trade, transaction: result.transaction });
+      } catch (error) {
+        console.warn(`Rebalance ${trade.side} of ${trade.ticker} failed: ${error.message}`);
+        failed.push({ ...trade, error: error.message });
+      }
+    }
+
+    const lastRebalancedAt = new Date();
+    if (executed.length > 0) {
+      await PortfolioModel.updateOne({ _id: portfolioDoc._id }, { $set: { lastRebalancedAt } });
+    }
+
+    return {
+      portfolioId: portfolioDoc.portfolioId,
+      mode: plan.mode,
+      executed,
+      failed,
+      lastRebalancedAt: executed.length > 0 ? lastRebalancedAt : portfolioDoc.lastRebalancedAt || null
+    };
+  }
+}
+
+module.exports = RebalanceService;
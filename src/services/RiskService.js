@@ -0,0 +1,234 @@
+/**
+ * RiskService - Portfolio-level risk analytics from stored daily closes
+ * Reports one-day Value-at-Risk and Expected Shortfall at 95% and 99% (historical simulation of
+ * today's holdings over the lookback, and the parametric normal estimate), per-position volatility,
+ * beta and contribution to risk, portfolio beta to a benchmark and the holdings' correlation matrix
+ * Uses only database data, no external API calls
+ */
+
+const AllocationService = require('./AllocationService');
+const BenchmarkService = require('./BenchmarkService');
+const { calculateMean, calculateStdDev, calculateCorrelation } = require('../utils/calculations');
+const config = require('../../config/config');
+
+const TRADING_DAYS = 252;
+
+// One-sided standard normal quantiles for the reported confidence levels
+const CONFIDENCE_LEVELS = [
+  { level: 0.95, z: 1.6448536 },
+  { level: 0.99, z: 2.3263479 }
+];
+
+const DEFAULT_SETTINGS = { lookbackBars: 252, minBars: 60, benchmark: 'SPY' };
+
+class RiskService {
+  constructor(settings = config.risk || {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.allocationService = new AllocationService();
+    this.benchmarkService = new BenchmarkService();
+  }
+
+  /**
+   * Held positions of a portfolio document
+   * @param {Object} portfolioDoc - Portfolio document (quantity is the primary share field)
+   * @returns {Array<Object>} { ticker, quantity, direction } with direction -1 for shorts
+   */
+  static holdings(portfolioDoc) {
+    return portfolioDoc.positions
+      .map(p => ({ ticker: p.ticker, quantity: p.quantity || p.shares || 0, direction: p.side === 'short' ? -1 : 1 }))
+      .filter(p => p.quantity > 0);
+  }
+
+  /**
+   * Risk report for a stored portfolio
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} options - { lookbackBars, benchmark }
+   * @returns {Promise<Object>} VaR/ES, per-position risk, beta and correlation matrix
+   */
+  async analyze(portfolioDoc, options = {}) {
+    try {
+      const lookbackBars = options.lookbackBars || this.settings.lookbackBars;
+      const benchmark = options.benchmark || this.settings.benchmark;
+
+      const holdings = RiskService.holdings(portfolioDoc);
+      if (holdings.length === 0) {
+        throw new Error('Portfolio has no positions to analyze');
+      }
+
+      const { dates, closes } = await this.allocationService.loadCloses(holdings.map(h => h.ticker), lookbackBars);
+      if (dates.length - 1 < this.settings.minBars) {
+        throw new Error(`Need at least ${this.settings.minBars} overlapping daily returns, found ${Math.max(0, dates.length - 1)}`);
+      }
+
+      const report = this.measure(holdings, { dates, closes });
+      report.benchmark = await this.measureBenchmark(benchmark, holdings, { dates, closes }, report.positionsValue);
+
+      return {
+        portfolioId: portfolioDoc.portfolioId,
+        lookbackBars,
+        ...report
+      };
+    } catch (error) {
+      console.error('Risk analytics error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Risk figures for holdings over aligned closes
+   * Positions are valued at the last close and held constant over the lookback
+   * @param {Array<Object>} holdings - Result of holdings()
+   * @param {Object} aligned - { dates, closes: Map<ticker, number[]> } from AllocationService.loadCloses
+   * @returns {Object} Value, volatility, VaR/ES, per-position risk and correlations
+   */
+  measure(holdings, { dates, closes }) {
+    const tickers = holdings.map(h => h.ticker.toUpperCase());
+    const returns = tickers.map(ticker => AllocationService.toReturns(closes.get(ticker)));
+    const values = holdings.map((h, i) => {
+      const series = closes.get(tickers[i]);
+      return h.direction * h.quantity * series[series.length - 1];
+    });
+    const positionsValue = values.reduce((sum, v) => sum + v, 0);
+
+    // Daily dollar P&L of today's holdings replayed over the lookback
+    const pnl = returns[0].map((_, t) => values.reduce((sum, v, i) => sum + v * returns[i][t], 0));
+    const cov = AllocationService.covariance(returns);
+    const meanPnl = values.reduce((sum, v, i) => sum + v * calculateMean(returns[i]), 0);
+    const sigmaPnl = Math.sqrt(Math.max(0, AllocationService.quadratic(values, cov)));
+    const contributions = AllocationService.riskContributions(values, cov);
+
+    const percentOf = (amount) => (positionsValue > 0 ? amount / positionsValue : null);
+    const valueAtRisk = CONFIDENCE_LEVELS.map(({ level, z }) => {
+      const historical = RiskService.historicalTail(pnl, level);
+      const parametricVaR = -(meanPnl - z * sigmaPnl);
+      const parametricES = -(meanPnl - sigmaPnl * RiskService.normalDensity(z) / (1 - level));
+      return {
+        confidence: level,
+        historical: {
+          valueAtRisk: historical.valueAtRisk,
+          expectedShortfall: historical.expectedShortfall,
+          valueAtRiskPercent: percentOf(historical.valueAtRisk),
+          expectedShortfallPercent: percentOf(historical.expectedShortfall)
+        },
+        parametric: {
+          valueAtRisk: parametricVaR,
+          expectedShortfall: parametricES,
+          valueAtRiskPercent: percentOf(parametricVaR),
+          expectedShortfallPercent: percentOf(parametricES)
+        }
+      };
+    });
+
+    return {
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      observations: dates.length - 1,
+      horizonDays: 1,
+      positionsValue,
+      volatility: positionsValue > 0 ? (sigmaPnl / positionsValue) * Math.sqrt(TRADING_DAYS) : null,
+      valueAtRisk,
+      positions: holdings.map((h, i) => ({
+        ticker: tickers[i],
+        quantity: h.quantity,
+        side: h.direction < 0 ? 'short' : 'long',
+        marketValue: values[i],
+        weight: percentOf(values[i]),
+        volatility: calculateStdDev(returns[i]) * Math.sqrt(TRADING_DAYS),
+        riskContribution: contributions[i]
+      })),
+      correlation: {
+        tickers,
+        matrix: returns.map(a => returns.map(b => calculateCorrelation(a, b)))
+      }
+    };
+  }
+
+  /**
+   * Beta of the portfolio and of each position to a benchmark, on the dates both have closes
+   * A benchmark that cannot be loaded is reported with its error rather than failing the report
+   * @param {string} benchmark - Benchmark spec for BenchmarkService (ticker, list or 'EQUAL_WEIGHT')
+   * @param {Array<Object>} holdings - Result of holdings()
+   * @param {Object} aligned - { dates, closes }
+   * @param {number} positionsValue - Current value of the holdings
+   * @returns {Promise<Object>} { label, beta, correlation, observations, positions: ticker -> beta }
+   */
+  async measureBenchmark(benchmark, holdings, { dates, closes }, positionsValue) {
+    let loaded;
+    try {
+      loaded = await this.benchmarkService.loadBenchmark(benchmark, dates[0], dates[dates.length - 1]);
+    } catch (error) {
+      return { label: this.benchmarkService.getLabel(benchmark), error: error.message };
+    }
+
+    const benchmarkCloses = new Map(loaded.series.map(point => [point.date, point.close]));
+    const common = dates.map((date, index) => ({ date, index })).filter(d => benchmarkCloses.has(d.date));
+    if (common.length - 1 < this.settings.minBars) {
+      return { label: loaded.label, error: `Only ${Math.max(0, common.length - 1)} overlapping returns with the benchmark` };
+    }
+
+    const benchmarkReturns = AllocationService.toReturns(common.map(d => benchmarkCloses.get(d.date)));
+    const tickers = holdings.map(h => h.ticker.toUpperCase());
+    const positionReturns = tickers.map(ticker =>
+      AllocationService.toReturns(common.map(d => closes.get(ticker)[d.index])));
+
+    const values = holdings.map((h, i) => {
+      const series = closes.get(tickers[i]);
+      return h.direction * h.quantity * series[series.length - 1];
+    });
+    const portfolioReturns = benchmarkReturns.map((_, t) =>
+      values.reduce((sum, v, i) => sum + v * positionReturns[i][t], 0) / (positionsValue || 1));
+
+    return {
+      label: loaded.label,
+      observations: benchmarkReturns.length,
+      beta: RiskService.beta(portfolioReturns, benchmarkReturns),
+      correlation: calculateCorrelation(portfolioReturns, benchmarkReturns),
+      positions: Object.fromEntries(tickers.map((ticker, i) => [ticker, RiskService.beta(positionReturns[i], benchmarkReturns)]))
+    };
+  }
+
+  /**
+   * Historical VaR and expected shortfall from a P&L series
+   * VaR is the loss at the (1 - level) quantile; expected shortfall averages the losses at or beyond it
+   * @param {Array<number>} pnl - Daily P&L
+   * @param {number} level - Confidence level, e.g. 0.95
+   * @returns {Object} { valueAtRisk, expectedShortfall } as positive losses
+   */
+  static historicalTail(pnl, level) {
+    const sorted = [...pnl].sort((a, b) => a - b);
+    const tailCount = Math.max(1, Math.floor(sorted.length * (1 - level)));
+    const tail = sorted.slice(0, tailCount);
+    return {
+      valueAtRisk: -sorted[tailCount - 1],
+      expectedShortfall: -calculateMean(tail)
+    };
+  }
+
+  /**
+   * Standard normal density
+   * @param {number} x - Point
+   * @returns {number} Density
+   */
+  static normalDensity(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  }
+
+  /**
+   * Beta of a return series to a benchmark's returns
+   * @param {Array<number>} returns - Asset or portfolio returns
+   * @param {Array<number>} benchmarkReturns - Benchmark returns over the same days
+   * @returns {number} Beta (0 when the benchmark does not move)
+   */
+  static beta(returns, benchmarkReturns) {
+    const variance = Math.pow(calculateStdDev(benchmarkReturns), 2);
+    if (variance === 0) {
+      return 0;
+    }
+    const meanA = calculateMean(returns);
+    const meanB = calculateMean(benchmarkReturns);
+    const covariance = calculateMean(returns.map((r, t) => (r - meanA) * (benchmarkReturns[t] - meanB)));
+    return covariance / variance;
+  }
+}
+
+module.exports = RiskService;
@@ -0,0 +1,608 @@
+/**
+ * RuleExpressionService - Parser and evaluator for user-defined strategy rules
+ * Rules are boolean expressions over price fields and indicator outputs, e.g.
+ *   PRICE > SMA(50) AND SMA(50) > SMA(200)
+ *   RSI(14) < 30 OR CLOSE < BOLLINGER(20, 2).lower
+ *   MACD(12, 26, 9).line CROSSES_ABOVE MACD(12, 26, 9).signal
+ *   STOCH(14, 3).k CROSSES_ABOVE STOCH(14, 3).d AND ADX(14) > 25
+ * Expressions are tokenized and parsed by hand into a small AST and evaluated
+ * against price bars - nothing is ever passed to eval/Function, and only the
+ * whitelisted references below can be named
+ *
+ * Grammar (keywords are case-insensitive):
+ *   rule       := or
+ *   or         := and (OR and)*
+ *   and        := not (AND not)*
+ *   not        := NOT not | comparison
+ *   comparison := sum ((> | >= | < | <= | == | !=) sum | (CROSSES_ABOVE | CROSSES_BELOW) sum)?
+ *   sum        := product ((+ | -) product)*
+ *   product    := unary ((* | /) unary)*
+ *   unary      := - unary | primary
+ *   primary    := number | reference | ( rule )
+ *   reference  := NAME [( number (, number)* )] [. field]
+ */
+
+const { IndicatorService } = require('./IndicatorService');
+
+// Longest rule accepted, in characters
+const MAX_RULE_LENGTH = 500;
+
+// Deepest nesting of parentheses/operators accepted
+const MAX_DEPTH = 25;
+
+// Largest indicator window accepted
+const MAX_PERIOD = 400;
+
+// Price fields that can be referenced directly
+const PRICE_FIELDS = {
+  PRICE: 'close',
+  CLOSE: 'close',
+  OPEN: 'open',
+  HIGH: 'high',
+  LOW: 'low',
+  VOLUME: 'volume'
+};
+
+// Indicator references: argument names and defaults, output fields (first is the default)
+const INDICATORS = {
+  SMA: { type: 'SMA', args: ['window'], defaults: [], fields: [] },
+  EMA: { type: 'EMA', args: ['window'], defaults: [], fields: [] },
+  RSI: { type: 'RSI', args: ['window'], defaults: [14], fields: [] },
+  MACD: {
+    type: 'MACD',
+    args: ['fastPeriod', 'slowPeriod', 'signalPeriod'],
+    defaults: [12, 26, 9],
+    fields: ['line', 'signal', 'histogram']
+  },
+  BOLLINGER: { type: 'BOLLINGER', args: ['window', 'multiplier'], defaults: [20, 2], fields: ['upper', 'middle', 'lower'], fieldRequired: true },
+  BB: { type: 'BOLLINGER', args: ['window', 'multiplier'], defaults: [20, 2], fields: ['upper', 'middle', 'lower'], fieldRequired: true },
+  ATR: { type: 'ATR', args: ['window'], defaults: [14], fields: [] },
+  STOCHASTIC: { type: 'STOCHASTIC', args: ['kPeriod', 'dPeriod'], defaults: [14, 3], fields: ['k', 'd'] },
+  STOCH: { type: 'STOCHASTIC', args: ['kPeriod', 'dPeriod'], defaults: [14, 3], fields: ['k', 'd'] },
+  ADX: { type: 'ADX', args: ['window'], defaults: [14], fields: ['adx', 'plusdi', 'minusdi'] },
+  OBV: { type: 'OBV', args: [], defaults: [], fields: [] },
+  VWAP: { type: 'VWAP', args: ['window'], defaults: [20], fields: [] },
+  CCI: { type: 'CCI', args: ['window'], defaults: [20], fields: [] },
+  WILLIAMS_R: { type: 'WILLIAMS_R', args: ['window'], defaults: [14], fields: [] },
+  WILLR: { type: 'WILLIAMS_R', args: ['window'], defaults: [14], fields: [] },
+  MFI: { type: 'MFI', args: ['window'], defaults: [14], fields: [] }
+};
+
+// Indicator output array for each field
+const OUTPUT_KEYS = {
+  line: 'macdLine',
+  signal: 'signalLine',
+  histogram: 'histogram',
+  upper: 'upper',
+  middle: 'middle',
+  lower: 'lower',
+  k: 'k',
+  d: 'd',
+  adx: 'adx',
+  plusdi: 'plusDI',
+  minusdi: 'minusDI'
+};
+
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+class RuleExpressionService {
+  /**
+   * Parse a rule into an evaluable form
+   * @param {string} source - Rule text
+   * @returns {Object} { source, ast, indicators } where indicators are { type, params } configs
+   *   the rule needs (usable as Strategy.indicators and for warm-up)
+   * @throws {Error} When the rule is empty, too long or not valid
+   */
+  static compile(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('Rule must be a non-empty expression');
+    }
+    if (source.length > MAX_RULE_LENGTH) {
+      throw new Error(`Rule is too long (${source.length} characters, maximum ${MAX_RULE_LENGTH})`);
+    }
+
+    const parser = new RuleParser(tokenize(source));
+    const ast = parser.parseRule();
+
+    return {
+      source: source.trim(),
+      ast,
+      indicators: [...parser.indicators.values()]
+    };
+  }
+
+  /**
+   * Indicator configs needed by several compiled rules, without duplicates
+   * @param {Array<Object>} rules - Compiled rules
+   * @returns {Array<Object>} { type, params } configs
+   */
+  static getIndicators(rules) {
+    const indicators = new Map();
+    for (const rule of rules) {
+      for (const indicator of rule.indicators) {
+        indicators.set(`${indicator.type}${JSON.stringify(indicator.params)}`, indicator);
+      }
+    }
+    return [...indicators.values()];
+  }
+
+  /**
+   * Evaluate a compiled rule on the last bar of a price history
+   * References without enough history to be computed make their comparison false
+   * @param {Object} rule - Compiled rule from compile
+   * @param {Array<Object>} priceData - OHLCV bars sorted by date, ending at the bar to evaluate
+   * @returns {boolean} Whether the rule holds on the last bar
+   */
+  static evaluate(rule, priceData) {
+    if (!Array.isArray(priceData) || priceData.length === 0) {
+      return false;
+    }
+    return evaluateNode(rule.ast, priceData, new Map(), priceData.length - 1) === true;
+  }
+}
+
+/**
+ * Split a rule into tokens
+ * @param {string} source - Rule text
+ * @returns {Array<Object>} { type: 'number'|'name'|'op', value, position }
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|==|!=|&&|\|\||[><=!+\-*/(),.])/y;
+  // '=' is accepted as '==', and '&&' '||' '!' as AND OR NOT
+  const aliases = { '=': '==', '&&': 'AND', '||': 'OR', '!': 'NOT' };
+  let position = 0;
+
+  while (position < source.length) {
+    if (/\s/.test(source[position])) {
+      position++;
+      continue;
+    }
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Invalid rule at position ${position + 1}: Unexpected character '${source[position]}'`);
+    }
+
+    const [text, number, name, op] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(number), text, position: position + 1 });
+    } else if (name !== undefined) {
+      tokens.push({ type: 'name', value: name.toUpperCase(), text, position: position + 1 });
+    } else {
+      const value = aliases[op] || op;
+      tokens.push({ type: ['AND', 'OR', 'NOT'].includes(value) ? 'name' : 'op', value, text, position: position + 1 });
+    }
+    position = pattern.lastIndex;
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length + 1 });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing the rule AST
+ * Every node has a kind, 'boolean' or 'number', checked as the tree is built
+ */
+class RuleParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+    this.indicators = new Map();
+  }
+
+  parseRule() {
+    const node = this.parseOr();
+    if (this.peek().type !== 'end') {
+      this.fail(`Unexpected '${this.peek().text}'`);
+    }
+    this.expectKind(node, 'boolean', 'A rule must be a condition such as PRICE > SMA(50)');
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.acceptName('OR')) {
+      node = this.logical('or', node, this.parseAnd());
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.acceptName('AND')) {
+      node = this.logical('and', node, this.parseNot());
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.acceptName('NOT')) {
+      return this.nested(() => {
+        const operand = this.parseNot();
+        this.expectKind(operand, 'boolean', 'NOT must be followed by a condition');
+        return { type: 'not', kind: 'boolean', operand };
+      });
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseSum();
+    const token = this.peek();
+
+    if (token.type === 'op' && COMPARISON_OPERATORS.includes(token.value)) {
+      this.index++;
+      return this.comparison({ type: 'compare', op: token.value }, left, this.parseSum());
+    }
+
+    const direction = this.acceptCrosses();
+    if (direction) {
+      return this.comparison({ type: 'cross', direction }, left, this.parseSum());
+    }
+
+    return left;
+  }
+
+  parseSum() {
+    let node = this.parseProduct();
+    while (this.peek().type === 'op' && ['+', '-'].includes(this.peek().value)) {
+      const op = this.next().value;
+      node = this.arithmetic(op, node, this.parseProduct());
+    }
+    return node;
+  }
+
+  parseProduct() {
+    let node = this.parseUnary();
+    while (this.peek().type === 'op' && ['*', '/'].includes(this.peek().value)) {
+      const op = this.next().value;
+      node = this.arithmetic(op, node, this.parseUnary());
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) {
+      return this.nested(() => {
+        const operand = this.parseUnary();
+        this.expectKind(operand, 'number', 'A minus sign must be followed by a number or reference');
+        return { type: 'negate', kind: 'number', operand };
+      });
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number') {
+      return { type: 'number', kind: 'number', value: token.value };
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const node = this.nested(() => this.parseOr());
+      this.expectOp(')');
+      return node;
+    }
+
+    if (token.type === 'name') {
+      return this.parseReference(token);
+    }
+
+    this.fail(token.type === 'end' ? 'Rule ends unexpectedly' : `Unexpected '${token.text}'`, token);
+  }
+
+  /**
+   * PRICE, SMA(50), SMA50, RSI, MACD(12, 26, 9).signal, BOLLINGER(20, 2).upper ...
+   */
+  parseReference(token) {
+    if (PRICE_FIELDS[token.value]) {
+      const field = PRICE_FIELDS[token.value];
+      return { type: 'series', kind: 'number', key: token.value, field };
+    }
+
+    // Shorthand with the window in the name: SMA50, EMA12, RSI14
+    const shorthand = token.value.match(/^(SMA|EMA|RSI)(\d+)$/);
+    const name = shorthand ? shorthand[1] : token.value;
+    const spec = INDICATORS[name];
+    if (!spec) {
+      const known = [...Object.keys(PRICE_FIELDS), ...Object.keys(INDICATORS)].join(', ');
+      this.fail(`Unknown reference '${token.text}'. Use one of: ${known}`, token);
+    }
+
+    let args = shorthand ? [parseInt(shorthand[2], 10)] : [];
+    if (!shorthand && this.acceptOp('(')) {
+      args = this.parseArguments();
+    }
+    if (args.length > spec.args.length) {
+      this.fail(`${name} takes at most ${spec.args.length} argument(s) (${spec.args.join(', ')})`, token);
+    }
+
+    const values = spec.args.map((arg, i) => (args[i] !== undefined ? args[i] : spec.defaults[i]));
+    const missing = spec.args.filter((arg, i) => values[i] === undefined);
+    if (missing.length > 0) {
+      this.fail(`${name} needs ${missing.join(', ')}, e.g. ${name}(50)`, token);
+    }
+    const params = {};
+    spec.args.forEach((arg, i) => {
+      params[arg] = values[i];
+    });
+    this.checkParams(name, params, token);
+
+    let field = spec.fields[0] || null;
+    if (this.acceptOp('.')) {
+      const fieldToken = this.next();
+      const requested = fieldToken.type === 'name' ? fieldToken.value.toLowerCase() : null;
+      // MACD(...).macd reads as the MACD line
+      const resolved = requested === 'macd' && spec.type === 'MACD' ? 'line' : requested;
+      if (!spec.fields.includes(resolved)) {
+        this.fail(spec.fields.length > 0
+          ? `${name} has no field '${fieldToken.text || ''}'. Use ${spec.fields.map(f => `.${f}`).join(', ')}`
+          : `${name} has no fields`, fieldToken);
+      }
+      field = resolved;
+    } else if (spec.fieldRequired) {
+      this.fail(`${name} needs a band: ${spec.fields.map(f => `${name}(...).${f}`).join(', ')}`, token);
+    }
+
+    const indicator = { type: spec.type, params };
+    const indicatorKey = `${spec.type}(${values.join(',')})`;
+    this.indicators.set(indicatorKey, indicator);
+
+    return {
+      type: 'series',
+      kind: 'number',
+      key: field ? `${indicatorKey}.${field}` : indicatorKey,
+      indicator,
+      field
+    };
+  }
+
+  parseArguments() {
+    const args = [];
+    if (this.acceptOp(')')) {
+      return args;
+    }
+    do {
+      const token = this.next();
+      if (token.type !== 'number') {
+        this.fail('Indicator arguments must be numbers', token);
+      }
+      args.push(token.value);
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+    return args;
+  }
+
+  checkParams(name, params, token) {
+    for (const [param, value] of Object.entries(params)) {
+      if (param === 'multiplier') {
+        if (!(value > 0 && value <= 10)) {
+          this.fail(`${name} multiplier must be greater than 0 and at most 10`, token);
+        }
+      } else if (!Number.isInteger(value) || value < 1 || value > MAX_PERIOD) {
+        this.fail(`${name} ${param} must be a whole number from 1 to ${MAX_PERIOD}`, token);
+      }
+    }
+    if (params.fastPeriod !== undefined && params.fastPeriod >= params.slowPeriod) {
+      this.fail(`${name} fast period must be shorter than the slow period`, token);
+    }
+  }
+
+  logical(op, left, right) {
+    this.expectKind(left, 'boolean', `${op.toUpperCase()} must join two conditions`);
+    this.expectKind(right, 'boolean', `${op.toUpperCase()} must join two conditions`);
+    return { type: 'logical', kind: 'boolean', op, left, right };
+  }
+
+  comparison(node, left, right) {
+    const label = node.type === 'cross' ? `CROSSES_${node.direction.toUpperCase()}` : node.op;
+    this.expectKind(left, 'number', `'${label}' compares two values, not conditions`);
+    this.expectKind(right, 'number', `'${label}' compares two values, not conditions`);
+    return { ...node, kind: 'boolean', left, right };
+  }
+
+  arithmetic(op, left, right) {
+    this.expectKind(left, 'number', `'${op}' needs numbers on both sides`);
+    this.expectKind(right, 'number', `'${op}' needs numbers on both sides`);
+    return { type: 'arithmetic', kind: 'number', op, left, right };
+  }
+
+  nested(parse) {
+    this.depth++;
+    if (this.depth > MAX_DEPTH) {
+      this.fail(`Rule is nested too deeply (maximum ${MAX_DEPTH} levels)`);
+    }
+    const node = parse();
+    this.depth--;
+    return node;
+  }
+
+  /**
+   * CROSSES_ABOVE / CROSSES_BELOW, also written as two words
+   * @returns {string|null} 'above', 'below' or null
+   */
+  acceptCrosses() {
+    const token = this.peek();
+    if (token.type !== 'name') {
+      return null;
+    }
+    if (token.value === 'CROSSES_ABOVE' || token.value === 'CROSSES_BELOW') {
+      this.index++;
+      return token.value === 'CROSSES_ABOVE' ? 'above' : 'below';
+    }
+    if (token.value === 'CROSSES') {
+      this.index++;
+      const direction = this.next();
+      if (direction.type !== 'name' || !['ABOVE', 'BELOW'].includes(direction.value)) {
+        this.fail('CROSSES must be followed by ABOVE or BELOW', direction);
+      }
+      return direction.value.toLowerCase();
+    }
+    return null;
+  }
+
+  acceptName(value) {
+    if (this.peek().type === 'name' && this.peek().value === value) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptOp(value) {
+    if (this.peek().type === 'op' && this.peek().value === value) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) {
+      this.fail(`Expected '${value}'`);
+    }
+  }
+
+  expectKind(node, kind, message) {
+    if (node.kind !== kind) {
+      this.fail(message);
+    }
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    if (token.type !== 'end') {
+      this.index++;
+    }
+    return token;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new Error(`Invalid rule at position ${token.position}: ${message}`);
+  }
+}
+
+/**
+ * Evaluate an AST node at a bar
+ * @param {Object} node - AST node
+ * @param {Array<Object>} priceData - Price bars
+ * @param {Map} cache - Series already computed for this evaluation
+ * @param {number} index - Bar index
+ * @returns {boolean|number|null} Value, null when a reference has no value yet
+ */
+function evaluateNode(node, priceData, cache, index) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+
+    case 'series': {
+      if (!cache.has(node.key)) {
+        cache.set(node.key, computeSeries(node, priceData));
+      }
+      const value = cache.get(node.key)[index];
+      return Number.isFinite(value) ? value : null;
+    }
+
+    case 'negate': {
+      const value = evaluateNode(node.operand, priceData, cache, index);
+      return value === null ? null : -value;
+    }
+
+    case 'arithmetic': {
+      const left = evaluateNode(node.left, priceData, cache, index);
+      const right = evaluateNode(node.right, priceData, cache, index);
+      if (left === null || right === null) {
+        return null;
+      }
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return right === 0 ? null : left / right;
+      }
+    }
+
+    case 'compare': {
+      const left = evaluateNode(node.left, priceData, cache, index);
+      const right = evaluateNode(node.right, priceData, cache, index);
+      if (left === null || right === null) {
+        return false;
+      }
+      switch (node.op) {
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '==': return left === right;
+        default: return left !== right;
+      }
+    }
+
+    case 'cross': {
+      if (index < 1) {
+        return false;
+      }
+      const previousLeft = evaluateNode(node.left, priceData, cache, index - 1);
+      const previousRight = evaluateNode(node.right, priceData, cache, index - 1);
+      const left = evaluateNode(node.left, priceData, cache, index);
+      const right = evaluateNode(node.right, priceData, cache, index);
+      if ([previousLeft, previousRight, left, right].includes(null)) {
+        return false;
+      }
+      return node.direction === 'above'
+        ? previousLeft <= previousRight && left > right
+        : previousLeft >= previousRight && left < right;
+    }
+
+    case 'logical': {
+      const left = evaluateNode(node.left, priceData, cache, index);
+      if (node.op === 'and' ? !left : left) {
+        return left;
+      }
+      return evaluateNode(node.right, priceData, cache, index);
+    }
+
+    case 'not':
+      return !evaluateNode(node.operand, priceData, cache, index);
+
+    default:
+      throw new Error(`Unknown rule node: ${node.type}`);
+  }
+}
+
+/**
+ * Values of a price field or indicator output for every bar, null before it can be computed
+ * @param {Object} node - Series node
+ * @param {Array<Object>} priceData - Price bars
+ * @returns {Array<number|null>} Values aligned with priceData
+ */
+function computeSeries(node, priceData) {
+  if (!node.indicator) {
+    return priceData.map(bar => bar[node.field] ?? null);
+  }
+
+  let values;
+  try {
+    const indicator = IndicatorService.createIndicator(node.indicator.type, node.indicator.params);
+    const output = indicator.calculateValues(priceData.map(bar => bar.close), priceData);
+    values = node.field ? output[OUTPUT_KEYS[node.field]] : output;
+  } catch (error) {
+    // Not enough history yet
+    values = [];
+  }
+
+  // Indicator outputs end on the last bar; pad the warm-up bars at the front
+  values = Array.isArray(values) ? values : [];
+  const padding = Math.max(0, priceData.length - values.length);
+  return new Array(padding).fill(null).concat(values.slice(-priceData.length));
+}
+
+module.exports = RuleExpressionService;
@@ -0,0 +1,144 @@
+/**
+ * StrategyComparisonService - Side-by-side backtests of every registered strategy
+ * Runs each StrategyService strategy plus buy-and-hold over the same bars,
+ * starting all of them on the same date so metrics and equity curves line up
+ * Uses only database data, no external API calls
+ */
+
+const BacktestEngine = require('./BacktestEngine');
+const StrategyService = require('./StrategyService');
+const { ExecutionModelService } = require('./ExecutionModelService');
+
+// Key used for the buy-and-hold row and curve
+const BUY_AND_HOLD_KEY = 'buy_and_hold';
+
+// Metrics that can rank the table; maxDrawdown is negative so larger is better too
+const RANK_METRICS = ['sharpeRatio', 'totalReturn', 'cagr', 'maxDrawdown', 'winRate', 'finalValue'];
+
+/**
+ * Engine that buys with all available cash on the first simulated day and holds to the end
+ */
+class BuyAndHoldEngine extends BacktestEngine {
+  getStrategySignal() {
+    return 'buy';
+  }
+}
+
+class StrategyComparisonService {
+  constructor() {
+    this.strategyService = new StrategyService();
+  }
+
+  /**
+   * Backtest every registered strategy and buy-and-hold on the same data
+   * @param {Object} options - Comparison options
+   * @param {string} options.ticker - Stock ticker
+   * @param {Array} options.priceData - Daily OHLCV bars sorted by date
+   * @param {number} options.initialCapital - Starting capital for every run
+   * @param {string} [options.rankBy] - Metric to rank by (default sharpeRatio)
+   * @param {Object} [options.engineConfig] - Extra BacktestEngine config (costModel, positionSizer, exitRules);
+   *   buy-and-hold only shares the cost model
+   * @returns {Promise<Object>} Ranked metrics table and aligned equity curves
+   */
+  async compare(options) {
+    try {
+      const rankBy = options.rankBy || 'sharpeRatio';
+      if (!RANK_METRICS.includes(rankBy)) {
+        throw new Error(`rankBy must be one of: ${RANK_METRICS.join(', ')}`);
+      }
+
+      const strategies = [...this.strategyService.strategies.entries()]
+        .map(([key, strategy]) => ({ key, strategy }));
+
+      // Every run starts on the bar after the longest warm-up
+      const startIndex = Math.max(...strategies.map(({ strategy }) => BacktestEngine.getRequiredDataDays(strategy)));
+      if (options.priceData.length <= startIndex) {
+        throw new Error(`Not enough data to compare strategies: need more than ${startIndex} data points, have ${options.priceData.length}`);
+      }
+
+      const runs = [];
+      for (const { key, strategy } of strategies) {
+        const engine = new BacktestEngine({
+          ...(options.engineConfig || {}),
+          ticker: options.ticker,
+          priceData: options.priceData.slice(startIndex - BacktestEngine.getRequiredDataDays(strategy)),
+          strategyKey: key,
+          initialCapital: options.initialCapital,
+          quiet: true
+        });
+        runs.push({ key, results: await engine.run() });
+      }
+      runs.push({ key: BUY_AND_HOLD_KEY, results: await this.runBuyAndHold(options, startIndex) });
+
+      const ranking = runs
+        .map(({ key, results }) => ({
+          strategy: key,
+          name: results.strategy,
+          totalReturn: results.metrics.totalReturn,
+          cagr: results.metrics.cagr,
+          sharpeRatio: results.metrics.sharpeRatio,
+          maxDrawdown: results.metrics.maxDrawdown,
+          winRate: results.metrics.winRate,
+          totalTrades: results.metrics.totalTrades,
+          finalValue: results.metrics.finalValue,
+          totalCommission: results.metrics.totalCommission
+        }))
+        .sort((a, b) => b[rankBy] - a[rankBy])
+        .map((row, index) => ({ rank: index + 1, ...row }));
+
+      return {
+        ticker: options.ticker,
+        rankBy,
+        period: {
+          start: options.priceData[startIndex].date,
+          end: options.priceData[options.priceData.length - 1].date
+        },
+        ranking,
+        equityCurves: this.alignEquityCurves(runs)
+      };
+    } catch (error) {
+      console.error('Error comparing strategies:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Buy-and-hold run starting on the comparison's first simulated bar
+   * @param {Object} options - Comparison options
+   * @param {number} startIndex - First simulated bar
+   * @returns {Promise<Object>} BacktestEngine results
+   */
+  async runBuyAndHold(options, startIndex) {
+    const strategy = { name: 'Buy & Hold', indicators: [] };
+    const engine = new BuyAndHoldEngine({
+      ticker: options.ticker,
+      priceData: options.priceData.slice(startIndex - BacktestEngine.getRequiredDataDays(strategy)),
+      strategyKey: BUY_AND_HOLD_KEY,
+      strategy,
+      initialCapital: options.initialCapital,
+      costModel: options.engineConfig?.costModel,
+      positionSizer: ExecutionModelService.createPositionSizer({ mode: 'fixed_fraction', fraction: 1 }),
+      quiet: true
+    });
+    return engine.run();
+  }
+
+  /**
+   * Equity curves as one date axis with a value series per run
+   * @param {Array<Object>} runs - { key, results }
+   * @returns {Object} { dates, series: { [key]: values } }
+   */
+  alignEquityCurves(runs) {
+    const dates = runs[0].results.equityCurve.map(point => point.date);
+    const series = {};
+
+    for (const { key, results } of runs) {
+      const valuesByDate = new Map(results.equityCurve.map(point => [point.date, point.value]));
+      series[key] = dates.map(date => valuesByDate.get(date) ?? null);
+    }
+
+    return { dates, series };
+  }
+}
+
+module.exports = StrategyComparisonService;
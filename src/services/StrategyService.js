@@ -3,8 +3,12 @@
  * Trend Following, Mean Reversion, Momentum, Conservative
  */
 
+const crypto = require('crypto');
 const Strategy = require('../models/Strategy');
 
+// IDs of user-defined rule strategies (stored in the database, not registered here)
+const CUSTOM_STRATEGY_PREFIX = 'custom_';
+
 class StrategyService {
   constructor() {
     this.strategies = new Map();
@@ -295,6 +299,40 @@ class StrategyService {
     return strategy;
   }
 
+  /**
+   * Whether a strategy key refers to a user-defined rule strategy
+   * @param {string} key - Strategy key
+   * @returns {boolean}
+   */
+  static isCustomStrategyId(key) {
+    return typeof key === 'string' && key.startsWith(CUSTOM_STRATEGY_PREFIX);
+  }
+
+  /**
+   * New ID for a user-defined rule strategy; random so strategies saved in the same millisecond don't collide
+   * @returns {string} Strategy ID
+   */
+  static createCustomStrategyId() {
+    return `${CUSTOM_STRATEGY_PREFIX}${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * Build a strategy from a user-defined rule definition without registering it
+   * @param {Object} definition - { name, entryRule, exitRule, frequency }
+   * @returns {Strategy} Strategy whose rules are evaluated as expressions
+   * @throws {Error} When a rule is not a valid expression
+   */
+  buildRuleStrategy(definition) {
+    const strategy = new Strategy(
+      definition.name,
+      [],
+      definition.entryRule,
+      definition.exitRule,
+      definition.frequency || 'weekly'
+    );
+    return strategy.compileRules();
+  }
+
   /**
    * Get strategy statistics
    * @returns {Object} Strategy statistics
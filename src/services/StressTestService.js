@@ -0,0 +1,361 @@
+/**
+ * StressTestService - Replays a portfolio's current holdings through market stress
+ * Historical scenarios scale each holding's latest close by its own price path over a named
+ * window (falling back to the scenario's proxy ticker when the holding has no history that far
+ * back) and report P&L, the worst drawdown and how long the portfolio took to regain its peak.
+ * Custom shocks move prices at once by sector, ticker or the whole market.
+ * Uses only database data, no external API calls
+ */
+
+const PriceDataModel = require('../db/models/PriceDataModel');
+const RebalanceService = require('./RebalanceService');
+const RiskService = require('./RiskService');
+const Security = require('../models/Security');
+const { calculateMaxDrawdown } = require('../utils/calculations');
+const { getStressScenario, getAllStressScenarios } = require('../../config/stressScenarios');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sector of tickers with no stored or default sector, so sector shocks and attribution leave them alone
+const UNCLASSIFIED_SECTOR = 'Unclassified';
+
+class StressTestService {
+  /**
+   * Run historical scenarios and custom shocks against a stored portfolio
+   * With neither given, every configured scenario is run
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Object} options - { scenarios: scenario ids, shocks: [{ name, market, sectors, tickers }] }
+   * @returns {Promise<Object>} { startValue, asOf, scenarios, shocks }
+   */
+  async run(portfolioDoc, options = {}) {
+    try {
+      const holdings = RiskService.holdings(portfolioDoc).map(h => ({ ...h, ticker: h.ticker.toUpperCase() }));
+      if (holdings.length === 0) {
+        throw new Error('Portfolio has no positions to stress test');
+      }
+
+      const shocks = options.shocks || [];
+      const scenarios = (options.scenarios || (shocks.length > 0 ? [] : getAllStressScenarios().map(s => s.id)))
+        .map(id => {
+          const scenario = getStressScenario(id);
+          if (!scenario) {
+            throw new Error(`Unknown stress scenario: ${id}`);
+          }
+          return scenario;
+        });
+
+      const proxies = scenarios.map(s => s.proxy).filter(Boolean);
+      const history = await this.loadHistory([...holdings.map(h => h.ticker), ...proxies]);
+
+      const missing = holdings.filter(h => !history.has(h.ticker)).map(h => h.ticker);
+      if (missing.length > 0) {
+        throw new Error(`No price history in database for: ${missing.join(', ')}`);
+      }
+
+      const currentPrices = Object.fromEntries(holdings.map(h => {
+        const series = history.get(h.ticker);
+        return [h.ticker, series.closes[series.closes.length - 1]];
+      }));
+      const asOf = holdings
+        .map(h => history.get(h.ticker).dates.slice(-1)[0])
+        .sort()[0];
+      const context = { portfolioDoc, holdings, currentPrices };
+      const startValue = (portfolioDoc.cash || 0) +
+        holdings.reduce((sum, h) => sum + h.direction * h.quantity * currentPrices[h.ticker], 0);
+
+      return {
+        portfolioId: portfolioDoc.portfolioId,
+        asOf,
+        startValue,
+        scenarios: scenarios.map(scenario => {
+          try {
+            return this.replay(scenario, history, context);
+          } catch (error) {
+            return { id: scenario.id, name: scenario.name, error: error.message };
+          }
+        }),
+        shocks: shocks.map((shock, i) => this.applyShock({ name: `Custom shock ${i + 1}`, ...shock }, context))
+      };
+    } catch (error) {
+      console.error('Stress test error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Full daily close history for tickers, from PriceDataModel
+   * @param {Array<string>} tickers - Tickers to load
+   * @returns {Promise<Map>} ticker -> { dates, closes } sorted by date; tickers without data are left out
+   */
+  async loadHistory(tickers) {
+    const upper = [...new Set(tickers.map(t => t.toUpperCase()))];
+    const docs = await PriceDataModel.find({ ticker: { $in: upper }, interval: 'daily' });
+
+    const history = new Map();
+    for (const doc of docs) {
+      const points = [...(doc.data || [])].sort((a, b) => a.date.localeCompare(b.date));
+      if (points.length > 0) {
+        history.set(doc.ticker.toUpperCase(), {
+          dates: points.map(p => p.date),
+          closes: points.map(p => p.close)
+        });
+      }
+    }
+    return history;
+  }
+
+  /**
+   * Replay current holdings through a historical window
+   * Each holding's latest close is scaled by its source's close relative to the window's first day;
+   * trading continues past the window's end only to find when the pre-trough peak was regained
+   * @param {Object} scenario - Scenario from config/stressScenarios
+   * @param {Map} history - Result of loadHistory()
+   * @param {Object} context - { portfolioDoc, holdings, currentPrices }
+   * @returns {Object} Scenario P&L, per-position P&L, worst drawdown and recovery
+   */
+  replay(scenario, history, { portfolioDoc, holdings, currentPrices }) {
+    const calendar = [...new Set([...history.values()]
+      .flatMap(series => series.dates.filter(date => date >= scenario.startDate)))]
+      .sort();
+    const windowLength = calendar.filter(date => date <= scenario.endDate).length;
+    if (windowLength === 0) {
+      throw new Error(`No price history covers ${scenario.name}`);
+    }
+    const baseDate = calendar[0];
+
+    // A holding follows its own prices when it traded by the window's first day, else the proxy's
+    const covers = (ticker) => history.has(ticker) && history.get(ticker).dates[0] <= baseDate;
+    const sources = Object.fromEntries(holdings.map(h => {
+      if (covers(h.ticker)) return [h.ticker, h.ticker];
+      if (scenario.proxy && covers(scenario.proxy)) return [h.ticker, scenario.proxy];
+      return [h.ticker, null];
+    }));
+    if (Object.values(sources).every(source => source === null)) {
+      throw new Error(`No holdings or proxy have price history for ${scenario.name}`);
+    }
+
+    const pricesOn = (date) => Object.fromEntries(holdings.map(h => {
+      const source = sources[h.ticker];
+      if (!source) {
+        return [h.ticker, currentPrices[h.ticker]];
+      }
+      const series = history.get(source);
+      return [h.ticker, currentPrices[h.ticker] * StressTestService.closeOn(series, date) / StressTestService.closeOn(series, baseDate)];
+    }));
+
+    const marker = this.createMarker(portfolioDoc, holdings, currentPrices);
+    const values = [];
+    let endPnl = null;
+    let drawdown = null;
+    let recovery = null;
+
+    const recoveredAt = (index) => ({
+      date: calendar[index],
+      tradingDays: index - drawdown.troughIndex,
+      calendarDays: Math.round((new Date(calendar[index]) - new Date(drawdown.troughDate)) / DAY_MS)
+    });
+
+    for (let i = 0; i < calendar.length; i++) {
+      const { value, pnl } = marker(pricesOn(calendar[i]));
+      values.push(value);
+
+      if (i === windowLength - 1) {
+        endPnl = pnl;
+        drawdown = StressTestService.worstDrawdown(values, calendar);
+        const index = values.findIndex((v, j) => j >= drawdown.troughIndex && v >= drawdown.peakValue);
+        if (index !== -1) {
+          recovery = recoveredAt(index);
+          break;
+        }
+      } else if (i >= windowLength && value >= drawdown.peakValue) {
+        recovery = recoveredAt(i);
+        break;
+      }
+    }
+
+    const startValue = values[0];
+    const endValue = values[windowLength - 1];
+    const { troughIndex, ...maxDrawdown } = drawdown;
+
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      description: scenario.description,
+      type: 'historical',
+      startDate: baseDate,
+      endDate: calendar[windowLength - 1],
+      tradingDays: windowLength - 1,
+      startValue,
+      endValue,
+      pnl: endValue - startValue,
+      return: startValue !== 0 ? (endValue - startValue) / startValue : null,
+      maxDrawdown,
+      recovery, // null when the peak has not been regained in the stored history
+      positions: this.describePositions(holdings, currentPrices, pricesOn(calendar[windowLength - 1]), endPnl, sources),
+      proxied: holdings.filter(h => sources[h.ticker] && sources[h.ticker] !== h.ticker).map(h => h.ticker),
+      unavailable: holdings.filter(h => !sources[h.ticker]).map(h => h.ticker)
+    };
+  }
+
+  /**
+   * Apply an instantaneous custom shock to current prices
+   * A ticker's own shock wins over its sector's, which wins over the market-wide move;
+   * sector names match case-insensitively by prefix, so 'tech' moves 'Technology'
+   * @param {Object} shock - { name, market, sectors: { sector: move }, tickers: { ticker: move } }, moves as decimals (-0.2 = -20%)
+   * @param {Object} context - { portfolioDoc, holdings, currentPrices }
+   * @returns {Object} Shock P&L, per-position P&L and the resulting drawdown
+   */
+  applyShock(shock, { portfolioDoc, holdings, currentPrices }) {
+    const sectors = StressTestService.sectorsFor(portfolioDoc, holdings);
+    const sectorMoves = Object.entries(shock.sectors || {})
+      .map(([key, move]) => [key.trim().toLowerCase(), move])
+      .sort((a, b) => b[0].length - a[0].length); // Most specific name first
+    const tickerMoves = Object.fromEntries(Object.entries(shock.tickers || {}).map(([t, move]) => [t.toUpperCase(), move]));
+
+    const moves = Object.fromEntries(holdings.map(h => {
+      if (tickerMoves[h.ticker] !== undefined) {
+        return [h.ticker, tickerMoves[h.ticker]];
+      }
+      const sector = (sectors[h.ticker] || '').toLowerCase();
+      const match = sectorMoves.find(([key]) => sector.startsWith(key));
+      return [h.ticker, match ? match[1] : (shock.market || 0)];
+    }));
+
+    const shocked = Object.fromEntries(holdings.map(h => [h.ticker, currentPrices[h.ticker] * (1 + moves[h.ticker])]));
+    const marker = this.createMarker(portfolioDoc, holdings, currentPrices);
+    const startValue = marker(currentPrices).value;
+    const { value: endValue, pnl } = marker(shocked);
+    const loss = Math.max(0, startValue - endValue);
+
+    return {
+      name: shock.name,
+      type: 'custom',
+      startValue,
+      endValue,
+      pnl: endValue - startValue,
+      return: startValue !== 0 ? (endValue - startValue) / startValue : null,
+      maxDrawdown: { maxDrawdown: startValue > 0 ? loss / startValue : 0, peakValue: startValue, troughValue: Math.min(startValue, endValue) },
+      recovery: null, // A hypothetical shock has no price path to recover along
+      positions: this.describePositions(holdings, currentPrices, shocked, pnl, null).map(p => ({
+        ...p,
+        sector: sectors[p.ticker],
+        shock: moves[p.ticker]
+      }))
+    };
+  }
+
+  /**
+   * Mark-to-market closure over today's holdings
+   * Positions are marked through Portfolio.mark_to_market, so shorts gain as prices fall;
+   * value is today's value moved by each position's change in unrealized P&L
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Array<Object>} holdings - Result of RiskService.holdings()
+   * @param {Object} currentPrices - ticker -> latest close
+   * @returns {Function} prices -> { value, pnl: ticker -> P&L since today }
+   */
+  createMarker(portfolioDoc, holdings, currentPrices) {
+    const portfolio = RebalanceService.toPortfolio(portfolioDoc, portfolioDoc.cash || 0);
+    holdings.forEach(h => {
+      portfolio.getPosition(h.ticker).side = h.direction < 0 ? 'short' : 'long';
+    });
+
+    const unrealized = (prices) => {
+      portfolio.mark_to_market(holdings.map(h => ({ ticker: h.ticker, price: prices[h.ticker] })));
+      return Object.fromEntries(holdings.map(h => [h.ticker, portfolio.getPosition(h.ticker).pnl_unrealized]));
+    };
+
+    const base = unrealized(currentPrices);
+    const startValue = (portfolioDoc.cash || 0) +
+      holdings.reduce((sum, h) => sum + h.direction * h.quantity * currentPrices[h.ticker], 0);
+
+    return (prices) => {
+      const marked = unrealized(prices);
+      const pnl = Object.fromEntries(holdings.map(h => [h.ticker, marked[h.ticker] - base[h.ticker]]));
+      return { value: startValue + Object.values(pnl).reduce((sum, v) => sum + v, 0), pnl };
+    };
+  }
+
+  /**
+   * Per-position P&L rows
+   * @param {Array<Object>} holdings - Result of RiskService.holdings()
+   * @param {Object} startPrices - ticker -> price before the stress
+   * @param {Object} endPrices - ticker -> price after it
+   * @param {Object} pnl - ticker -> P&L
+   * @param {Object|null} sources - ticker -> ticker whose prices were replayed
+   * @returns {Array<Object>} Position rows
+   */
+  describePositions(holdings, startPrices, endPrices, pnl, sources) {
+    return holdings.map(h => {
+      const startMarketValue = h.direction * h.quantity * startPrices[h.ticker];
+      return {
+        ticker: h.ticker,
+        quantity: h.quantity,
+        side: h.direction < 0 ? 'short' : 'long',
+        ...(sources ? { source: sources[h.ticker] } : {}),
+        startPrice: startPrices[h.ticker],
+        endPrice: endPrices[h.ticker],
+        startMarketValue,
+        pnl: pnl[h.ticker],
+        return: startMarketValue !== 0 ? pnl[h.ticker] / Math.abs(startMarketValue) : null
+      };
+    });
+  }
+
+  /**
+   * Sector of each holding, from the portfolio's securities or the Security defaults
+   * Tickers with neither are 'Unclassified'
+   * @param {Object} portfolioDoc - Portfolio document
+   * @param {Array<Object>} holdings - Result of RiskService.holdings()
+   * @returns {Object} ticker -> sector
+   */
+  static sectorsFor(portfolioDoc, holdings) {
+    const stored = new Map((portfolioDoc.securities || [])
+      .filter(s => s.sector)
+      .map(s => [s.ticker.toUpperCase(), s.sector]));
+    return Object.fromEntries(holdings.map(h =>
+      [h.ticker, stored.get(h.ticker) || new Security(h.ticker).getDefaultSector(UNCLASSIFIED_SECTOR)]));
+  }
+
+  /**
+   * Worst peak-to-trough fall of a value series, with the peak that preceded the trough
+   * @param {Array<number>} values - Portfolio values
+   * @param {Array<string>} dates - Dates matching values
+   * @returns {Object} { maxDrawdown, peakDate, peakValue, troughDate, troughValue, troughIndex }
+   */
+  static worstDrawdown(values, dates) {
+    const { maxDrawdown, troughIndex } = calculateMaxDrawdown(values);
+    const window = values.slice(0, troughIndex + 1);
+    const peakIndex = window.indexOf(Math.max(...window));
+    return {
+      maxDrawdown,
+      peakDate: dates[peakIndex],
+      peakValue: values[peakIndex],
+      troughDate: dates[troughIndex],
+      troughValue: values[troughIndex],
+      troughIndex
+    };
+  }
+
+  /**
+   * Close on a date, carrying the last close forward over days the ticker did not trade
+   * @param {Object} series - { dates, closes } sorted by date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number|null} Close, or null before the first date
+   */
+  static closeOn(series, date) {
+    let low = 0;
+    let high = series.dates.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (series.dates[mid] <= date) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found === -1 ? null : series.closes[found];
+  }
+}
+
+module.exports = StressTestService;
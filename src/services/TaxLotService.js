@@ -0,0 +1,322 @@
+/**
+ * TaxLotService.js
+ * Tax-lot accounting for wallet trades
+ * Every buy opens a lot; sells are matched to lots by FIFO, LIFO, highest cost or
+ * specific lots. The realized-gain report splits lines into short- and long-term holding
+ * periods and flags wash sales (a loss with replacement shares bought around the sale).
+ */
+
+const TaxLotModel = require('../db/models/TaxLotModel');
+const TransactionModel = require('../db/models/TransactionModel');
+const { roundShares } = require('../utils/calculations');
+const config = require('../../config/config');
+
+const LOT_METHODS = ['fifo', 'lifo', 'highest_cost', 'specific'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Lots hold fractional shares; sums and remainders are rounded to the wallet's precision
+const SHARE_PRECISION = config.trading?.fractional?.quantityPrecision ?? 0;
+
+class TaxLotService {
+  constructor(settings = config.trading?.taxLots || {}) {
+    this.settings = {
+      defaultMethod: settings.defaultMethod || 'fifo',
+      longTermDays: settings.longTermDays || 365,
+      washSaleDays: settings.washSaleDays || 30
+    };
+  }
+
+  /**
+   * Pick the lots a sell draws from
+   * @param {Array<Object>} openLots - Lots with { _id, remainingQuantity, costPerShare, acquiredAt }
+   * @param {number} quantity - Shares to sell
+   * @param {string} method - fifo, lifo, highest_cost or specific
+   * @param {Array<Object>} [specificLots] - { lotId, quantity } when method is 'specific'
+   * @returns {Array<Object>} { lot, quantity } in the order they are used
+   */
+  static selectLots(openLots, quantity, method, specificLots = []) {
+    if (!LOT_METHODS.includes(method)) {
+      throw new Error(`lotMethod must be one of: ${LOT_METHODS.join(', ')}`);
+    }
+
+    if (method === 'specific') {
+      const requested = roundShares(specificLots.reduce((sum, l) => sum + l.quantity, 0), SHARE_PRECISION);
+      if (requested !== quantity) {
+        throw new Error(`Specific lots add up to ${requested} shares but the sell is for ${quantity}`);
+      }
+      return specificLots.map(({ lotId, quantity: lotQuantity }) => {
+        const lot = openLots.find(l => String(l._id) === String(lotId));
+        if (!lot) {
+          throw new Error(`Lot ${lotId} is not an open lot for this ticker`);
+        }
+        if (lot.remainingQuantity < lotQuantity) {
+          throw new Error(`Lot ${lotId} only has ${lot.remainingQuantity} shares remaining`);
+        }
+        return { lot, quantity: lotQuantity };
+      });
+    }
+
+    const byAcquired = (a, b) => new Date(a.acquiredAt) - new Date(b.acquiredAt);
+    const ordered = [...openLots].sort({
+      fifo: byAcquired,
+      lifo: (a, b) => byAcquired(b, a),
+      highest_cost: (a, b) => b.costPerShare - a.costPerShare || byAcquired(a, b)
+    }[method]);
+
+    const selections = [];
+    let remaining = quantity;
+    for (const lot of ordered) {
+      if (remaining <= 0) break;
+      const taken = Math.min(lot.remainingQuantity, remaining);
+      if (taken > 0) {
+        selections.push({ lot, quantity: taken });
+        remaining = roundShares(remaining - taken, SHARE_PRECISION);
+      }
+    }
+
+    if (remaining > 0) {
+      throw new Error(`Open lots only cover ${roundShares(quantity - remaining, SHARE_PRECISION)} of ${quantity} shares`);
+    }
+    return selections;
+  }
+
+  /**
+   * Build realized-gain lines from sells and the buys around them
+   * @param {Array<Object>} sells - Sell transactions with lotsSold
+   * @param {Array<Object>} buys - Buy transactions for the same user (used for wash sales)
+   * @param {Object} settings - { longTermDays, washSaleDays }
+   * @returns {Object} { lines, summary }
+   */
+  static buildRealizedGains(sells, buys, settings) {
+    const lines = [];
+    // Each replacement share can only disallow one loss
+    const replacementUsed = new Map();
+
+    const sortedSells = [...sells].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    for (const sell of sortedSells) {
+      const soldAt = new Date(sell.createdAt);
+      const netProceedsPerShare = (sell.subtotal - (sell.commission || 0) - (sell.fees || 0)) / sell.quantity;
+      const lotsInSale = new Set(sell.lotsSold.map(l => String(l.lotId)));
+
+      for (const lotSold of sell.lotsSold) {
+        const acquiredAt = new Date(lotSold.acquiredAt);
+        const proceeds = netProceedsPerShare * lotSold.quantity;
+        const costBasis = lotSold.costPerShare * lotSold.quantity;
+        const gain = proceeds - costBasis;
+        const holdingDays = Math.floor((soldAt - acquiredAt) / DAY_MS);
+
+        let disallowedLoss = 0;
+        if (gain < 0) {
+          let sharesToMatch = lotSold.quantity;
+          let matched = 0;
+          for (const buy of buys) {
+            if (sharesToMatch <= 0) break;
+            if (buy.ticker !== sell.ticker || lotsInSale.has(String(buy.lotId))) continue;
+            const daysApart = Math.abs(new Date(buy.createdAt) - soldAt) / DAY_MS;
+            if (daysApart > settings.washSaleDays) continue;
+
+            const key = String(buy._id);
+            const available = buy.quantity - (replacementUsed.get(key) || 0);
+            const used = Math.min(available, sharesToMatch);
+            if (used > 0) {
+              replacementUsed.set(key, (replacementUsed.get(key) || 0) + used);
+              sharesToMatch -= used;
+              matched += used;
+            }
+          }
+          disallowedLoss = -gain * (matched / lotSold.quantity);
+        }
+
+        lines.push({
+          ticker: sell.ticker,
+          transactionId: String(sell._id),
+          lotId: String(lotSold.lotId),
+          quantity: lotSold.quantity,
+          acquiredAt: acquiredAt.toISOString().split('T')[0],
+          soldAt: soldAt.toISOString().split('T')[0],
+          holdingDays,
+          term: holdingDays > settings.longTermDays ? 'long' : 'short',
+          proceeds,
+          costBasis,
+          gain,
+          washSale: disallowedLoss > 0,
+          disallowedLoss,
+          adjustedGain: gain + disallowedLoss
+        });
+      }
+    }
+
+    const total = (term) => {
+      const termLines = lines.filter(l => !term || l.term === term);
+      return {
+        proceeds: termLines.reduce((sum, l) => sum + l.proceeds, 0),
+        costBasis: termLines.reduce((sum, l) => sum + l.costBasis, 0),
+        gain: termLines.reduce((sum, l) => sum + l.gain, 0),
+        disallowedLoss: termLines.reduce((sum, l) => sum + l.disallowedLoss, 0),
+        adjustedGain: termLines.reduce((sum, l) => sum + l.adjustedGain, 0)
+      };
+    };
+
+    return {
+      lines,
+      summary: {
+        shortTerm: total('short'),
+        longTerm: total('long'),
+        total: total(null),
+        washSales: lines.filter(l => l.washSale).length
+      }
+    };
+  }
+
+  /**
+   * Realized-gain lines as CSV
+   * @param {Array<Object>} lines - Lines from buildRealizedGains
+   * @returns {string} CSV with a header row
+   */
+  static toCSV(lines) {
+    const columns = [
+      'ticker', 'quantity', 'acquiredAt', 'soldAt', 'holdingDays', 'term',
+      'proceeds', 'costBasis', 'gain', 'washSale', 'disallowedLoss', 'adjustedGain', 'lotId', 'transactionId'
+    ];
+    const format = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value));
+    return [
+      columns.join(','),
+      ...lines.map(line => columns.map(column => format(line[column])).join(','))
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Open a lot for a completed buy
+   * @param {Object} transaction - Buy transaction
+   * @returns {Promise<Object>} Saved lot
+   */
+  async recordBuy(transaction) {
+    return new TaxLotModel({
+      userId: transaction.userId,
+      portfolioId: transaction.portfolioId || null,
+      ticker: transaction.ticker,
+      transactionId: String(transaction._id),
+      quantity: transaction.quantity,
+      remainingQuantity: transaction.quantity,
+      costPerShare: transaction.total / transaction.quantity,
+      acquiredAt: transaction.createdAt || new Date()
+    }).save();
+  }
+
+  /**
+   * Match a sell to open lots without changing them
+   * Only lots bought in the same portfolio are drawn down, so each portfolio keeps its own cost basis
+   * Returns null when the user's lots don't cover the sell (holdings from before lot tracking),
+   * in which case the caller keeps average-cost accounting
+   * @param {string} userId - Seller
+   * @param {string|null} portfolioId - Portfolio the shares are sold from (null outside a portfolio)
+   * @param {string} ticker - Stock ticker
+   * @param {number} quantity - Shares to sell
+   * @param {Object} options - { lotMethod, lots }
+   * @returns {Promise<Object|null>} { method, selections, costBasis } where costBasis is per share
+   */
+  async matchSell(userId, portfolioId, ticker, quantity, options = {}) {
+    const method = options.lotMethod || this.settings.defaultMethod;
+    const openLots = await TaxLotModel.find({ userId, portfolioId: portfolioId || null, ticker, status: 'open' });
+
+    const available = roundShares(openLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0), SHARE_PRECISION);
+    if (available < quantity && method !== 'specific') {
+      return null;
+    }
+
+    const selections = TaxLotService.selectLots(openLots, quantity, method, options.lots);
+    const cost = selections.reduce((sum, s) => sum + s.lot.costPerShare * s.quantity, 0);
+    return { method, selections, costBasis: cost / quantity };
+  }
+
+  /**
+   * Draw down the lots a sell was matched to
+   * @param {Object} match - Result of matchSell
+   */
+  async applySell(match) {
+    for (const { lot, quantity } of match.selections) {
+      lot.remainingQuantity = roundShares(lot.remainingQuantity - quantity, SHARE_PRECISION);
+      if (lot.remainingQuantity <= 0) {
+        lot.remainingQuantity = 0;
+        lot.status = 'closed';
+      }
+      await lot.save();
+    }
+  }
+
+  /**
+   * Lots sold, in the shape stored on the sell transaction
+   * @param {Object} match - Result of matchSell
+   * @returns {Array<Object>} { lotId, quantity, costPerShare, acquiredAt }
+   */
+  static describeSelections(match) {
+    return match.selections.map(({ lot, quantity }) => ({
+      lotId: String(lot._id),
+      quantity,
+      costPerShare: lot.costPerShare,
+      acquiredAt: lot.acquiredAt
+    }));
+  }
+
+  /**
+   * List a user's lots
+   * @param {string} userId - Owner
+   * @param {Object} options - { portfolioId, ticker, status }
+   * @returns {Promise<Array>} Lots, oldest first
+   */
+  async getLots(userId, options = {}) {
+    try {
+      const query = { userId };
+      if (options.portfolioId) query.portfolioId = options.portfolioId;
+      if (options.ticker) query.ticker = options.ticker.toUpperCase();
+      if (options.status) query.status = options.status;
+
+      const lots = await TaxLotModel.find(query).sort({ acquiredAt: 1 });
+      return lots.map(lot => lot.toObject());
+    } catch (error) {
+      console.error('Error getting tax lots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Realized gains for sells in a date range
+   * @param {string} userId - Seller
+   * @param {Object} options - { startDate, endDate, ticker, portfolioId }
+   * @returns {Promise<Object>} { lines, summary }
+   */
+  async getRealizedGains(userId, options = {}) {
+    try {
+      const sellQuery = { userId, type: 'sell', status: 'completed', 'lotsSold.0': { $exists: true } };
+      if (options.portfolioId) sellQuery.portfolioId = options.portfolioId;
+      if (options.ticker) sellQuery.ticker = options.ticker.toUpperCase();
+      if (options.startDate || options.endDate) {
+        sellQuery.createdAt = {};
+        if (options.startDate) sellQuery.createdAt.$gte = new Date(options.startDate);
+        if (options.endDate) sellQuery.createdAt.$lte = new Date(options.endDate);
+      }
+      const sells = await TransactionModel.find(sellQuery);
+
+      // Buys that opened lots are replacement candidates for wash sales
+      const tickers = [...new Set(sells.map(s => s.ticker))];
+      const [buys, lots] = await Promise.all([
+        TransactionModel.find({ userId, type: 'buy', status: 'completed', ticker: { $in: tickers } }).sort({ createdAt: 1 }),
+        TaxLotModel.find({ userId, ticker: { $in: tickers } })
+      ]);
+      const lotIdByTransaction = new Map(lots.map(lot => [lot.transactionId, String(lot._id)]));
+      const buysWithLots = buys.map(buy => ({
+        _id: buy._id,
+        ticker: buy.ticker,
+        quantity: buy.quantity,
+        createdAt: buy.createdAt,
+        lotId: lotIdByTransaction.get(String(buy._id)) || null
+      }));
+
+      return TaxLotService.buildRealizedGains(sells, buysWithLots, this.settings);
+    } catch (error) {
+      console.error('Error getting realized gains:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TaxLotService;
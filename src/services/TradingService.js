@@ -8,12 +8,37 @@ const TransactionModel = require('../db/models/TransactionModel');
 const PortfolioModel = require('../db/models/PortfolioModel');
 const PriceDataService = require('./PriceDataService');
 const MarketDataProvider = require('./MarketDataProvider');
+const FeeService = require('./FeeService');
+const TaxLotService = require('./TaxLotService');
+const { runInTransaction } = require('../db/transaction');
+const { roundShares } = require('../utils/calculations');
 const config = require('../../config/config');
 
 class TradingService {
   constructor() {
     this.marketDataProvider = new MarketDataProvider(config.alphaVantage);
     this.priceDataService = new PriceDataService();
+    this.feeService = new FeeService();
+    this.taxLotService = new TaxLotService();
+    this.quantityPrecision = config.trading?.fractional?.quantityPrecision ?? 0;
+  }
+
+  /**
+   * Shares for an order given either as a quantity or as a dollar amount (notional)
+   * Rounded down to the configured fractional precision
+   * @param {number|null} quantity - Shares requested
+   * @param {number} price - Execution price
+   * @param {number} [notional] - Dollar amount to trade instead of a quantity
+   * @returns {number} Shares to trade
+   */
+  resolveQuantity(quantity, price, notional) {
+    const shares = roundShares(notional ? notional / price : quantity, this.quantityPrecision);
+    if (!(shares > 0)) {
+      throw new Error(notional
+        ? `$${notional} is less than the smallest tradable fraction of a share at $${price.toFixed(2)}`
+        : `Quantity must be at least ${Math.pow(10, -this.quantityPrecision)} shares`);
+    }
+    return shares;
   }
 
   /**
@@ -59,6 +84,13 @@ class TradingService {
         }
       }
 
+      // Open shorts are a liability marked at the same prices
+      const shortPositions = wallet.shortPositions || [];
+      for (const position of shortPositions) {
+        allTickers.add(position.ticker.toUpperCase());
+      }
+      let totalShortValue = 0;
+
       // Batch fetch all prices from database in parallel (DB-only, no API calls)
       if (allTickers.size > 0) {
         const tickerArray = Array.from(allTickers);
@@ -93,12 +125,18 @@ class TradingService {
           }
           // If price not found, skip it (don't call API - prevents timeout)
         }
+
+        for (const position of shortPositions) {
+          const currentPrice = priceMap.get(position.ticker.toUpperCase()) || position.currentPrice;
+          totalShortValue += position.quantity * currentPrice;
+        }
       }
 
       return {
         wallet: wallet.toObject(),
         totalHoldingsValue,
-        totalPortfolioValue: wallet.balance + totalHoldingsValue,
+        totalShortValue,
+        totalPortfolioValue: wallet.balance + totalHoldingsValue - totalShortValue,
         cashPercentage: totalHoldingsValue > 0 
           ? ((wallet.balance / (wallet.balance + totalHoldingsValue)) * 100).toFixed(2)
           : 100
@@ -111,71 +149,87 @@ class TradingService {
 
   /**
    * Buy stocks
+   * Pass quantity (fractional allowed) or, with quantity null, options.notional as a dollar amount
    */
   async buyStock(userId, portfolioId, ticker, quantity, options = {}) {
     try {
       // Validate inputs
-      if (!userId || !ticker || !quantity || quantity <= 0) {
+      if (!userId || !ticker || !(quantity > 0 || options.notional > 0)) {
         throw new Error('Invalid buy order parameters');
       }
 
-      // Get wallet
-      const wallet = await this.getOrCreateWallet(userId);
-      if (wallet.status !== 'active') {
-        throw new Error('Wallet is not active');
-      }
-
-      // Get current price
-      const currentPrice = await this.getCurrentPrice(ticker);
+      // Use the fill price of a matched order, otherwise the current price.
+      // This may call the market data API, so it runs before the transaction opens
+      const currentPrice = options.price || await this.getCurrentPrice(ticker);
       if (!currentPrice) {
         throw new Error(`Unable to get current price for ${ticker}`);
       }
+      quantity = this.resolveQuantity(quantity, currentPrice, options.notional);
+
+      // Wallet, transaction, tax lot and portfolio writes commit or roll back together
+      return await runInTransaction(async () => {
+        // Get wallet
+        const wallet = await this.getOrCreateWallet(userId);
+        if (wallet.status !== 'active') {
+          throw new Error('Wallet is not active');
+        }
 
-      // Calculate costs
-      const commission = options.commission || config.trading?.commission || 0;
-      const subtotal = quantity * currentPrice;
-      const total = subtotal + commission;
+        // Calculate costs
+        const commission = options.commission || config.trading?.commission || 0;
+        const subtotal = quantity * currentPrice;
+        const total = subtotal + commission;
+        const tradeFee = this.feeService.calculateTradeFee(subtotal);
 
-      // Check if user has sufficient funds
-      if (!wallet.hasAvailableFunds(total)) {
-        throw new Error(
-          `Insufficient funds. Required: $${total.toFixed(2)}, Available: $${wallet.availableBalance.toFixed(2)}`
-        );
-      }
+        // Check if user has sufficient funds
+        if (!wallet.hasAvailableFunds(total + tradeFee)) {
+          throw new Error(
+            `Insufficient funds. Required: $${(total + tradeFee).toFixed(2)}, Available: $${wallet.availableBalance.toFixed(2)}`
+          );
+        }
 
-      // Deduct funds from wallet
-      const balanceBefore = wallet.balance;
-      wallet.deductFunds(total);
-      wallet.totalInvested += subtotal;
-      await wallet.save();
+        // Deduct funds from wallet
+        const balanceBefore = wallet.balance;
+        wallet.deductFunds(total);
+        wallet.totalInvested += subtotal;
+        await wallet.save();
+
+        // Create transaction record
+        const transaction = await TransactionModel.createBuyTransaction({
+          userId,
+          portfolioId: portfolioId || null,
+          ticker,
+          quantity,
+          price: currentPrice,
+          notional: options.notional || null,
+          commission,
+          balanceBefore,
+          executionType: options.executionType || 'market',
+          orderSource: options.orderSource || 'manual',
+          notes: options.notes || `Bought ${quantity} shares of ${ticker}`
+        });
 
-      // Create transaction record
-      const transaction = await TransactionModel.createBuyTransaction({
-        userId,
-        portfolioId: portfolioId || null,
-        ticker,
-        quantity,
-        price: currentPrice,
-        commission,
-        balanceBefore,
-        orderSource: options.orderSource || 'manual',
-        notes: options.notes || `Bought ${quantity} shares of ${ticker}`
-      });
+        await this.taxLotService.recordBuy(transaction);
 
-      // Update portfolio if portfolioId provided
-      if (portfolioId) {
-        await this.updatePortfolioPosition(portfolioId, ticker, quantity, currentPrice, 'buy');
-      }
+        const feeTransaction = await this.feeService.chargeTradeFee(wallet, {
+          type: 'buy', ticker, quantity, price: currentPrice, portfolioId
+        });
 
-      return {
-        success: true,
-        transaction: transaction.toObject(),
-        wallet: {
-          balance: wallet.balance,
-          availableBalance: wallet.availableBalance
-        },
-        message: `Successfully bought ${quantity} shares of ${ticker} at $${currentPrice.toFixed(2)}`
-      };
+        // Update portfolio if portfolioId provided
+        if (portfolioId) {
+          await this.updatePortfolioPosition(portfolioId, ticker, quantity, currentPrice, 'buy');
+        }
+
+        return {
+          success: true,
+          transaction: transaction.toObject(),
+          fee: feeTransaction ? feeTransaction.total : 0,
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          message: `Successfully bought ${quantity} shares of ${ticker} at $${currentPrice.toFixed(2)}`
+        };
+      });
     } catch (error) {
       console.error('Error buying stock:', error);
       throw error;
@@ -184,91 +238,119 @@ class TradingService {
 
   /**
    * Sell stocks
+   * Pass quantity (fractional allowed) or, with quantity null, options.notional as a dollar amount
    */
   async sellStock(userId, portfolioId, ticker, quantity, options = {}) {
     try {
       // Validate inputs
-      if (!userId || !ticker || !quantity || quantity <= 0) {
+      if (!userId || !ticker || !(quantity > 0 || options.notional > 0)) {
         throw new Error('Invalid sell order parameters');
       }
 
-      // Get wallet
-      const wallet = await this.getOrCreateWallet(userId);
-      if (wallet.status !== 'active') {
-        throw new Error('Wallet is not active');
+      // Use the fill price of a matched order, otherwise the current price.
+      // This may call the market data API, so it runs before the transaction opens
+      const currentPrice = options.price || await this.getCurrentPrice(ticker);
+      if (!currentPrice) {
+        throw new Error(`Unable to get current price for ${ticker}`);
       }
+      quantity = this.resolveQuantity(quantity, currentPrice, options.notional);
+
+      // Wallet, transaction, tax lot and portfolio writes commit or roll back together
+      return await runInTransaction(async () => {
+        // Get wallet
+        const wallet = await this.getOrCreateWallet(userId);
+        if (wallet.status !== 'active') {
+          throw new Error('Wallet is not active');
+        }
 
-      // Verify user has sufficient shares (if portfolioId provided)
-      let costBasis = null;
-      if (portfolioId) {
-        const portfolio = await PortfolioModel.findById(portfolioId);
-        if (!portfolio || portfolio.userId !== userId) {
-          throw new Error('Portfolio not found or unauthorized');
+        // Verify user has sufficient shares (if portfolioId provided)
+        let costBasis = null;
+        if (portfolioId) {
+          const portfolio = await PortfolioModel.findById(portfolioId);
+          if (!portfolio || portfolio.userId !== userId) {
+            throw new Error('Portfolio not found or unauthorized');
+          }
+
+          const position = portfolio.positions.find(p => p.ticker === ticker);
+          if (!position || position.quantity < quantity) {
+            throw new Error(
+              `Insufficient shares. You have ${position?.quantity || 0} shares of ${ticker}`
+            );
+          }
+
+          costBasis = position.averageCost;
         }
 
-        const position = portfolio.positions.find(p => p.ticker === ticker);
-        if (!position || position.quantity < quantity) {
-          throw new Error(
-            `Insufficient shares. You have ${position?.quantity || 0} shares of ${ticker}`
-          );
+        // Match tax lots; holdings bought before lot tracking keep average-cost accounting
+        const lotMatch = await this.taxLotService.matchSell(userId, portfolioId, ticker, quantity, {
+          lotMethod: options.lotMethod,
+          lots: options.lots
+        });
+        if (lotMatch) {
+          costBasis = lotMatch.costBasis;
         }
 
-        costBasis = position.averageCost;
-      }
+        // Calculate proceeds
+        const commission = options.commission || config.trading?.commission || 0;
+        const subtotal = quantity * currentPrice;
+        const total = subtotal - commission;
 
-      // Get current price
-      const currentPrice = await this.getCurrentPrice(ticker);
-      if (!currentPrice) {
-        throw new Error(`Unable to get current price for ${ticker}`);
-      }
-
-      // Calculate proceeds
-      const commission = options.commission || config.trading?.commission || 0;
-      const subtotal = quantity * currentPrice;
-      const total = subtotal - commission;
+        // Add funds to wallet
+        const balanceBefore = wallet.balance;
+        wallet.addFunds(total);
+        wallet.totalSaleProceeds += subtotal;
 
-      // Add funds to wallet
-      const balanceBefore = wallet.balance;
-      wallet.addFunds(total);
-      wallet.totalWithdrawn += subtotal;
+        // Update profit/loss if cost basis known
+        if (costBasis !== null) {
+          const profitLoss = (currentPrice - costBasis) * quantity - commission;
+          wallet.updateProfitLoss(profitLoss, profitLoss > 0);
+        }
 
-      // Update profit/loss if cost basis known
-      if (costBasis !== null) {
-        const profitLoss = (currentPrice - costBasis) * quantity - commission;
-        wallet.updateProfitLoss(profitLoss, profitLoss > 0);
-      }
+        await wallet.save();
+
+        // Create transaction record
+        const transaction = await TransactionModel.createSellTransaction({
+          userId,
+          portfolioId: portfolioId || null,
+          ticker,
+          quantity,
+          price: currentPrice,
+          notional: options.notional || null,
+          commission,
+          balanceBefore,
+          costBasis,
+          lotMethod: lotMatch ? lotMatch.method : null,
+          lotsSold: lotMatch ? TaxLotService.describeSelections(lotMatch) : [],
+          executionType: options.executionType || 'market',
+          orderSource: options.orderSource || 'manual',
+          notes: options.notes || `Sold ${quantity} shares of ${ticker}`
+        });
 
-      await wallet.save();
+        if (lotMatch) {
+          await this.taxLotService.applySell(lotMatch);
+        }
 
-      // Create transaction record
-      const transaction = await TransactionModel.createSellTransaction({
-        userId,
-        portfolioId: portfolioId || null,
-        ticker,
-        quantity,
-        price: currentPrice,
-        commission,
-        balanceBefore,
-        costBasis,
-        orderSource: options.orderSource || 'manual',
-        notes: options.notes || `Sold ${quantity} shares of ${ticker}`
-      });
+        const feeTransaction = await this.feeService.chargeTradeFee(wallet, {
+          type: 'sell', ticker, quantity, price: currentPrice, portfolioId
+        });
 
-      // Update portfolio if portfolioId provided
-      if (portfolioId) {
-        await this.updatePortfolioPosition(portfolioId, ticker, quantity, currentPrice, 'sell');
-      }
+        // Update portfolio if portfolioId provided
+        if (portfolioId) {
+          await this.updatePortfolioPosition(portfolioId, ticker, quantity, currentPrice, 'sell');
+        }
 
-      return {
-        success: true,
-        transaction: transaction.toObject(),
-        wallet: {
-          balance: wallet.balance,
-          availableBalance: wallet.availableBalance
-        },
-        profitLoss: transaction.realizedProfitLoss,
-        message: `Successfully sold ${quantity} shares of ${ticker} at $${currentPrice.toFixed(2)}`
-      };
+        return {
+          success: true,
+          transaction: transaction.toObject(),
+          fee: feeTransaction ? feeTransaction.total : 0,
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          profitLoss: transaction.realizedProfitLoss,
+          message: `Successfully sold ${quantity} shares of ${ticker} at $${currentPrice.toFixed(2)}`
+        };
+      });
     } catch (error) {
       console.error('Error selling stock:', error);
       throw error;
@@ -303,35 +385,87 @@ class TradingService {
         throw new Error('Deposit amount must be positive');
       }
 
-      const wallet = await this.getOrCreateWallet(userId);
-      const balanceBefore = wallet.balance;
+      return await runInTransaction(async () => {
+        const wallet = await this.getOrCreateWallet(userId);
+        const balanceBefore = wallet.balance;
 
-      wallet.addFunds(amount);
-      wallet.totalDeposited += amount;
-      await wallet.save();
+        wallet.addFunds(amount);
+        wallet.totalDeposited += amount;
+        await wallet.save();
 
-      const transaction = await TransactionModel.createDepositTransaction(
-        userId,
-        amount,
-        balanceBefore,
-        notes || `Deposited $${amount.toFixed(2)}`
-      );
+        const transaction = await TransactionModel.createDepositTransaction(
+          userId,
+          amount,
+          balanceBefore,
+          notes || `Deposited $${amount.toFixed(2)}`
+        );
 
-      return {
-        success: true,
-        transaction: transaction.toObject(),
-        wallet: {
-          balance: wallet.balance,
-          availableBalance: wallet.availableBalance
-        },
-        message: `Successfully deposited $${amount.toFixed(2)}`
-      };
+        return {
+          success: true,
+          transaction: transaction.toObject(),
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          message: `Successfully deposited $${amount.toFixed(2)}`
+        };
+      });
     } catch (error) {
       console.error('Error depositing funds:', error);
       throw error;
     }
   }
 
+  /**
+   * Withdraw funds from wallet
+   * Only cash not reserved for pending orders or short collateral can be withdrawn
+   */
+  async withdrawFunds(userId, amount, notes = '') {
+    try {
+      if (amount <= 0) {
+        throw new Error('Withdrawal amount must be positive');
+      }
+
+      return await runInTransaction(async () => {
+        const wallet = await this.getOrCreateWallet(userId);
+        if (wallet.status !== 'active') {
+          throw new Error('Wallet is not active');
+        }
+        if (!wallet.hasAvailableFunds(amount)) {
+          throw new Error(
+            `Insufficient funds. Requested: $${amount.toFixed(2)}, Available: $${wallet.availableBalance.toFixed(2)}`
+          );
+        }
+
+        const balanceBefore = wallet.balance;
+        wallet.balance -= amount;
+        wallet.totalWithdrawn += amount;
+        wallet.lastTransactionAt = new Date();
+        await wallet.save();
+
+        const transaction = await TransactionModel.createWithdrawalTransaction(
+          userId,
+          amount,
+          balanceBefore,
+          notes || `Withdrew $${amount.toFixed(2)}`
+        );
+
+        return {
+          success: true,
+          transaction: transaction.toObject(),
+          wallet: {
+            balance: wallet.balance,
+            availableBalance: wallet.availableBalance
+          },
+          message: `Successfully withdrew $${amount.toFixed(2)}`
+        };
+      });
+    } catch (error) {
+      console.error('Error withdrawing funds:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get current stock price
    * Tries database first, then API as fallback
@@ -385,7 +519,7 @@ class TradingService {
           // Update existing position
           const position = portfolio.positions[positionIndex];
           const totalCost = (position.quantity * position.averageCost) + (quantity * price);
-          const newQuantity = position.quantity + quantity;
+          const newQuantity = roundShares(position.quantity + quantity, this.quantityPrecision);
           
           position.quantity = newQuantity;
           position.averageCost = totalCost / newQuantity;
@@ -406,7 +540,7 @@ class TradingService {
       } else if (action === 'sell') {
         if (positionIndex >= 0) {
           const position = portfolio.positions[positionIndex];
-          position.quantity -= quantity;
+          position.quantity = roundShares(position.quantity - quantity, this.quantityPrecision);
           
           if (position.quantity <= 0) {
             // Remove position if fully sold
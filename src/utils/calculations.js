@@ -241,6 +241,116 @@ function calculateZScore(value, series) {
   return (value - mean) / stdDev;
 }
 
+/**
+ * Ordinary least squares regression of y on x (y = intercept + slope * x)
+ * @param {Array<number>} x - Independent variable
+ * @param {Array<number>} y - Dependent variable
+ * @returns {Object|null} { slope, intercept, rSquared, residuals } or null if undefined
+ */
+function calculateLinearRegression(x, y) {
+  if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length || x.length < 2) {
+    return null;
+  }
+  
+  const meanX = calculateMean(x);
+  const meanY = calculateMean(y);
+  
+  let covariance = 0;
+  let varianceX = 0;
+  for (let i = 0; i < x.length; i++) {
+    covariance += (x[i] - meanX) * (y[i] - meanY);
+    varianceX += (x[i] - meanX) * (x[i] - meanX);
+  }
+  
+  if (varianceX === 0) {
+    return null;
+  }
+  
+  const slope = covariance / varianceX;
+  const intercept = meanY - slope * meanX;
+  const residuals = y.map((value, i) => value - (intercept + slope * x[i]));
+  
+  const totalSumSquares = y.reduce((sum, value) => sum + (value - meanY) * (value - meanY), 0);
+  const residualSumSquares = residuals.reduce((sum, r) => sum + r * r, 0);
+  const rSquared = totalSumSquares === 0 ? 0 : 1 - residualSumSquares / totalSumSquares;
+  
+  return { slope, intercept, rSquared, residuals };
+}
+
+/**
+ * Dickey-Fuller test statistic for a (mean-zero) series
+ * Regresses the first difference on the lagged level without a constant;
+ * a more negative statistic is stronger evidence of mean reversion
+ * @param {Array<number>} series - Series to test (e.g. regression residuals)
+ * @returns {Object|null} { statistic, coefficient } or null if undefined
+ */
+function calculateDickeyFuller(series) {
+  if (!Array.isArray(series) || series.length < 3) {
+    return null;
+  }
+  
+  let sumLagSquared = 0;
+  let sumLagDiff = 0;
+  for (let i = 1; i < series.length; i++) {
+    const lag = series[i - 1];
+    sumLagSquared += lag * lag;
+    sumLagDiff += lag * (series[i] - lag);
+  }
+  
+  if (sumLagSquared === 0) {
+    return null;
+  }
+  
+  const coefficient = sumLagDiff / sumLagSquared;
+  
+  let residualSumSquares = 0;
+  for (let i = 1; i < series.length; i++) {
+    const lag = series[i - 1];
+    const error = (series[i] - lag) - coefficient * lag;
+    residualSumSquares += error * error;
+  }
+  
+  const degreesOfFreedom = series.length - 2;
+  const standardError = Math.sqrt(residualSumSquares / degreesOfFreedom / sumLagSquared);
+  
+  if (standardError === 0) {
+    return { statistic: coefficient < 0 ? -Infinity : 0, coefficient };
+  }
+  
+  return { statistic: coefficient / standardError, coefficient };
+}
+
+/**
+ * Average True Range using Wilder's smoothing
+ * True range is the largest of high - low, |high - previous close| and |low - previous close|
+ * @param {Array<Object>} bars - OHLC bars in date order ({ high, low, close })
+ * @param {number} period - Smoothing period (default 14)
+ * @returns {number|null} ATR at the last bar, or null if there are not enough bars
+ */
+function calculateATR(bars, period = 14) {
+  if (!Array.isArray(bars) || bars.length < period + 1) {
+    return null;
+  }
+  
+  const trueRanges = [];
+  for (let i = 1; i < bars.length; i++) {
+    const { high, low } = bars[i];
+    const previousClose = bars[i - 1].close;
+    trueRanges.push(Math.max(
+      high - low,
+      Math.abs(high - previousClose),
+      Math.abs(low - previousClose)
+    ));
+  }
+  
+  let atr = calculateMean(trueRanges.slice(0, period));
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+  
+  return atr;
+}
+
 /**
  * Calculate rolling window statistics
  * @param {Array<number>} values - Array of values
@@ -284,6 +394,19 @@ function normalizeValues(values) {
   return values.map(value => (value - min) / (max - min));
 }
 
+/**
+ * Round a share quantity down to a number of decimal places
+ * Rounding down means a dollar-amount order never spends more than it was given,
+ * and clears float noise such as 0.30000000000000004 left by share arithmetic
+ * @param {number} quantity - Share quantity
+ * @param {number} precision - Decimal places kept (0 for whole shares)
+ * @returns {number} Rounded quantity
+ */
+function roundShares(quantity, precision = 0) {
+  const factor = Math.pow(10, precision);
+  return Math.floor(Number((quantity * factor).toFixed(6))) / factor;
+}
+
 module.exports = {
   calculateSMA,
   calculateEMA,
@@ -296,8 +419,12 @@ module.exports = {
   calculateSharpeRatio,
   calculateMaxDrawdown,
   calculateZScore,
+  calculateLinearRegression,
+  calculateDickeyFuller,
+  calculateATR,
   calculateRollingStats,
-  normalizeValues
+  normalizeValues,
+  roundShares
 };
 
 